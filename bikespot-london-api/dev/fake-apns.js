@@ -0,0 +1,277 @@
+#!/usr/bin/env node
+// Local APNs stand-in for development and automated tests.
+//
+// It speaks the subset of the APNs provider API the server uses: POST
+// /3/device/:token with a bearer token, an apns-topic and a JSON payload. Every
+// request is recorded, and responses can be scripted per device token to simulate
+// BadDeviceToken, Unregistered, 429 and 5xx failures.
+//
+// Two ways to use it:
+//   - In-process: createFakeApns() returns the recorder/responder used by the
+//     server's APNS_TRANSPORT=memory mode (and by tests that drive it directly).
+//   - Over HTTP/2: `node dev/fake-apns.js --port 4443`, then start the server with
+//     APNS_BASE_URL=http://127.0.0.1:4443. Control endpoints live under /_fake/
+//     (use `curl --http2-prior-knowledge`):
+//       GET    /_fake/requests   recorded pushes (?deviceToken= to filter)
+//       DELETE /_fake/requests   clear recorded pushes
+//       POST   /_fake/responses  script a response { deviceToken?, reason?, status?, times?, retryAfter? }
+//       DELETE /_fake/responses  clear scripted responses
+const http2 = require("http2");
+
+// ── Scripted Responses ───────────────────────────────────────────────
+const STATUS_BY_REASON = {
+  BadDeviceToken: 400,
+  BadTopic: 400,
+  MissingTopic: 400,
+  PayloadEmpty: 400,
+  MissingProviderToken: 403,
+  ExpiredProviderToken: 403,
+  BadPath: 404,
+  Unregistered: 410,
+  PayloadTooLarge: 413,
+  TooManyRequests: 429,
+  InternalServerError: 500,
+  ServiceUnavailable: 503,
+};
+
+const MAX_PAYLOAD_BYTES = 4096;
+const MAX_RECORDED_REQUESTS = 1000;
+
+function sanitizeResponseRule(rawRule) {
+  const reason = typeof rawRule?.reason === "string" ? rawRule.reason.trim() : "";
+  const status = Number.isInteger(rawRule?.status)
+    ? rawRule.status
+    : STATUS_BY_REASON[reason];
+  if (!Number.isInteger(status) || status < 200 || status > 599) {
+    throw new Error(`Unknown APNs response: status=${rawRule?.status} reason=${reason}`);
+  }
+
+  const times = rawRule?.times === undefined ? 1 : Number(rawRule.times);
+  if (!(times > 0)) {
+    throw new Error(`Invalid response count: ${rawRule?.times}`);
+  }
+
+  return {
+    deviceToken:
+      typeof rawRule?.deviceToken === "string" && rawRule.deviceToken.trim()
+        ? rawRule.deviceToken.trim().toLowerCase()
+        : null,
+    status,
+    reason: reason || null,
+    times,
+    retryAfter: Number.isFinite(rawRule?.retryAfter) ? rawRule.retryAfter : null,
+  };
+}
+
+function errorBody(reason, status) {
+  const body = { reason };
+  if (status === 410) {
+    body.timestamp = Date.now();
+  }
+  return JSON.stringify(body);
+}
+
+// ── Recorder ─────────────────────────────────────────────────────────
+function createFakeApns({ latencyMs = 0 } = {}) {
+  const requests = [];
+  let rules = [];
+  let nextRequestId = 1;
+
+  function takeRule(deviceToken) {
+    const rule =
+      rules.find((candidate) => candidate.deviceToken === deviceToken) ||
+      rules.find((candidate) => candidate.deviceToken === null);
+    if (!rule) return null;
+    rule.times -= 1;
+    if (rule.times <= 0) {
+      rules = rules.filter((candidate) => candidate !== rule);
+    }
+    return rule;
+  }
+
+  function validate(path, headers, body) {
+    const match = /^\/3\/device\/([0-9a-fA-F]+)$/.exec(path || "");
+    if (headers[":method"] !== "POST" || !match) return { reason: "BadPath" };
+    if (!/^bearer \S+/i.test(headers.authorization || "")) {
+      return { reason: "MissingProviderToken" };
+    }
+    if (!headers["apns-topic"]) return { reason: "MissingTopic" };
+    if (!body) return { reason: "PayloadEmpty" };
+    if (Buffer.byteLength(body) > MAX_PAYLOAD_BYTES) return { reason: "PayloadTooLarge" };
+    return { deviceToken: match[1].toLowerCase() };
+  }
+
+  async function handle({ headers, body }) {
+    const path = headers[":path"];
+    const validation = validate(path, headers, body);
+    const rule = validation.deviceToken ? takeRule(validation.deviceToken) : null;
+    const reason = validation.reason || rule?.reason || null;
+    const status = validation.reason
+      ? STATUS_BY_REASON[validation.reason]
+      : rule?.status || 200;
+
+    let payload = null;
+    try {
+      payload = body ? JSON.parse(body) : null;
+    } catch {
+      payload = body;
+    }
+
+    requests.push({
+      id: nextRequestId++,
+      receivedAt: new Date().toISOString(),
+      authority: headers[":authority"] || null,
+      deviceToken: validation.deviceToken || null,
+      pushType: headers["apns-push-type"] || null,
+      topic: headers["apns-topic"] || null,
+      priority: headers["apns-priority"] || null,
+      payload,
+      status,
+      reason,
+    });
+    if (requests.length > MAX_RECORDED_REQUESTS) {
+      requests.splice(0, requests.length - MAX_RECORDED_REQUESTS);
+    }
+
+    if (latencyMs > 0) {
+      await new Promise((resolve) => setTimeout(resolve, latencyMs));
+    }
+
+    const responseHeaders = { "apns-id": `fake-${nextRequestId - 1}` };
+    if (rule?.retryAfter !== null && rule?.retryAfter !== undefined) {
+      responseHeaders["retry-after"] = String(rule.retryAfter);
+    }
+    return {
+      status,
+      headers: responseHeaders,
+      body: status === 200 ? "" : errorBody(reason || "InternalServerError", status),
+    };
+  }
+
+  return {
+    handle,
+    respondWith(rawRule) {
+      const rule = sanitizeResponseRule(rawRule);
+      rules.push(rule);
+      return rule;
+    },
+    clearResponses() {
+      rules = [];
+    },
+    requests(filter = {}) {
+      const deviceToken =
+        typeof filter.deviceToken === "string" ? filter.deviceToken.toLowerCase() : null;
+      return requests.filter((request) => !deviceToken || request.deviceToken === deviceToken);
+    },
+    clearRequests() {
+      requests.length = 0;
+    },
+  };
+}
+
+// ── HTTP/2 Server ────────────────────────────────────────────────────
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    stream.setEncoding("utf8");
+    stream.on("data", (chunk) => {
+      body += chunk;
+    });
+    stream.on("end", () => resolve(body));
+    stream.on("error", reject);
+  });
+}
+
+function respondJson(stream, status, value) {
+  stream.respond({ ":status": status, "content-type": "application/json" });
+  stream.end(JSON.stringify(value));
+}
+
+async function handleControlRequest(fake, stream, headers, body) {
+  const url = new URL(headers[":path"], "http://fake-apns");
+  const method = headers[":method"];
+
+  if (url.pathname === "/_fake/requests" && method === "GET") {
+    return respondJson(stream, 200, {
+      requests: fake.requests({ deviceToken: url.searchParams.get("deviceToken") }),
+    });
+  }
+  if (url.pathname === "/_fake/requests" && method === "DELETE") {
+    fake.clearRequests();
+    return respondJson(stream, 200, { success: true });
+  }
+  if (url.pathname === "/_fake/responses" && method === "POST") {
+    try {
+      return respondJson(stream, 200, { rule: fake.respondWith(JSON.parse(body || "{}")) });
+    } catch (err) {
+      return respondJson(stream, 400, { error: err.message });
+    }
+  }
+  if (url.pathname === "/_fake/responses" && method === "DELETE") {
+    fake.clearResponses();
+    return respondJson(stream, 200, { success: true });
+  }
+  return respondJson(stream, 404, { error: "Unknown control endpoint" });
+}
+
+function startFakeApnsServer({ port = 0, host = "127.0.0.1", fake = createFakeApns() } = {}) {
+  const server = http2.createServer();
+  const sessions = new Set();
+  server.on("session", (session) => {
+    sessions.add(session);
+    session.on("close", () => sessions.delete(session));
+  });
+  server.on("stream", async (stream, headers) => {
+    try {
+      const body = await readStream(stream);
+      if (headers[":path"]?.startsWith("/_fake/")) {
+        await handleControlRequest(fake, stream, headers, body);
+        return;
+      }
+      const response = await fake.handle({ headers, body });
+      if (stream.destroyed) return;
+      stream.respond({ ":status": response.status, ...response.headers });
+      stream.end(response.body);
+    } catch (err) {
+      if (!stream.destroyed) {
+        respondJson(stream, 500, { reason: "InternalServerError", error: err.message });
+      }
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      const address = server.address();
+      resolve({
+        fake,
+        server,
+        url: `http://${host}:${address.port}`,
+        close: () =>
+          new Promise((resolveClose) => {
+            // Pooled clients keep their sessions open, so end them or close() never returns.
+            for (const session of sessions) session.destroy();
+            server.close(() => resolveClose());
+          }),
+      });
+    });
+  });
+}
+
+module.exports = { createFakeApns, startFakeApnsServer, STATUS_BY_REASON };
+
+if (require.main === module) {
+  const portFlagIndex = process.argv.indexOf("--port");
+  const port = parseInt(
+    portFlagIndex >= 0 ? process.argv[portFlagIndex + 1] : process.env.FAKE_APNS_PORT || "4443",
+    10
+  );
+  startFakeApnsServer({ port })
+    .then(({ url }) => {
+      console.log(`Fake APNs listening on ${url} (set APNS_BASE_URL=${url})`);
+    })
+    .catch((err) => {
+      console.error(`Failed to start fake APNs: ${err.message}`);
+      process.exit(1);
+    });
+}
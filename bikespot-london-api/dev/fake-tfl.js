@@ -0,0 +1,432 @@
+#!/usr/bin/env node
+// Local TfL API emulator for offline development and automated tests.
+//
+// Serves /BikePoint, /BikePoint/:id and /Place/:id from a recorded /BikePoint
+// fixture. A scenario can script count changes, stale `modified` timestamps and
+// 429/500 responses over time, so pollDock alerting, the freshness check and the
+// proxy routes can be exercised without the real API.
+//
+//   node dev/fake-tfl.js [--port 4480] [--fixture file] [--scenario file]
+//   TFL_API_BASE=http://127.0.0.1:4480 node server.js
+//   node dev/fake-tfl.js record [--out file] [--source https://api.tfl.gov.uk]
+//
+// Control endpoints (JSON bodies):
+//   GET  /_fake/state             docks, pending errors and scenario progress
+//   GET  /_fake/requests          recorded TfL requests
+//   POST /_fake/docks/:dockId     { standardBikes?, eBikes?, emptySpaces?, installed?, locked?, staleMinutes? }
+//   POST /_fake/stale             { minutes, dockIds? } (minutes: 0 makes docks fresh again)
+//   POST /_fake/errors            { status, count?, path?, retryAfter? }
+//   POST /_fake/scenario          a scenario object (see dev/fixtures/tfl/scenarios)
+//   POST /_fake/reset             reload the fixture and restart the scenario clock
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const DEFAULT_FIXTURE_PATH = path.join(__dirname, "fixtures", "tfl", "bikepoints.json");
+const COUNT_KEYS = ["NbBikes", "NbEmptyDocks", "NbDocks", "NbStandardBikes", "NbEBikes"];
+const MAX_RECORDED_REQUESTS = 1000;
+
+// ── Fixture State ────────────────────────────────────────────────────
+function propertyValue(bikePoint, key) {
+  return bikePoint.additionalProperties?.find((prop) => prop.key === key)?.value;
+}
+
+function countValue(bikePoint, key) {
+  const parsed = parseInt(propertyValue(bikePoint, key), 10);
+  return Number.isFinite(parsed) ? Math.max(parsed, 0) : 0;
+}
+
+function dockStateFromFixture(bikePoint) {
+  return {
+    bikePoint,
+    standardBikes: countValue(bikePoint, "NbStandardBikes"),
+    eBikes: countValue(bikePoint, "NbEBikes"),
+    emptySpaces: countValue(bikePoint, "NbEmptyDocks"),
+    installed: propertyValue(bikePoint, "Installed") !== "false",
+    locked: propertyValue(bikePoint, "Locked") === "true",
+    // null = counts look freshly reported; otherwise `modified` is frozen here.
+    staleSinceMs: null,
+  };
+}
+
+function renderBikePoint(dock, nowMs) {
+  const countModified = new Date(dock.staleSinceMs ?? nowMs).toISOString();
+  const values = {
+    NbBikes: String(dock.standardBikes + dock.eBikes),
+    NbEmptyDocks: String(dock.emptySpaces),
+    NbDocks: String(dock.standardBikes + dock.eBikes + dock.emptySpaces),
+    NbStandardBikes: String(dock.standardBikes),
+    NbEBikes: String(dock.eBikes),
+    Installed: String(dock.installed),
+    Locked: String(dock.locked),
+  };
+  return {
+    ...dock.bikePoint,
+    additionalProperties: (dock.bikePoint.additionalProperties || []).map((prop) =>
+      values[prop.key] === undefined
+        ? prop
+        : {
+            ...prop,
+            value: values[prop.key],
+            modified: COUNT_KEYS.includes(prop.key) ? countModified : prop.modified,
+          }
+    ),
+  };
+}
+
+function sanitizeCount(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? Math.max(Math.trunc(parsed), 0) : null;
+}
+
+function tflErrorBody(status, relativeUri, nowMs) {
+  if (status === 429) {
+    return { statusCode: 429, message: "Rate limit is exceeded. Try again in 1 seconds." };
+  }
+  return {
+    $type: "Tfl.Apps.Api.Models.ApiError, Tfl.Apps.Api",
+    timestampUtc: new Date(nowMs).toISOString(),
+    exceptionType: status === 404 ? "EntityNotFoundException" : "ApiException",
+    httpStatusCode: status,
+    httpStatus: http.STATUS_CODES[status] || "Error",
+    relativeUri,
+    message: status === 404 ? "The following place id is not recognised" : "Fake TfL error",
+  };
+}
+
+// ── Emulator ─────────────────────────────────────────────────────────
+// Scenario steps run once their `at` (seconds since the scenario started) has passed:
+//   { at, docks: { [dockId]: { standardBikes?, eBikes?, emptySpaces?, installed?, locked?, staleMinutes? } } }
+//   { at, stale: { minutes, dockIds? } }
+//   { at, errors: { status, count?, path?, retryAfter? } }
+// Steps are applied lazily on the next request, so a fake clock passed as `now`
+// drives them deterministically.
+function createFakeTfl({
+  fixturePath = DEFAULT_FIXTURE_PATH,
+  fixture = null,
+  scenario = null,
+  now = () => Date.now(),
+} = {}) {
+  let docks = new Map();
+  let pendingErrors = [];
+  let activeScenario = null;
+  let scenarioStartedAtMs = 0;
+  let nextStepIndex = 0;
+  const requests = [];
+
+  function loadFixture() {
+    const bikePoints = fixture || JSON.parse(fs.readFileSync(fixturePath, "utf8"));
+    if (!Array.isArray(bikePoints)) {
+      throw new Error("TfL fixture must be the array returned by /BikePoint");
+    }
+    docks = new Map(bikePoints.map((bikePoint) => [bikePoint.id, dockStateFromFixture(bikePoint)]));
+  }
+
+  function updateDock(dockId, changes) {
+    const dock = docks.get(dockId);
+    if (!dock) throw new Error(`Unknown dock ${dockId}`);
+    for (const key of ["standardBikes", "eBikes", "emptySpaces"]) {
+      if (changes[key] === undefined) continue;
+      const value = sanitizeCount(changes[key]);
+      if (value === null) throw new Error(`Invalid ${key} for ${dockId}: ${changes[key]}`);
+      dock[key] = value;
+    }
+    if (typeof changes.installed === "boolean") dock.installed = changes.installed;
+    if (typeof changes.locked === "boolean") dock.locked = changes.locked;
+    if (changes.staleMinutes !== undefined) {
+      const minutes = Number(changes.staleMinutes);
+      dock.staleSinceMs = minutes > 0 ? now() - minutes * 60 * 1000 : null;
+    }
+    return dock;
+  }
+
+  function markStale({ minutes, dockIds } = {}) {
+    const targetIds = Array.isArray(dockIds) ? dockIds : Array.from(docks.keys());
+    for (const dockId of targetIds) {
+      updateDock(dockId, { staleMinutes: minutes });
+    }
+  }
+
+  function queueErrors({ status, count = 1, path: pathPrefix = null, retryAfter = null } = {}) {
+    const statusCode = Number(status);
+    if (!Number.isInteger(statusCode) || statusCode < 400 || statusCode > 599) {
+      throw new Error(`Invalid error status: ${status}`);
+    }
+    pendingErrors.push({
+      status: statusCode,
+      remaining: Math.max(Number(count) || 1, 1),
+      path: typeof pathPrefix === "string" && pathPrefix ? pathPrefix : null,
+      retryAfter: Number.isFinite(retryAfter) ? retryAfter : null,
+    });
+  }
+
+  function loadScenario(nextScenario) {
+    const steps = Array.isArray(nextScenario?.steps) ? nextScenario.steps : [];
+    activeScenario = {
+      name: typeof nextScenario?.name === "string" ? nextScenario.name : "unnamed",
+      steps: steps.slice().sort((a, b) => (Number(a.at) || 0) - (Number(b.at) || 0)),
+    };
+    scenarioStartedAtMs = now();
+    nextStepIndex = 0;
+  }
+
+  function applyDueScenarioSteps() {
+    if (!activeScenario) return;
+    const elapsedSeconds = (now() - scenarioStartedAtMs) / 1000;
+    while (
+      nextStepIndex < activeScenario.steps.length &&
+      (Number(activeScenario.steps[nextStepIndex].at) || 0) <= elapsedSeconds
+    ) {
+      const step = activeScenario.steps[nextStepIndex++];
+      for (const [dockId, changes] of Object.entries(step.docks || {})) {
+        updateDock(dockId, changes);
+      }
+      if (step.stale) markStale(step.stale);
+      if (step.errors) queueErrors(step.errors);
+    }
+  }
+
+  function takeError(pathname) {
+    const error = pendingErrors.find(
+      (candidate) => !candidate.path || pathname.startsWith(candidate.path)
+    );
+    if (!error) return null;
+    error.remaining -= 1;
+    if (error.remaining <= 0) {
+      pendingErrors = pendingErrors.filter((candidate) => candidate !== error);
+    }
+    return error;
+  }
+
+  function reset() {
+    loadFixture();
+    pendingErrors = [];
+    if (activeScenario) loadScenario(activeScenario);
+  }
+
+  // Returns { status, headers, body } for a TfL API path such as "/Place/BikePoints_1".
+  function handle(method, requestPath) {
+    const url = new URL(requestPath, "http://fake-tfl");
+    const nowMs = now();
+    applyDueScenarioSteps();
+
+    const respond = (status, body, headers = {}) => {
+      requests.push({
+        at: new Date(nowMs).toISOString(),
+        method,
+        path: url.pathname,
+        status,
+      });
+      if (requests.length > MAX_RECORDED_REQUESTS) {
+        requests.splice(0, requests.length - MAX_RECORDED_REQUESTS);
+      }
+      return { status, headers, body };
+    };
+
+    if (method !== "GET") {
+      return respond(405, tflErrorBody(405, url.pathname, nowMs));
+    }
+
+    const error = takeError(url.pathname);
+    if (error) {
+      const headers = error.retryAfter !== null ? { "retry-after": String(error.retryAfter) } : {};
+      return respond(error.status, tflErrorBody(error.status, url.pathname, nowMs), headers);
+    }
+
+    if (url.pathname === "/BikePoint") {
+      return respond(
+        200,
+        Array.from(docks.values()).map((dock) => renderBikePoint(dock, nowMs))
+      );
+    }
+
+    const placeMatch = /^\/(?:Place|BikePoint)\/([^/]+)$/.exec(url.pathname);
+    if (placeMatch) {
+      const dock = docks.get(decodeURIComponent(placeMatch[1]));
+      return dock
+        ? respond(200, renderBikePoint(dock, nowMs))
+        : respond(404, tflErrorBody(404, url.pathname, nowMs));
+    }
+
+    return respond(404, tflErrorBody(404, url.pathname, nowMs));
+  }
+
+  function state() {
+    return {
+      scenario: activeScenario
+        ? {
+            name: activeScenario.name,
+            startedAt: new Date(scenarioStartedAtMs).toISOString(),
+            stepsApplied: nextStepIndex,
+            stepsTotal: activeScenario.steps.length,
+          }
+        : null,
+      pendingErrors,
+      docks: Array.from(docks.entries()).map(([dockId, dock]) => ({
+        dockId,
+        name: dock.bikePoint.commonName,
+        standardBikes: dock.standardBikes,
+        eBikes: dock.eBikes,
+        emptySpaces: dock.emptySpaces,
+        installed: dock.installed,
+        locked: dock.locked,
+        staleSince: dock.staleSinceMs !== null ? new Date(dock.staleSinceMs).toISOString() : null,
+      })),
+    };
+  }
+
+  loadFixture();
+  if (scenario) loadScenario(scenario);
+
+  return {
+    handle,
+    updateDock,
+    markStale,
+    queueErrors,
+    loadScenario,
+    reset,
+    state,
+    requests: () => requests.slice(),
+    clearRequests: () => {
+      requests.length = 0;
+    },
+  };
+}
+
+// ── HTTP Server ──────────────────────────────────────────────────────
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (err) {
+        reject(new Error(`Invalid JSON body: ${err.message}`));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function sendJson(res, status, value, headers = {}) {
+  res.writeHead(status, { "content-type": "application/json; charset=utf-8", ...headers });
+  res.end(JSON.stringify(value));
+}
+
+async function handleControlRequest(fake, req, res) {
+  const { pathname } = new URL(req.url, "http://fake-tfl");
+  if (req.method === "GET" && pathname === "/_fake/state") {
+    return sendJson(res, 200, fake.state());
+  }
+  if (req.method === "GET" && pathname === "/_fake/requests") {
+    return sendJson(res, 200, { requests: fake.requests() });
+  }
+  if (req.method !== "POST") {
+    return sendJson(res, 404, { error: "Unknown control endpoint" });
+  }
+
+  const body = await readJsonBody(req);
+  const dockMatch = /^\/_fake\/docks\/([^/]+)$/.exec(pathname);
+  if (dockMatch) {
+    fake.updateDock(decodeURIComponent(dockMatch[1]), body);
+  } else if (pathname === "/_fake/stale") {
+    fake.markStale(body);
+  } else if (pathname === "/_fake/errors") {
+    fake.queueErrors(body);
+  } else if (pathname === "/_fake/scenario") {
+    fake.loadScenario(body);
+  } else if (pathname === "/_fake/reset") {
+    fake.reset();
+    fake.clearRequests();
+  } else {
+    return sendJson(res, 404, { error: "Unknown control endpoint" });
+  }
+  return sendJson(res, 200, fake.state());
+}
+
+function startFakeTflServer({ port = 0, host = "127.0.0.1", fake = createFakeTfl() } = {}) {
+  const server = http.createServer(async (req, res) => {
+    try {
+      if (req.url.startsWith("/_fake/")) {
+        await handleControlRequest(fake, req, res);
+        return;
+      }
+      const response = fake.handle(req.method, req.url);
+      sendJson(res, response.status, response.body, response.headers);
+    } catch (err) {
+      sendJson(res, 400, { error: err.message });
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      const address = server.address();
+      resolve({
+        fake,
+        server,
+        url: `http://${host}:${address.port}`,
+        close: () =>
+          new Promise((resolveClose) => {
+            server.closeAllConnections();
+            server.close(() => resolveClose());
+          }),
+      });
+    });
+  });
+}
+
+// ── Fixture Recording ────────────────────────────────────────────────
+async function recordFixture({ source = "https://api.tfl.gov.uk", out = DEFAULT_FIXTURE_PATH } = {}) {
+  const res = await fetch(`${source.replace(/\/+$/, "")}/BikePoint`);
+  if (!res.ok) {
+    throw new Error(`TfL API returned ${res.status} for /BikePoint`);
+  }
+  const bikePoints = await res.json();
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  fs.writeFileSync(out, `${JSON.stringify(bikePoints, null, 2)}\n`);
+  return bikePoints.length;
+}
+
+module.exports = { createFakeTfl, startFakeTflServer, recordFixture, DEFAULT_FIXTURE_PATH };
+
+if (require.main === module) {
+  const argValue = (flag) => {
+    const index = process.argv.indexOf(flag);
+    return index >= 0 ? process.argv[index + 1] : undefined;
+  };
+
+  if (process.argv[2] === "record") {
+    const out = path.resolve(argValue("--out") || DEFAULT_FIXTURE_PATH);
+    recordFixture({ source: argValue("--source"), out })
+      .then((count) => console.log(`Recorded ${count} BikePoints to ${out}`))
+      .catch((err) => {
+        console.error(`Failed to record TfL fixture: ${err.message}`);
+        process.exit(1);
+      });
+  } else {
+    const scenarioPath = argValue("--scenario");
+    const port = parseInt(argValue("--port") || process.env.FAKE_TFL_PORT || "4480", 10);
+    Promise.resolve()
+      .then(() =>
+        startFakeTflServer({
+          port,
+          fake: createFakeTfl({
+            fixturePath: path.resolve(argValue("--fixture") || DEFAULT_FIXTURE_PATH),
+            scenario: scenarioPath ? JSON.parse(fs.readFileSync(scenarioPath, "utf8")) : null,
+          }),
+        })
+      )
+      .then(({ url }) => {
+        console.log(`Fake TfL listening on ${url} (set TFL_API_BASE=${url})`);
+      })
+      .catch((err) => {
+        console.error(`Failed to start fake TfL: ${err.message}`);
+        process.exit(1);
+      });
+  }
+}
@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+// Refreshes the bundled UK bank holiday calendar from gov.uk.
+//
+//   node dev/update-bank-holidays.js [--out file] [--source https://www.gov.uk/bank-holidays.json]
+//
+// Commit the updated lib/uk-bank-holidays.json, or point BANK_HOLIDAYS_PATH at --out.
+const fs = require("fs");
+const path = require("path");
+const { BANK_HOLIDAY_REGIONS } = require("../lib/bank-holidays");
+
+const DEFAULT_SOURCE = "https://www.gov.uk/bank-holidays.json";
+const DEFAULT_OUT_PATH = path.join(__dirname, "..", "lib", "uk-bank-holidays.json");
+
+async function updateBankHolidays({ source = DEFAULT_SOURCE, out = DEFAULT_OUT_PATH } = {}) {
+  const res = await fetch(source);
+  if (!res.ok) {
+    throw new Error(`${source} returned ${res.status}`);
+  }
+  const calendar = await res.json();
+  for (const region of BANK_HOLIDAY_REGIONS) {
+    if (!Array.isArray(calendar?.[region]?.events)) {
+      throw new Error(`${source} has no events for ${region}`);
+    }
+  }
+  fs.writeFileSync(out, `${JSON.stringify(calendar, null, 2)}\n`);
+  return BANK_HOLIDAY_REGIONS.map((region) => {
+    const dates = calendar[region].events.map((event) => event.date).sort();
+    return `${region}: ${dates.length} dates up to ${dates[dates.length - 1]}`;
+  });
+}
+
+module.exports = { updateBankHolidays };
+
+if (require.main === module) {
+  const argValue = (flag) => {
+    const index = process.argv.indexOf(flag);
+    return index >= 0 ? process.argv[index + 1] : undefined;
+  };
+  const out = path.resolve(argValue("--out") || DEFAULT_OUT_PATH);
+  updateBankHolidays({ source: argValue("--source"), out })
+    .then((summary) => console.log(`Wrote ${out}\n  ${summary.join("\n  ")}`))
+    .catch((err) => {
+      console.error(`Failed to update bank holidays: ${err.message}`);
+      process.exit(1);
+    });
+}
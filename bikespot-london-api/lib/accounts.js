@@ -0,0 +1,350 @@
+// Accounts: group the device ids one person's phones and iPads send, so their scheduled
+// journeys are shared. Each device has a record in DEVICES_COLLECTION (_id is the
+// deviceId) holding its push tokens and its accountId. A device without an account owns
+// its journeys on its own, as before accounts existed; one with an account shares every
+// journey stamped with that accountId. Devices join an account with a short link code
+// shown on a device that is already in it.
+const express = require("express");
+const crypto = require("crypto");
+
+// No 0/O or 1/I, so a code can be read off one screen and typed into another.
+const LINK_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const LINK_CODE_LENGTH = 8;
+
+function createAccounts(ctx) {
+  const { config, logger } = ctx;
+  const { ACCOUNT_LINK_CODE_TTL_MS } = config;
+  const router = express.Router();
+
+  function normalizeDeviceId(rawValue) {
+    if (typeof rawValue !== "string") return "";
+    return rawValue.trim().slice(0, 128);
+  }
+
+  function deviceIdFromRequest(req) {
+    return normalizeDeviceId(
+      req.headers["x-device-id"] || req.body?.deviceId || req.query?.deviceId
+    );
+  }
+
+  async function requireAccountsStorage(res) {
+    if (!ctx.devicesCollection) await ctx.connectMongoIfConfigured();
+    if (ctx.devicesCollection && ctx.accountsCollection) return true;
+    res.status(503).json({ error: "Account storage is not configured" });
+    return false;
+  }
+
+  // ── Journey Ownership ────────────────────────────────────────────────
+  // `owner` is { deviceId, accountId }; accountId is null for a device on its own.
+  async function resolveJourneyOwner(deviceId) {
+    if (!ctx.devicesCollection) return { deviceId, accountId: null };
+    const device = await ctx.devicesCollection.findOne(
+      { _id: deviceId },
+      { projection: { accountId: 1 } }
+    );
+    return { deviceId, accountId: device?.accountId || null };
+  }
+
+  // A device on its own only sees journeys without an account: one it created while in
+  // an account stays with that account after the device is removed.
+  function journeyOwnerFilter(owner) {
+    return owner.accountId
+      ? { accountId: owner.accountId }
+      : { deviceId: owner.deviceId, accountId: null };
+  }
+
+  // Journeys are stamped with the accountId when their device joins an account, so
+  // account-owned journeys keep the deviceId of the device that created them.
+  async function adoptDeviceJourneys(deviceId, accountId) {
+    if (!ctx.scheduledJourneysCollection) return 0;
+    const result = await ctx.scheduledJourneysCollection.updateMany(
+      { deviceId, accountId: null },
+      { $set: { accountId, updatedAt: new Date() } }
+    );
+    return result.modifiedCount;
+  }
+
+  // ── Device Records ───────────────────────────────────────────────────
+  // Everything but holiday mode describes this device: its tokens, build, timezone and
+  // display settings.
+  async function recordDeviceRegistration(
+    deviceId,
+    { pushToStartToken, deviceToken, buildType, timezone, bikeDataFilter, arrivalSettings }
+  ) {
+    if (!ctx.devicesCollection) return;
+    const update = { buildType, timezone, bikeDataFilter, arrivalSettings, updatedAt: new Date() };
+    if (pushToStartToken) update.pushToStartToken = pushToStartToken;
+    if (deviceToken) update.deviceToken = deviceToken;
+    await ctx.devicesCollection.updateOne(
+      { _id: deviceId },
+      { $set: update, $setOnInsert: { accountId: null, registeredAt: new Date() } },
+      { upsert: true }
+    );
+  }
+
+  async function devicesForOwner(owner) {
+    if (!ctx.devicesCollection) return [];
+    const filter = owner.accountId ? { accountId: owner.accountId } : { _id: owner.deviceId };
+    return ctx.devicesCollection.find(filter).toArray();
+  }
+
+  // Matches the token too, so a token the device re-registered since is kept.
+  async function forgetDevicePushToStartToken(deviceId, token) {
+    if (!ctx.devicesCollection) return;
+    await ctx.devicesCollection.updateOne(
+      { _id: deviceId, pushToStartToken: token },
+      { $unset: { pushToStartToken: "" }, $set: { updatedAt: new Date() } }
+    );
+  }
+
+  // Used when a user moves to a new phone: the new device takes the old one's place in
+  // its account unless it already has an account of its own. The old record is removed;
+  // its push tokens belong to the old phone. Returns the new device's owner, plus the
+  // old device's accountId (fromAccountId) to pick the journeys it owned.
+  async function transferDeviceRecord(fromDeviceId, toDeviceId) {
+    if (!ctx.devicesCollection) {
+      return { deviceId: toDeviceId, accountId: null, fromAccountId: null, found: false };
+    }
+    const [fromDevice, toDevice] = await Promise.all([
+      ctx.devicesCollection.findOne({ _id: fromDeviceId }),
+      ctx.devicesCollection.findOne({ _id: toDeviceId }),
+    ]);
+    const accountId = toDevice?.accountId || fromDevice?.accountId || null;
+    if (fromDevice) {
+      await ctx.devicesCollection.updateOne(
+        { _id: toDeviceId },
+        {
+          $set: { accountId, updatedAt: new Date() },
+          $setOnInsert: { registeredAt: new Date() },
+        },
+        { upsert: true }
+      );
+      await ctx.devicesCollection.deleteOne({ _id: fromDeviceId });
+    }
+    return {
+      deviceId: toDeviceId,
+      accountId,
+      fromAccountId: fromDevice?.accountId || null,
+      found: !!fromDevice,
+    };
+  }
+
+  // A device can only take over another's journeys if it shows they belong to the same
+  // person: both are already in one account, or it has a current link code for the old
+  // device's account, issued by POST /accounts/link-code on the old device or on another
+  // device in that account. The code is used up.
+  async function authorizeDeviceTransfer(fromDeviceId, toDeviceId, rawCode) {
+    if (!ctx.devicesCollection || !ctx.accountsCollection) return false;
+    const [from, to] = await Promise.all([
+      resolveJourneyOwner(fromDeviceId),
+      resolveJourneyOwner(toDeviceId),
+    ]);
+    if (!from.accountId) return false;
+    if (from.accountId === to.accountId) return true;
+
+    const code = normalizeLinkCode(rawCode);
+    if (!code) return false;
+    const result = await ctx.accountsCollection.updateOne(
+      { _id: from.accountId, linkCode: code, linkCodeExpiresAt: { $gt: new Date() } },
+      { $set: { linkCode: null, linkCodeExpiresAt: null, updatedAt: new Date() } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  // ── Link Codes ───────────────────────────────────────────────────────
+  function generateLinkCode() {
+    let code = "";
+    for (const byte of crypto.randomBytes(LINK_CODE_LENGTH)) {
+      code += LINK_CODE_ALPHABET[byte % LINK_CODE_ALPHABET.length];
+    }
+    return code;
+  }
+
+  function normalizeLinkCode(rawValue) {
+    if (typeof rawValue !== "string") return "";
+    return rawValue.replace(/[\s-]/g, "").toUpperCase();
+  }
+
+  function serializeDevice(device, requestingDeviceId) {
+    return {
+      deviceId: device._id,
+      thisDevice: device._id === requestingDeviceId,
+      buildType: device.buildType || null,
+      hasPushToStartToken: !!ctx.normalizeApnsDeviceToken(device.pushToStartToken),
+      registeredAt: device.registeredAt ? new Date(device.registeredAt).toISOString() : null,
+      updatedAt: device.updatedAt ? new Date(device.updatedAt).toISOString() : null,
+    };
+  }
+
+  async function serializeAccount(accountId, requestingDeviceId) {
+    const [account, devices] = await Promise.all([
+      ctx.accountsCollection.findOne({ _id: accountId }),
+      ctx.devicesCollection.find({ accountId }).toArray(),
+    ]);
+    return {
+      id: accountId,
+      createdAt: account?.createdAt ? new Date(account.createdAt).toISOString() : null,
+      devices: devices
+        .sort((a, b) => new Date(a.registeredAt || 0) - new Date(b.registeredAt || 0))
+        .map((device) => serializeDevice(device, requestingDeviceId)),
+    };
+  }
+
+  // ── Routes ───────────────────────────────────────────────────────────
+  router.get("/accounts/me", async (req, res) => {
+    if (!(await requireAccountsStorage(res))) return;
+    const deviceId = deviceIdFromRequest(req);
+    if (!deviceId) {
+      return res.status(400).json({ error: "Missing required deviceId" });
+    }
+
+    const owner = await resolveJourneyOwner(deviceId);
+    res.json({
+      success: true,
+      deviceId,
+      account: owner.accountId ? await serializeAccount(owner.accountId, deviceId) : null,
+    });
+  });
+
+  // Creates an account for the device if it has none, then issues a code another device
+  // can redeem with POST /accounts/link. Issuing a new code replaces the previous one.
+  router.post("/accounts/link-code", async (req, res) => {
+    if (!(await requireAccountsStorage(res))) return;
+    const deviceId = deviceIdFromRequest(req);
+    if (!deviceId) {
+      return res.status(400).json({ error: "Missing required deviceId" });
+    }
+
+    let { accountId } = await resolveJourneyOwner(deviceId);
+    if (!accountId) {
+      accountId = crypto.randomUUID();
+      await ctx.accountsCollection.insertOne({
+        _id: accountId,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      });
+      await ctx.devicesCollection.updateOne(
+        { _id: deviceId },
+        {
+          $set: { accountId, updatedAt: new Date() },
+          $setOnInsert: { registeredAt: new Date() },
+        },
+        { upsert: true }
+      );
+      const adopted = await adoptDeviceJourneys(deviceId, accountId);
+      logger.info(
+        `Created account ${ctx.shortenIdentifier(accountId)} for device ${ctx.shortenIdentifier(deviceId)} with ${adopted} journey(s)`
+      );
+    }
+
+    const code = generateLinkCode();
+    const expiresAt = new Date(Date.now() + ACCOUNT_LINK_CODE_TTL_MS);
+    await ctx.accountsCollection.updateOne(
+      { _id: accountId },
+      { $set: { linkCode: code, linkCodeExpiresAt: expiresAt, updatedAt: new Date() } }
+    );
+    res.json({ success: true, accountId, code, expiresAt: expiresAt.toISOString() });
+  });
+
+  // The device's journeys that are not already shared with another account move into
+  // the one it joins; journeys of an account it leaves stay with that account.
+  router.post("/accounts/link", async (req, res) => {
+    if (!(await requireAccountsStorage(res))) return;
+    const deviceId = deviceIdFromRequest(req);
+    const code = normalizeLinkCode(req.body?.code);
+    if (!deviceId || !code) {
+      return res.status(400).json({ error: "Missing deviceId or code" });
+    }
+
+    const account = await ctx.accountsCollection.findOne({
+      linkCode: code,
+      linkCodeExpiresAt: { $gt: new Date() },
+    });
+    if (!account) {
+      return res.status(404).json({ error: "That code is invalid or has expired" });
+    }
+
+    const previous = await resolveJourneyOwner(deviceId);
+    await ctx.devicesCollection.updateOne(
+      { _id: deviceId },
+      {
+        $set: { accountId: account._id, updatedAt: new Date() },
+        $setOnInsert: { registeredAt: new Date() },
+      },
+      { upsert: true }
+    );
+    // Codes are single use.
+    await ctx.accountsCollection.updateOne(
+      { _id: account._id },
+      { $set: { linkCode: null, linkCodeExpiresAt: null, updatedAt: new Date() } }
+    );
+    const adopted = await adoptDeviceJourneys(deviceId, account._id);
+
+    logger.info(
+      `Linked device ${ctx.shortenIdentifier(deviceId)} to account ${ctx.shortenIdentifier(account._id)} with ${adopted} journey(s)`
+    );
+    ctx.appendDiagnosticJsonLine("account_device_linked", {
+      accountId: ctx.shortenIdentifier(account._id),
+      deviceId: ctx.shortenIdentifier(deviceId),
+      previousAccountId: previous.accountId ? ctx.shortenIdentifier(previous.accountId) : null,
+      adoptedJourneyCount: adopted,
+    });
+    res.json({ success: true, account: await serializeAccount(account._id, deviceId) });
+  });
+
+  // Removes a device (this one or another in the same account) from the account. The
+  // account keeps its journeys; the removed device starts again with none.
+  router.delete("/accounts/devices/:deviceId", async (req, res) => {
+    if (!(await requireAccountsStorage(res))) return;
+    const deviceId = deviceIdFromRequest(req);
+    const targetDeviceId = normalizeDeviceId(req.params.deviceId);
+    if (!deviceId || !targetDeviceId) {
+      return res.status(400).json({ error: "Missing deviceId" });
+    }
+
+    const owner = await resolveJourneyOwner(deviceId);
+    const target = owner.accountId
+      ? await ctx.devicesCollection.findOne({ _id: targetDeviceId, accountId: owner.accountId })
+      : null;
+    if (!target) {
+      return res.status(404).json({ error: "Device not found in this account" });
+    }
+
+    await ctx.devicesCollection.updateOne(
+      { _id: targetDeviceId },
+      { $set: { accountId: null, updatedAt: new Date() } }
+    );
+    // The journeys it created stay with the account, without its tokens.
+    await ctx.scheduledJourneysCollection?.updateMany(
+      { deviceId: targetDeviceId, accountId: owner.accountId },
+      { $unset: { pushToStartToken: "", deviceToken: "" }, $set: { updatedAt: new Date() } }
+    );
+    logger.info(
+      `Removed device ${ctx.shortenIdentifier(targetDeviceId)} from account ${ctx.shortenIdentifier(owner.accountId)}`
+    );
+    ctx.appendDiagnosticJsonLine("account_device_removed", {
+      accountId: ctx.shortenIdentifier(owner.accountId),
+      deviceId: ctx.shortenIdentifier(targetDeviceId),
+      removedBy: ctx.shortenIdentifier(deviceId),
+    });
+    res.json({
+      success: true,
+      account: targetDeviceId === deviceId ? null : await serializeAccount(owner.accountId, deviceId),
+    });
+  });
+
+  return {
+    normalizeDeviceId,
+    deviceIdFromRequest,
+    resolveJourneyOwner,
+    journeyOwnerFilter,
+    recordDeviceRegistration,
+    devicesForOwner,
+    forgetDevicePushToStartToken,
+    transferDeviceRecord,
+    authorizeDeviceTransfer,
+    router,
+  };
+}
+
+module.exports = { createAccounts };
@@ -0,0 +1,1129 @@
+// Server-rendered admin pages. Pure functions of their arguments; the routes in
+// admin.js supply the actor, CSRF token and login state.
+function escapeAdminHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function renderAdminLoginPage({ error = "", username = "" } = {}) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>Dock Admin Login</title>
+  <style>
+    body {
+      margin: 0;
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif;
+      background: linear-gradient(150deg, #f3f5f9, #e6edf8);
+      color: #172130;
+    }
+    main {
+      max-width: 360px;
+      margin: 80px auto;
+      padding: 24px;
+      background: #fff;
+      border: 1px solid #d7dde8;
+      border-radius: 14px;
+      box-shadow: 0 8px 24px rgba(16, 24, 40, 0.06);
+    }
+    h1 {
+      margin: 0 0 16px;
+      font-size: 22px;
+    }
+    label {
+      display: flex;
+      flex-direction: column;
+      gap: 6px;
+      margin-bottom: 12px;
+      font-size: 13px;
+      color: #6c778a;
+    }
+    input, button {
+      border-radius: 10px;
+      border: 1px solid #d7dde8;
+      padding: 10px 12px;
+      font-size: 14px;
+      font-family: inherit;
+    }
+    button {
+      width: 100%;
+      cursor: pointer;
+      font-weight: 600;
+      background: #0066d6;
+      color: #fff;
+      border-color: #0066d6;
+    }
+    .error {
+      margin: 0 0 12px;
+      padding: 10px 12px;
+      border-radius: 8px;
+      background: #fef3f2;
+      color: #b42318;
+      border: 1px solid #f7c4bf;
+      font-size: 13px;
+    }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>Dock Admin</h1>
+    ${error ? `<p class="error">${escapeAdminHtml(error)}</p>` : ""}
+    <form method="post">
+      <label>
+        Username
+        <input name="username" type="text" autocomplete="username" value="${escapeAdminHtml(username)}" required />
+      </label>
+      <label>
+        Password
+        <input name="password" type="password" autocomplete="current-password" required />
+      </label>
+      <button type="submit">Sign in</button>
+    </form>
+  </main>
+</body>
+</html>`;
+}
+
+function renderAdminOverridesPage({ actor = "", csrfToken = "", canLogout = false } = {}) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <meta name="csrf-token" content="${escapeAdminHtml(csrfToken)}" />
+  <title>Dock Admin & Diagnostics</title>
+  <style>
+    :root {
+      --bg: #f3f5f9;
+      --panel: #ffffff;
+      --text: #172130;
+      --muted: #6c778a;
+      --accent: #0066d6;
+      --danger: #b42318;
+      --line: #d7dde8;
+      --ok-bg: #ecfdf3;
+      --ok-text: #067647;
+      --err-bg: #fef3f2;
+      --err-text: #b42318;
+    }
+    body {
+      margin: 0;
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif;
+      background: linear-gradient(150deg, var(--bg), #e6edf8);
+      color: var(--text);
+    }
+    main {
+      max-width: 980px;
+      margin: 0 auto;
+      padding: 24px 16px 40px;
+    }
+    h1 {
+      margin: 0 0 8px;
+      font-size: 28px;
+    }
+    .muted {
+      margin: 0 0 16px;
+      color: var(--muted);
+    }
+    .panel {
+      background: var(--panel);
+      border: 1px solid var(--line);
+      border-radius: 14px;
+      padding: 16px;
+      box-shadow: 0 8px 24px rgba(16, 24, 40, 0.06);
+    }
+    .grid {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));
+      gap: 12px;
+    }
+    label {
+      display: flex;
+      flex-direction: column;
+      gap: 6px;
+      font-size: 13px;
+      color: var(--muted);
+    }
+    input, select, button {
+      border-radius: 10px;
+      border: 1px solid var(--line);
+      padding: 10px 12px;
+      font-size: 14px;
+      font-family: inherit;
+    }
+    input, select {
+      background: #fff;
+      color: var(--text);
+    }
+    button {
+      cursor: pointer;
+      font-weight: 600;
+    }
+    button.primary {
+      background: var(--accent);
+      color: #fff;
+      border-color: var(--accent);
+    }
+    button.secondary {
+      background: #fff;
+      color: var(--text);
+    }
+    button.danger {
+      background: #fff;
+      color: var(--danger);
+      border-color: #f4c7c4;
+    }
+    .actions {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 8px;
+      margin-top: 12px;
+    }
+    #status {
+      margin-top: 10px;
+      padding: 10px 12px;
+      border-radius: 8px;
+      display: none;
+      font-size: 13px;
+      white-space: pre-wrap;
+    }
+    #status.ok {
+      display: block;
+      background: var(--ok-bg);
+      color: var(--ok-text);
+      border: 1px solid #b7ebcd;
+    }
+    #status.error {
+      display: block;
+      background: var(--err-bg);
+      color: var(--err-text);
+      border: 1px solid #f7c4bf;
+    }
+    table {
+      width: 100%;
+      border-collapse: collapse;
+      margin-top: 14px;
+      font-size: 14px;
+    }
+    th, td {
+      border-bottom: 1px solid var(--line);
+      text-align: left;
+      padding: 10px 8px;
+      vertical-align: top;
+    }
+    th {
+      color: var(--muted);
+      font-size: 12px;
+      text-transform: uppercase;
+      letter-spacing: 0.03em;
+    }
+    td.actions-cell {
+      white-space: nowrap;
+    }
+    .small {
+      color: var(--muted);
+      font-size: 12px;
+      margin-top: 6px;
+    }
+    .session-bar {
+      display: flex;
+      justify-content: flex-end;
+      align-items: center;
+      gap: 10px;
+      font-size: 13px;
+      color: var(--muted);
+      min-height: 36px;
+    }
+    @media (max-width: 720px) {
+      table, tbody, tr, td, th {
+        display: block;
+      }
+      th {
+        display: none;
+      }
+      tr {
+        border-bottom: 1px solid var(--line);
+        padding: 10px 0;
+      }
+      td {
+        border: 0;
+        padding: 4px 0;
+      }
+    }
+  </style>
+</head>
+<body>
+  <main>
+    <div class="session-bar">
+      <span>${actor ? `Signed in as <strong>${escapeAdminHtml(actor)}</strong>` : ""}</span>
+      ${canLogout ? '<button id="logoutButton" class="secondary">Sign out</button>' : ""}
+    </div>
+    <h1>Dock Admin & Diagnostics</h1>
+    <p class="muted">Set manual bikes/e-bikes/spaces values or override dock coordinates for a dock, then inspect recent push plus background-location diagnostics. Overrides affect <code>/Place/:dockId</code>, <code>/BikePoint</code>, and live activity polling.</p>
+
+    <section class="panel">
+      <div class="grid">
+        <label>
+          Search docks
+          <input id="dockSearch" type="text" placeholder="Type part of a dock name or ID" />
+        </label>
+        <label style="grid-column: span 2;">
+          Dock
+          <select id="dockSelect"></select>
+        </label>
+        <label>
+          Bikes
+          <input id="standardBikes" type="number" min="0" step="1" value="0" />
+        </label>
+        <label>
+          E-bikes
+          <input id="eBikes" type="number" min="0" step="1" value="0" />
+        </label>
+        <label>
+          Spaces
+          <input id="emptySpaces" type="number" min="0" step="1" value="0" />
+        </label>
+        <label>
+          Latitude Override
+          <input id="latitude" type="number" min="-90" max="90" step="0.000001" placeholder="Leave blank to use TfL latitude" />
+        </label>
+        <label>
+          Longitude Override
+          <input id="longitude" type="number" min="-180" max="180" step="0.000001" placeholder="Leave blank to use TfL longitude" />
+        </label>
+      </div>
+      <div class="actions">
+        <button id="saveButton" class="primary">Save Override</button>
+        <button id="clearButton" class="danger">Clear Selected Dock Override</button>
+        <button id="refreshButton" class="secondary">Refresh</button>
+      </div>
+      <div id="status"></div>
+      <div class="small" id="selectionHint"></div>
+    </section>
+
+    <section class="panel" style="margin-top: 14px;">
+      <h2 style="margin: 0 0 4px; font-size: 18px;">Active Overrides</h2>
+      <p class="muted" style="margin: 0 0 8px;">Use and clear overrides without leaving this page.</p>
+      <table>
+        <thead>
+          <tr>
+            <th>Dock</th>
+            <th>Bikes</th>
+            <th>E-bikes</th>
+            <th>Spaces</th>
+            <th>Location Override</th>
+            <th>Updated</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody id="overridesBody"></tbody>
+      </table>
+    </section>
+
+    <section class="panel" style="margin-top: 14px;">
+      <h2 style="margin: 0 0 4px; font-size: 18px;">Delayed Jobs</h2>
+      <p class="muted" style="margin: 0 0 8px;">Pushes waiting to go out later, soonest first. Failed attempts are retried; cancelling stops any further attempts.</p>
+      <table>
+        <thead>
+          <tr>
+            <th>Due At</th>
+            <th>Type</th>
+            <th>Details</th>
+            <th>Attempts</th>
+            <th>Last Error</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody id="delayedJobsBody"></tbody>
+      </table>
+    </section>
+
+    <section class="panel" style="margin-top: 14px;">
+      <h2 style="margin: 0 0 4px; font-size: 18px;">Journey Quotas</h2>
+      <p class="muted" style="margin: 0 0 8px;">Per-device scheduled journey limits. Leave a limit blank to use the plan's value; clearing a quota puts the device back on the standard plan.</p>
+      <div class="grid">
+        <label>
+          Device ID
+          <input id="quotaDeviceId" type="text" placeholder="Device ID from the app" />
+        </label>
+        <label>
+          Plan
+          <select id="quotaPlan"></select>
+        </label>
+        <label>
+          Max Journeys
+          <input id="quotaMaxJourneys" type="number" min="0" max="100" step="1" placeholder="Plan default" />
+        </label>
+        <label>
+          Max Window (minutes)
+          <input id="quotaMaxWindowMinutes" type="number" min="1" max="1439" step="1" placeholder="Plan default" />
+        </label>
+        <label style="grid-column: span 2;">
+          Note
+          <input id="quotaNote" type="text" maxlength="200" placeholder="Why this device has a different limit" />
+        </label>
+      </div>
+      <div class="actions">
+        <button id="saveQuotaButton" class="primary">Save Quota</button>
+      </div>
+      <table>
+        <thead>
+          <tr>
+            <th>Device</th>
+            <th>Plan</th>
+            <th>Journeys</th>
+            <th>Window</th>
+            <th>Note</th>
+            <th>Updated</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody id="quotasBody"></tbody>
+      </table>
+    </section>
+
+    <section class="panel" style="margin-top: 14px;">
+      <h2 style="margin: 0 0 4px; font-size: 18px;">Notification & Push Events</h2>
+      <p class="muted" style="margin: 0 0 8px;">Last 20 APNs sends recorded in-memory, including live activity pushes, welcome alerts, and silent refresh pushes.</p>
+      <table>
+        <thead>
+          <tr>
+            <th>Sent At</th>
+            <th>Target</th>
+            <th>Channel</th>
+            <th>Type</th>
+            <th>Message</th>
+            <th>Result</th>
+            <th>Status</th>
+            <th>APNS Env</th>
+          </tr>
+        </thead>
+        <tbody id="pushEventsBody"></tbody>
+      </table>
+    </section>
+
+    <section class="panel" style="margin-top: 14px;">
+      <h2 style="margin: 0 0 4px; font-size: 18px;">Background Location Events</h2>
+      <p class="muted" style="margin: 0 0 8px;">Last 100 client-reported location and arrival events. Compare client timestamp to received time to spot delayed uploads.</p>
+      <table>
+        <thead>
+          <tr>
+            <th>Received At</th>
+            <th>Client Time</th>
+            <th>Device</th>
+            <th>Event</th>
+            <th>App State</th>
+            <th>BG Refresh</th>
+            <th>Dock</th>
+            <th>Distance</th>
+            <th>Accuracy</th>
+            <th>Threshold</th>
+            <th>Message</th>
+          </tr>
+        </thead>
+        <tbody id="backgroundLocationEventsBody"></tbody>
+      </table>
+    </section>
+
+    <section class="panel" style="margin-top: 14px;">
+      <h2 style="margin: 0 0 4px; font-size: 18px;">Admin Audit Log</h2>
+      <p class="muted" style="margin: 0 0 8px;">Recent sign-ins, override and quota changes and delayed job cancellations, newest first.</p>
+      <table>
+        <thead>
+          <tr>
+            <th>At</th>
+            <th>Actor</th>
+            <th>Action</th>
+            <th>Dock</th>
+            <th>Before</th>
+            <th>After</th>
+          </tr>
+        </thead>
+        <tbody id="auditLogBody"></tbody>
+      </table>
+    </section>
+  </main>
+
+  <script>
+    const dockSearch = document.getElementById("dockSearch");
+    const dockSelect = document.getElementById("dockSelect");
+    const standardBikesInput = document.getElementById("standardBikes");
+    const eBikesInput = document.getElementById("eBikes");
+    const emptySpacesInput = document.getElementById("emptySpaces");
+    const latitudeInput = document.getElementById("latitude");
+    const longitudeInput = document.getElementById("longitude");
+    const statusElement = document.getElementById("status");
+    const selectionHint = document.getElementById("selectionHint");
+    const overridesBody = document.getElementById("overridesBody");
+    const delayedJobsBody = document.getElementById("delayedJobsBody");
+    const quotaDeviceIdInput = document.getElementById("quotaDeviceId");
+    const quotaPlanSelect = document.getElementById("quotaPlan");
+    const quotaMaxJourneysInput = document.getElementById("quotaMaxJourneys");
+    const quotaMaxWindowMinutesInput = document.getElementById("quotaMaxWindowMinutes");
+    const quotaNoteInput = document.getElementById("quotaNote");
+    const quotasBody = document.getElementById("quotasBody");
+    const pushEventsBody = document.getElementById("pushEventsBody");
+    const backgroundLocationEventsBody = document.getElementById("backgroundLocationEventsBody");
+    const auditLogBody = document.getElementById("auditLogBody");
+    const csrfToken = document.querySelector('meta[name="csrf-token"]').getAttribute("content");
+    const normalizedPath = (window.location.pathname || "").replace(/\\/+$/, "");
+    const adminBasePath = normalizedPath.endsWith("/admin") ? normalizedPath : "/admin";
+    const apiBasePath = adminBasePath + "/api";
+
+    let allDocks = [];
+    let overridesByDockId = new Map();
+    let filteredDocks = [];
+
+    function escapeHtml(value) {
+      return String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+    }
+
+    function formatNumber(value) {
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return "—";
+      }
+      return value.toFixed(1);
+    }
+
+    function formatTimestamp(value) {
+      if (!value) return "—";
+      const parsed = new Date(value);
+      if (Number.isNaN(parsed.getTime())) {
+        return escapeHtml(value);
+      }
+      return escapeHtml(parsed.toLocaleString());
+    }
+
+    function dockLabel(dockId, dockName) {
+      if (dockName && dockId) {
+        return escapeHtml(dockName + " (" + dockId + ")");
+      }
+      return escapeHtml(dockName || dockId || "—");
+    }
+
+    function apiUrl(path) {
+      const suffix = path.startsWith("/") ? path : "/" + path;
+      return apiBasePath + suffix;
+    }
+
+    async function adminFetch(url, options = {}) {
+      const method = (options.method || "GET").toUpperCase();
+      const headers = { ...(options.headers || {}) };
+      if (method !== "GET" && csrfToken) {
+        headers["X-CSRF-Token"] = csrfToken;
+      }
+      const response = await fetch(url, { ...options, headers, credentials: "same-origin" });
+      if (response.status === 401) {
+        window.location.href = adminBasePath + "/login";
+        throw new Error("Your admin session has expired. Sign in again.");
+      }
+      return response;
+    }
+
+    function setStatus(message, type) {
+      statusElement.className = type || "";
+      statusElement.textContent = message || "";
+      if (!message) {
+        statusElement.style.display = "none";
+      } else {
+        statusElement.style.display = "block";
+      }
+    }
+
+    function asInt(value) {
+      const parsed = Number(value);
+      if (!Number.isFinite(parsed) || parsed < 0) {
+        return null;
+      }
+      return Math.trunc(parsed);
+    }
+
+    function selectedDockId() {
+      const value = dockSelect.value || "";
+      return value.trim();
+    }
+
+    function renderDockOptions() {
+      const currentSelection = selectedDockId();
+      dockSelect.innerHTML = "";
+
+      if (filteredDocks.length === 0) {
+        const option = document.createElement("option");
+        option.value = "";
+        option.textContent = "No docks match your search";
+        dockSelect.appendChild(option);
+        selectionHint.textContent = "";
+        return;
+      }
+
+      for (const dock of filteredDocks) {
+        const option = document.createElement("option");
+        option.value = dock.id;
+        option.textContent = dock.commonName + " (" + dock.id + ")";
+        dockSelect.appendChild(option);
+      }
+
+      if (currentSelection && filteredDocks.some((dock) => dock.id === currentSelection)) {
+        dockSelect.value = currentSelection;
+      }
+      syncFormToSelectedDock();
+    }
+
+    function applyDockFilter() {
+      const query = (dockSearch.value || "").trim().toLowerCase();
+      if (!query) {
+        filteredDocks = [...allDocks];
+      } else {
+        filteredDocks = allDocks.filter((dock) =>
+          dock.commonName.toLowerCase().includes(query) || dock.id.toLowerCase().includes(query)
+        );
+      }
+      renderDockOptions();
+    }
+
+    function syncFormToSelectedDock() {
+      const dockId = selectedDockId();
+      if (!dockId) {
+        selectionHint.textContent = "";
+        return;
+      }
+
+      const selectedDock = allDocks.find((dock) => dock.id === dockId);
+      const override = overridesByDockId.get(dockId);
+      if (override) {
+        standardBikesInput.value = String(override.standardBikes);
+        eBikesInput.value = String(override.eBikes);
+        emptySpacesInput.value = String(override.emptySpaces);
+        latitudeInput.value =
+          typeof override.latitude === "number" ? String(override.latitude) : "";
+        longitudeInput.value =
+          typeof override.longitude === "number" ? String(override.longitude) : "";
+        selectionHint.textContent =
+          "Editing override for " +
+          selectedDock.commonName +
+          ". TfL location: " +
+          formatNumber(selectedDock.lat) +
+          ", " +
+          formatNumber(selectedDock.lon) +
+          ".";
+      } else {
+        standardBikesInput.value = "0";
+        eBikesInput.value = "0";
+        emptySpacesInput.value = "0";
+        latitudeInput.value = "";
+        longitudeInput.value = "";
+        selectionHint.textContent =
+          "No override set for " +
+          selectedDock.commonName +
+          ". TfL location: " +
+          formatNumber(selectedDock.lat) +
+          ", " +
+          formatNumber(selectedDock.lon) +
+          ".";
+      }
+    }
+
+    function renderOverridesTable() {
+      const overrides = Array.from(overridesByDockId.values()).sort((a, b) =>
+        a.dockId.localeCompare(b.dockId)
+      );
+
+      if (overrides.length === 0) {
+        overridesBody.innerHTML = '<tr><td colspan="7">No active overrides.</td></tr>';
+        return;
+      }
+
+      overridesBody.innerHTML = "";
+      for (const override of overrides) {
+        const dock = allDocks.find((item) => item.id === override.dockId);
+        const dockLabel = dock
+          ? dock.commonName + " (" + override.dockId + ")"
+          : override.dockId;
+        const locationOverride =
+          typeof override.latitude === "number" && typeof override.longitude === "number"
+            ? formatNumber(override.latitude) + ", " + formatNumber(override.longitude)
+            : "—";
+
+        const row = document.createElement("tr");
+        row.innerHTML =
+          "<td>" + dockLabel + "</td>" +
+          "<td>" + override.standardBikes + "</td>" +
+          "<td>" + override.eBikes + "</td>" +
+          "<td>" + override.emptySpaces + "</td>" +
+          "<td>" + escapeHtml(locationOverride) + "</td>" +
+          "<td>" + new Date(override.updatedAt).toLocaleString() +
+          (override.updatedBy ? '<div class="small">' + escapeHtml(override.updatedBy) + "</div>" : "") +
+          "</td>" +
+          '<td class="actions-cell">' +
+          '<button class="secondary" data-action="use" data-dock-id="' + override.dockId + '">Use</button> ' +
+          '<button class="danger" data-action="clear" data-dock-id="' + override.dockId + '">Clear</button>' +
+          "</td>";
+        overridesBody.appendChild(row);
+      }
+    }
+
+    async function loadDocks() {
+      const response = await adminFetch(apiUrl("/docks"));
+      if (!response.ok) {
+        throw new Error("Could not load dock list");
+      }
+      const payload = await response.json();
+      allDocks = payload.docks || [];
+      filteredDocks = [...allDocks];
+      renderDockOptions();
+    }
+
+    async function loadOverrides() {
+      const response = await adminFetch(apiUrl("/overrides"));
+      if (!response.ok) {
+        throw new Error("Could not load overrides");
+      }
+      const payload = await response.json();
+      overridesByDockId = new Map();
+      for (const override of payload.overrides || []) {
+        overridesByDockId.set(override.dockId, override);
+      }
+      renderOverridesTable();
+      syncFormToSelectedDock();
+    }
+
+    function renderDelayedJobsTable(jobs) {
+      if (!Array.isArray(jobs) || jobs.length === 0) {
+        delayedJobsBody.innerHTML = '<tr><td colspan="6">No delayed jobs pending.</td></tr>';
+        return;
+      }
+
+      delayedJobsBody.innerHTML = "";
+      for (const job of jobs) {
+        const row = document.createElement("tr");
+        row.innerHTML =
+          "<td>" + formatTimestamp(job.dueAt) + (job.running ? '<div class="small">running</div>' : "") + "</td>" +
+          "<td>" + escapeHtml(job.type) + "</td>" +
+          "<td>" + escapeHtml(job.description || job.key) + "</td>" +
+          "<td>" + escapeHtml(job.attempts) + "</td>" +
+          "<td>" + escapeHtml(job.lastError || "—") + "</td>" +
+          '<td class="actions-cell">' +
+          '<button class="danger" data-action="cancel" data-job-key="' + escapeHtml(job.key) + '">Cancel</button>' +
+          "</td>";
+        delayedJobsBody.appendChild(row);
+      }
+    }
+
+    async function loadDelayedJobs() {
+      const response = await adminFetch(apiUrl("/delayed-jobs"));
+      if (!response.ok) {
+        throw new Error("Could not load delayed jobs");
+      }
+      const payload = await response.json();
+      renderDelayedJobsTable(payload.jobs || []);
+    }
+
+    async function cancelDelayedJob(key) {
+      const response = await adminFetch(
+        apiUrl("/delayed-jobs/" + encodeURIComponent(key)),
+        { method: "DELETE" }
+      );
+      const payload = await response.json();
+      if (!response.ok) {
+        setStatus(payload.error || "Failed to cancel delayed job", "error");
+        return;
+      }
+
+      setStatus(payload.existed ? "Cancelled delayed job." : "That job had already run.", "ok");
+      await Promise.all([loadDelayedJobs(), loadAuditLog()]);
+    }
+
+    function renderQuotaPlanOptions(plans) {
+      const selected = quotaPlanSelect.value || "standard";
+      quotaPlanSelect.innerHTML = "";
+      for (const [name, limits] of Object.entries(plans || {})) {
+        const option = document.createElement("option");
+        option.value = name;
+        option.textContent = name + " (" + limits.maxJourneys + " journeys, " + limits.maxWindowMinutes + " min)";
+        quotaPlanSelect.appendChild(option);
+      }
+      quotaPlanSelect.value = plans && plans[selected] ? selected : "standard";
+    }
+
+    function renderQuotasTable(quotas, unavailableMessage) {
+      if (unavailableMessage) {
+        quotasBody.innerHTML = '<tr><td colspan="7">' + escapeHtml(unavailableMessage) + "</td></tr>";
+        return;
+      }
+      if (!Array.isArray(quotas) || quotas.length === 0) {
+        quotasBody.innerHTML = '<tr><td colspan="7">No device quotas set. Every device is on the standard plan.</td></tr>';
+        return;
+      }
+
+      quotasBody.innerHTML = "";
+      for (const quota of quotas) {
+        const row = document.createElement("tr");
+        row.innerHTML =
+          "<td>" + escapeHtml(quota.deviceId) + "</td>" +
+          "<td>" + escapeHtml(quota.plan) + "</td>" +
+          "<td>" + escapeHtml(quota.effectiveMaxJourneys) + (quota.maxJourneys === null ? ' <span class="small">(plan)</span>' : "") + "</td>" +
+          "<td>" + escapeHtml(quota.effectiveMaxWindowMinutes) + " min" + (quota.maxWindowMinutes === null ? ' <span class="small">(plan)</span>' : "") + "</td>" +
+          "<td>" + escapeHtml(quota.note || "—") + "</td>" +
+          "<td>" + formatTimestamp(quota.updatedAt) + '<div class="small">' + escapeHtml(quota.updatedBy || "") + "</div></td>" +
+          '<td class="actions-cell">' +
+          '<button class="secondary" data-action="edit" data-device-id="' + escapeHtml(quota.deviceId) + '">Edit</button>' +
+          '<button class="danger" data-action="clear" data-device-id="' + escapeHtml(quota.deviceId) + '">Clear</button>' +
+          "</td>";
+        quotasBody.appendChild(row);
+      }
+    }
+
+    let quotasByDeviceId = new Map();
+
+    async function loadQuotas() {
+      const response = await adminFetch(apiUrl("/quotas"));
+      if (response.status === 503) {
+        quotasByDeviceId = new Map();
+        renderQuotasTable([], "Quotas need MongoDB; every device uses the standard plan.");
+        return;
+      }
+      if (!response.ok) {
+        throw new Error("Could not load quotas");
+      }
+      const payload = await response.json();
+      renderQuotaPlanOptions(payload.plans);
+      quotasByDeviceId = new Map();
+      for (const quota of payload.quotas || []) {
+        quotasByDeviceId.set(quota.deviceId, quota);
+      }
+      renderQuotasTable(payload.quotas || []);
+    }
+
+    async function saveQuota() {
+      const deviceId = quotaDeviceIdInput.value.trim();
+      if (!deviceId) {
+        setStatus("Enter a device ID before saving a quota.", "error");
+        return;
+      }
+
+      const body = {
+        plan: quotaPlanSelect.value || "standard",
+        maxJourneys: quotaMaxJourneysInput.value.trim() || null,
+        maxWindowMinutes: quotaMaxWindowMinutesInput.value.trim() || null,
+        note: quotaNoteInput.value,
+      };
+      const response = await adminFetch(apiUrl("/quotas/" + encodeURIComponent(deviceId)), {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      const payload = await response.json();
+      if (!response.ok) {
+        setStatus(payload.error || "Failed to save quota", "error");
+        return;
+      }
+
+      setStatus("Saved quota for " + payload.quota.deviceId + ".", "ok");
+      await Promise.all([loadQuotas(), loadAuditLog()]);
+    }
+
+    async function clearQuota(deviceId) {
+      const response = await adminFetch(apiUrl("/quotas/" + encodeURIComponent(deviceId)), {
+        method: "DELETE",
+      });
+      const payload = await response.json();
+      if (!response.ok) {
+        setStatus(payload.error || "Failed to clear quota", "error");
+        return;
+      }
+
+      setStatus(payload.existed ? "Cleared quota for " + deviceId + "." : "That device had no quota.", "ok");
+      await Promise.all([loadQuotas(), loadAuditLog()]);
+    }
+
+    function renderPushEventsTable(events) {
+      if (!Array.isArray(events) || events.length === 0) {
+        pushEventsBody.innerHTML = '<tr><td colspan="8">No push events recorded since server start.</td></tr>';
+        return;
+      }
+
+      pushEventsBody.innerHTML = "";
+      for (const event of events) {
+        const messageParts = [];
+        if (event.title) messageParts.push(event.title);
+        if (event.body) messageParts.push(event.body);
+        if (messageParts.length === 0 && event.error) messageParts.push(event.error);
+        const message = messageParts.length > 0 ? messageParts.join(": ") : "—";
+
+        const row = document.createElement("tr");
+        row.innerHTML =
+          "<td>" + formatTimestamp(event.sentAt) + "</td>" +
+          "<td>" + escapeHtml(event.target || "—") + "</td>" +
+          "<td>" + escapeHtml(event.channel || "—") + "</td>" +
+          "<td>" + escapeHtml(event.type || "—") + "</td>" +
+          "<td>" + escapeHtml(message) + "</td>" +
+          "<td>" + escapeHtml(event.result || "—") + "</td>" +
+          "<td>" + escapeHtml(event.status ?? "—") + "</td>" +
+          "<td>" + escapeHtml(event.apnsEnv || "—") + "</td>";
+        pushEventsBody.appendChild(row);
+      }
+    }
+
+    async function loadPushEvents() {
+      const response = await adminFetch(apiUrl("/push-events?limit=20"));
+      if (!response.ok) {
+        throw new Error("Could not load push events");
+      }
+      const payload = await response.json();
+      renderPushEventsTable(payload.events || []);
+    }
+
+    function renderBackgroundLocationEventsTable(events) {
+      if (!Array.isArray(events) || events.length === 0) {
+        backgroundLocationEventsBody.innerHTML = '<tr><td colspan="11">No background location events recorded since server start.</td></tr>';
+        return;
+      }
+
+      backgroundLocationEventsBody.innerHTML = "";
+      for (const event of events) {
+        const row = document.createElement("tr");
+        row.innerHTML =
+          "<td>" + formatTimestamp(event.receivedAt) + "</td>" +
+          "<td>" + formatTimestamp(event.clientTimestamp) + "</td>" +
+          "<td>" + escapeHtml(event.deviceId || "—") + "</td>" +
+          "<td>" + escapeHtml(event.event || "—") + "</td>" +
+          "<td>" + escapeHtml(event.appState || "—") + "</td>" +
+          "<td>" + escapeHtml(event.backgroundRefreshStatus || "—") + "</td>" +
+          "<td>" + dockLabel(event.dockId, event.dockName) + "</td>" +
+          "<td>" + escapeHtml(formatNumber(event.distanceMeters)) + "</td>" +
+          "<td>" + escapeHtml(formatNumber(event.horizontalAccuracyMeters)) + "</td>" +
+          "<td>" + escapeHtml(formatNumber(event.arrivalThresholdMeters)) + "</td>" +
+          "<td>" + escapeHtml(event.message || "—") + "</td>";
+        backgroundLocationEventsBody.appendChild(row);
+      }
+    }
+
+    async function loadBackgroundLocationEvents() {
+      const response = await adminFetch(apiUrl("/background-location-events?limit=100"));
+      if (!response.ok) {
+        throw new Error("Could not load background location events");
+      }
+      const payload = await response.json();
+      renderBackgroundLocationEventsTable(payload.events || []);
+    }
+
+    function formatAuditValues(values) {
+      if (!values) return "—";
+      if (values.plan) {
+        return values.plan + " plan / " +
+          (values.maxJourneys ?? "plan") + " journeys / " +
+          (values.maxWindowMinutes ?? "plan") + " min";
+      }
+      let text = values.standardBikes + " bikes / " + values.eBikes + " e-bikes / " + values.emptySpaces + " spaces";
+      if (typeof values.latitude === "number" && typeof values.longitude === "number") {
+        text += " @ " + values.latitude.toFixed(6) + ", " + values.longitude.toFixed(6);
+      }
+      return text;
+    }
+
+    function renderAuditLogTable(entries) {
+      if (!Array.isArray(entries) || entries.length === 0) {
+        auditLogBody.innerHTML = '<tr><td colspan="6">No admin actions recorded.</td></tr>';
+        return;
+      }
+
+      auditLogBody.innerHTML = "";
+      for (const entry of entries) {
+        const row = document.createElement("tr");
+        row.innerHTML =
+          "<td>" + formatTimestamp(entry.at) + "</td>" +
+          "<td>" + escapeHtml(entry.actor || "—") + "</td>" +
+          "<td>" + escapeHtml(entry.action || "—") + "</td>" +
+          "<td>" + (entry.dockId ? dockLabel(entry.dockId, null) : entry.deviceId ? escapeHtml(entry.deviceId) : "—") + "</td>" +
+          "<td>" + escapeHtml(formatAuditValues(entry.before)) + "</td>" +
+          "<td>" + escapeHtml(formatAuditValues(entry.after)) + "</td>";
+        auditLogBody.appendChild(row);
+      }
+    }
+
+    async function loadAuditLog() {
+      const response = await adminFetch(apiUrl("/audit-log?limit=50"));
+      if (!response.ok) {
+        throw new Error("Could not load audit log");
+      }
+      const payload = await response.json();
+      renderAuditLogTable(payload.entries || []);
+    }
+
+    async function saveOverride() {
+      const dockId = selectedDockId();
+      if (!dockId) {
+        setStatus("Select a dock before saving.", "error");
+        return;
+      }
+
+      const body = {
+        dockId,
+        standardBikes: asInt(standardBikesInput.value),
+        eBikes: asInt(eBikesInput.value),
+        emptySpaces: asInt(emptySpacesInput.value),
+      };
+      const latitudeRaw = (latitudeInput.value || "").trim();
+      const longitudeRaw = (longitudeInput.value || "").trim();
+
+      if (
+        body.standardBikes === null ||
+        body.eBikes === null ||
+        body.emptySpaces === null
+      ) {
+        setStatus("All values must be whole numbers greater than or equal to 0.", "error");
+        return;
+      }
+      if ((latitudeRaw && !longitudeRaw) || (!latitudeRaw && longitudeRaw)) {
+        setStatus("Provide both latitude and longitude, or leave both blank.", "error");
+        return;
+      }
+      if (latitudeRaw && longitudeRaw) {
+        body.latitude = latitudeRaw;
+        body.longitude = longitudeRaw;
+      }
+
+      const response = await adminFetch(apiUrl("/overrides"), {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      const payload = await response.json();
+      if (!response.ok) {
+        setStatus(payload.error || "Failed to save override", "error");
+        return;
+      }
+
+      setStatus("Saved override for " + payload.override.dockId + ".", "ok");
+      await Promise.all([loadOverrides(), loadAuditLog()]);
+    }
+
+    async function clearOverride(dockId) {
+      const targetDockId = dockId || selectedDockId();
+      if (!targetDockId) {
+        setStatus("Select a dock before clearing.", "error");
+        return;
+      }
+
+      const response = await adminFetch(
+        apiUrl("/overrides/" + encodeURIComponent(targetDockId)),
+        {
+        method: "DELETE",
+        }
+      );
+      const payload = await response.json();
+      if (!response.ok) {
+        setStatus(payload.error || "Failed to clear override", "error");
+        return;
+      }
+
+      setStatus("Cleared override for " + targetDockId + ".", "ok");
+      await Promise.all([loadOverrides(), loadAuditLog()]);
+    }
+
+    document.getElementById("saveButton").addEventListener("click", () => {
+      saveOverride().catch((err) => setStatus(err.message, "error"));
+    });
+    document.getElementById("clearButton").addEventListener("click", () => {
+      clearOverride().catch((err) => setStatus(err.message, "error"));
+    });
+    document.getElementById("refreshButton").addEventListener("click", () => {
+      Promise.all([loadDocks(), loadOverrides(), loadDelayedJobs(), loadQuotas(), loadPushEvents(), loadBackgroundLocationEvents(), loadAuditLog()])
+        .then(() => setStatus("Reloaded dock data and diagnostics.", "ok"))
+        .catch((err) => setStatus(err.message, "error"));
+    });
+    const logoutButton = document.getElementById("logoutButton");
+    if (logoutButton) {
+      logoutButton.addEventListener("click", () => {
+        adminFetch(adminBasePath + "/logout", { method: "POST" })
+          .then(() => {
+            window.location.href = adminBasePath + "/login";
+          })
+          .catch((err) => setStatus(err.message, "error"));
+      });
+    }
+    dockSearch.addEventListener("input", applyDockFilter);
+    dockSelect.addEventListener("change", syncFormToSelectedDock);
+    overridesBody.addEventListener("click", (event) => {
+      const button = event.target.closest("button[data-action]");
+      if (!button) return;
+      const action = button.getAttribute("data-action");
+      const dockId = button.getAttribute("data-dock-id");
+      if (!dockId) return;
+
+      if (action === "use") {
+        const dock = allDocks.find((item) => item.id === dockId);
+        if (dock) {
+          const query = dockSearch.value.trim().toLowerCase();
+          if (query && !dock.commonName.toLowerCase().includes(query) && !dock.id.toLowerCase().includes(query)) {
+            dockSearch.value = "";
+            applyDockFilter();
+          }
+          dockSelect.value = dockId;
+          syncFormToSelectedDock();
+          setStatus("Loaded " + dock.commonName + " into the form.", "ok");
+        }
+        return;
+      }
+
+      if (action === "clear") {
+        clearOverride(dockId).catch((err) => setStatus(err.message, "error"));
+      }
+    });
+
+    delayedJobsBody.addEventListener("click", (event) => {
+      const button = event.target.closest("button[data-action]");
+      if (!button || button.getAttribute("data-action") !== "cancel") return;
+      const key = button.getAttribute("data-job-key");
+      if (!key) return;
+      cancelDelayedJob(key).catch((err) => setStatus(err.message, "error"));
+    });
+
+    document.getElementById("saveQuotaButton").addEventListener("click", () => {
+      saveQuota().catch((err) => setStatus(err.message, "error"));
+    });
+    quotasBody.addEventListener("click", (event) => {
+      const button = event.target.closest("button[data-action]");
+      if (!button) return;
+      const deviceId = button.getAttribute("data-device-id");
+      if (!deviceId) return;
+
+      if (button.getAttribute("data-action") === "edit") {
+        const quota = quotasByDeviceId.get(deviceId);
+        if (!quota) return;
+        quotaDeviceIdInput.value = quota.deviceId;
+        quotaPlanSelect.value = quota.plan;
+        quotaMaxJourneysInput.value = quota.maxJourneys ?? "";
+        quotaMaxWindowMinutesInput.value = quota.maxWindowMinutes ?? "";
+        quotaNoteInput.value = quota.note || "";
+        setStatus("Loaded quota for " + deviceId + " into the form.", "ok");
+        return;
+      }
+
+      clearQuota(deviceId).catch((err) => setStatus(err.message, "error"));
+    });
+
+    Promise.all([loadDocks(), loadOverrides(), loadDelayedJobs(), loadQuotas(), loadPushEvents(), loadBackgroundLocationEvents(), loadAuditLog()])
+      .then(() => setStatus("", ""))
+      .catch((err) => setStatus(err.message, "error"));
+
+    setInterval(() => {
+      Promise.all([loadDelayedJobs(), loadPushEvents(), loadBackgroundLocationEvents()]).catch(() => {});
+    }, 15000);
+  </script>
+</body>
+</html>`;
+}
+
+module.exports = { escapeAdminHtml, renderAdminLoginPage, renderAdminOverridesPage };
@@ -0,0 +1,588 @@
+// Admin authentication (password sessions and API tokens), the audit log and the
+// /admin routes.
+const express = require("express");
+const fs = require("fs");
+const crypto = require("crypto");
+const { renderAdminLoginPage, renderAdminOverridesPage } = require("./admin-pages");
+
+function createAdmin(ctx) {
+  const { config, logger } = ctx;
+  const {
+    ADMIN_USERNAME,
+    ADMIN_PASSWORD,
+    ADMIN_API_TOKENS,
+    ADMIN_AUTH_DISABLED,
+    ADMIN_SESSION_TTL_MS,
+    ADMIN_AUDIT_LOG_PATH,
+    MAX_ADMIN_AUDIT_LOG_ENTRIES,
+    ADMIN_LOGIN_MAX_FAILURES,
+    ADMIN_LOGIN_LOCKOUT_MS,
+  } = config;
+  const router = express.Router();
+
+  function normalizeNonNegativeInteger(value) {
+    const numericValue = Number(value);
+    if (!Number.isFinite(numericValue) || numericValue < 0) {
+      return null;
+    }
+    return Math.trunc(numericValue);
+  }
+
+  // ── Admin Authentication ─────────────────────────────────────────────
+  const ADMIN_SESSION_COOKIE = "bikespot_admin_session";
+  const adminSessions = new Map(); // sessionId -> { id, username, csrfToken, createdAt, expiresAt }
+  const adminLoginFailures = new Map(); // ip -> { count, firstFailureAt }
+  const adminAuditLog = [];
+
+  function parseAdminApiTokens(raw) {
+    return raw
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean)
+      .map((entry, index) => {
+        const separatorIndex = entry.indexOf(":");
+        if (separatorIndex > 0) {
+          return {
+            name: entry.slice(0, separatorIndex).trim(),
+            token: entry.slice(separatorIndex + 1).trim(),
+          };
+        }
+        return { name: `token-${index + 1}`, token: entry };
+      })
+      .filter((entry) => entry.name && entry.token);
+  }
+
+  const adminApiTokens = parseAdminApiTokens(ADMIN_API_TOKENS);
+  const adminAuthConfigured = !!ADMIN_PASSWORD || adminApiTokens.length > 0;
+
+  // Hash both sides first so timingSafeEqual always compares equal-length buffers.
+  function adminSecretsMatch(candidate, expected) {
+    if (typeof candidate !== "string" || !candidate || !expected) return false;
+    const candidateHash = crypto.createHash("sha256").update(candidate).digest();
+    const expectedHash = crypto.createHash("sha256").update(expected).digest();
+    return crypto.timingSafeEqual(candidateHash, expectedHash);
+  }
+
+  function parseCookieHeader(header) {
+    const cookies = {};
+    if (typeof header !== "string") return cookies;
+    for (const part of header.split(";")) {
+      const separatorIndex = part.indexOf("=");
+      if (separatorIndex <= 0) continue;
+      const name = part.slice(0, separatorIndex).trim();
+      const value = part.slice(separatorIndex + 1).trim();
+      try {
+        cookies[name] = decodeURIComponent(value);
+      } catch {
+        cookies[name] = value;
+      }
+    }
+    return cookies;
+  }
+
+  function isSecureRequest(req) {
+    if (req.secure) return true;
+    const forwardedProto = String(req.headers["x-forwarded-proto"] || "")
+      .split(",")[0]
+      .trim()
+      .toLowerCase();
+    return forwardedProto === "https";
+  }
+
+  function adminSessionCookieHeader(req, value, maxAgeMs) {
+    const parts = [
+      `${ADMIN_SESSION_COOKIE}=${encodeURIComponent(value)}`,
+      "Path=/",
+      "HttpOnly",
+      "SameSite=Strict",
+      `Max-Age=${Math.max(0, Math.floor(maxAgeMs / 1000))}`,
+    ];
+    if (isSecureRequest(req)) {
+      parts.push("Secure");
+    }
+    return parts.join("; ");
+  }
+
+  function pruneAdminSessions(now = Date.now()) {
+    for (const [sessionId, session] of adminSessions) {
+      if (session.expiresAt <= now) {
+        adminSessions.delete(sessionId);
+      }
+    }
+  }
+
+  function createAdminSession(username) {
+    pruneAdminSessions();
+    const now = Date.now();
+    const session = {
+      id: crypto.randomBytes(32).toString("hex"),
+      username,
+      csrfToken: crypto.randomBytes(32).toString("hex"),
+      createdAt: now,
+      expiresAt: now + ADMIN_SESSION_TTL_MS,
+    };
+    adminSessions.set(session.id, session);
+    return session;
+  }
+
+  function adminSessionFromRequest(req) {
+    const sessionId = parseCookieHeader(req.headers.cookie)[ADMIN_SESSION_COOKIE];
+    if (!sessionId) return null;
+    const session = adminSessions.get(sessionId);
+    if (!session) return null;
+    if (session.expiresAt <= Date.now()) {
+      adminSessions.delete(sessionId);
+      return null;
+    }
+    return session;
+  }
+
+  function adminApiTokenFromRequest(req) {
+    const header = req.headers.authorization;
+    const match = typeof header === "string" ? header.match(/^Bearer\s+(.+)$/i) : null;
+    if (!match) return null;
+    const candidate = match[1].trim();
+    return adminApiTokens.find((entry) => adminSecretsMatch(candidate, entry.token)) || null;
+  }
+
+  function isAdminLoginLockedOut(ip, now = Date.now()) {
+    const failures = adminLoginFailures.get(ip);
+    if (!failures) return false;
+    if (now - failures.firstFailureAt > ADMIN_LOGIN_LOCKOUT_MS) {
+      adminLoginFailures.delete(ip);
+      return false;
+    }
+    return failures.count >= ADMIN_LOGIN_MAX_FAILURES;
+  }
+
+  function recordAdminLoginFailure(ip, now = Date.now()) {
+    const failures = adminLoginFailures.get(ip);
+    if (!failures || now - failures.firstFailureAt > ADMIN_LOGIN_LOCKOUT_MS) {
+      adminLoginFailures.set(ip, { count: 1, firstFailureAt: now });
+      return;
+    }
+    failures.count += 1;
+  }
+
+  function loadAdminAuditLog() {
+    try {
+      if (!fs.existsSync(ADMIN_AUDIT_LOG_PATH)) return;
+      const lines = fs
+        .readFileSync(ADMIN_AUDIT_LOG_PATH, "utf8")
+        .split("\n")
+        .filter(Boolean)
+        .slice(-MAX_ADMIN_AUDIT_LOG_ENTRIES);
+      for (const line of lines) {
+        try {
+          adminAuditLog.unshift(JSON.parse(line));
+        } catch {
+          // Skip partially written lines.
+        }
+      }
+      logger.info(`Loaded ${adminAuditLog.length} admin audit entries from disk`);
+    } catch (err) {
+      logger.warn(`Could not load admin audit log from disk: ${err.message}`);
+    }
+  }
+
+  loadAdminAuditLog();
+
+  function recordAdminAudit(req, action, details = {}) {
+    const entry = {
+      at: new Date().toISOString(),
+      actor: req.adminActor?.name || "anonymous",
+      authMethod: req.adminActor?.method || null,
+      ip: req.ip || null,
+      action,
+      ...details,
+    };
+    ctx.appendBoundedLogEntry(adminAuditLog, entry, MAX_ADMIN_AUDIT_LOG_ENTRIES);
+    ctx.appendDiagnosticJsonLine("admin_audit", entry);
+    fs.appendFile(ADMIN_AUDIT_LOG_PATH, JSON.stringify(entry) + "\n", (err) => {
+      if (err) {
+        logger.warn(`Failed to write admin audit entry: ${err.message}`);
+      }
+    });
+    logger.info(
+      `Admin audit: ${entry.actor} ${action}${details.dockId ? ` ${details.dockId}` : ""}`
+    );
+  }
+
+  function auditOverrideValues(override) {
+    if (!override) return null;
+    return {
+      standardBikes: override.standardBikes,
+      eBikes: override.eBikes,
+      emptySpaces: override.emptySpaces,
+      latitude: override.latitude ?? null,
+      longitude: override.longitude ?? null,
+    };
+  }
+
+  function requireAdminAuth(req, res, next) {
+    if (ADMIN_AUTH_DISABLED) {
+      req.adminActor = { name: "auth-disabled", method: "none" };
+      return next();
+    }
+    if (req.path === "/login") {
+      return next();
+    }
+    if (!adminAuthConfigured) {
+      return res.status(503).json({
+        error: "Admin authentication is not configured (set ADMIN_PASSWORD or ADMIN_API_TOKENS)",
+      });
+    }
+
+    // API clients authenticate per request with a bearer token. Browsers can't
+    // attach one implicitly, so these requests don't need a CSRF token.
+    if (req.headers.authorization) {
+      const apiToken = adminApiTokenFromRequest(req);
+      if (!apiToken) {
+        return res.status(401).json({ error: "Invalid admin API token" });
+      }
+      req.adminActor = { name: `token:${apiToken.name}`, method: "bearer" };
+      return next();
+    }
+
+    const session = adminSessionFromRequest(req);
+    if (!session) {
+      if (req.method === "GET" && !req.path.startsWith("/api/")) {
+        return res.redirect(303, `${req.baseUrl}/login`);
+      }
+      return res.status(401).json({ error: "Admin login required" });
+    }
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      const csrfToken = req.headers["x-csrf-token"] || req.body?._csrf;
+      if (!adminSecretsMatch(csrfToken, session.csrfToken)) {
+        return res.status(403).json({ error: "Invalid or missing CSRF token" });
+      }
+    }
+
+    req.adminActor = { name: `user:${session.username}`, method: "session" };
+    req.adminSession = session;
+    next();
+  }
+
+  const ADMIN_ROUTE_PREFIXES = ["/admin", "/my-bikespot-london/admin"];
+  const adminRoutePaths = (suffix = "") =>
+    ADMIN_ROUTE_PREFIXES.map((prefix) => `${prefix}${suffix}`);
+
+  router.use(ADMIN_ROUTE_PREFIXES, requireAdminAuth);
+
+  router.get(adminRoutePaths("/login"), (req, res) => {
+    const basePath = req.path.replace(/\/login$/, "");
+    if (ADMIN_AUTH_DISABLED || adminSessionFromRequest(req)) {
+      return res.redirect(303, basePath);
+    }
+    res.set("Cache-Control", "no-store");
+    if (!ADMIN_PASSWORD) {
+      return res.status(503).type("html").send(
+        renderAdminLoginPage({
+          error: "Password login is not configured. Set ADMIN_PASSWORD or use an API token.",
+        })
+      );
+    }
+    res.type("html").send(renderAdminLoginPage());
+  });
+
+  router.post(
+    adminRoutePaths("/login"),
+    express.urlencoded({ extended: false }),
+    (req, res) => {
+      const basePath = req.path.replace(/\/login$/, "");
+      const ip = req.ip || "unknown";
+      const username =
+        typeof req.body?.username === "string" ? req.body.username.trim() : "";
+      const password = typeof req.body?.password === "string" ? req.body.password : "";
+      res.set("Cache-Control", "no-store");
+
+      if (!ADMIN_PASSWORD) {
+        return res.status(503).type("html").send(
+          renderAdminLoginPage({
+            error: "Password login is not configured. Set ADMIN_PASSWORD or use an API token.",
+          })
+        );
+      }
+      if (isAdminLoginLockedOut(ip)) {
+        return res.status(429).type("html").send(
+          renderAdminLoginPage({ error: "Too many failed attempts. Try again later.", username })
+        );
+      }
+
+      // Evaluate both checks so a wrong username takes as long as a wrong password.
+      const usernameMatches = adminSecretsMatch(username, ADMIN_USERNAME);
+      const passwordMatches = adminSecretsMatch(password, ADMIN_PASSWORD);
+      if (!usernameMatches || !passwordMatches) {
+        recordAdminLoginFailure(ip);
+        recordAdminAudit(req, "login_failed", { username: username || null });
+        return res.status(401).type("html").send(
+          renderAdminLoginPage({ error: "Incorrect username or password.", username })
+        );
+      }
+
+      adminLoginFailures.delete(ip);
+      const previousSession = adminSessionFromRequest(req);
+      if (previousSession) {
+        adminSessions.delete(previousSession.id);
+      }
+      const session = createAdminSession(username);
+      req.adminActor = { name: `user:${username}`, method: "session" };
+      recordAdminAudit(req, "login");
+      res.set("Set-Cookie", adminSessionCookieHeader(req, session.id, ADMIN_SESSION_TTL_MS));
+      res.redirect(303, basePath);
+    }
+  );
+
+  router.post(adminRoutePaths("/logout"), (req, res) => {
+    if (req.adminSession) {
+      adminSessions.delete(req.adminSession.id);
+      recordAdminAudit(req, "logout");
+    }
+    res.set("Set-Cookie", adminSessionCookieHeader(req, "", 0));
+    res.json({ success: true });
+  });
+
+  router.get(adminRoutePaths(""), (req, res) => {
+    res.set("Cache-Control", "no-store, no-cache, must-revalidate, proxy-revalidate");
+    res.set("Pragma", "no-cache");
+    res.set("Expires", "0");
+    res.type("html").send(
+      renderAdminOverridesPage({
+        actor: req.adminActor?.name || "",
+        csrfToken: req.adminSession?.csrfToken || "",
+        canLogout: !!req.adminSession,
+      })
+    );
+  });
+
+  router.get(adminRoutePaths("/overrides"), (req, res) => {
+    res.redirect(req.path.replace(/\/overrides$/, ""));
+  });
+
+  router.get(adminRoutePaths("/api/docks"), async (_req, res) => {
+    try {
+      const docks = await ctx.fetchDockList();
+      res.json({ count: docks.length, docks });
+    } catch (err) {
+      logger.error(`Failed to load dock list for admin UI: ${err.message}`);
+      res.status(502).json({ error: "Failed to load dock list from TfL" });
+    }
+  });
+
+  router.get(adminRoutePaths("/api/overrides"), (_req, res) => {
+    res.json({
+      count: ctx.dockOverrides.size,
+      overrides: ctx.serializeDockOverrides(),
+    });
+  });
+
+  router.get(adminRoutePaths("/api/push-events"), (req, res) => {
+    const limit = ctx.resolveLogLimit(req.query?.limit, 20, 100);
+    res.json({
+      count: ctx.pushEventLog.length,
+      events: ctx.pushEventLog.slice(0, limit),
+    });
+  });
+
+  router.get(adminRoutePaths("/api/background-location-events"), (req, res) => {
+    const limit = ctx.resolveLogLimit(req.query?.limit, 100, 300);
+    res.json({
+      count: ctx.backgroundLocationEventLog.length,
+      events: ctx.backgroundLocationEventLog.slice(0, limit),
+    });
+  });
+
+  router.get(adminRoutePaths("/api/audit-log"), (req, res) => {
+    const limit = ctx.resolveLogLimit(req.query?.limit, 50, MAX_ADMIN_AUDIT_LOG_ENTRIES);
+    res.json({
+      count: adminAuditLog.length,
+      entries: adminAuditLog.slice(0, limit),
+    });
+  });
+
+  router.get(adminRoutePaths("/api/delayed-jobs"), (_req, res) => {
+    const jobs = ctx.serializeDelayedJobs();
+    res.json({ count: jobs.length, jobs });
+  });
+
+  router.delete(adminRoutePaths("/api/delayed-jobs/:key"), (req, res) => {
+    const key = typeof req.params?.key === "string" ? req.params.key : "";
+    if (!key) {
+      return res.status(400).json({ error: "key is required" });
+    }
+
+    const job = ctx.delayedJobs.get(key) || null;
+    const existed = ctx.cancelDelayedJob(key);
+    if (existed) {
+      logger.info(`Cancelled delayed job ${job.type} ${job.id}`);
+      recordAdminAudit(req, "delayed_job_cancelled", {
+        jobKey: key,
+        jobType: job.type,
+      });
+    }
+
+    res.json({ success: true, existed, key });
+  });
+
+  // ── Scheduled Journey Quotas ─────────────────────────────────────────
+  function requireDeviceQuotasCollection(res) {
+    if (ctx.deviceQuotasCollection) return true;
+    res.status(503).json({ error: "MongoDB is not configured" });
+    return false;
+  }
+
+  router.get(adminRoutePaths("/api/quotas"), async (_req, res) => {
+    if (!requireDeviceQuotasCollection(res)) return;
+    const quotas = await ctx.listDeviceQuotas();
+    res.json({ plans: config.SCHEDULED_JOURNEY_PLANS, count: quotas.length, quotas });
+  });
+
+  router.put(adminRoutePaths("/api/quotas/:deviceId"), async (req, res) => {
+    if (!requireDeviceQuotasCollection(res)) return;
+    const deviceId =
+      typeof req.params?.deviceId === "string" ? req.params.deviceId.trim() : "";
+    if (!deviceId) {
+      return res.status(400).json({ error: "deviceId is required" });
+    }
+    const sanitized = ctx.sanitizeDeviceQuota(req.body);
+    if (sanitized.error) {
+      return res.status(400).json({ error: sanitized.error });
+    }
+
+    const before = await ctx.deviceQuotasCollection.findOne({ _id: deviceId });
+    const quota = await ctx.setDeviceQuota(deviceId, sanitized.value, req.adminActor?.name);
+    recordAdminAudit(req, "quota_set", {
+      deviceId,
+      before: before
+        ? { plan: before.plan, maxJourneys: before.maxJourneys, maxWindowMinutes: before.maxWindowMinutes }
+        : null,
+      after: {
+        plan: quota.plan,
+        maxJourneys: quota.maxJourneys,
+        maxWindowMinutes: quota.maxWindowMinutes,
+      },
+    });
+    logger.info(
+      `Set scheduled journey quota for ${ctx.shortenIdentifier(deviceId)}: plan=${quota.plan}, journeys=${quota.effectiveMaxJourneys}, window=${quota.effectiveMaxWindowMinutes}m`
+    );
+    res.json({ success: true, quota });
+  });
+
+  router.delete(adminRoutePaths("/api/quotas/:deviceId"), async (req, res) => {
+    if (!requireDeviceQuotasCollection(res)) return;
+    const deviceId =
+      typeof req.params?.deviceId === "string" ? req.params.deviceId.trim() : "";
+    if (!deviceId) {
+      return res.status(400).json({ error: "deviceId is required" });
+    }
+
+    const previous = await ctx.clearDeviceQuota(deviceId);
+    if (previous) {
+      recordAdminAudit(req, "quota_cleared", {
+        deviceId,
+        before: {
+          plan: previous.plan,
+          maxJourneys: previous.maxJourneys,
+          maxWindowMinutes: previous.maxWindowMinutes,
+        },
+      });
+      logger.info(`Cleared scheduled journey quota for ${ctx.shortenIdentifier(deviceId)}`);
+    }
+    res.json({ success: true, existed: !!previous, deviceId });
+  });
+
+  router.post(adminRoutePaths("/api/overrides"), (req, res) => {
+    const dockId =
+      typeof req.body?.dockId === "string" ? req.body.dockId.trim() : "";
+    const standardBikes = normalizeNonNegativeInteger(req.body?.standardBikes);
+    const eBikes = normalizeNonNegativeInteger(req.body?.eBikes);
+    const emptySpaces = normalizeNonNegativeInteger(req.body?.emptySpaces);
+    const latitude = ctx.parseOptionalCoordinate(req.body?.latitude, -90, 90);
+    const longitude = ctx.parseOptionalCoordinate(req.body?.longitude, -180, 180);
+
+    if (!dockId) {
+      return res.status(400).json({ error: "dockId is required" });
+    }
+    if (standardBikes === null || eBikes === null || emptySpaces === null) {
+      return res.status(400).json({
+        error: "standardBikes, eBikes, and emptySpaces must be integers >= 0",
+      });
+    }
+    if (latitude === null || longitude === null) {
+      return res.status(400).json({
+        error: "latitude must be between -90 and 90, and longitude between -180 and 180",
+      });
+    }
+    if ((latitude === undefined) !== (longitude === undefined)) {
+      return res.status(400).json({
+        error: "latitude and longitude must be provided together",
+      });
+    }
+
+    const previousOverride = ctx.dockOverrides.get(dockId) || null;
+    const override = {
+      standardBikes,
+      eBikes,
+      emptySpaces,
+      latitude: latitude ?? null,
+      longitude: longitude ?? null,
+      updatedAt: Date.now(),
+      updatedBy: req.adminActor?.name || null,
+    };
+    ctx.dockOverrides.set(dockId, override);
+    ctx.saveDockOverrides();
+    recordAdminAudit(req, "override_set", {
+      dockId,
+      before: auditOverrideValues(previousOverride),
+      after: auditOverrideValues(override),
+    });
+
+    logger.info(
+      `Set dock override for ${dockId}: bikes=${standardBikes}, eBikes=${eBikes}, spaces=${emptySpaces}, lat=${override.latitude ?? "default"}, lon=${override.longitude ?? "default"}`
+    );
+
+    res.json({
+      success: true,
+      override: {
+        dockId,
+        standardBikes,
+        eBikes,
+        emptySpaces,
+        latitude: override.latitude,
+        longitude: override.longitude,
+        updatedAt: new Date(override.updatedAt).toISOString(),
+        updatedBy: override.updatedBy,
+      },
+    });
+  });
+
+  router.delete(adminRoutePaths("/api/overrides/:dockId"), (req, res) => {
+    const dockId =
+      typeof req.params?.dockId === "string" ? req.params.dockId.trim() : "";
+    if (!dockId) {
+      return res.status(400).json({ error: "dockId is required" });
+    }
+
+    const previousOverride = ctx.dockOverrides.get(dockId) || null;
+    const existed = ctx.dockOverrides.delete(dockId);
+    if (existed) {
+      ctx.saveDockOverrides();
+      logger.info(`Cleared dock override for ${dockId}`);
+      recordAdminAudit(req, "override_cleared", {
+        dockId,
+        before: auditOverrideValues(previousOverride),
+        after: null,
+      });
+    }
+
+    res.json({ success: true, existed, dockId });
+  });
+
+  return {
+    adminApiTokens,
+    adminAuthConfigured,
+    router,
+  };
+}
+
+module.exports = { createAdmin };
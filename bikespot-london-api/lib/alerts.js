@@ -0,0 +1,505 @@
+// Alert wording, server-side alternatives and dock switch suggestions for Live
+// Activity sessions.
+const crypto = require("crypto");
+
+function createAlerts(ctx) {
+  const { config, logger, metrics } = ctx;
+  const {
+    MAX_LIVE_ACTIVITY_ALTERNATIVES,
+    LIVE_ACTIVITY_ALTERNATIVES_MAX_DISTANCE_METERS,
+    LIVE_ACTIVITY_ALERT_CATEGORY,
+    DOCK_SWITCH_SUGGESTION_CATEGORY,
+    MAX_DOCK_SWITCH_SUGGESTION_OPTIONS,
+  } = config;
+  const { liveActivityAlternativesRefreshesTotal, dockSwitchSuggestionsTotal } = metrics;
+
+  function primaryValueForDisplay(data, primaryDisplay) {
+    switch (primaryDisplay) {
+      case "allBikes":
+        return data.standardBikes + data.eBikes;
+      case "eBikes":
+        return data.eBikes;
+      case "spaces":
+        return data.emptySpaces;
+      case "bikes":
+      default:
+        return data.standardBikes;
+    }
+  }
+
+  function singularMetricLabel(primaryDisplay) {
+    switch (primaryDisplay) {
+      case "allBikes":
+        return "bike";
+      case "eBikes":
+        return "e-bike";
+      case "spaces":
+        return "space";
+      case "bikes":
+      default:
+        return "bike";
+    }
+  }
+
+  function pluralMetricLabel(primaryDisplay) {
+    switch (primaryDisplay) {
+      case "allBikes":
+        return "bikes";
+      case "eBikes":
+        return "e-bikes";
+      case "spaces":
+        return "spaces";
+      case "bikes":
+      default:
+        return "bikes";
+    }
+  }
+
+  function metricLabelForValue(primaryDisplay, value) {
+    return value === 1
+      ? singularMetricLabel(primaryDisplay)
+      : pluralMetricLabel(primaryDisplay);
+  }
+
+  function minimumThresholdForDisplay(minimumThresholds, primaryDisplay) {
+    if (!minimumThresholds || typeof minimumThresholds !== "object") {
+      return 0;
+    }
+    if (primaryDisplay === "allBikes") {
+      return ctx.sanitizeThresholdValue(minimumThresholds.bikes) +
+        ctx.sanitizeThresholdValue(minimumThresholds.eBikes);
+    }
+    return ctx.sanitizeThresholdValue(minimumThresholds[primaryDisplay]);
+  }
+
+  function buildAvailabilityAlertMessage(
+    dockName,
+    primaryDisplay,
+    previousValue,
+    currentValue,
+    minimumThreshold = 0
+  ) {
+    const safeDockName =
+      typeof dockName === "string" && dockName.trim() ? dockName.trim() : "This dock";
+
+    if (previousValue === currentValue) {
+      return null;
+    }
+
+    const normalizedThreshold = ctx.sanitizeThresholdValue(minimumThreshold);
+    if (normalizedThreshold > 0) {
+      if (currentValue < normalizedThreshold) {
+        const prefix = currentValue === 0 ? "‼️" : "⚠️";
+        if (currentValue === 0) {
+          return `${prefix} ${safeDockName} now has no ${pluralMetricLabel(primaryDisplay)} available`;
+        }
+
+        const metricLabel = metricLabelForValue(primaryDisplay, currentValue);
+        const isIncreaseWhileBelowThreshold = currentValue > previousValue;
+        const qualifier = isIncreaseWhileBelowThreshold ? "now has" : "only has";
+        return `${prefix} ${safeDockName} ${qualifier} ${currentValue} ${metricLabel} available`;
+      }
+    }
+
+    if (normalizedThreshold > 0 && previousValue < normalizedThreshold && currentValue >= normalizedThreshold) {
+      const metricLabel = metricLabelForValue(primaryDisplay, currentValue);
+      return `✅ ${safeDockName} now has ${currentValue} ${metricLabel} available`;
+    }
+
+    if (previousValue > 0 && currentValue === 0) {
+      return `‼️ ${safeDockName} no longer has any ${pluralMetricLabel(primaryDisplay)}`;
+    }
+
+    if (previousValue === 0 && currentValue > 0) {
+      const metricLabel = metricLabelForValue(primaryDisplay, currentValue);
+      return `✅ ${safeDockName} now has ${currentValue} ${metricLabel} available`;
+    }
+
+    return null;
+  }
+
+  function buildAvailabilitySnapshotMessage(
+    dockName,
+    primaryDisplay,
+    currentValue,
+    minimumThreshold = 0
+  ) {
+    const safeDockName =
+      typeof dockName === "string" && dockName.trim() ? dockName.trim() : "This dock";
+    const sanitizedCurrentValue = ctx.sanitizeThresholdValue(currentValue);
+    const normalizedThreshold = ctx.sanitizeThresholdValue(minimumThreshold);
+
+    if (sanitizedCurrentValue === 0) {
+      return `‼️ ${safeDockName} now has no ${pluralMetricLabel(primaryDisplay)} available`;
+    }
+
+    const metricLabel = metricLabelForValue(primaryDisplay, sanitizedCurrentValue);
+    if (normalizedThreshold > 0 && sanitizedCurrentValue < normalizedThreshold) {
+      return `⚠️ ${safeDockName} only has ${sanitizedCurrentValue} ${metricLabel} available`;
+    }
+
+    return `✅ ${safeDockName} now has ${sanitizedCurrentValue} ${metricLabel} available`;
+  }
+
+  function sanitizeAlternatives(rawAlternatives) {
+    if (!Array.isArray(rawAlternatives)) {
+      return [];
+    }
+
+    return rawAlternatives
+      .slice(0, MAX_LIVE_ACTIVITY_ALTERNATIVES)
+      .map((alt) => {
+        const name = typeof alt?.name === "string" ? alt.name.trim() : "";
+        if (!name) {
+          return null;
+        }
+
+        const standardBikes = Number.isFinite(alt?.standardBikes)
+          ? Math.max(0, Math.trunc(alt.standardBikes))
+          : 0;
+        const eBikes = Number.isFinite(alt?.eBikes)
+          ? Math.max(0, Math.trunc(alt.eBikes))
+          : 0;
+        const emptySpaces = Number.isFinite(alt?.emptySpaces)
+          ? Math.max(0, Math.trunc(alt.emptySpaces))
+          : 0;
+
+        return { name, standardBikes, eBikes, emptySpaces };
+      })
+      .filter(Boolean);
+  }
+
+  function contentStateWithAlternatives(data, session) {
+    const activeDockId =
+      typeof session?.activeDockId === "string" && session.activeDockId.trim()
+        ? session.activeDockId.trim()
+        : null;
+    const activeDockName =
+      typeof session?.activeDockName === "string" && session.activeDockName.trim()
+        ? session.activeDockName.trim()
+        : typeof data?.dockName === "string" && data.dockName.trim()
+          ? data.dockName.trim()
+          : null;
+    const activeDockAlias =
+      typeof session?.activeDockAlias === "string" && session.activeDockAlias.trim()
+        ? session.activeDockAlias.trim()
+        : null;
+
+    return {
+      standardBikes: data.standardBikes,
+      eBikes: data.eBikes,
+      emptySpaces: data.emptySpaces,
+      alternatives: session?.alternatives || [],
+      activeDockId,
+      activeDockName,
+      activeDockAlias,
+      activeJourneyPhase: session?.scheduledJourneyPhase || null,
+      primaryDisplay: ctx.sanitizePrimaryDisplay(session?.primaryDisplay),
+    };
+  }
+
+  // ── Server-side Alternatives ─────────────────────────────────────────
+  // While a session's primary dock is below its threshold, pollDock recomputes the
+  // nearest in-service docks that meet it from the shared /BikePoint snapshot and
+  // pushes them in the same { name, standardBikes, eBikes, emptySpaces } shape the
+  // app sends. Sessions opt in with maxAlternatives; older clients that omit it keep
+  // as many alternatives as they sent.
+  function sanitizeMaxAlternatives(rawValue) {
+    const parsedValue = Number(rawValue);
+    if (!Number.isFinite(parsedValue)) return null;
+    return Math.min(Math.max(Math.trunc(parsedValue), 0), MAX_LIVE_ACTIVITY_ALTERNATIVES);
+  }
+
+  function sessionMaxAlternatives(session) {
+    return Number.isInteger(session?.maxAlternatives)
+      ? session.maxAlternatives
+      : Array.isArray(session?.alternatives)
+        ? session.alternatives.length
+        : 0;
+  }
+
+  function distanceMetersBetween(lat1, lon1, lat2, lon2) {
+    const toRadians = (degrees) => (degrees * Math.PI) / 180;
+    const earthRadiusMeters = 6371000;
+    const dLat = toRadians(lat2 - lat1);
+    const dLon = toRadians(lon2 - lon1);
+    const a =
+      Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * earthRadiusMeters * Math.asin(Math.sqrt(a));
+  }
+
+  function isBikePointInService(bikePoint) {
+    const props = bikePoint?.additionalProperties || [];
+    const value = (key) => props.find((prop) => prop.key === key)?.value;
+    return value("Installed") !== "false" && value("Locked") !== "true";
+  }
+
+  function requiredAlternativeValue(session) {
+    const primaryDisplay = ctx.sanitizePrimaryDisplay(session?.primaryDisplay);
+    return Math.max(minimumThresholdForDisplay(session?.minimumThresholds, primaryDisplay), 1);
+  }
+
+  function isBelowAlternativesThreshold(data, session) {
+    const primaryDisplay = ctx.sanitizePrimaryDisplay(session?.primaryDisplay);
+    return primaryValueForDisplay(data, primaryDisplay) < requiredAlternativeValue(session);
+  }
+
+  // Returns null when the snapshot can't answer (stale, or the dock isn't in it) so
+  // callers keep the alternatives they already have.
+  function nearbyAlternativesForDock(dockId, session, maxAlternatives) {
+    if (!ctx.isBikePointSnapshotFresh()) return null;
+    const origin = ctx.bikePointSnapshot.byId.get(dockId);
+    if (!origin) return null;
+    const effectiveOrigin = ctx.applyOverrideToBikePoint(origin);
+    const originLat = Number(effectiveOrigin.lat);
+    const originLon = Number(effectiveOrigin.lon);
+    if (!Number.isFinite(originLat) || !Number.isFinite(originLon)) return null;
+
+    const primaryDisplay = ctx.sanitizePrimaryDisplay(session?.primaryDisplay);
+    const requiredValue = requiredAlternativeValue(session);
+    const candidates = [];
+    for (const bikePoint of ctx.bikePointSnapshot.bikePoints) {
+      if (!bikePoint || bikePoint.id === dockId || !isBikePointInService(bikePoint)) continue;
+      const effectiveBikePoint = ctx.applyOverrideToBikePoint(bikePoint);
+      const distanceMeters = distanceMetersBetween(
+        originLat,
+        originLon,
+        Number(effectiveBikePoint.lat),
+        Number(effectiveBikePoint.lon)
+      );
+      if (!(distanceMeters <= LIVE_ACTIVITY_ALTERNATIVES_MAX_DISTANCE_METERS)) continue;
+
+      const data = ctx.effectiveDockDataForDock(bikePoint.id, bikePoint);
+      if (primaryValueForDisplay(data, primaryDisplay) < requiredValue) continue;
+      candidates.push({ dockId: bikePoint.id, distanceMeters, data });
+    }
+
+    return candidates
+      .sort((a, b) => a.distanceMeters - b.distanceMeters)
+      .slice(0, maxAlternatives);
+  }
+
+  function alternativesFromCandidates(candidates) {
+    return candidates.map(({ data }) => ({
+      name: data.dockName,
+      standardBikes: data.standardBikes,
+      eBikes: data.eBikes,
+      emptySpaces: data.emptySpaces,
+    }));
+  }
+
+  function alternativesEqual(a, b) {
+    return JSON.stringify(a || []) === JSON.stringify(b || []);
+  }
+
+  // Returns the push tokens whose alternatives changed and need an update push.
+  function refreshSessionAlternatives(dockId, data, poller) {
+    const changedTokens = new Set();
+    for (const [pushToken, session] of poller.tokens) {
+      const maxAlternatives = sessionMaxAlternatives(session);
+      if (maxAlternatives === 0 || !isBelowAlternativesThreshold(data, session)) continue;
+
+      const candidates = nearbyAlternativesForDock(dockId, session, maxAlternatives);
+      if (!candidates) continue;
+      const alternatives = alternativesFromCandidates(candidates);
+      if (alternativesEqual(alternatives, session.alternatives)) continue;
+
+      session.alternatives = alternatives;
+      session.alternativesRefreshedAt = Date.now();
+      changedTokens.add(pushToken);
+    }
+    if (changedTokens.size > 0) {
+      liveActivityAlternativesRefreshesTotal.inc(changedTokens.size);
+      logger.info(`Refreshed server-side alternatives for ${changedTokens.size} session(s) on dock ${dockId}`);
+    }
+    return changedTokens;
+  }
+
+  // ── Dock Switch Suggestions ──────────────────────────────────────────
+  // When the destination of an in-progress journey runs out of spaces, pollDock sends
+  // the nearest docks that still have room instead of the generic availability alert.
+  // The app accepts an option by calling /live-activity/session/update with its
+  // dockId as targetDockId and the suggestion id as dockSwitchSuggestionId.
+  function shouldSuggestDockSwitch(session, previousData, data) {
+    return (
+      ctx.isInProgressJourneySession(session) &&
+      previousData.emptySpaces > 0 &&
+      data.emptySpaces === 0
+    );
+  }
+
+  function buildDockSwitchSuggestion(dockId, session) {
+    const candidates = nearbyAlternativesForDock(
+      dockId,
+      { primaryDisplay: "spaces", minimumThresholds: session?.minimumThresholds },
+      MAX_DOCK_SWITCH_SUGGESTION_OPTIONS
+    );
+    if (!candidates || candidates.length === 0) return null;
+
+    return {
+      id: crypto.randomUUID(),
+      fromDockId: dockId,
+      createdAt: Date.now(),
+      options: candidates.map(({ dockId: optionDockId, distanceMeters, data }) => ({
+        dockId: optionDockId,
+        name: data.dockName,
+        distanceMeters: Math.round(distanceMeters),
+        standardBikes: data.standardBikes,
+        eBikes: data.eBikes,
+        emptySpaces: data.emptySpaces,
+      })),
+    };
+  }
+
+  function formatSuggestionDistance(distanceMeters) {
+    return distanceMeters < 1000
+      ? `${distanceMeters} m`
+      : `${(distanceMeters / 1000).toFixed(1)} km`;
+  }
+
+  function buildDockSwitchSuggestionMessage(dockName, suggestion) {
+    const safeDockName =
+      typeof dockName === "string" && dockName.trim() ? dockName.trim() : "Your destination";
+    const options = suggestion.options
+      .map(
+        (option) =>
+          `${option.name} (${option.emptySpaces} ${metricLabelForValue("spaces", option.emptySpaces)}, ${formatSuggestionDistance(option.distanceMeters)})`
+      )
+      .join(", ");
+    return `‼️ ${safeDockName} has no spaces left. Nearest with spaces: ${options}`;
+  }
+
+  async function sendDockSwitchSuggestionForSession(dockId, data, pushToken, session, suggestion) {
+    const sessionDeviceToken = session.deviceToken;
+    try {
+      const result = await sendDockSwitchSuggestionPush(
+        sessionDeviceToken,
+        session.buildType,
+        pushToken,
+        dockId,
+        data.dockName,
+        suggestion
+      );
+      if (result.buildType !== session.buildType) {
+        session.buildType = result.buildType;
+      }
+      dockSwitchSuggestionsTotal.inc({ outcome: "sent" });
+      ctx.appendDiagnosticJsonLine("dock_switch_suggestion_sent", {
+        dockId,
+        dockName: data.dockName,
+        suggestionId: suggestion.id,
+        pushToken: ctx.shortenIdentifier(pushToken),
+        deviceToken: ctx.shortenIdentifier(sessionDeviceToken),
+        scheduledJourneyId: session.scheduledJourneyId || null,
+        options: suggestion.options.map((option) => option.dockId),
+      });
+    } catch (err) {
+      if (ctx.isApnsTokenInvalidError(err)) {
+        session.deviceToken = null;
+        logger.info(
+          `Cleared stale dock switch suggestion token: ${sessionDeviceToken.substring(0, 8)}...`
+        );
+      }
+      logger.error(
+        `Failed to send dock switch suggestion to ${sessionDeviceToken.substring(0, 8)}...: ${err.message}`
+      );
+    }
+  }
+
+  function findDockSwitchSuggestionOption(session, suggestionId, targetDockId) {
+    const suggestion = session?.dockSwitchSuggestion;
+    if (!suggestion || suggestion.id !== suggestionId) return null;
+    return suggestion.options.find((option) => option.dockId === targetDockId) || null;
+  }
+
+  async function sendAvailabilityAlertPush(
+    deviceToken,
+    buildType,
+    alertBody,
+    dockId,
+    dockName
+  ) {
+    const sanitizedDockName = ctx.sanitizeDockName(dockName);
+    return ctx.sendAlertPush(
+      deviceToken,
+      buildType,
+      "Dock availability update",
+      alertBody,
+      "availability_alert",
+      "availability alert",
+      {
+        category: LIVE_ACTIVITY_ALERT_CATEGORY,
+        customPayload: {
+          dockId,
+          dockName: sanitizedDockName || dockId,
+        },
+      }
+    );
+  }
+
+  async function sendDockSwitchSuggestionPush(
+    deviceToken,
+    buildType,
+    pushToken,
+    dockId,
+    dockName,
+    suggestion
+  ) {
+    const sanitizedDockName = ctx.sanitizeDockName(dockName);
+    return ctx.sendAlertPush(
+      deviceToken,
+      buildType,
+      "Destination dock is full",
+      buildDockSwitchSuggestionMessage(sanitizedDockName, suggestion),
+      "dock_switch_suggestion",
+      "dock switch suggestion",
+      {
+        category: DOCK_SWITCH_SUGGESTION_CATEGORY,
+        customPayload: {
+          dockId,
+          dockName: sanitizedDockName || dockId,
+          dockSwitchSuggestion: {
+            id: suggestion.id,
+            dockId,
+            pushToken,
+            options: suggestion.options,
+          },
+        },
+      }
+    );
+  }
+
+  async function sendArrivalConfirmationPush(deviceToken, buildType, dockName) {
+    const resolvedDockName =
+      typeof dockName === "string" && dockName.trim() ? dockName.trim() : "your dock";
+    return ctx.sendAlertPush(
+      deviceToken,
+      buildType,
+      "Dock arrival",
+      `Welcome to ${resolvedDockName}!`,
+      "arrival_confirmation",
+      "arrival confirmation"
+    );
+  }
+
+  return {
+    primaryValueForDisplay,
+    minimumThresholdForDisplay,
+    buildAvailabilityAlertMessage,
+    buildAvailabilitySnapshotMessage,
+    sanitizeAlternatives,
+    contentStateWithAlternatives,
+    sanitizeMaxAlternatives,
+    nearbyAlternativesForDock,
+    refreshSessionAlternatives,
+    shouldSuggestDockSwitch,
+    buildDockSwitchSuggestion,
+    sendDockSwitchSuggestionForSession,
+    findDockSwitchSuggestionOption,
+    sendAvailabilityAlertPush,
+    sendArrivalConfirmationPush,
+  };
+}
+
+module.exports = { createAlerts };
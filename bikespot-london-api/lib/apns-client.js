@@ -0,0 +1,617 @@
+// APNs client: provider JWTs, the pooled HTTP/2 connection, pluggable transports and
+// the Live Activity and alert push senders.
+const jwt = require("jsonwebtoken");
+const fs = require("fs");
+const crypto = require("crypto");
+const http2 = require("http2");
+
+// `fakeApns` (a dev/fake-apns.js recorder) backs the "memory" transport when given,
+// so tests can inspect the pushes a particular server instance sends.
+function createApnsClient(ctx, { fakeApns } = {}) {
+  const { config, logger, metrics } = ctx;
+  const {
+    APNS_KEY_ID,
+    APNS_TEAM_ID,
+    APNS_KEY_PATH,
+    APNS_TOPIC,
+    APNS_BACKGROUND_TOPIC,
+    APNS_MAX_CONCURRENT_STREAMS,
+    APNS_SESSION_IDLE_TIMEOUT_MS,
+    APNS_REQUEST_TIMEOUT_MS,
+    APNS_TRANSPORT,
+    APNS_BASE_URL,
+    APNS_USES_APPLE,
+  } = config;
+  const {
+    apnsPoolDisconnectsTotal,
+    apnsPoolConnectsTotal,
+    apnsRequestDuration,
+    apnsPushesTotal,
+  } = metrics;
+
+  // APNS private key, loaded on first use so the module can be required without it
+  // (start() loads it up front to fail fast). Only Apple needs the real key: local
+  // and in-process transports get a throwaway ES256 key so JWT signing still works.
+  let apnsKey = null;
+
+  function getApnsKey() {
+    if (apnsKey) return apnsKey;
+    try {
+      apnsKey = fs.readFileSync(APNS_KEY_PATH, "utf8");
+      logger.info("APNS key loaded successfully");
+    } catch (err) {
+      if (APNS_USES_APPLE) {
+        throw new Error(`Failed to load APNS key from ${APNS_KEY_PATH}: ${err.message}`);
+      }
+      apnsKey = crypto
+        .generateKeyPairSync("ec", { namedCurve: "prime256v1" })
+        .privateKey.export({ type: "pkcs8", format: "pem" });
+      logger.warn(
+        `APNS key not loaded from ${APNS_KEY_PATH} (${err.message}); using an ephemeral key for the ${APNS_TRANSPORT} transport`
+      );
+    }
+    return apnsKey;
+  }
+
+  // APNS JWT token cache
+  let cachedJwt = null;
+  let cachedJwtExpiry = 0;
+
+  function getApnsJwt() {
+    const now = Math.floor(Date.now() / 1000);
+    // Regenerate if expired or within 5 minutes of expiry
+    if (cachedJwt && cachedJwtExpiry - now > 300) {
+      return cachedJwt;
+    }
+    const payload = {
+      iss: APNS_TEAM_ID,
+      iat: now,
+    };
+    cachedJwt = jwt.sign(payload, getApnsKey(), {
+      algorithm: "ES256",
+      header: { alg: "ES256", kid: APNS_KEY_ID },
+    });
+    cachedJwtExpiry = now + 3600; // 1 hour
+    logger.info("Generated new APNS JWT token");
+    return cachedJwt;
+  }
+
+  // ── APNS Push ────────────────────────────────────────────────────────
+  function getApnsHost(buildType) {
+    return buildType === "production"
+      ? "api.push.apple.com"
+      : "api.sandbox.push.apple.com";
+  }
+
+  function getApnsOrigin(buildType) {
+    return APNS_BASE_URL || `https://${getApnsHost(buildType)}`;
+  }
+
+  function oppositeBuildType(buildType) {
+    return buildType === "production" ? "development" : "production";
+  }
+
+  function parseApnsReason(responseData) {
+    if (!responseData) return null;
+    try {
+      const parsed = JSON.parse(responseData);
+      return typeof parsed?.reason === "string" ? parsed.reason : null;
+    } catch {
+      return null;
+    }
+  }
+
+  function buildApnsError(statusCode, responseData, buildType, deviceToken, logLabel) {
+    const reason = parseApnsReason(responseData);
+    const error = new Error(`APNS returned ${statusCode}: ${responseData}`);
+    error.apns = {
+      statusCode,
+      responseData,
+      reason,
+      buildType,
+      deviceToken,
+      logLabel,
+    };
+    return error;
+  }
+
+  function isApnsTokenInvalidError(err) {
+    const reason = err?.apns?.reason;
+    if (reason === "BadDeviceToken" || reason === "Unregistered") {
+      return true;
+    }
+    const body = `${err?.apns?.responseData || ""} ${err?.message || ""}`;
+    return body.includes("BadDeviceToken") || body.includes("Unregistered");
+  }
+
+  function shouldRetryOnAlternateApnsHost(err) {
+    return err?.apns?.statusCode === 400 && err?.apns?.reason === "BadDeviceToken";
+  }
+
+  // ── APNS Connection Pool ─────────────────────────────────────────────
+  // One long-lived HTTP/2 session per APNs origin (sandbox/production), shared by every
+  // push. Requests are multiplexed as streams on that session, capped at
+  // APNS_MAX_CONCURRENT_STREAMS (or the server's advertised limit, if lower) with the
+  // overflow queued. A GOAWAY, connection error or idle timeout retires the session and
+  // the next request opens a fresh one.
+  // Map<origin, { origin, host, session, activeStreams, waiters: Array<() => void>, idleTimer }>
+  const apnsSessionPool = new Map();
+
+  function apnsPoolEntry(origin) {
+    let entry = apnsSessionPool.get(origin);
+    if (!entry) {
+      entry = {
+        origin,
+        host: new URL(origin).host,
+        session: null,
+        activeStreams: 0,
+        waiters: [],
+        idleTimer: null,
+      };
+      apnsSessionPool.set(origin, entry);
+    }
+    return entry;
+  }
+
+  function retireApnsSession(entry, session, reason) {
+    if (entry.session !== session) return;
+    entry.session = null;
+    if (entry.idleTimer) {
+      clearTimeout(entry.idleTimer);
+      entry.idleTimer = null;
+    }
+    apnsPoolDisconnectsTotal.inc({ host: entry.host, reason });
+    logger.info(`Retired APNS session to ${entry.host} (${reason})`);
+    if (!session.closed && !session.destroyed) {
+      // close() lets streams already in flight finish before the socket goes away
+      session.close();
+    }
+  }
+
+  function apnsSessionForEntry(entry) {
+    const existing = entry.session;
+    if (existing && !existing.closed && !existing.destroyed) {
+      return existing;
+    }
+
+    const session = http2.connect(entry.origin);
+    session.on("goaway", () => retireApnsSession(entry, session, "goaway"));
+    session.on("error", (err) => {
+      logger.warn(`APNS session error (${entry.host}): ${err.message}`);
+      retireApnsSession(entry, session, "error");
+    });
+    session.on("close", () => retireApnsSession(entry, session, "close"));
+    entry.session = session;
+    apnsPoolConnectsTotal.inc({ host: entry.host });
+    logger.info(`Opened APNS session to ${entry.host}`);
+    return session;
+  }
+
+  function apnsStreamLimit(entry) {
+    const advertised = entry.session?.remoteSettings?.maxConcurrentStreams;
+    return Number.isFinite(advertised) && advertised > 0
+      ? Math.min(APNS_MAX_CONCURRENT_STREAMS, advertised)
+      : APNS_MAX_CONCURRENT_STREAMS;
+  }
+
+  function acquireApnsStreamSlot(entry) {
+    if (entry.idleTimer) {
+      clearTimeout(entry.idleTimer);
+      entry.idleTimer = null;
+    }
+    if (entry.activeStreams < apnsStreamLimit(entry)) {
+      entry.activeStreams += 1;
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => entry.waiters.push(resolve));
+  }
+
+  function releaseApnsStreamSlot(entry) {
+    const nextWaiter = entry.waiters.shift();
+    if (nextWaiter) {
+      // Hand the slot straight to the next queued request.
+      nextWaiter();
+      return;
+    }
+
+    entry.activeStreams = Math.max(0, entry.activeStreams - 1);
+    if (entry.activeStreams === 0 && entry.session && !entry.idleTimer) {
+      const idleSession = entry.session;
+      entry.idleTimer = setTimeout(() => {
+        entry.idleTimer = null;
+        retireApnsSession(entry, idleSession, "idle");
+      }, APNS_SESSION_IDLE_TIMEOUT_MS);
+      entry.idleTimer.unref();
+    }
+  }
+
+  function closeApnsSessionPool() {
+    for (const entry of apnsSessionPool.values()) {
+      if (entry.session) {
+        retireApnsSession(entry, entry.session, "shutdown");
+      }
+    }
+  }
+
+  function sendApnsStream(entry, deviceToken, buildType, payload, buildHeaders, logLabel) {
+    return new Promise((resolve, reject) => {
+      const host = entry.host;
+      const authToken = getApnsJwt();
+      const start = Date.now();
+      let settled = false;
+      let responseData = "";
+      let statusCode;
+
+      const streamError = (message, extra = {}) => {
+        const wrapped = new Error(message);
+        wrapped.apns = {
+          statusCode: statusCode ?? null,
+          responseData: message,
+          reason: null,
+          buildType,
+          deviceToken,
+          logLabel,
+          ...extra,
+        };
+        return wrapped;
+      };
+
+      const settle = (error, value) => {
+        if (settled) return;
+        settled = true;
+        apnsRequestDuration.observe(
+          { host, status_code: statusCode ? String(statusCode) : "error" },
+          (Date.now() - start) / 1000
+        );
+        if (error) {
+          reject(error);
+        } else {
+          resolve(value);
+        }
+      };
+
+      let req;
+      try {
+        req = apnsSessionForEntry(entry).request(buildHeaders(deviceToken, authToken));
+      } catch (err) {
+        // The session went away between checkout and request (e.g. GOAWAY just landed);
+        // retire it and let the caller retry on a fresh one.
+        if (entry.session) retireApnsSession(entry, entry.session, "error");
+        settle(streamError(`APNS connection error (${host}): ${err.message}`, { retryable: true }));
+        return;
+      }
+
+      req.setTimeout(APNS_REQUEST_TIMEOUT_MS, () => {
+        settle(streamError(`APNS request timed out after ${APNS_REQUEST_TIMEOUT_MS}ms (${host})`));
+        req.close(http2.constants.NGHTTP2_CANCEL);
+      });
+      req.on("response", (headers) => {
+        statusCode = headers[":status"];
+      });
+      req.on("data", (chunk) => {
+        responseData += chunk;
+      });
+      req.on("end", () => {
+        if (statusCode === 200) {
+          settle(null, { statusCode, buildType, host });
+          return;
+        }
+        settle(buildApnsError(statusCode, responseData, buildType, deviceToken, logLabel));
+      });
+      req.on("error", (err) => {
+        settle(streamError(`APNS request error (${host}): ${err.message}`));
+      });
+      req.on("close", () => {
+        // A stream refused by a GOAWAY was never processed by APNs, so it is safe to retry.
+        const refused = req.rstCode === http2.constants.NGHTTP2_REFUSED_STREAM;
+        settle(
+          streamError(`APNS stream closed before a response (${host}, code ${req.rstCode})`, {
+            retryable: refused,
+          })
+        );
+      });
+
+      req.end(payload);
+    });
+  }
+
+  async function sendPooledApnsRequest(deviceToken, buildType, payload, buildHeaders, logLabel) {
+    const entry = apnsPoolEntry(getApnsOrigin(buildType));
+    await acquireApnsStreamSlot(entry);
+    try {
+      try {
+        return await sendApnsStream(entry, deviceToken, buildType, payload, buildHeaders, logLabel);
+      } catch (err) {
+        if (!err?.apns?.retryable) throw err;
+        logger.warn(`Retrying APNS ${logLabel} on a fresh session: ${err.message}`);
+        return await sendApnsStream(entry, deviceToken, buildType, payload, buildHeaders, logLabel);
+      }
+    } finally {
+      releaseApnsStreamSlot(entry);
+    }
+  }
+
+  // ── APNS Transport ───────────────────────────────────────────────────
+  // Every push goes through apnsTransport: { name, send(deviceToken, buildType,
+  // payload, buildHeaders, logLabel), close() }. send resolves with
+  // { statusCode, buildType, host } or rejects with a buildApnsError-style error, so
+  // the fallback, token cleanup and metrics above it work the same for every transport.
+  function createHttp2ApnsTransport() {
+    return {
+      name: APNS_BASE_URL ? `http2 (${APNS_BASE_URL})` : "http2",
+      send: sendPooledApnsRequest,
+      close: closeApnsSessionPool,
+    };
+  }
+
+  function createInProcessApnsTransport(fakeApns) {
+    return {
+      name: "memory",
+      fakeApns,
+      async send(deviceToken, buildType, payload, buildHeaders, logLabel) {
+        const headers = {
+          ":authority": getApnsHost(buildType),
+          ...buildHeaders(deviceToken, getApnsJwt()),
+        };
+        const response = await fakeApns.handle({ headers, body: payload });
+        if (response.status === 200) {
+          return { statusCode: response.status, buildType, host: "memory" };
+        }
+        throw buildApnsError(response.status, response.body, buildType, deviceToken, logLabel);
+      },
+      close() {},
+    };
+  }
+
+  function createApnsTransport(name) {
+    if (name === "http2") return createHttp2ApnsTransport();
+    if (name === "memory") {
+      return createInProcessApnsTransport(
+        fakeApns || require("../dev/fake-apns").createFakeApns()
+      );
+    }
+    return null;
+  }
+
+  const apnsTransport = createApnsTransport(APNS_TRANSPORT);
+  if (!apnsTransport) {
+    throw new Error(`Unknown APNS_TRANSPORT "${APNS_TRANSPORT}" (expected "http2" or "memory")`);
+  }
+
+  // Requests currently on the wire (as promises that never reject), so shutdown can
+  // wait for them.
+  const inFlightApnsRequests = new Set();
+
+  function sendApnsRequestOnce(deviceToken, buildType, payload, buildHeaders, logLabel) {
+    const request = apnsTransport.send(deviceToken, buildType, payload, buildHeaders, logLabel);
+    const tracked = request
+      .catch(() => {})
+      .finally(() => inFlightApnsRequests.delete(tracked));
+    inFlightApnsRequests.add(tracked);
+    return request;
+  }
+
+  // Waits for in-flight requests (including fallback retries they start) for at most
+  // timeoutMs. Resolves with the number still outstanding when it gave up.
+  async function drainApnsRequests(timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    while (inFlightApnsRequests.size > 0) {
+      const remainingMs = deadline - Date.now();
+      if (remainingMs <= 0) break;
+      let timer;
+      await Promise.race([
+        Promise.all(inFlightApnsRequests),
+        new Promise((resolve) => {
+          timer = setTimeout(resolve, remainingMs);
+        }),
+      ]);
+      clearTimeout(timer);
+    }
+    if (inFlightApnsRequests.size > 0) {
+      logger.warn(
+        `Gave up waiting for ${inFlightApnsRequests.size} in-flight APNs request(s)`
+      );
+    }
+    return inFlightApnsRequests.size;
+  }
+
+  async function sendApnsRequestWithFallback(
+    deviceToken,
+    buildType,
+    payload,
+    buildHeaders,
+    logLabel
+  ) {
+    try {
+      return await sendApnsRequestOnce(
+        deviceToken,
+        buildType,
+        payload,
+        buildHeaders,
+        logLabel
+      );
+    } catch (primaryError) {
+      if (!shouldRetryOnAlternateApnsHost(primaryError)) {
+        throw primaryError;
+      }
+
+      const fallbackBuildType = oppositeBuildType(buildType);
+      logger.warn(
+        `APNS ${logLabel} returned BadDeviceToken on ${buildType}; retrying ${fallbackBuildType} for ${deviceToken.substring(0, 8)}...`
+      );
+
+      const fallbackResult = await sendApnsRequestOnce(
+        deviceToken,
+        fallbackBuildType,
+        payload,
+        buildHeaders,
+        logLabel
+      );
+
+      logger.info(
+        `APNS ${logLabel} succeeded on fallback host (${fallbackBuildType}) for ${deviceToken.substring(0, 8)}...`
+      );
+      return fallbackResult;
+    }
+  }
+
+  async function sendApnsPush(pushToken, contentState, event, buildType) {
+    const aps = {
+      timestamp: Math.floor(Date.now() / 1000),
+      event: event,
+      "content-state": contentState,
+    };
+
+    // For "end" events, add dismissal-date to immediately dismiss the activity
+    if (event === "end") {
+      aps["dismissal-date"] = Math.floor(Date.now() / 1000);
+      logger.info(`Sending "end" push with dismissal-date to ${pushToken.substring(0, 8)}...`);
+    }
+
+    const payload = JSON.stringify({ aps });
+
+    try {
+      const result = await sendApnsRequestWithFallback(
+        pushToken,
+        buildType,
+        payload,
+        (token, authToken) => ({
+          ":method": "POST",
+          ":path": `/3/device/${token}`,
+          authorization: `bearer ${authToken}`,
+          "apns-topic": APNS_TOPIC,
+          "apns-push-type": "liveactivity",
+          "apns-priority": "10",
+          "content-type": "application/json",
+        }),
+        `liveactivity ${event}`
+      );
+      ctx.recordPushEvent({
+        target: pushToken,
+        channel: "live_activity",
+        type: `live_activity_${event}`,
+        result: "ok",
+        status: result.statusCode,
+        apnsEnv: result.buildType,
+        raw: { event, contentState },
+      });
+      apnsPushesTotal.inc({ event, build_type: result.buildType, status: "success" });
+      return { status: result.statusCode, buildType: result.buildType };
+    } catch (err) {
+      const metricBuildType = err?.apns?.buildType || buildType;
+      const statusCode = err?.apns?.statusCode ?? "unknown";
+      const responseData = err?.apns?.responseData || err.message;
+      ctx.recordPushEvent({
+        target: pushToken,
+        channel: "live_activity",
+        type: `live_activity_${event}`,
+        result: "error",
+        status: statusCode,
+        error: responseData,
+        apnsEnv: metricBuildType,
+        raw: { event, contentState },
+      });
+      apnsPushesTotal.inc({ event, build_type: metricBuildType, status: "failure" });
+      logger.error(
+        `APNS push failed (${statusCode}): ${responseData} [token: ${pushToken.substring(0, 8)}...]`
+      );
+      throw err;
+    }
+  }
+
+  async function sendAlertPush(
+    deviceToken,
+    buildType,
+    title,
+    body,
+    event,
+    logLabel,
+    options = {}
+  ) {
+    const payloadBody = {
+      aps: {
+        alert: {
+          title,
+          body,
+        },
+        sound: "default",
+      },
+    };
+
+    if (
+      typeof options.category === "string" &&
+      options.category.trim()
+    ) {
+      payloadBody.aps.category = options.category.trim();
+    }
+
+    if (options.customPayload && typeof options.customPayload === "object") {
+      Object.assign(payloadBody, options.customPayload);
+    }
+
+    const payload = JSON.stringify(payloadBody);
+
+    try {
+      const result = await sendApnsRequestWithFallback(
+        deviceToken,
+        buildType,
+        payload,
+        (token, authToken) => ({
+          ":method": "POST",
+          ":path": `/3/device/${token}`,
+          authorization: `bearer ${authToken}`,
+          "apns-topic": APNS_BACKGROUND_TOPIC,
+          "apns-push-type": "alert",
+          "apns-priority": "10",
+          "content-type": "application/json",
+        }),
+        logLabel
+      );
+      ctx.recordPushEvent({
+        target: deviceToken,
+        channel: "notification",
+        type: event,
+        title,
+        body,
+        result: "ok",
+        status: result.statusCode,
+        apnsEnv: result.buildType,
+      });
+      apnsPushesTotal.inc({ event, build_type: result.buildType, status: "success" });
+      return { status: result.statusCode, buildType: result.buildType };
+    } catch (err) {
+      const metricBuildType = err?.apns?.buildType || buildType;
+      const statusCode = err?.apns?.statusCode ?? "unknown";
+      const responseData = err?.apns?.responseData || err.message;
+      ctx.recordPushEvent({
+        target: deviceToken,
+        channel: "notification",
+        type: event,
+        title,
+        body,
+        result: "error",
+        status: statusCode,
+        error: responseData,
+        apnsEnv: metricBuildType,
+      });
+      apnsPushesTotal.inc({ event, build_type: metricBuildType, status: "failure" });
+      logger.error(
+        `${logLabel} push failed (${statusCode}): ${responseData} [token: ${deviceToken.substring(0, 8)}...]`
+      );
+      throw err;
+    }
+  }
+
+  return {
+    getApnsKey,
+    isApnsTokenInvalidError,
+    apnsSessionPool,
+    apnsTransport,
+    drainApnsRequests,
+    sendApnsRequestWithFallback,
+    sendApnsPush,
+    sendAlertPush,
+  };
+}
+
+module.exports = { createApnsClient };
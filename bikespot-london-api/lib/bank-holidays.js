@@ -0,0 +1,100 @@
+// UK bank holiday calendar, read from BANK_HOLIDAYS_PATH (gov.uk's bank-holidays.json
+// format) so scheduled journeys can skip them. Regions are gov.uk's divisions.
+const fs = require("fs");
+const express = require("express");
+
+const BANK_HOLIDAY_REGIONS = ["england-and-wales", "scotland", "northern-ireland"];
+const DEFAULT_BANK_HOLIDAY_REGION = "england-and-wales";
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function createBankHolidays(ctx) {
+  const { config, logger } = ctx;
+  const { BANK_HOLIDAYS_PATH } = config;
+
+  // region -> Map<dateKey, title>
+  const bankHolidays = new Map(BANK_HOLIDAY_REGIONS.map((region) => [region, new Map()]));
+
+  function loadBankHolidays() {
+    try {
+      const calendar = JSON.parse(fs.readFileSync(BANK_HOLIDAYS_PATH, "utf8"));
+      let lastDateKey = null;
+      for (const region of BANK_HOLIDAY_REGIONS) {
+        const dates = bankHolidays.get(region);
+        for (const event of calendar?.[region]?.events || []) {
+          if (typeof event?.date !== "string" || !DATE_KEY_PATTERN.test(event.date)) continue;
+          dates.set(event.date, typeof event.title === "string" ? event.title : "Bank holiday");
+          if (!lastDateKey || event.date > lastDateKey) lastDateKey = event.date;
+        }
+      }
+      logger.info(
+        `Loaded UK bank holidays from ${BANK_HOLIDAYS_PATH} (${bankHolidays.get(DEFAULT_BANK_HOLIDAY_REGION).size} in ${DEFAULT_BANK_HOLIDAY_REGION}, up to ${lastDateKey || "none"})`
+      );
+      // gov.uk publishes about a year ahead; warn before the calendar runs out.
+      const currentYear = new Date().getUTCFullYear();
+      if (!lastDateKey || Number(lastDateKey.slice(0, 4)) <= currentYear) {
+        logger.warn(
+          `UK bank holiday calendar ends ${lastDateKey || "before today"}; run npm run update-bank-holidays`
+        );
+      }
+    } catch (err) {
+      logger.warn(`Could not load UK bank holidays from ${BANK_HOLIDAYS_PATH}: ${err.message}`);
+    }
+  }
+
+  loadBankHolidays();
+
+  function sanitizeBankHolidayRegion(rawValue) {
+    if (rawValue === undefined || rawValue === null || rawValue === "") {
+      return DEFAULT_BANK_HOLIDAY_REGION;
+    }
+    return BANK_HOLIDAY_REGIONS.includes(rawValue) ? rawValue : null;
+  }
+
+  // The bank holiday on a local date, as { date, title }, or null.
+  function bankHolidayOn(region, dateKey) {
+    const title = bankHolidays.get(region || DEFAULT_BANK_HOLIDAY_REGION)?.get(dateKey);
+    return title ? { date: dateKey, title } : null;
+  }
+
+  function bankHolidaysBetween(region, fromDateKey, toDateKey) {
+    return Array.from(bankHolidays.get(region)?.entries() || [])
+      .filter(([dateKey]) => dateKey >= fromDateKey && dateKey <= toDateKey)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([date, title]) => ({ date, title }));
+  }
+
+  // ── Routes ───────────────────────────────────────────────────────────
+  const router = express.Router();
+
+  // Lets the app show which upcoming dates "skip on bank holidays" will skip.
+  router.get("/bank-holidays", (req, res) => {
+    const region = sanitizeBankHolidayRegion(req.query.region);
+    if (!region) {
+      return res
+        .status(400)
+        .json({ error: `region must be one of ${BANK_HOLIDAY_REGIONS.join(", ")}` });
+    }
+    const from =
+      typeof req.query.from === "string" && DATE_KEY_PATTERN.test(req.query.from)
+        ? req.query.from
+        : new Date().toISOString().slice(0, 10);
+    const to =
+      typeof req.query.to === "string" && DATE_KEY_PATTERN.test(req.query.to)
+        ? req.query.to
+        : `${Number(from.slice(0, 4)) + 1}${from.slice(4)}`;
+    res.json({ region, from, to, bankHolidays: bankHolidaysBetween(region, from, to) });
+  });
+
+  return {
+    router,
+    sanitizeBankHolidayRegion,
+    bankHolidayOn,
+    bankHolidaysBetween,
+  };
+}
+
+module.exports = {
+  createBankHolidays,
+  BANK_HOLIDAY_REGIONS,
+  DEFAULT_BANK_HOLIDAY_REGION,
+};
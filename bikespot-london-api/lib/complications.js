@@ -0,0 +1,219 @@
+// Watch complication refresh: registered tokens, the silent background push cycle and
+// the /complication routes.
+const express = require("express");
+const fs = require("fs");
+
+function createComplications(ctx) {
+  const { config, logger, metrics } = ctx;
+  const {
+    APNS_BACKGROUND_TOPIC,
+    COMPLICATION_REFRESH_INTERVAL_MS,
+    COMPLICATION_TOKENS_PATH,
+  } = config;
+  const { complicationPushesTotal } = metrics;
+  const router = express.Router();
+
+  // ── Complication Refresh Tokens ───────────────────────────────────────
+  // Regular APNs device tokens registered to receive silent background refresh pushes.
+  // Map<deviceToken, { buildType: 'development'|'production', registeredAt: number }>
+  const complicationTokens = new Map();
+
+  function loadComplicationTokens() {
+    try {
+      if (!fs.existsSync(COMPLICATION_TOKENS_PATH)) return;
+      const raw = fs.readFileSync(COMPLICATION_TOKENS_PATH, "utf8");
+      const entries = JSON.parse(raw);
+      for (const [token, meta] of entries) {
+        complicationTokens.set(token, meta);
+      }
+      logger.info(
+        `Loaded ${complicationTokens.size} complication token(s) from disk`
+      );
+    } catch (err) {
+      logger.warn(`Could not load complication tokens from disk: ${err.message}`);
+    }
+  }
+
+  function saveComplicationTokens() {
+    try {
+      const entries = Array.from(complicationTokens.entries());
+      fs.writeFileSync(COMPLICATION_TOKENS_PATH, JSON.stringify(entries, null, 2));
+    } catch (err) {
+      logger.warn(`Could not save complication tokens to disk: ${err.message}`);
+    }
+  }
+
+  loadComplicationTokens();
+
+  // ── Silent Background Push (complication refresh) ─────────────────────
+  // Sends a content-available:1 push to wake the iOS app so it can fetch
+  // fresh dock data and relay it to the watch via transferCurrentComplicationUserInfo.
+  // Background pushes MUST use apns-priority: 5 (not 10).
+  async function sendBackgroundPush(deviceToken, buildType) {
+    const payload = JSON.stringify({ aps: { "content-available": 1 } });
+
+    try {
+      const result = await ctx.sendApnsRequestWithFallback(
+        deviceToken,
+        buildType,
+        payload,
+        (token, authToken) => ({
+          ":method": "POST",
+          ":path": `/3/device/${token}`,
+          authorization: `bearer ${authToken}`,
+          "apns-topic": APNS_BACKGROUND_TOPIC,
+          "apns-push-type": "background",
+          "apns-priority": "5", // MUST be 5 for background pushes
+          "apns-expiration": "0", // Don't deliver stale wake-ups
+          "content-type": "application/json",
+        }),
+        "background"
+      );
+      ctx.recordPushEvent({
+        target: deviceToken,
+        channel: "background",
+        type: "complication_refresh",
+        result: "ok",
+        status: result.statusCode,
+        apnsEnv: result.buildType,
+      });
+      complicationPushesTotal.inc({ build_type: result.buildType, status: "success" });
+      return { status: result.statusCode, buildType: result.buildType };
+    } catch (err) {
+      const metricBuildType = err?.apns?.buildType || buildType;
+      const statusCode = err?.apns?.statusCode ?? "unknown";
+      const responseData = err?.apns?.responseData || err.message;
+      ctx.recordPushEvent({
+        target: deviceToken,
+        channel: "background",
+        type: "complication_refresh",
+        result: "error",
+        status: statusCode,
+        error: responseData,
+        apnsEnv: metricBuildType,
+      });
+      complicationPushesTotal.inc({ build_type: metricBuildType, status: "failure" });
+      logger.error(
+        `Background push failed (${statusCode}): ${responseData} [token: ${deviceToken.substring(0, 8)}...]`
+      );
+      throw err;
+    }
+  }
+
+  // ── Complication Refresh Scheduler ────────────────────────────────────
+  // Fires a silent push to every registered device every COMPLICATION_REFRESH_INTERVAL_MS.
+  // The iOS app wakes, fetches fresh TfL data, writes to the shared app group, and calls
+  // transferCurrentComplicationUserInfo to push the data to the watch face.
+  let complicationPushCycle = 0;
+  async function runComplicationPushCycle() {
+    if (complicationTokens.size === 0) return;
+
+    complicationPushCycle++;
+    logger.info(
+      `Complication push cycle #${complicationPushCycle}: waking ${complicationTokens.size} device(s)`
+    );
+
+    const staleTokens = [];
+    let didUpdateBuildTypes = false;
+
+    await Promise.all(
+      Array.from(complicationTokens.entries()).map(async ([deviceToken, metadata]) => {
+        const currentBuildType = metadata.buildType;
+        try {
+          const result = await sendBackgroundPush(deviceToken, currentBuildType);
+          if (result.buildType !== currentBuildType) {
+            metadata.buildType = result.buildType;
+            didUpdateBuildTypes = true;
+            logger.info(
+              `Updated complication token environment to ${result.buildType}: ${deviceToken.substring(0, 8)}...`
+            );
+          }
+        } catch (err) {
+          // Remove tokens that APNs has flagged as bad
+          if (ctx.isApnsTokenInvalidError(err)) {
+            staleTokens.push(deviceToken);
+            logger.info(`Removing stale complication token: ${deviceToken.substring(0, 8)}...`);
+          }
+        }
+      })
+    );
+
+    for (const token of staleTokens) complicationTokens.delete(token);
+    if (staleTokens.length > 0 || didUpdateBuildTypes) saveComplicationTokens();
+  }
+
+  // ── Complication Refresh Endpoints ────────────────────────────────────
+
+  // Register a device token to receive periodic silent background pushes.
+  // The iOS app calls this on launch whenever it receives a fresh APNs device token.
+  router.post("/complication/register", (req, res) => {
+    const { deviceToken, buildType } = req.body;
+    const normalizedDeviceToken = ctx.normalizeApnsDeviceToken(deviceToken);
+
+    if (!normalizedDeviceToken || !buildType) {
+      return res.status(400).json({ error: "Missing required fields: deviceToken, buildType" });
+    }
+    if (buildType !== "development" && buildType !== "production") {
+      return res.status(400).json({ error: 'buildType must be "development" or "production"' });
+    }
+
+    const isNew = !complicationTokens.has(normalizedDeviceToken);
+    complicationTokens.set(normalizedDeviceToken, { buildType, registeredAt: Date.now() });
+    saveComplicationTokens();
+
+    logger.info(
+      `Complication token ${isNew ? "registered" : "refreshed"}: ` +
+      `${normalizedDeviceToken.substring(0, 8)}... (${buildType}, total: ${complicationTokens.size})`
+    );
+
+    res.json({
+      success: true,
+      message: "Registered for complication refresh",
+      refreshIntervalSeconds: COMPLICATION_REFRESH_INTERVAL_MS / 1000,
+    });
+  });
+
+  // Unregister a device token (e.g. on app uninstall / user opt-out).
+  router.post("/complication/unregister", (req, res) => {
+    const { deviceToken } = req.body;
+    const normalizedDeviceToken = ctx.normalizeApnsDeviceToken(deviceToken);
+
+    if (!normalizedDeviceToken) {
+      return res.status(400).json({ error: "Missing required field: deviceToken" });
+    }
+
+    const existed = complicationTokens.delete(normalizedDeviceToken);
+    saveComplicationTokens();
+    logger.info(
+      `Complication token unregistered: ${normalizedDeviceToken.substring(0, 8)}... ` +
+      `(existed: ${existed}, remaining: ${complicationTokens.size})`
+    );
+
+    res.json({ success: true });
+  });
+
+  // Show registered complication tokens (truncated for privacy).
+  router.get("/complication/status", (_req, res) => {
+    const tokens = Array.from(complicationTokens.entries()).map(
+      ([token, { buildType, registeredAt }]) => ({
+        token: token.substring(0, 8) + "...",
+        buildType,
+        registeredAt: new Date(registeredAt).toISOString(),
+      })
+    );
+    res.json({
+      count: complicationTokens.size,
+      refreshIntervalSeconds: COMPLICATION_REFRESH_INTERVAL_MS / 1000,
+      tokens,
+    });
+  });
+
+  return {
+    complicationTokens,
+    saveComplicationTokens,
+    runComplicationPushCycle,
+    router,
+  };
+}
+
+module.exports = { createComplications };
@@ -0,0 +1,328 @@
+const path = require("path");
+
+const ROOT_DIR = path.join(__dirname, "..");
+
+// Reads every setting once from `env` (process.env by default). The returned object is
+// the only place modules get configuration from, so several servers with different
+// settings can run in one process.
+function loadConfig(env = process.env) {
+  // Configuration (override via environment variables)
+  const PORT = parseInt(env.PORT || "3010", 10);
+  const POLL_INTERVAL_MS = parseInt(
+    env.POLL_INTERVAL_MS || "15000",
+    10
+  );
+  // Shared full-feed /BikePoint snapshot used by pollers and proxy routes
+  const BIKEPOINT_SNAPSHOT_REFRESH_INTERVAL_MS = parseInt(
+    env.BIKEPOINT_SNAPSHOT_REFRESH_INTERVAL_MS || String(POLL_INTERVAL_MS),
+    10
+  );
+  const BIKEPOINT_SNAPSHOT_MAX_AGE_MS = parseInt(
+    env.BIKEPOINT_SNAPSHOT_MAX_AGE_MS ||
+      String(BIKEPOINT_SNAPSHOT_REFRESH_INTERVAL_MS * 3),
+    10
+  ); // older snapshots fall back to per-dock /Place requests
+  const SESSION_TIMEOUT_MS = parseInt(
+    env.SESSION_TIMEOUT_MS || "7200000",
+    10
+  ); // 2 hours
+  const MAX_NOTIFICATION_WINDOW_MS = parseInt(
+    env.MAX_NOTIFICATION_WINDOW_MS || "7200000",
+    10
+  ); // hard cap for notification updates
+  const APNS_KEY_ID = env.APNS_KEY_ID || "UQ2DV6UTF4";
+  const APNS_TEAM_ID = env.APNS_TEAM_ID || "SJ8X4DLAN9";
+  const APNS_KEY_PATH =
+    env.APNS_KEY_PATH ||
+    path.join(ROOT_DIR, "certs", "APNS_AuthKey_SkyNoLimit_SandboxAndProd.p8");
+  const APNS_TOPIC =
+    env.APNS_TOPIC ||
+    "dev.skynolimit.myborisbikes.My-Boris-Bikes.push-type.liveactivity";
+  // Regular app bundle-ID topic used for silent background pushes (not Live Activities)
+  const APNS_BACKGROUND_TOPIC =
+    env.APNS_BACKGROUND_TOPIC_MY_BORIS_BIKES ||
+    env.APNS_BACKGROUND_TOPIC ||
+    (APNS_TOPIC.endsWith(".push-type.liveactivity")
+      ? APNS_TOPIC.replace(/\.push-type\.liveactivity$/, "")
+      : APNS_TOPIC);
+  // How often (ms) to send a silent background push to wake iOS for complication refresh
+  const COMPLICATION_REFRESH_INTERVAL_MS = parseInt(
+    env.COMPLICATION_REFRESH_INTERVAL_MS || "60000",
+    10
+  );
+  const START_ARRIVAL_DESTINATION_SPACE_ALERT_DELAY_MS = parseInt(
+    env.START_ARRIVAL_DESTINATION_SPACE_ALERT_DELAY_MS || "30000",
+    10
+  );
+  const DESTINATION_AVAILABILITY_GENERIC_ALERT_SUPPRESSION_MS = parseInt(
+    env.DESTINATION_AVAILABILITY_GENERIC_ALERT_SUPPRESSION_MS || "120000",
+    10
+  );
+  const DEFAULT_NOTIFICATION_WINDOW_MS = 2 * 60 * 60 * 1000;
+  const HARD_NOTIFICATION_CUTOFF_MS = 2 * 60 * 60 * 1000;
+  const EFFECTIVE_MAX_NOTIFICATION_WINDOW_MS =
+    Number.isFinite(MAX_NOTIFICATION_WINDOW_MS) && MAX_NOTIFICATION_WINDOW_MS > 0
+      ? MAX_NOTIFICATION_WINDOW_MS
+      : DEFAULT_NOTIFICATION_WINDOW_MS;
+  const TFL_API_BASE = (env.TFL_API_BASE || "https://api.tfl.gov.uk").replace(
+    /\/+$/,
+    ""
+  ); // point at dev/fake-tfl.js for offline runs
+  const LOG_DIR = env.LOG_DIR || path.join(ROOT_DIR, "logs");
+  const LOG_LEVEL = env.LOG_LEVEL || "info";
+  const COMPLICATION_TOKENS_PATH =
+    env.COMPLICATION_TOKENS_PATH ||
+    path.join(ROOT_DIR, "complication-tokens.json");
+  const DOCK_OVERRIDES_PATH =
+    env.DOCK_OVERRIDES_PATH ||
+    path.join(ROOT_DIR, "dock-overrides.json");
+  const ARRIVAL_RECEIPTS_PATH =
+    env.ARRIVAL_RECEIPTS_PATH ||
+    path.join(ROOT_DIR, "arrival-receipts.json");
+  const ARRIVAL_RECEIPT_TTL_MS = 24 * 60 * 60 * 1000;
+  const LIVE_ACTIVITY_SESSIONS_PATH =
+    env.LIVE_ACTIVITY_SESSIONS_PATH ||
+    path.join(ROOT_DIR, "live-activity-sessions.json");
+  const LIVE_ACTIVITY_SESSIONS_SAVE_DELAY_MS = 2000;
+  // gov.uk's bank-holidays.json format; `npm run update-bank-holidays` refreshes the
+  // bundled copy.
+  const BANK_HOLIDAYS_PATH =
+    env.BANK_HOLIDAYS_PATH ||
+    path.join(ROOT_DIR, "lib", "uk-bank-holidays.json");
+  const DELAYED_JOBS_PATH =
+    env.DELAYED_JOBS_PATH ||
+    path.join(ROOT_DIR, "delayed-jobs.json"); // used when MongoDB is not configured
+  const DELAYED_JOB_MAX_ATTEMPTS = parseInt(
+    env.DELAYED_JOB_MAX_ATTEMPTS || "5",
+    10
+  );
+  const DELAYED_JOB_RETRY_DELAY_MS = parseInt(
+    env.DELAYED_JOB_RETRY_DELAY_MS || "30000",
+    10
+  ); // multiplied by the attempt number
+  const SHUTDOWN_TIMEOUT_MS = parseInt(
+    env.SHUTDOWN_TIMEOUT_MS || "10000",
+    10
+  ); // how long shutdown waits for in-flight requests and APNs pushes
+  const ADMIN_USERNAME = env.ADMIN_USERNAME || "admin";
+  const ADMIN_PASSWORD = env.ADMIN_PASSWORD || "";
+  const ADMIN_API_TOKENS = env.ADMIN_API_TOKENS || ""; // comma-separated, optionally `name:token`
+  const ADMIN_AUTH_DISABLED = env.ADMIN_AUTH_DISABLED === "true"; // local development only
+  const ADMIN_SESSION_TTL_MS = parseInt(
+    env.ADMIN_SESSION_TTL_MS || "43200000",
+    10
+  ); // 12 hours
+  const ADMIN_AUDIT_LOG_PATH =
+    env.ADMIN_AUDIT_LOG_PATH ||
+    path.join(ROOT_DIR, "admin-audit.jsonl");
+  const MAX_ADMIN_AUDIT_LOG_ENTRIES = 500;
+  const ADMIN_LOGIN_MAX_FAILURES = 5;
+  const ADMIN_LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+  const APNS_MAX_CONCURRENT_STREAMS = parseInt(
+    env.APNS_MAX_CONCURRENT_STREAMS || "100",
+    10
+  );
+  const APNS_SESSION_IDLE_TIMEOUT_MS = parseInt(
+    env.APNS_SESSION_IDLE_TIMEOUT_MS || "600000",
+    10
+  ); // close pooled APNs sessions after 10 minutes without traffic
+  const APNS_REQUEST_TIMEOUT_MS = parseInt(
+    env.APNS_REQUEST_TIMEOUT_MS || "10000",
+    10
+  );
+  // "http2" sends to Apple (or to APNS_BASE_URL when set, e.g. dev/fake-apns.js);
+  // "memory" answers pushes in-process with the same fake and never touches the network.
+  const APNS_TRANSPORT = (env.APNS_TRANSPORT || "http2").trim().toLowerCase();
+  const APNS_BASE_URL = (env.APNS_BASE_URL || "").trim().replace(/\/+$/, "");
+  const APNS_USES_APPLE = APNS_TRANSPORT === "http2" && !APNS_BASE_URL;
+  const MAX_LIVE_ACTIVITY_ALTERNATIVES = 5;
+  const LIVE_ACTIVITY_ALTERNATIVES_MAX_DISTANCE_METERS = parseInt(
+    env.LIVE_ACTIVITY_ALTERNATIVES_MAX_DISTANCE_METERS || "1600",
+    10
+  ); // ~1 mile, matching the app's default alternative search distance
+  const VALID_PRIMARY_DISPLAYS = new Set(["bikes", "eBikes", "allBikes", "spaces"]);
+  const MAX_PUSH_EVENT_LOG_ENTRIES = 500;
+  const MAX_BACKGROUND_LOCATION_EVENT_LOG_ENTRIES = 500;
+  const LIVE_ACTIVITY_ALERT_CATEGORY = "LIVE_ACTIVITY_ALERT";
+  const DOCK_SWITCH_SUGGESTION_CATEGORY = "DOCK_SWITCH_SUGGESTION";
+  const MAX_DOCK_SWITCH_SUGGESTION_OPTIONS = 3;
+  const MONGODB_URI =
+    env.MONGODB_URI_BIKESPOT_LONDON ||
+    env.MONGODB_URI_MY_BORIS_BIKES ||
+    env.MONGODB_URI ||
+    env.MONGO_URI ||
+    "";
+  const MONGODB_DB_NAME = env.MONGODB_DB_NAME || "my_boris_bikes";
+  const SCHEDULED_JOURNEYS_COLLECTION =
+    env.SCHEDULED_JOURNEYS_COLLECTION || "scheduled_journeys";
+  const LIVE_ACTIVITY_SESSIONS_COLLECTION =
+    env.LIVE_ACTIVITY_SESSIONS_COLLECTION || "live_activity_sessions";
+  const DOCK_HISTORY_COLLECTION =
+    env.DOCK_HISTORY_COLLECTION || "dock_history";
+  const DELAYED_JOBS_COLLECTION =
+    env.DELAYED_JOBS_COLLECTION || "delayed_jobs";
+  const DEVICE_QUOTAS_COLLECTION =
+    env.DEVICE_QUOTAS_COLLECTION || "device_quotas";
+  const JOURNEY_RUNS_COLLECTION = env.JOURNEY_RUNS_COLLECTION || "journey_runs";
+  const JOURNEY_RUNS_RETENTION_DAYS = parseInt(
+    env.JOURNEY_RUNS_RETENTION_DAYS || "365",
+    10
+  );
+  const JOURNEY_RUN_STATES_COLLECTION =
+    env.JOURNEY_RUN_STATES_COLLECTION || "journey_run_states";
+  const JOURNEY_RUN_STATE_RETENTION_DAYS = parseInt(
+    env.JOURNEY_RUN_STATE_RETENTION_DAYS || "14",
+    10
+  ); // how long a completed or stopped run is remembered, counted from its date
+  const ACCOUNTS_COLLECTION = env.ACCOUNTS_COLLECTION || "accounts";
+  const DEVICES_COLLECTION = env.DEVICES_COLLECTION || "devices";
+  const ACCOUNT_LINK_CODE_TTL_MS = parseInt(
+    env.ACCOUNT_LINK_CODE_TTL_MS || "600000",
+    10
+  ); // how long a code for adding a device to an account stays valid
+  const DOCK_HISTORY_RAW_RETENTION_DAYS = parseInt(
+    env.DOCK_HISTORY_RAW_RETENTION_DAYS || "14",
+    10
+  );
+  const DOCK_HISTORY_5M_RETENTION_DAYS = parseInt(
+    env.DOCK_HISTORY_5M_RETENTION_DAYS || "120",
+    10
+  );
+  const DOCK_HISTORY_HOURLY_RETENTION_DAYS = parseInt(
+    env.DOCK_HISTORY_HOURLY_RETENTION_DAYS || "730",
+    10
+  );
+  const DOCK_HISTORY_MIN_SAMPLE_INTERVAL_MS = 10000;
+  const DOCK_HISTORY_FLUSH_INTERVAL_MS = parseInt(
+    env.DOCK_HISTORY_FLUSH_INTERVAL_MS || "60000",
+    10
+  ); // how often partially filled 5m/1h buckets are written
+  const SCHEDULED_JOURNEY_CHECK_INTERVAL_MS = parseInt(
+    env.SCHEDULED_JOURNEY_CHECK_INTERVAL_MS || "60000",
+    10
+  );
+  const SCHEDULED_JOURNEY_START_GRACE_MINUTES = parseInt(
+    env.SCHEDULED_JOURNEY_START_GRACE_MINUTES || "30",
+    10
+  ); // how long after startTime a missed run is still started (capped at the window)
+  const SCHEDULED_JOURNEY_FORECAST_LEAD_MINUTES = parseInt(
+    env.SCHEDULED_JOURNEY_FORECAST_LEAD_MINUTES || "30",
+    10
+  ); // warn this long before startTime if the start dock usually empties; 0 disables
+  const SCHEDULED_JOURNEY_FORECAST_MIN_BIKES = 1;
+  const MAX_SCHEDULED_JOURNEYS_PER_DEVICE = parseInt(
+    env.MAX_SCHEDULED_JOURNEYS_PER_DEVICE || "5",
+    10
+  ); // the standard plan's journey limit
+  const MAX_SCHEDULED_JOURNEY_WINDOW_MINUTES = parseInt(
+    env.MAX_SCHEDULED_JOURNEY_WINDOW_MINUTES || "720",
+    10
+  ); // the standard plan's longest startTime-endTime window
+  // Quota plans for scheduled journeys. Devices without an entry in
+  // DEVICE_QUOTAS_COLLECTION get "standard"; admins can move a device to another plan
+  // or override single limits.
+  const SCHEDULED_JOURNEY_PLANS = {
+    standard: {
+      maxJourneys: MAX_SCHEDULED_JOURNEYS_PER_DEVICE,
+      maxWindowMinutes: MAX_SCHEDULED_JOURNEY_WINDOW_MINUTES,
+    },
+    extended: { maxJourneys: 20, maxWindowMinutes: 18 * 60 },
+  };
+  const MAX_SCHEDULED_JOURNEY_EXCEPTIONS = 50; // per list: skipDates, pauseRanges, extraRuns
+  const MAX_SCHEDULED_JOURNEY_LEGS = 4;
+  const TEST_INTERVAL_MS = parseInt(
+    env.TEST_INTERVAL_MS || "30000",
+    10
+  ); // /live-activity/test update cadence
+  // Full-feed freshness monitoring (see checkTflDataFreshness)
+  const TFL_FRESHNESS_CHECK_INTERVAL_MS = 2 * 60 * 1000; // 2 minutes
+
+  return Object.freeze({
+    PORT,
+    POLL_INTERVAL_MS,
+    BIKEPOINT_SNAPSHOT_REFRESH_INTERVAL_MS,
+    BIKEPOINT_SNAPSHOT_MAX_AGE_MS,
+    SESSION_TIMEOUT_MS,
+    MAX_NOTIFICATION_WINDOW_MS,
+    APNS_KEY_ID,
+    APNS_TEAM_ID,
+    APNS_KEY_PATH,
+    APNS_TOPIC,
+    APNS_BACKGROUND_TOPIC,
+    COMPLICATION_REFRESH_INTERVAL_MS,
+    START_ARRIVAL_DESTINATION_SPACE_ALERT_DELAY_MS,
+    DESTINATION_AVAILABILITY_GENERIC_ALERT_SUPPRESSION_MS,
+    DEFAULT_NOTIFICATION_WINDOW_MS,
+    HARD_NOTIFICATION_CUTOFF_MS,
+    EFFECTIVE_MAX_NOTIFICATION_WINDOW_MS,
+    TFL_API_BASE,
+    LOG_DIR,
+    LOG_LEVEL,
+    COMPLICATION_TOKENS_PATH,
+    DOCK_OVERRIDES_PATH,
+    ARRIVAL_RECEIPTS_PATH,
+    ARRIVAL_RECEIPT_TTL_MS,
+    LIVE_ACTIVITY_SESSIONS_PATH,
+    LIVE_ACTIVITY_SESSIONS_SAVE_DELAY_MS,
+    BANK_HOLIDAYS_PATH,
+    DELAYED_JOBS_PATH,
+    DELAYED_JOB_MAX_ATTEMPTS,
+    DELAYED_JOB_RETRY_DELAY_MS,
+    SHUTDOWN_TIMEOUT_MS,
+    ADMIN_USERNAME,
+    ADMIN_PASSWORD,
+    ADMIN_API_TOKENS,
+    ADMIN_AUTH_DISABLED,
+    ADMIN_SESSION_TTL_MS,
+    ADMIN_AUDIT_LOG_PATH,
+    MAX_ADMIN_AUDIT_LOG_ENTRIES,
+    ADMIN_LOGIN_MAX_FAILURES,
+    ADMIN_LOGIN_LOCKOUT_MS,
+    APNS_MAX_CONCURRENT_STREAMS,
+    APNS_SESSION_IDLE_TIMEOUT_MS,
+    APNS_REQUEST_TIMEOUT_MS,
+    APNS_TRANSPORT,
+    APNS_BASE_URL,
+    APNS_USES_APPLE,
+    MAX_LIVE_ACTIVITY_ALTERNATIVES,
+    LIVE_ACTIVITY_ALTERNATIVES_MAX_DISTANCE_METERS,
+    VALID_PRIMARY_DISPLAYS,
+    MAX_PUSH_EVENT_LOG_ENTRIES,
+    MAX_BACKGROUND_LOCATION_EVENT_LOG_ENTRIES,
+    LIVE_ACTIVITY_ALERT_CATEGORY,
+    DOCK_SWITCH_SUGGESTION_CATEGORY,
+    MAX_DOCK_SWITCH_SUGGESTION_OPTIONS,
+    MONGODB_URI,
+    MONGODB_DB_NAME,
+    SCHEDULED_JOURNEYS_COLLECTION,
+    LIVE_ACTIVITY_SESSIONS_COLLECTION,
+    DOCK_HISTORY_COLLECTION,
+    DELAYED_JOBS_COLLECTION,
+    DEVICE_QUOTAS_COLLECTION,
+    JOURNEY_RUNS_COLLECTION,
+    JOURNEY_RUNS_RETENTION_DAYS,
+    JOURNEY_RUN_STATES_COLLECTION,
+    JOURNEY_RUN_STATE_RETENTION_DAYS,
+    ACCOUNTS_COLLECTION,
+    DEVICES_COLLECTION,
+    ACCOUNT_LINK_CODE_TTL_MS,
+    DOCK_HISTORY_RAW_RETENTION_DAYS,
+    DOCK_HISTORY_5M_RETENTION_DAYS,
+    DOCK_HISTORY_HOURLY_RETENTION_DAYS,
+    DOCK_HISTORY_MIN_SAMPLE_INTERVAL_MS,
+    DOCK_HISTORY_FLUSH_INTERVAL_MS,
+    SCHEDULED_JOURNEY_CHECK_INTERVAL_MS,
+    SCHEDULED_JOURNEY_START_GRACE_MINUTES,
+    SCHEDULED_JOURNEY_FORECAST_LEAD_MINUTES,
+    SCHEDULED_JOURNEY_FORECAST_MIN_BIKES,
+    MAX_SCHEDULED_JOURNEYS_PER_DEVICE,
+    MAX_SCHEDULED_JOURNEY_WINDOW_MINUTES,
+    SCHEDULED_JOURNEY_PLANS,
+    MAX_SCHEDULED_JOURNEY_EXCEPTIONS,
+    MAX_SCHEDULED_JOURNEY_LEGS,
+    TEST_INTERVAL_MS,
+    TFL_FRESHNESS_CHECK_INTERVAL_MS,
+  });
+}
+
+module.exports = { loadConfig };
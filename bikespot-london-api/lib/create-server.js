@@ -0,0 +1,322 @@
+const express = require("express");
+const { createLogger } = require("./logger");
+const { createMetrics } = require("./metrics");
+const { createDiagnostics } = require("./diagnostics");
+const { createMongo } = require("./mongo");
+const { createDelayedJobs } = require("./delayed-jobs");
+const { createDockOverrides } = require("./dock-overrides");
+const { createBankHolidays } = require("./bank-holidays");
+const { createQuotas } = require("./quotas");
+const { createAccounts } = require("./accounts");
+const { createTflClient } = require("./tfl-client");
+const { createDockHistory } = require("./dock-history");
+const { createApnsClient } = require("./apns-client");
+const { createSessionStore } = require("./session-store");
+const { createAlerts } = require("./alerts");
+const { createPolling } = require("./polling");
+const { createScheduledJourneys } = require("./scheduled-journeys");
+const { createJourneyRuns } = require("./journey-runs");
+const { createRunStates } = require("./run-states");
+const { createLeaveNowAlerts } = require("./leave-now-alerts");
+const { createComplications } = require("./complications");
+const { createAdmin } = require("./admin");
+const { createLiveActivities } = require("./live-activities");
+const { createStatus } = require("./status");
+
+// Every module is a create*(ctx) factory. Factories destructure config, logger and
+// metrics when they are built and reach the rest of the server through ctx at call
+// time, so modules that call each other (polling and scheduled journeys, say) can be
+// built in any order. The exception is the delayed job scheduler, which comes early
+// because other factories register their job handlers with it. Getters are copied as getters so state like Mongo collections
+// stays live.
+function provide(ctx, moduleExports) {
+  const { router, ...descriptors } = Object.getOwnPropertyDescriptors(moduleExports);
+  Object.defineProperties(ctx, descriptors);
+  return moduleExports;
+}
+
+// Builds a server instance from `config` (see loadConfig). Nothing listens, loads the
+// APNs key or starts timers until start() is called. `deps` replaces outside services:
+// { logger, MongoClient, fakeApns }.
+function createServer(config, deps = {}) {
+  const ctx = { config };
+  ctx.logger = deps.logger || createLogger(config);
+  ctx.metrics = createMetrics(ctx);
+
+  provide(ctx, createDiagnostics(ctx));
+  provide(ctx, createMongo(ctx, { MongoClient: deps.MongoClient }));
+  provide(ctx, createDelayedJobs(ctx));
+  provide(ctx, createDockOverrides(ctx));
+  const bankHolidays = provide(ctx, createBankHolidays(ctx));
+  provide(ctx, createQuotas(ctx));
+  const accounts = provide(ctx, createAccounts(ctx));
+  const tflClient = provide(ctx, createTflClient(ctx));
+  const dockHistory = provide(ctx, createDockHistory(ctx));
+  provide(ctx, createApnsClient(ctx, { fakeApns: deps.fakeApns }));
+  provide(ctx, createSessionStore(ctx));
+  provide(ctx, createAlerts(ctx));
+  provide(ctx, createPolling(ctx));
+  const scheduledJourneys = provide(ctx, createScheduledJourneys(ctx));
+  const journeyRuns = provide(ctx, createJourneyRuns(ctx));
+  provide(ctx, createRunStates(ctx));
+  provide(ctx, createLeaveNowAlerts(ctx));
+  const complications = provide(ctx, createComplications(ctx));
+  const admin = provide(ctx, createAdmin(ctx));
+  const liveActivities = provide(ctx, createLiveActivities(ctx));
+  const status = provide(ctx, createStatus(ctx));
+
+  const { logger } = ctx;
+  const { cleanupDeviceTokens, trackDeviceToken, httpRequestDuration, httpRequestsTotal } =
+    ctx.metrics;
+  const {
+    PORT,
+    POLL_INTERVAL_MS,
+    TFL_API_BASE,
+    BIKEPOINT_SNAPSHOT_REFRESH_INTERVAL_MS,
+    BIKEPOINT_SNAPSHOT_MAX_AGE_MS,
+    SESSION_TIMEOUT_MS,
+    EFFECTIVE_MAX_NOTIFICATION_WINDOW_MS,
+    APNS_TOPIC,
+    APNS_BACKGROUND_TOPIC,
+    COMPLICATION_REFRESH_INTERVAL_MS,
+    ADMIN_PASSWORD,
+    ADMIN_AUTH_DISABLED,
+    SCHEDULED_JOURNEY_CHECK_INTERVAL_MS,
+    TFL_FRESHNESS_CHECK_INTERVAL_MS,
+    SHUTDOWN_TIMEOUT_MS,
+  } = config;
+
+  // ── Express Server ───────────────────────────────────────────────────
+  const app = express();
+  app.use(express.json());
+
+  // Metrics middleware
+  const ignoredMetricPaths = new Set([
+    "/favicon.ico",
+    "/metrics",
+    "/healthcheck",
+    "/status"
+  ]);
+
+  app.use((req, res, next) => {
+    if (ignoredMetricPaths.has(req.path)) {
+      return next();
+    }
+
+    const start = Date.now();
+
+    // Track device token if present in header
+    const deviceToken = req.headers["x-device-token"];
+    if (deviceToken) {
+      trackDeviceToken(deviceToken);
+    }
+
+    res.on("finish", () => {
+      const duration = (Date.now() - start) / 1000;
+      const route = req.route ? req.route.path : req.path;
+      const statusCode = res.statusCode.toString();
+
+      httpRequestDuration.observe(
+        { method: req.method, route, status_code: statusCode },
+        duration
+      );
+
+      httpRequestsTotal.inc({
+        method: req.method,
+        route,
+        status_code: statusCode
+      });
+    });
+
+    next();
+  });
+
+  app.use(tflClient.router);
+  app.use(dockHistory.router);
+  app.use(admin.router);
+  app.use(scheduledJourneys.router);
+  app.use(journeyRuns.router);
+  app.use(accounts.router);
+  app.use(bankHolidays.router);
+  app.use(liveActivities.router);
+  app.use(status.router);
+  app.use(complications.router);
+
+  // ── Startup ──────────────────────────────────────────────────────────
+  // Building the server only wires the app. start() loads the APNs key, listens and
+  // starts the background loops; tests drive pollDock and
+  // processScheduledJourneyStarts themselves.
+  let httpServer = null;
+  const backgroundTimers = [];
+  let shutdownPromise = null;
+
+  function startBackgroundTasks() {
+    backgroundTimers.push(
+      setInterval(cleanupDeviceTokens, 60 * 1000),
+      setInterval(ctx.runComplicationPushCycle, COMPLICATION_REFRESH_INTERVAL_MS)
+    );
+
+    // Keep the shared /BikePoint snapshot warm; pollers and proxies read from it.
+    ctx.refreshBikePointSnapshot()
+      .catch((err) => {
+        logger.error(`BikePoint snapshot refresh failed: ${err.message}`);
+      })
+      .finally(() => {
+        // Freshness monitoring reuses the snapshot rather than fetching the feed again
+        ctx.checkTflDataFreshness().catch(() => {});
+      });
+    backgroundTimers.push(
+      setInterval(() => {
+        ctx.refreshBikePointSnapshot().catch((err) => {
+          logger.error(`BikePoint snapshot refresh failed: ${err.message}`);
+        });
+      }, BIKEPOINT_SNAPSHOT_REFRESH_INTERVAL_MS),
+      setInterval(ctx.checkTflDataFreshness, TFL_FRESHNESS_CHECK_INTERVAL_MS)
+    );
+
+    ctx.connectMongoIfConfigured()
+      .then(() => ctx.restoreLiveActivitySessions())
+      .catch((err) => {
+        logger.error(`Live activity session restore failed: ${err.message}`);
+      })
+      .then(() => ctx.restoreDelayedJobs())
+      .then(() =>
+        ctx.migratePausedRunKeys().catch((err) => {
+          logger.error(`Paused run key migration failed: ${err.message}`);
+        })
+      )
+      .then(() => {
+        if (shutdownPromise) return;
+        ctx.processScheduledJourneyStarts().catch((err) => {
+          logger.error(`Scheduled journey check failed: ${err.message}`);
+        });
+        backgroundTimers.push(
+          setInterval(() => {
+            ctx.processScheduledJourneyStarts().catch((err) => {
+              logger.error(`Scheduled journey check failed: ${err.message}`);
+            });
+          }, SCHEDULED_JOURNEY_CHECK_INTERVAL_MS)
+        );
+      });
+  }
+
+  function start(port = PORT) {
+    ctx.getApnsKey();
+    httpServer = app.listen(port, () => {
+      logger.info(`BikeSpot London Live Activity server running on port ${port}`);
+      logger.info(`Poll interval: ${POLL_INTERVAL_MS}ms`);
+      logger.info(`TfL API base: ${TFL_API_BASE}`);
+      logger.info(
+        `BikePoint snapshot refresh: ${BIKEPOINT_SNAPSHOT_REFRESH_INTERVAL_MS}ms (max age ${BIKEPOINT_SNAPSHOT_MAX_AGE_MS}ms)`
+      );
+      logger.info(`Session timeout: ${SESSION_TIMEOUT_MS / 1000 / 60 / 60} hours`);
+      logger.info(
+        `Max notification window: ${EFFECTIVE_MAX_NOTIFICATION_WINDOW_MS / 1000 / 60 / 60} hours`
+      );
+      logger.info(`APNS live activity topic: ${APNS_TOPIC}`);
+      logger.info(`APNS app/background topic: ${APNS_BACKGROUND_TOPIC}`);
+      logger.info(`APNS transport: ${ctx.apnsTransport.name}`);
+      if (ADMIN_AUTH_DISABLED) {
+        logger.warn("Admin authentication is DISABLED (ADMIN_AUTH_DISABLED=true)");
+      } else if (!ctx.adminAuthConfigured) {
+        logger.warn(
+          "Admin routes are locked: set ADMIN_PASSWORD and/or ADMIN_API_TOKENS to enable them"
+        );
+      } else {
+        logger.info(
+          `Admin auth: password login ${ADMIN_PASSWORD ? "enabled" : "disabled"}, ${ctx.adminApiTokens.length} API token(s)`
+        );
+      }
+
+      startBackgroundTasks();
+    });
+    return httpServer;
+  }
+
+  // ── Shutdown ─────────────────────────────────────────────────────────
+  // Stops taking requests and clears every timer, then gives in-flight HTTP requests,
+  // running delayed jobs and APNs pushes up to SHUTDOWN_TIMEOUT_MS before persisting
+  // sessions, complication tokens and dock history and closing connections. Pending
+  // delayed jobs are already stored and run on the next start.
+  // Safe to call more than once; later calls return the same promise.
+  function shutdown(reason = "shutdown") {
+    if (!shutdownPromise) {
+      shutdownPromise = runShutdown(reason);
+    }
+    return shutdownPromise;
+  }
+
+  async function runShutdown(reason) {
+    logger.info(`Shutting down (${reason}); waiting up to ${SHUTDOWN_TIMEOUT_MS}ms`);
+    const deadline = Date.now() + SHUTDOWN_TIMEOUT_MS;
+
+    const httpClosed = httpServer
+      ? new Promise((resolve) => httpServer.close(resolve))
+      : Promise.resolve();
+    httpServer?.closeIdleConnections();
+
+    for (const timer of backgroundTimers.splice(0)) {
+      clearInterval(timer);
+    }
+    for (const session of ctx.testSessions.values()) {
+      clearInterval(session.interval);
+    }
+    ctx.testSessions.clear();
+    for (const dockId of Array.from(ctx.dockPollers.keys())) {
+      ctx.stopPollingForDock(dockId);
+    }
+
+    let httpTimer;
+    const httpDrained = await Promise.race([
+      httpClosed.then(() => true),
+      new Promise((resolve) => {
+        httpTimer = setTimeout(() => resolve(false), SHUTDOWN_TIMEOUT_MS);
+      }),
+    ]);
+    clearTimeout(httpTimer);
+    if (!httpDrained) {
+      logger.warn("Closing HTTP connections with requests still in flight");
+      httpServer.closeAllConnections();
+    }
+    await ctx.drainDelayedJobs(Math.max(0, deadline - Date.now()));
+    await ctx.drainApnsRequests(Math.max(0, deadline - Date.now()));
+
+    await ctx.flushLiveActivitySessions();
+    ctx.saveComplicationTokens();
+    await ctx.flushDockHistory({ includeOpenBuckets: true }).catch((err) => {
+      logger.warn(`Dock history flush on shutdown failed: ${err.message}`);
+    });
+
+    await ctx.apnsTransport.close();
+    await ctx.closeMongo();
+    logger.info("Shutdown complete");
+  }
+
+  return {
+    app,
+    config,
+    logger,
+    metrics: ctx.metrics,
+    start,
+    startBackgroundTasks,
+    shutdown,
+    connectMongoIfConfigured: ctx.connectMongoIfConfigured,
+    refreshBikePointSnapshot: ctx.refreshBikePointSnapshot,
+    startPollingForDock: ctx.startPollingForDock,
+    stopPollingForDock: ctx.stopPollingForDock,
+    pollDock: ctx.pollDock,
+    processScheduledJourneyStarts: ctx.processScheduledJourneyStarts,
+    restoreDelayedJobs: ctx.restoreDelayedJobs,
+    migratePausedRunKeys: ctx.migratePausedRunKeys,
+    buildAvailabilityAlertMessage: ctx.buildAvailabilityAlertMessage,
+    scheduledJourneyStartDecision: ctx.scheduledJourneyStartDecision,
+    shouldEndScheduledJourneyWindow: ctx.shouldEndScheduledJourneyWindow,
+    resolveSessionExpiryMs: ctx.resolveSessionExpiryMs,
+    localDateParts: ctx.localDateParts,
+    dockPollers: ctx.dockPollers,
+    delayedJobs: ctx.delayedJobs,
+    cancelDelayedJob: ctx.cancelDelayedJob,
+  };
+}
+
+module.exports = { createServer };
@@ -0,0 +1,285 @@
+// Delayed jobs: a small persistent scheduler for pushes that should go out later.
+// Jobs live in MongoDB when it is configured, otherwise in DELAYED_JOBS_PATH, and are
+// only deleted once their handler succeeds, so delivery is at-least-once across
+// restarts. Every job has a dedupe key; scheduling a key that is already pending
+// replaces that job.
+const fs = require("fs");
+const crypto = require("crypto");
+
+// A due job is never more than this late, even after the clock jumps.
+const MAX_DELAYED_JOB_TIMER_MS = 60 * 1000;
+
+function createDelayedJobs(ctx) {
+  const { config, logger, metrics } = ctx;
+  const { DELAYED_JOBS_PATH, DELAYED_JOB_MAX_ATTEMPTS, DELAYED_JOB_RETRY_DELAY_MS } = config;
+  const { delayedJobsTotal } = metrics;
+
+  // type -> { run(payload, job), describe(payload) }. run throws to have the job retried.
+  const delayedJobHandlers = new Map();
+  // key -> { id, key, type, payload, dueAt, attempts, createdAt, lastError }
+  const delayedJobs = new Map();
+  const runningDelayedJobs = new Map(); // key -> Promise
+  let delayedJobTimer = null;
+  let delayedJobsRestored = false;
+  let delayedJobsStopped = false;
+  let delayedJobsWriteChain = Promise.resolve();
+
+  function registerDelayedJobHandler(type, run, { describe = null } = {}) {
+    delayedJobHandlers.set(type, { run, describe });
+  }
+
+  // ── Storage ──────────────────────────────────────────────────────────
+  // Writes are chained so a delete never overtakes the upsert it follows. The file is
+  // left alone until restoreDelayedJobs() has read it, so an early schedule cannot
+  // overwrite jobs saved by the previous process.
+  function queueDelayedJobsWrite(write) {
+    delayedJobsWriteChain = delayedJobsWriteChain.then(write).catch((err) => {
+      logger.warn(`Could not save delayed jobs: ${err.message}`);
+    });
+    return delayedJobsWriteChain;
+  }
+
+  async function writeDelayedJobsFile() {
+    const tempPath = `${DELAYED_JOBS_PATH}.tmp`;
+    await fs.promises.writeFile(
+      tempPath,
+      JSON.stringify(Array.from(delayedJobs.values()), null, 2)
+    );
+    await fs.promises.rename(tempPath, DELAYED_JOBS_PATH);
+  }
+
+  function persistDelayedJob(job) {
+    const record = { ...job };
+    return queueDelayedJobsWrite(async () => {
+      if (ctx.delayedJobsCollection) {
+        await ctx.delayedJobsCollection.replaceOne(
+          { _id: record.key },
+          { ...record, updatedAt: new Date() },
+          { upsert: true }
+        );
+      } else if (delayedJobsRestored) {
+        await writeDelayedJobsFile();
+      }
+    });
+  }
+
+  function removeStoredDelayedJob(job) {
+    return queueDelayedJobsWrite(async () => {
+      if (ctx.delayedJobsCollection) {
+        // Match the id too so a replacement stored under the same key survives.
+        await ctx.delayedJobsCollection.deleteOne({ _id: job.key, id: job.id });
+      } else if (delayedJobsRestored) {
+        await writeDelayedJobsFile();
+      }
+    });
+  }
+
+  async function loadDelayedJobRecords() {
+    if (ctx.delayedJobsCollection) {
+      return ctx.delayedJobsCollection.find({}).toArray();
+    }
+    if (!fs.existsSync(DELAYED_JOBS_PATH)) return [];
+    const records = JSON.parse(await fs.promises.readFile(DELAYED_JOBS_PATH, "utf8"));
+    return Array.isArray(records) ? records : [];
+  }
+
+  // ── Scheduling ───────────────────────────────────────────────────────
+  function scheduleDelayedJob({ type, key, payload, dueAt }) {
+    if (!delayedJobHandlers.has(type)) {
+      throw new Error(`No delayed job handler registered for type ${type}`);
+    }
+    const replaced = delayedJobs.has(key);
+    const job = {
+      id: crypto.randomUUID(),
+      key,
+      type,
+      payload,
+      dueAt,
+      attempts: 0,
+      createdAt: Date.now(),
+      lastError: null,
+    };
+    delayedJobs.set(key, job);
+    persistDelayedJob(job);
+    delayedJobsTotal.inc({ type, result: replaced ? "replaced" : "scheduled" });
+    armDelayedJobTimer();
+    return job;
+  }
+
+  // A job whose handler is already running finishes that attempt; it just is not
+  // retried or rescheduled afterwards.
+  function cancelDelayedJob(key) {
+    const job = delayedJobs.get(key);
+    if (!job) return false;
+    delayedJobs.delete(key);
+    removeStoredDelayedJob(job);
+    delayedJobsTotal.inc({ type: job.type, result: "cancelled" });
+    armDelayedJobTimer();
+    return true;
+  }
+
+  function armDelayedJobTimer() {
+    if (delayedJobTimer) {
+      clearTimeout(delayedJobTimer);
+      delayedJobTimer = null;
+    }
+    if (delayedJobsStopped) return;
+
+    let nextDueAt = Infinity;
+    for (const job of delayedJobs.values()) {
+      if (!runningDelayedJobs.has(job.key)) {
+        nextDueAt = Math.min(nextDueAt, job.dueAt);
+      }
+    }
+    if (nextDueAt === Infinity) return;
+
+    const delayMs = Math.min(Math.max(0, nextDueAt - Date.now()), MAX_DELAYED_JOB_TIMER_MS);
+    delayedJobTimer = setTimeout(() => {
+      delayedJobTimer = null;
+      runDueDelayedJobs();
+    }, delayMs);
+  }
+
+  function runDueDelayedJobs() {
+    const now = Date.now();
+    for (const job of delayedJobs.values()) {
+      if (job.dueAt > now || runningDelayedJobs.has(job.key)) continue;
+      const run = runDelayedJob(job).finally(() => {
+        runningDelayedJobs.delete(job.key);
+        armDelayedJobTimer();
+      });
+      runningDelayedJobs.set(job.key, run);
+    }
+    armDelayedJobTimer();
+  }
+
+  async function runDelayedJob(job) {
+    const handler = delayedJobHandlers.get(job.type);
+    job.attempts += 1;
+    // Count the attempt before running it so a job that crashes the process still
+    // runs out of attempts.
+    persistDelayedJob(job);
+
+    try {
+      if (!handler) {
+        throw new Error(`No delayed job handler registered for type ${job.type}`);
+      }
+      await handler.run(job.payload, job);
+    } catch (err) {
+      job.lastError = err.message;
+      if (delayedJobs.get(job.key) !== job) return;
+
+      if (job.attempts < DELAYED_JOB_MAX_ATTEMPTS) {
+        job.dueAt = Date.now() + DELAYED_JOB_RETRY_DELAY_MS * job.attempts;
+        persistDelayedJob(job);
+        delayedJobsTotal.inc({ type: job.type, result: "retried" });
+        logger.warn(
+          `Delayed job ${job.type} ${job.id} failed (attempt ${job.attempts}/${DELAYED_JOB_MAX_ATTEMPTS}), retrying in ${DELAYED_JOB_RETRY_DELAY_MS * job.attempts}ms: ${err.message}`
+        );
+        return;
+      }
+
+      delayedJobs.delete(job.key);
+      await removeStoredDelayedJob(job);
+      delayedJobsTotal.inc({ type: job.type, result: "failed" });
+      logger.error(
+        `Delayed job ${job.type} ${job.id} failed after ${job.attempts} attempt(s): ${err.message}`
+      );
+      return;
+    }
+
+    if (delayedJobs.get(job.key) === job) {
+      delayedJobs.delete(job.key);
+      await removeStoredDelayedJob(job);
+    }
+    delayedJobsTotal.inc({ type: job.type, result: "completed" });
+  }
+
+  // ── Startup & Shutdown ───────────────────────────────────────────────
+  // Jobs that fell due while the server was down run straight away.
+  async function restoreDelayedJobs() {
+    let records = [];
+    try {
+      records = await loadDelayedJobRecords();
+    } catch (err) {
+      logger.warn(`Could not load delayed jobs: ${err.message}`);
+    }
+
+    const restoredKeys = new Set();
+    for (const record of records) {
+      if (typeof record?.key !== "string" || typeof record.type !== "string") continue;
+      if (!Number.isFinite(record.dueAt)) continue;
+      // A job scheduled since startup is newer than the stored copy.
+      if (delayedJobs.has(record.key)) continue;
+      const { _id, updatedAt, ...job } = record;
+      delayedJobs.set(job.key, {
+        ...job,
+        id: typeof job.id === "string" ? job.id : crypto.randomUUID(),
+        attempts: Number.isFinite(job.attempts) ? job.attempts : 0,
+        lastError: job.lastError || null,
+      });
+      restoredKeys.add(job.key);
+    }
+
+    delayedJobsRestored = true;
+    for (const job of delayedJobs.values()) {
+      if (!restoredKeys.has(job.key)) persistDelayedJob(job);
+    }
+
+    logger.info(`Restored ${restoredKeys.size} delayed job(s)`);
+    ctx.appendDiagnosticJsonLine("delayed_jobs_restored", {
+      storage: ctx.delayedJobsCollection ? "mongodb" : "file",
+      restoredCount: restoredKeys.size,
+      pendingCount: delayedJobs.size,
+    });
+    armDelayedJobTimer();
+  }
+
+  // Used on shutdown: stops starting jobs and waits up to timeoutMs for running ones
+  // and for pending writes. A job cut off mid-run is still stored and runs again on
+  // the next start.
+  async function drainDelayedJobs(timeoutMs) {
+    delayedJobsStopped = true;
+    armDelayedJobTimer();
+
+    let timer;
+    await Promise.race([
+      Promise.all(runningDelayedJobs.values()),
+      new Promise((resolve) => {
+        timer = setTimeout(resolve, timeoutMs);
+      }),
+    ]);
+    clearTimeout(timer);
+    if (runningDelayedJobs.size > 0) {
+      logger.warn(`Gave up waiting for ${runningDelayedJobs.size} running delayed job(s)`);
+    }
+    await delayedJobsWriteChain;
+  }
+
+  function serializeDelayedJobs() {
+    return Array.from(delayedJobs.values())
+      .sort((a, b) => a.dueAt - b.dueAt)
+      .map((job) => ({
+        key: job.key,
+        type: job.type,
+        description: delayedJobHandlers.get(job.type)?.describe?.(job.payload) || null,
+        dueAt: new Date(job.dueAt).toISOString(),
+        createdAt: new Date(job.createdAt).toISOString(),
+        attempts: job.attempts,
+        lastError: job.lastError,
+        running: runningDelayedJobs.has(job.key),
+      }));
+  }
+
+  return {
+    delayedJobs,
+    registerDelayedJobHandler,
+    scheduleDelayedJob,
+    cancelDelayedJob,
+    restoreDelayedJobs,
+    drainDelayedJobs,
+    serializeDelayedJobs,
+  };
+}
+
+module.exports = { createDelayedJobs };
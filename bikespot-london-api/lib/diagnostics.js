@@ -0,0 +1,120 @@
+// Diagnostic JSONL files under LOG_DIR and the in-memory push and background-location
+// event logs shown on the admin page.
+const fs = require("fs");
+const path = require("path");
+
+function createDiagnostics(ctx) {
+  const { config, logger } = ctx;
+  const { LOG_DIR, MAX_PUSH_EVENT_LOG_ENTRIES, MAX_BACKGROUND_LOCATION_EVENT_LOG_ENTRIES } = config;
+
+  const pushEventLog = [];
+  const backgroundLocationEventLog = [];
+
+  function appendDiagnosticJsonLine(kind, entry) {
+    const date = new Date().toISOString().slice(0, 10);
+    const filePath = path.join(LOG_DIR, `diagnostics-${date}.jsonl`);
+    const payload = JSON.stringify({
+      recordedAt: new Date().toISOString(),
+      kind,
+      ...entry,
+    });
+    fs.appendFile(filePath, payload + "\n", (err) => {
+      if (err) {
+        logger.warn(`Failed to write diagnostic log entry: ${err.message}`);
+      }
+    });
+  }
+
+  function appendBoundedLogEntry(log, entry, maxEntries) {
+    log.unshift(entry);
+    if (log.length > maxEntries) {
+      log.length = maxEntries;
+    }
+  }
+
+  function shortenIdentifier(value) {
+    if (typeof value !== "string") return "unknown";
+    const trimmed = value.trim();
+    if (!trimmed) return "unknown";
+    if (trimmed.length <= 12) return trimmed;
+    return `${trimmed.substring(0, 8)}...${trimmed.substring(trimmed.length - 4)}`;
+  }
+
+  function resolveLogLimit(rawValue, fallback, max) {
+    const parsedValue = Number(rawValue);
+    if (!Number.isFinite(parsedValue) || parsedValue <= 0) {
+      return fallback;
+    }
+    return Math.min(Math.trunc(parsedValue), max);
+  }
+
+  function recordPushEvent(entry) {
+    const normalizedEntry = {
+      sentAt: new Date().toISOString(),
+      target: shortenIdentifier(entry.target),
+      channel: entry.channel || "unknown",
+      type: entry.type || "unknown",
+      title: entry.title || null,
+      body: entry.body || null,
+      result: entry.result || "unknown",
+      status: entry.status ?? null,
+      error: entry.error || null,
+      apnsEnv: entry.apnsEnv || "unknown",
+      raw: entry.raw || null,
+    };
+    appendBoundedLogEntry(pushEventLog, normalizedEntry, MAX_PUSH_EVENT_LOG_ENTRIES);
+    appendDiagnosticJsonLine("push_event", normalizedEntry);
+  }
+
+  function recordBackgroundLocationEvent(entry) {
+    const normalizedEntry = {
+      receivedAt: new Date().toISOString(),
+      clientTimestamp:
+        typeof entry.clientTimestamp === "string" && entry.clientTimestamp.trim()
+          ? entry.clientTimestamp.trim()
+          : null,
+      deviceId: shortenIdentifier(entry.deviceId),
+      event: entry.event || "unknown",
+      appState: entry.appState || "unknown",
+      backgroundRefreshStatus: entry.backgroundRefreshStatus || "unknown",
+      dockId: entry.dockId || null,
+      dockName: entry.dockName || null,
+      distanceMeters:
+        typeof entry.distanceMeters === "number" && Number.isFinite(entry.distanceMeters)
+          ? entry.distanceMeters
+          : null,
+      horizontalAccuracyMeters:
+        typeof entry.horizontalAccuracyMeters === "number" &&
+        Number.isFinite(entry.horizontalAccuracyMeters)
+          ? entry.horizontalAccuracyMeters
+          : null,
+      arrivalThresholdMeters:
+        typeof entry.arrivalThresholdMeters === "number" &&
+        Number.isFinite(entry.arrivalThresholdMeters)
+          ? entry.arrivalThresholdMeters
+          : null,
+      authorizationStatus: entry.authorizationStatus || null,
+      message: entry.message || null,
+      raw: entry.raw || null,
+    };
+    appendBoundedLogEntry(
+      backgroundLocationEventLog,
+      normalizedEntry,
+      MAX_BACKGROUND_LOCATION_EVENT_LOG_ENTRIES
+    );
+    appendDiagnosticJsonLine("client_event", normalizedEntry);
+  }
+
+  return {
+    pushEventLog,
+    backgroundLocationEventLog,
+    appendDiagnosticJsonLine,
+    appendBoundedLogEntry,
+    shortenIdentifier,
+    resolveLogLimit,
+    recordPushEvent,
+    recordBackgroundLocationEvent,
+  };
+}
+
+module.exports = { createDiagnostics };
@@ -0,0 +1,672 @@
+// Dock history store, typical-day profiles and availability forecasts, plus the
+// /docks/:dockId routes.
+const express = require("express");
+
+function createDockHistory(ctx) {
+  const { config, logger, metrics } = ctx;
+  const {
+    DOCK_HISTORY_RAW_RETENTION_DAYS,
+    DOCK_HISTORY_5M_RETENTION_DAYS,
+    DOCK_HISTORY_HOURLY_RETENTION_DAYS,
+    DOCK_HISTORY_MIN_SAMPLE_INTERVAL_MS,
+    DOCK_HISTORY_FLUSH_INTERVAL_MS,
+  } = config;
+  const { dockHistoryWritesTotal } = metrics;
+  const router = express.Router();
+
+  // ── Dock History ─────────────────────────────────────────────────────
+  // Every snapshot refresh and per-dock fallback read feeds the history store with
+  // TfL's own counts (admin overrides are deliberately not recorded). Raw points are
+  // only written when a dock's counts change, so a raw series is a step function.
+  // 5-minute and hourly buckets accumulate in memory and are upserted when they
+  // close and every DOCK_HISTORY_FLUSH_INTERVAL_MS; $inc/$min/$max keep partial
+  // flushes of the same bucket mergeable.
+  const DOCK_HISTORY_RESOLUTIONS = {
+    "5m": 5 * 60 * 1000,
+    "1h": 60 * 60 * 1000,
+  };
+  const DOCK_HISTORY_RETENTION_MS = {
+    raw: DOCK_HISTORY_RAW_RETENTION_DAYS * 24 * 60 * 60 * 1000,
+    "5m": DOCK_HISTORY_5M_RETENTION_DAYS * 24 * 60 * 60 * 1000,
+    "1h": DOCK_HISTORY_HOURLY_RETENTION_DAYS * 24 * 60 * 60 * 1000,
+  };
+  const DOCK_HISTORY_MAX_QUERY_SPAN_MS = {
+    raw: 7 * 24 * 60 * 60 * 1000,
+    "5m": 31 * 24 * 60 * 60 * 1000,
+    "1h": 400 * 24 * 60 * 60 * 1000,
+  };
+  const DOCK_HISTORY_MAX_POINTS = 5000;
+  const DOCK_HISTORY_MAX_PENDING_WRITES = 20000;
+  const DOCK_HISTORY_TIME_ZONE = "Europe/London";
+
+  const dockHistoryState = {
+    lastById: new Map(), // dockId -> { standardBikes, eBikes, emptySpaces, sampledAt }
+    pendingRaw: [],
+    openBuckets: new Map(), // `${resolution}:${dockId}` -> bucket
+    closedBuckets: [],
+    lastOpenBucketFlushAt: 0,
+    flushPromise: null,
+  };
+
+  function newDockHistoryBucket(dockId, resolution, bucketStart) {
+    return {
+      dockId,
+      resolution,
+      at: bucketStart,
+      samples: 0,
+      standardBikes: { sum: 0, min: Infinity, max: -Infinity },
+      eBikes: { sum: 0, min: Infinity, max: -Infinity },
+      emptySpaces: { sum: 0, min: Infinity, max: -Infinity },
+    };
+  }
+
+  function addDockHistoryBucketSample(bucket, counts) {
+    bucket.samples += 1;
+    for (const field of ["standardBikes", "eBikes", "emptySpaces"]) {
+      const stats = bucket[field];
+      stats.sum += counts[field];
+      stats.min = Math.min(stats.min, counts[field]);
+      stats.max = Math.max(stats.max, counts[field]);
+    }
+  }
+
+  function recordDockHistorySample(dockId, counts, sampledAt = Date.now()) {
+    if (!ctx.dockHistoryCollection || typeof dockId !== "string" || !dockId) return;
+
+    const last = dockHistoryState.lastById.get(dockId);
+    const changed =
+      !last ||
+      last.standardBikes !== counts.standardBikes ||
+      last.eBikes !== counts.eBikes ||
+      last.emptySpaces !== counts.emptySpaces;
+    if (changed && dockHistoryState.pendingRaw.length < DOCK_HISTORY_MAX_PENDING_WRITES) {
+      dockHistoryState.pendingRaw.push({
+        dockId,
+        resolution: "raw",
+        at: new Date(sampledAt),
+        standardBikes: counts.standardBikes,
+        eBikes: counts.eBikes,
+        emptySpaces: counts.emptySpaces,
+        expiresAt: new Date(sampledAt + DOCK_HISTORY_RETENTION_MS.raw),
+      });
+    }
+
+    // A /BikePoint proxy hit right after a refresh re-reads the same data; only
+    // count it towards the averages once.
+    if (last && !changed && sampledAt - last.sampledAt < DOCK_HISTORY_MIN_SAMPLE_INTERVAL_MS) {
+      return;
+    }
+    dockHistoryState.lastById.set(dockId, {
+      standardBikes: counts.standardBikes,
+      eBikes: counts.eBikes,
+      emptySpaces: counts.emptySpaces,
+      sampledAt,
+    });
+
+    for (const [resolution, sizeMs] of Object.entries(DOCK_HISTORY_RESOLUTIONS)) {
+      const bucketStart = Math.floor(sampledAt / sizeMs) * sizeMs;
+      const key = `${resolution}:${dockId}`;
+      let bucket = dockHistoryState.openBuckets.get(key);
+      if (bucket && bucket.at !== bucketStart) {
+        if (dockHistoryState.closedBuckets.length < DOCK_HISTORY_MAX_PENDING_WRITES) {
+          dockHistoryState.closedBuckets.push(bucket);
+        }
+        bucket = null;
+      }
+      if (!bucket) {
+        bucket = newDockHistoryBucket(dockId, resolution, bucketStart);
+        dockHistoryState.openBuckets.set(key, bucket);
+      }
+      addDockHistoryBucketSample(bucket, counts);
+    }
+  }
+
+  function recordDockHistoryFromBikePoints(bikePoints, sampledAt = Date.now()) {
+    if (!ctx.dockHistoryCollection) return;
+    for (const bikePoint of bikePoints) {
+      if (bikePoint && typeof bikePoint.id === "string") {
+        recordDockHistorySample(bikePoint.id, ctx.parseBikePointData(bikePoint), sampledAt);
+      }
+    }
+    const includeOpenBuckets =
+      sampledAt - dockHistoryState.lastOpenBucketFlushAt >= DOCK_HISTORY_FLUSH_INTERVAL_MS;
+    if (includeOpenBuckets) {
+      dockHistoryState.lastOpenBucketFlushAt = sampledAt;
+    }
+    flushDockHistory({ includeOpenBuckets }).catch(() => {});
+  }
+
+  function dockHistoryBucketWrite(bucket) {
+    const update = {
+      $setOnInsert: {
+        dockId: bucket.dockId,
+        resolution: bucket.resolution,
+        at: new Date(bucket.at),
+        expiresAt: new Date(bucket.at + DOCK_HISTORY_RETENTION_MS[bucket.resolution]),
+      },
+      $inc: { samples: bucket.samples },
+      $min: {},
+      $max: {},
+    };
+    for (const field of ["standardBikes", "eBikes", "emptySpaces"]) {
+      update.$inc[`${field}.sum`] = bucket[field].sum;
+      update.$min[`${field}.min`] = bucket[field].min;
+      update.$max[`${field}.max`] = bucket[field].max;
+    }
+    return {
+      updateOne: {
+        filter: { _id: `${bucket.dockId}:${bucket.resolution}:${bucket.at}` },
+        update,
+        upsert: true,
+      },
+    };
+  }
+
+  async function flushDockHistory({ includeOpenBuckets = false } = {}) {
+    if (dockHistoryState.flushPromise) {
+      await dockHistoryState.flushPromise;
+      if (!includeOpenBuckets) return;
+    }
+    if (!ctx.dockHistoryCollection) return;
+
+    const rawPoints = dockHistoryState.pendingRaw.splice(0);
+    const buckets = dockHistoryState.closedBuckets.splice(0);
+    if (includeOpenBuckets) {
+      // Partial buckets merge with whatever the next flush of the same bucket adds.
+      buckets.push(...dockHistoryState.openBuckets.values());
+      dockHistoryState.openBuckets.clear();
+    }
+    if (rawPoints.length === 0 && buckets.length === 0) return;
+
+    const collection = ctx.dockHistoryCollection;
+    dockHistoryState.flushPromise = (async () => {
+      if (rawPoints.length > 0) {
+        try {
+          await collection.insertMany(rawPoints, { ordered: false });
+          dockHistoryWritesTotal.inc({ resolution: "raw", status: "success" }, rawPoints.length);
+        } catch (err) {
+          dockHistoryWritesTotal.inc({ resolution: "raw", status: "failure" }, rawPoints.length);
+          logger.warn(`Failed to write ${rawPoints.length} raw dock history point(s): ${err.message}`);
+        }
+      }
+      if (buckets.length > 0) {
+        try {
+          await collection.bulkWrite(buckets.map(dockHistoryBucketWrite), { ordered: false });
+          for (const bucket of buckets) {
+            dockHistoryWritesTotal.inc({ resolution: bucket.resolution, status: "success" });
+          }
+        } catch (err) {
+          for (const bucket of buckets) {
+            dockHistoryWritesTotal.inc({ resolution: bucket.resolution, status: "failure" });
+          }
+          logger.warn(`Failed to write ${buckets.length} dock history bucket(s): ${err.message}`);
+        }
+      }
+    })();
+
+    try {
+      await dockHistoryState.flushPromise;
+    } finally {
+      dockHistoryState.flushPromise = null;
+    }
+  }
+
+  function roundHistoryValue(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  function serializeDockHistoryDocument(doc) {
+    if (doc.resolution === "raw") {
+      return {
+        at: doc.at.toISOString(),
+        standardBikes: doc.standardBikes,
+        eBikes: doc.eBikes,
+        emptySpaces: doc.emptySpaces,
+      };
+    }
+
+    const samples = Math.max(1, doc.samples || 0);
+    const stats = (field) => ({
+      avg: roundHistoryValue((doc[field]?.sum || 0) / samples),
+      min: doc[field]?.min ?? null,
+      max: doc[field]?.max ?? null,
+    });
+    return {
+      at: doc.at.toISOString(),
+      samples: doc.samples || 0,
+      standardBikes: stats("standardBikes"),
+      eBikes: stats("eBikes"),
+      emptySpaces: stats("emptySpaces"),
+    };
+  }
+
+  function parseHistoryTime(rawValue) {
+    if (rawValue === undefined || rawValue === null || rawValue === "") return undefined;
+    const text = String(rawValue).trim();
+    const parsed = /^\d+$/.test(text) ? Number(text) : Date.parse(text);
+    return Number.isFinite(parsed) ? parsed : null;
+  }
+
+  function resolveDockHistoryResolution(rawValue, spanMs) {
+    const requested = typeof rawValue === "string" ? rawValue.trim() : "";
+    if (requested === "raw" || requested === "5m" || requested === "1h") {
+      return requested;
+    }
+    if (requested && requested !== "auto") {
+      return null;
+    }
+    if (spanMs <= 6 * 60 * 60 * 1000) return "raw";
+    if (spanMs <= DOCK_HISTORY_MAX_QUERY_SPAN_MS["5m"]) return "5m";
+    return "1h";
+  }
+
+  async function queryDockHistory(collection, dockId, resolution, from, to) {
+    const docs = await collection
+      .find({ dockId, resolution, at: { $gte: new Date(from), $lte: new Date(to) } })
+      .sort({ at: 1 })
+      .limit(DOCK_HISTORY_MAX_POINTS + 1)
+      .toArray();
+
+    // Raw points are change-only, so carry in the value that was current at `from`.
+    if (resolution === "raw" && (docs.length === 0 || docs[0].at.getTime() > from)) {
+      const previous = await collection
+        .find({ dockId, resolution, at: { $lt: new Date(from) } })
+        .sort({ at: -1 })
+        .limit(1)
+        .toArray();
+      if (previous.length > 0) {
+        docs.unshift(previous[0]);
+      }
+    }
+
+    const truncated = docs.length > DOCK_HISTORY_MAX_POINTS;
+    return {
+      truncated,
+      points: docs.slice(0, DOCK_HISTORY_MAX_POINTS).map(serializeDockHistoryDocument),
+    };
+  }
+
+  const HISTORY_DAY_TYPES = {
+    all: [1, 2, 3, 4, 5, 6, 7],
+    weekday: [1, 2, 3, 4, 5],
+    weekend: [6, 7],
+    mon: [1],
+    tue: [2],
+    wed: [3],
+    thu: [4],
+    fri: [5],
+    sat: [6],
+    sun: [7],
+  };
+
+  function resolveHistoryWeekdays(rawValue) {
+    const text = typeof rawValue === "string" && rawValue.trim() ? rawValue : "all";
+    const weekdays = new Set();
+    for (const part of text.toLowerCase().split(",")) {
+      const days = HISTORY_DAY_TYPES[part.trim()];
+      if (!days) return null;
+      for (const day of days) weekdays.add(day);
+    }
+    return weekdays;
+  }
+
+  // Combines 5-minute buckets from the last few weeks by local time of day, so
+  // "8:30 on a weekday" averages every matching weekday's 08:30 bucket.
+  function buildTypicalDockProfile(docs, weekdays, slotTimes = null) {
+    const slots = new Map();
+    for (const doc of docs) {
+      const parts = ctx.localDateParts(doc.at, DOCK_HISTORY_TIME_ZONE);
+      if (!weekdays.has(parts.weekday)) continue;
+      if (slotTimes && !slotTimes.has(parts.time)) continue;
+
+      let slot = slots.get(parts.time);
+      if (!slot) {
+        slot = {
+          time: parts.time,
+          samples: 0,
+          dateKeys: new Set(),
+          standardBikes: { sum: 0, min: Infinity, max: -Infinity },
+          eBikes: { sum: 0, min: Infinity, max: -Infinity },
+          emptySpaces: { sum: 0, min: Infinity, max: -Infinity },
+        };
+        slots.set(parts.time, slot);
+      }
+      slot.samples += doc.samples || 0;
+      slot.dateKeys.add(parts.dateKey);
+      for (const field of ["standardBikes", "eBikes", "emptySpaces"]) {
+        slot[field].sum += doc[field]?.sum || 0;
+        slot[field].min = Math.min(slot[field].min, doc[field]?.min ?? Infinity);
+        slot[field].max = Math.max(slot[field].max, doc[field]?.max ?? -Infinity);
+      }
+    }
+
+    return Array.from(slots.values())
+      .filter((slot) => slot.samples > 0)
+      .sort((a, b) => a.time.localeCompare(b.time))
+      .map((slot) => {
+        const stats = (field) => ({
+          avg: roundHistoryValue(slot[field].sum / slot.samples),
+          min: slot[field].min,
+          max: slot[field].max,
+        });
+        return {
+          time: slot.time,
+          days: slot.dateKeys.size,
+          samples: slot.samples,
+          standardBikes: stats("standardBikes"),
+          eBikes: stats("eBikes"),
+          emptySpaces: stats("emptySpaces"),
+        };
+      });
+  }
+
+  async function requireDockHistoryCollection(res) {
+    if (ctx.dockHistoryCollection) return ctx.dockHistoryCollection;
+    await ctx.connectMongoIfConfigured();
+    if (ctx.dockHistoryCollection) return ctx.dockHistoryCollection;
+    res.status(503).json({ error: "Dock history storage is not configured" });
+    return null;
+  }
+
+  // ── Dock Forecast ────────────────────────────────────────────────────
+  // expected(t) = seasonal(t) + (current − seasonal(now) + trend) · e^(−h/τ)
+  // The seasonal term is the average of the matching weekday's 5-minute buckets
+  // around the same local time over the last few weeks (falling back to all
+  // weekdays or all weekend days when one weekday has too little data). The
+  // current anomaly and short-term trend fade out with the horizon h.
+  const FORECAST_HISTORY_WEEKS = 8;
+  const FORECAST_MIN_PROFILE_DAYS = 3;
+  const FORECAST_ANOMALY_DECAY_MINUTES = 60;
+  const FORECAST_TREND_WINDOW_MINUTES = 30;
+  const FORECAST_MAX_HORIZON_MS = 7 * 24 * 60 * 60 * 1000;
+  const FORECAST_PROFILE_WINDOW_MS = 90 * 60 * 1000; // wide enough to straddle DST shifts
+
+  function historySlotTime(minutesOfDay) {
+    const normalized = ((minutesOfDay % 1440) + 1440) % 1440;
+    const hours = Math.floor(normalized / 60);
+    const minutes = normalized % 60;
+    return `${String(hours).padStart(2, "0")}:${String(minutes).padStart(2, "0")}`;
+  }
+
+  function combineProfileSlots(slots) {
+    const samples = slots.reduce((total, slot) => total + slot.samples, 0);
+    if (samples === 0) return null;
+    const average = (field) =>
+      slots.reduce((total, slot) => total + slot[field].avg * slot.samples, 0) / samples;
+    return {
+      standardBikes: average("standardBikes"),
+      eBikes: average("eBikes"),
+      emptySpaces: average("emptySpaces"),
+      days: Math.max(...slots.map((slot) => slot.days)),
+    };
+  }
+
+  async function seasonalDockProfileAt(collection, dockId, instant) {
+    const parts = ctx.localDateParts(new Date(instant), DOCK_HISTORY_TIME_ZONE);
+    const [hours, minutes] = parts.time.split(":").map(Number);
+    const slotMinutes = hours * 60 + Math.floor(minutes / 5) * 5;
+    const slotTimes = new Set([
+      historySlotTime(slotMinutes - 5),
+      historySlotTime(slotMinutes),
+      historySlotTime(slotMinutes + 5),
+    ]);
+    const weekdayClass = parts.weekday <= 5 ? HISTORY_DAY_TYPES.weekday : HISTORY_DAY_TYPES.weekend;
+
+    const ranges = [];
+    for (let daysBack = 1; daysBack <= FORECAST_HISTORY_WEEKS * 7; daysBack += 1) {
+      const center = instant - daysBack * 24 * 60 * 60 * 1000;
+      if (!weekdayClass.includes(ctx.localDateParts(new Date(center), DOCK_HISTORY_TIME_ZONE).weekday)) {
+        continue;
+      }
+      ranges.push({
+        at: {
+          $gte: new Date(center - FORECAST_PROFILE_WINDOW_MS),
+          $lte: new Date(center + FORECAST_PROFILE_WINDOW_MS),
+        },
+      });
+    }
+    const docs = await collection.find({ dockId, resolution: "5m", $or: ranges }).toArray();
+
+    const sameWeekday = combineProfileSlots(
+      buildTypicalDockProfile(docs, new Set([parts.weekday]), slotTimes)
+    );
+    if (sameWeekday && sameWeekday.days >= FORECAST_MIN_PROFILE_DAYS) {
+      return { ...sameWeekday, basis: "weekday" };
+    }
+    const sameClass = combineProfileSlots(
+      buildTypicalDockProfile(docs, new Set(weekdayClass), slotTimes)
+    );
+    if (sameClass) {
+      return { ...sameClass, basis: parts.weekday <= 5 ? "weekdays" : "weekends" };
+    }
+    return null;
+  }
+
+  async function currentDockCountsForForecast(collection, dockId) {
+    const snapshotBikePoint = ctx.snapshotBikePointForDock(dockId);
+    if (snapshotBikePoint) {
+      return ctx.parseBikePointData(snapshotBikePoint);
+    }
+    const latest = await collection
+      .find({ dockId, resolution: "raw" })
+      .sort({ at: -1 })
+      .limit(1)
+      .toArray();
+    return latest[0] || null;
+  }
+
+  async function dockTrendPerMinute(collection, dockId, current, now) {
+    const windowStart = now - FORECAST_TREND_WINDOW_MINUTES * 60 * 1000;
+    const previous = await collection
+      .find({ dockId, resolution: "raw", at: { $lte: new Date(windowStart) } })
+      .sort({ at: -1 })
+      .limit(1)
+      .toArray();
+    if (previous.length === 0) {
+      return { standardBikes: 0, eBikes: 0, emptySpaces: 0 };
+    }
+    const trend = (field) =>
+      ((current[field] || 0) - (previous[0][field] || 0)) / FORECAST_TREND_WINDOW_MINUTES;
+    return {
+      standardBikes: trend("standardBikes"),
+      eBikes: trend("eBikes"),
+      emptySpaces: trend("emptySpaces"),
+    };
+  }
+
+  async function forecastDockAvailability(collection, dockId, at, now = Date.now()) {
+    const current = await currentDockCountsForForecast(collection, dockId);
+    if (!current) return null;
+
+    const [seasonalAtTarget, seasonalNow, trend] = await Promise.all([
+      seasonalDockProfileAt(collection, dockId, at),
+      seasonalDockProfileAt(collection, dockId, now),
+      dockTrendPerMinute(collection, dockId, current, now),
+    ]);
+
+    const horizonMinutes = Math.max(0, (at - now) / 60000);
+    const decay = Math.exp(-horizonMinutes / FORECAST_ANOMALY_DECAY_MINUTES);
+    const trendMinutes = Math.min(horizonMinutes, FORECAST_TREND_WINDOW_MINUTES);
+    const raw = {};
+    for (const field of ["standardBikes", "eBikes", "emptySpaces"]) {
+      const currentValue = current[field] || 0;
+      const trendDelta = trend[field] * trendMinutes;
+      if (!seasonalAtTarget) {
+        raw[field] = currentValue + trendDelta * decay;
+        continue;
+      }
+      const baselineNow = (seasonalNow || seasonalAtTarget)[field];
+      raw[field] = seasonalAtTarget[field] + (currentValue - baselineNow + trendDelta) * decay;
+    }
+
+    // Keep the forecast physically possible for the dock's current working capacity.
+    const capacity =
+      (current.standardBikes || 0) + (current.eBikes || 0) + (current.emptySpaces || 0);
+    const standardBikes = Math.min(Math.max(raw.standardBikes, 0), capacity);
+    const eBikes = Math.min(Math.max(raw.eBikes, 0), capacity - standardBikes);
+    const emptySpaces = Math.max(capacity - standardBikes - eBikes, 0);
+
+    const profileDays = seasonalAtTarget?.days || 0;
+    const confidence =
+      profileDays >= 4 ? "high" : profileDays >= 2 || horizonMinutes <= 15 ? "medium" : "low";
+
+    return {
+      at: new Date(at).toISOString(),
+      horizonMinutes: Math.round(horizonMinutes),
+      expected: {
+        standardBikes: roundHistoryValue(standardBikes),
+        eBikes: roundHistoryValue(eBikes),
+        emptySpaces: roundHistoryValue(emptySpaces),
+      },
+      current: {
+        standardBikes: current.standardBikes || 0,
+        eBikes: current.eBikes || 0,
+        emptySpaces: current.emptySpaces || 0,
+      },
+      seasonal: seasonalAtTarget
+        ? {
+            basis: seasonalAtTarget.basis,
+            days: seasonalAtTarget.days,
+            standardBikes: roundHistoryValue(seasonalAtTarget.standardBikes),
+            eBikes: roundHistoryValue(seasonalAtTarget.eBikes),
+            emptySpaces: roundHistoryValue(seasonalAtTarget.emptySpaces),
+          }
+        : null,
+      trendPerHour: {
+        standardBikes: roundHistoryValue(trend.standardBikes * 60),
+        eBikes: roundHistoryValue(trend.eBikes * 60),
+        emptySpaces: roundHistoryValue(trend.emptySpaces * 60),
+      },
+      method: seasonalAtTarget ? "seasonal_with_anomaly" : "persistence",
+      confidence,
+    };
+  }
+
+  router.get("/docks/:dockId/history", async (req, res) => {
+    const collection = await requireDockHistoryCollection(res);
+    if (!collection) return;
+
+    const dockId = req.params.dockId;
+    const now = Date.now();
+    const to = parseHistoryTime(req.query?.to) ?? now;
+    const from = parseHistoryTime(req.query?.from) ?? to - 24 * 60 * 60 * 1000;
+    if (from === null || to === null) {
+      return res.status(400).json({ error: "from and to must be ISO timestamps or epoch milliseconds" });
+    }
+    if (from >= to) {
+      return res.status(400).json({ error: "from must be before to" });
+    }
+
+    const resolution = resolveDockHistoryResolution(req.query?.resolution, to - from);
+    if (!resolution) {
+      return res.status(400).json({ error: "resolution must be one of raw, 5m, 1h, auto" });
+    }
+    if (to - from > DOCK_HISTORY_MAX_QUERY_SPAN_MS[resolution]) {
+      return res.status(400).json({
+        error: `Time range too long for ${resolution} resolution (max ${Math.round(
+          DOCK_HISTORY_MAX_QUERY_SPAN_MS[resolution] / (24 * 60 * 60 * 1000)
+        )} days)`,
+      });
+    }
+
+    try {
+      const { points, truncated } = await queryDockHistory(collection, dockId, resolution, from, to);
+      res.json({
+        success: true,
+        dockId,
+        resolution,
+        from: new Date(from).toISOString(),
+        to: new Date(to).toISOString(),
+        count: points.length,
+        truncated,
+        points,
+      });
+    } catch (err) {
+      logger.error(`Failed to query dock history for ${dockId}: ${err.message}`);
+      res.status(500).json({ error: "Failed to load dock history" });
+    }
+  });
+
+  router.get("/docks/:dockId/history/typical", async (req, res) => {
+    const collection = await requireDockHistoryCollection(res);
+    if (!collection) return;
+
+    const dockId = req.params.dockId;
+    const weekdays = resolveHistoryWeekdays(req.query?.days);
+    if (!weekdays) {
+      return res.status(400).json({
+        error: "days must be all, weekday, weekend or a comma-separated list of mon..sun",
+      });
+    }
+    let slotTime = null;
+    if (req.query?.time !== undefined) {
+      const match = String(req.query.time).trim().match(/^([01]\d|2[0-3]):([0-5]\d)$/);
+      if (!match) {
+        return res.status(400).json({ error: "time must be HH:MM" });
+      }
+      const minute = Math.floor(Number(match[2]) / 5) * 5;
+      slotTime = `${match[1]}:${String(minute).padStart(2, "0")}`;
+    }
+    const weeks = Math.min(
+      Math.max(parseInt(req.query?.weeks || "8", 10) || 8, 1),
+      Math.max(1, Math.floor(DOCK_HISTORY_5M_RETENTION_DAYS / 7))
+    );
+
+    try {
+      const to = Date.now();
+      const from = to - weeks * 7 * 24 * 60 * 60 * 1000;
+      const docs = await collection
+        .find({ dockId, resolution: "5m", at: { $gte: new Date(from), $lte: new Date(to) } })
+        .sort({ at: 1 })
+        .toArray();
+      res.json({
+        success: true,
+        dockId,
+        timezone: DOCK_HISTORY_TIME_ZONE,
+        days: req.query?.days || "all",
+        weeks,
+        slots: buildTypicalDockProfile(docs, weekdays, slotTime ? new Set([slotTime]) : null),
+      });
+    } catch (err) {
+      logger.error(`Failed to build typical dock profile for ${dockId}: ${err.message}`);
+      res.status(500).json({ error: "Failed to load dock history" });
+    }
+  });
+
+  router.get("/docks/:dockId/forecast", async (req, res) => {
+    const collection = await requireDockHistoryCollection(res);
+    if (!collection) return;
+
+    const dockId = req.params.dockId;
+    const now = Date.now();
+    const at = parseHistoryTime(req.query?.at);
+    if (at === undefined || at === null) {
+      return res.status(400).json({ error: "at must be an ISO timestamp or epoch milliseconds" });
+    }
+    if (at < now - 60000 || at > now + FORECAST_MAX_HORIZON_MS) {
+      return res.status(400).json({ error: "at must be between now and 7 days from now" });
+    }
+
+    try {
+      const forecast = await forecastDockAvailability(collection, dockId, Math.max(at, now), now);
+      if (!forecast) {
+        return res.status(404).json({ error: `No recent availability data for dock ${dockId}` });
+      }
+      res.json({ success: true, dockId, ...forecast });
+    } catch (err) {
+      logger.error(`Failed to forecast availability for ${dockId}: ${err.message}`);
+      res.status(500).json({ error: "Failed to build forecast" });
+    }
+  });
+
+  return {
+    dockHistoryState,
+    recordDockHistorySample,
+    recordDockHistoryFromBikePoints,
+    flushDockHistory,
+    forecastDockAvailability,
+    router,
+  };
+}
+
+module.exports = { createDockHistory };
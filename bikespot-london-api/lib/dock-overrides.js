@@ -0,0 +1,142 @@
+// Admin-entered dock counts and locations, persisted to DOCK_OVERRIDES_PATH and
+// applied on top of TfL data.
+const fs = require("fs");
+
+function createDockOverrides(ctx) {
+  const { config, logger } = ctx;
+  const { DOCK_OVERRIDES_PATH } = config;
+
+  // ── Dock Value Overrides ─────────────────────────────────────────────
+  // Map<dockId, { standardBikes: number, eBikes: number, emptySpaces: number, latitude: number|null, longitude: number|null, updatedAt: number }>
+  const dockOverrides = new Map();
+
+  function parseOptionalCoordinate(value, min, max) {
+    if (value === undefined || value === null) return undefined;
+    if (typeof value === "string" && !value.trim()) return undefined;
+    const numericValue = Number(value);
+    if (!Number.isFinite(numericValue) || numericValue < min || numericValue > max) {
+      return null;
+    }
+    return numericValue;
+  }
+
+  function loadDockOverrides() {
+    try {
+      if (!fs.existsSync(DOCK_OVERRIDES_PATH)) return;
+      const raw = fs.readFileSync(DOCK_OVERRIDES_PATH, "utf8");
+      const entries = JSON.parse(raw);
+      for (const [dockId, override] of entries) {
+        if (!dockId || typeof override !== "object" || !override) continue;
+        const latitude = parseOptionalCoordinate(
+          override.latitude ?? override.lat,
+          -90,
+          90
+        );
+        const longitude = parseOptionalCoordinate(
+          override.longitude ?? override.lon,
+          -180,
+          180
+        );
+        const hasLocationOverride =
+          typeof latitude === "number" && typeof longitude === "number";
+        dockOverrides.set(dockId, {
+          standardBikes: Math.max(0, Math.trunc(Number(override.standardBikes) || 0)),
+          eBikes: Math.max(0, Math.trunc(Number(override.eBikes) || 0)),
+          emptySpaces: Math.max(0, Math.trunc(Number(override.emptySpaces) || 0)),
+          latitude: hasLocationOverride ? latitude : null,
+          longitude: hasLocationOverride ? longitude : null,
+          updatedAt:
+            Number.isFinite(override.updatedAt) && override.updatedAt > 0
+              ? Math.trunc(override.updatedAt)
+              : Date.now(),
+          updatedBy: typeof override.updatedBy === "string" ? override.updatedBy : null,
+        });
+      }
+      logger.info(`Loaded ${dockOverrides.size} dock override(s) from disk`);
+    } catch (err) {
+      logger.warn(`Could not load dock overrides from disk: ${err.message}`);
+    }
+  }
+
+  function saveDockOverrides() {
+    try {
+      const entries = Array.from(dockOverrides.entries());
+      fs.writeFileSync(DOCK_OVERRIDES_PATH, JSON.stringify(entries, null, 2));
+    } catch (err) {
+      logger.warn(`Could not save dock overrides to disk: ${err.message}`);
+    }
+  }
+
+  loadDockOverrides();
+
+  function setAdditionalPropertyValue(additionalProperties, key, value) {
+    const next = Array.isArray(additionalProperties) ? [...additionalProperties] : [];
+    const normalizedValue = String(Math.max(0, Math.trunc(Number(value) || 0)));
+    const existingIndex = next.findIndex((prop) => prop && prop.key === key);
+    if (existingIndex >= 0) {
+      next[existingIndex] = { ...next[existingIndex], value: normalizedValue };
+    } else {
+      next.push({ key, value: normalizedValue });
+    }
+    return next;
+  }
+
+  function applyOverrideToBikePoint(bikePoint) {
+    if (!bikePoint || typeof bikePoint !== "object") return bikePoint;
+    const override = dockOverrides.get(bikePoint.id);
+    if (!override) return bikePoint;
+
+    let additionalProperties = bikePoint.additionalProperties;
+    additionalProperties = setAdditionalPropertyValue(
+      additionalProperties,
+      "NbStandardBikes",
+      override.standardBikes
+    );
+    additionalProperties = setAdditionalPropertyValue(
+      additionalProperties,
+      "NbEBikes",
+      override.eBikes
+    );
+    additionalProperties = setAdditionalPropertyValue(
+      additionalProperties,
+      "NbEmptyDocks",
+      override.emptySpaces
+    );
+
+    return {
+      ...bikePoint,
+      lat:
+        typeof override.latitude === "number" ? override.latitude : bikePoint.lat,
+      lon:
+        typeof override.longitude === "number" ? override.longitude : bikePoint.lon,
+      additionalProperties,
+    };
+  }
+
+  function serializeDockOverrides() {
+    return Array.from(dockOverrides.entries())
+      .map(([dockId, override]) => ({
+        dockId,
+        standardBikes: override.standardBikes,
+        eBikes: override.eBikes,
+        emptySpaces: override.emptySpaces,
+        latitude:
+          typeof override.latitude === "number" ? override.latitude : null,
+        longitude:
+          typeof override.longitude === "number" ? override.longitude : null,
+        updatedAt: new Date(override.updatedAt).toISOString(),
+        updatedBy: override.updatedBy || null,
+      }))
+      .sort((a, b) => a.dockId.localeCompare(b.dockId));
+  }
+
+  return {
+    dockOverrides,
+    parseOptionalCoordinate,
+    saveDockOverrides,
+    applyOverrideToBikePoint,
+    serializeDockOverrides,
+  };
+}
+
+module.exports = { createDockOverrides };
@@ -0,0 +1,266 @@
+// Journey run history: one document per scheduled journey run in JOURNEY_RUNS_COLLECTION
+// (_id is "<journeyId>:<runKey>") recording when it started, each phase change and
+// finished leg, which dock it ended at and the dock availability seen at every step.
+// Runs expire after JOURNEY_RUNS_RETENTION_DAYS. GET /scheduled-journeys/:id/runs
+// returns them with commute statistics.
+const express = require("express");
+const { ObjectId } = require("mongodb");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_JOURNEY_RUNS_RESPONSE = 200;
+
+function createJourneyRuns(ctx) {
+  const { config, logger } = ctx;
+  const { JOURNEY_RUNS_RETENTION_DAYS } = config;
+  const router = express.Router();
+
+  function journeyRunId(journey, runKey) {
+    return `${journey._id.toString()}:${runKey}`;
+  }
+
+  function runDock(dock) {
+    return dock ? { id: dock.id, name: dock.name || null } : null;
+  }
+
+  async function dockAvailabilityForRun(dockId) {
+    if (!dockId) return null;
+    try {
+      const data = await ctx.fetchDockData(dockId);
+      return {
+        standardBikes: data.standardBikes,
+        eBikes: data.eBikes,
+        emptySpaces: data.emptySpaces,
+      };
+    } catch (err) {
+      logger.warn(`Could not read availability of ${dockId} for run history: ${err.message}`);
+      return null;
+    }
+  }
+
+  async function journeyRunEvent(type, { phase = null, legIndex = 0, dock = null, reason = null }) {
+    return {
+      type,
+      at: new Date(),
+      phase,
+      legIndex,
+      dock: runDock(dock),
+      availability: await dockAvailabilityForRun(dock?.id),
+      reason,
+    };
+  }
+
+  // ── Recording ────────────────────────────────────────────────────────
+  // Run history never gets in the way of the run itself, so write failures are only
+  // logged.
+  async function writeJourneyRun(journey, runKey, write) {
+    if (!ctx.journeyRunsCollection) return;
+    try {
+      await write(ctx.journeyRunsCollection, journeyRunId(journey, runKey));
+    } catch (err) {
+      logger.warn(`Failed to record run ${runKey} of scheduled journey ${journey._id}: ${err.message}`);
+    }
+  }
+
+  // A run started again after being stopped (say, activated by hand) reopens its record.
+  // startedAt moves to the new start, so the run's duration leaves out the time it sat
+  // stopped; firstStartedAt keeps the original.
+  async function recordJourneyRunStarted(journey, { runKey, source, lateMinutes = 0 }) {
+    const legs = ctx.journeyLegs(journey);
+    const startDock = legs[0].startDock;
+    const event = await journeyRunEvent("started", { phase: "start", dock: startDock, reason: source });
+    await writeJourneyRun(journey, runKey, (collection, _id) =>
+      collection.updateOne(
+        { _id },
+        {
+          $setOnInsert: {
+            journeyId: journey._id,
+            runKey,
+            dateKey: runKey.slice(0, 10),
+            source,
+            lateMinutes,
+            firstStartedAt: event.at,
+            startDock: runDock(startDock),
+            plannedEndDock: runDock(legs[legs.length - 1].endDock),
+            legCount: legs.length,
+            startAvailability: event.availability,
+            expiresAt: new Date(event.at.getTime() + JOURNEY_RUNS_RETENTION_DAYS * DAY_MS),
+          },
+          $set: {
+            deviceId: journey.deviceId,
+            accountId: journey.accountId || null,
+            outcome: "in_progress",
+            startedAt: event.at,
+            finishedAt: null,
+          },
+          $push: { events: event },
+        },
+        { upsert: true }
+      )
+    );
+  }
+
+  // type is "phase" (the run now watches `dock` for `phase`) or "leg_completed".
+  async function recordJourneyRunEvent(journey, runKey, type, details) {
+    const event = await journeyRunEvent(type, details);
+    await writeJourneyRun(journey, runKey, (collection, _id) =>
+      collection.updateOne({ _id, outcome: "in_progress" }, { $push: { events: event } })
+    );
+  }
+
+  // outcome is "completed" (arrived at the last leg's end dock), "stopped" (by the
+  // user) or "ended" (window end, holiday mode). Only the first finish counts.
+  async function recordJourneyRunFinished(journey, runKey, outcome, { reason = null, arrivalDock = null } = {}) {
+    const event = await journeyRunEvent(outcome, {
+      legIndex: journey.activeRun?.legIndex ?? 0,
+      dock: arrivalDock,
+      reason,
+    });
+    const plannedEndDock = ctx.journeyLegs(journey).at(-1).endDock;
+    await writeJourneyRun(journey, runKey, (collection, _id) =>
+      collection.updateOne(
+        { _id, outcome: "in_progress" },
+        {
+          $set: {
+            outcome,
+            finishedAt: event.at,
+            arrivalDock: arrivalDock
+              ? { ...runDock(arrivalDock), planned: arrivalDock.id === plannedEndDock.id }
+              : null,
+            arrivalAvailability: event.availability,
+          },
+          $push: { events: event },
+        }
+      )
+    );
+  }
+
+  // ── Statistics ───────────────────────────────────────────────────────
+  function journeyRunDurationMinutes(run) {
+    if (run.outcome !== "completed" || !run.startedAt || !run.finishedAt) return null;
+    return Math.round((new Date(run.finishedAt) - new Date(run.startedAt)) / 60000);
+  }
+
+  // Empty means none of the bikes the journey cares about (its bikeDataFilter).
+  function isStartDockEmpty(availability, bikeDataFilter) {
+    if (!availability) return null;
+    if (bikeDataFilter === "bikesOnly") return availability.standardBikes === 0;
+    if (bikeDataFilter === "eBikesOnly") return availability.eBikes === 0;
+    return availability.standardBikes + availability.eBikes === 0;
+  }
+
+  function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1
+      ? sorted[middle]
+      : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+  }
+
+  // `runs` oldest first. A streak is a run of consecutive completed runs; a run still in
+  // progress neither extends nor breaks it.
+  function summarizeJourneyRuns(runs, journey) {
+    const finished = runs.filter((run) => run.outcome !== "in_progress");
+    const durations = finished.map(journeyRunDurationMinutes).filter((value) => value !== null);
+    const emptyChecks = runs
+      .map((run) => isStartDockEmpty(run.startAvailability, journey.bikeDataFilter))
+      .filter((value) => value !== null);
+    const startDockEmptyCount = emptyChecks.filter(Boolean).length;
+
+    let currentStreak = 0;
+    let longestStreak = 0;
+    for (const run of finished) {
+      currentStreak = run.outcome === "completed" ? currentStreak + 1 : 0;
+      longestStreak = Math.max(longestStreak, currentStreak);
+    }
+
+    const arrivalDocks = new Map();
+    for (const run of finished) {
+      if (!run.arrivalDock) continue;
+      const entry = arrivalDocks.get(run.arrivalDock.id) || { ...run.arrivalDock, count: 0 };
+      entry.count += 1;
+      arrivalDocks.set(run.arrivalDock.id, entry);
+    }
+
+    return {
+      runCount: runs.length,
+      completedCount: finished.filter((run) => run.outcome === "completed").length,
+      stoppedCount: finished.filter((run) => run.outcome === "stopped").length,
+      endedCount: finished.filter((run) => run.outcome === "ended").length,
+      typicalDurationMinutes: median(durations),
+      fastestDurationMinutes: durations.length > 0 ? Math.min(...durations) : null,
+      startDockEmptyCount,
+      startDockEmptyRate:
+        emptyChecks.length > 0
+          ? Math.round((startDockEmptyCount / emptyChecks.length) * 100) / 100
+          : null,
+      arrivalDocks: Array.from(arrivalDocks.values()).sort((a, b) => b.count - a.count),
+      currentStreak,
+      longestStreak,
+    };
+  }
+
+  function serializeJourneyRun(run) {
+    const isoOrNull = (value) => (value ? new Date(value).toISOString() : null);
+    return {
+      runKey: run.runKey,
+      dateKey: run.dateKey,
+      source: run.source,
+      outcome: run.outcome,
+      lateMinutes: run.lateMinutes || 0,
+      startedAt: isoOrNull(run.startedAt),
+      firstStartedAt: isoOrNull(run.firstStartedAt || run.startedAt),
+      finishedAt: isoOrNull(run.finishedAt),
+      durationMinutes: journeyRunDurationMinutes(run),
+      startDock: run.startDock,
+      startAvailability: run.startAvailability || null,
+      arrivalDock: run.arrivalDock || null,
+      arrivalAvailability: run.arrivalAvailability || null,
+      events: (run.events || []).map((event) => ({ ...event, at: isoOrNull(event.at) })),
+    };
+  }
+
+  // ── Routes ───────────────────────────────────────────────────────────
+  router.get("/scheduled-journeys/:id/runs", async (req, res) => {
+    if (!ctx.scheduledJourneysCollection) await ctx.connectMongoIfConfigured();
+    if (!ctx.scheduledJourneysCollection || !ctx.journeyRunsCollection) {
+      return res.status(503).json({ error: "Scheduled journeys storage is not configured" });
+    }
+
+    const deviceId = ctx.deviceIdFromRequest(req);
+    const journeyId = req.params.id;
+    if (!deviceId || !ObjectId.isValid(journeyId)) {
+      return res.status(400).json({ error: "Missing deviceId or invalid journey id" });
+    }
+
+    const owner = await ctx.resolveJourneyOwner(deviceId);
+    const journey = await ctx.scheduledJourneysCollection.findOne({
+      _id: new ObjectId(journeyId),
+      ...ctx.journeyOwnerFilter(owner),
+      deletedAt: { $exists: false },
+    });
+    if (!journey) return res.status(404).json({ error: "Scheduled journey not found" });
+
+    const limit = ctx.resolveLogLimit(req.query?.limit, 30, MAX_JOURNEY_RUNS_RESPONSE);
+    const runs = await ctx.journeyRunsCollection
+      .find({ journeyId: journey._id })
+      .sort({ startedAt: 1 })
+      .toArray();
+    res.json({
+      success: true,
+      journeyId,
+      stats: summarizeJourneyRuns(runs, journey),
+      runs: runs.slice(-limit).reverse().map(serializeJourneyRun),
+    });
+  });
+
+  return {
+    recordJourneyRunStarted,
+    recordJourneyRunEvent,
+    recordJourneyRunFinished,
+    summarizeJourneyRuns,
+    router,
+  };
+}
+
+module.exports = { createJourneyRuns };
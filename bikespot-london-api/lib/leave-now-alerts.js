@@ -0,0 +1,205 @@
+// "Leave now" alerts: a journey can ask for a summary push leadMinutes before each run
+// starts, with live bikes at the start dock and spaces at the first leg's end dock. If
+// the start dock has fewer bikes than the journey's minBikes, the push names the nearest
+// dock that has enough instead, so the rider can pick another dock before leaving home.
+const DEFAULT_LEAVE_NOW_LEAD_MINUTES = 10;
+const MAX_LEAVE_NOW_LEAD_MINUTES = 60;
+const MAX_LEAVE_NOW_MIN_BIKES = 20;
+
+function createLeaveNowAlerts(ctx) {
+  const { logger } = ctx;
+
+  function sanitizeWholeNumber(value, fallback, min, max) {
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed)) return fallback;
+    return Math.min(Math.max(Math.trunc(parsed), min), max);
+  }
+
+  function sanitizeLeaveNowAlert(rawValue) {
+    const source = rawValue && typeof rawValue === "object" ? rawValue : {};
+    return {
+      enabled: source.enabled === true,
+      leadMinutes: sanitizeWholeNumber(
+        source.leadMinutes,
+        DEFAULT_LEAVE_NOW_LEAD_MINUTES,
+        1,
+        MAX_LEAVE_NOW_LEAD_MINUTES
+      ),
+      minBikes: sanitizeWholeNumber(source.minBikes, 1, 1, MAX_LEAVE_NOW_MIN_BIKES),
+    };
+  }
+
+  // The bikes a journey counts (its bikeDataFilter), as the primaryDisplay and
+  // thresholds nearbyAlternativesForDock expects from a Live Activity session.
+  function leaveNowBikeMeasure(bikeDataFilter, minBikes) {
+    switch (bikeDataFilter) {
+      case "bikesOnly":
+        return { primaryDisplay: "bikes", minimumThresholds: { bikes: minBikes }, noun: "bike" };
+      case "eBikesOnly":
+        return { primaryDisplay: "eBikes", minimumThresholds: { eBikes: minBikes }, noun: "e-bike" };
+      default:
+        return {
+          primaryDisplay: "allBikes",
+          minimumThresholds: { bikes: minBikes, eBikes: 0 },
+          noun: "bike",
+        };
+    }
+  }
+
+  function countLabel(count, noun) {
+    return `${count} ${count === 1 ? noun : `${noun}s`}`;
+  }
+
+  function dockLabel(dockName, fallback) {
+    return typeof dockName === "string" && dockName.trim() ? dockName.trim() : fallback;
+  }
+
+  function formatDistance(distanceMeters) {
+    return distanceMeters < 1000
+      ? `${distanceMeters} m`
+      : `${(distanceMeters / 1000).toFixed(1)} km`;
+  }
+
+  function leaveNowAlertBody({ startDock, startBikes, minBikes, measure, alternative, endDock, endSpaces }) {
+    const startName = dockLabel(startDock.name, "Your start dock");
+    const endName = dockLabel(endDock.name, "your destination");
+    const destination = endSpaces === null ? "" : ` ${endName} has ${countLabel(endSpaces, "space")}.`;
+    if (startBikes >= minBikes) {
+      return `${startName} has ${countLabel(startBikes, measure.noun)}.${destination}`;
+    }
+    const suggestion = alternative
+      ? ` Try ${alternative.name} (${formatDistance(alternative.distanceMeters)}), which has ${countLabel(alternative.bikes, measure.noun)}.`
+      : "";
+    return `${startName} only has ${countLabel(startBikes, measure.noun)}.${suggestion}${destination}`;
+  }
+
+  async function leaveNowDockData(dock) {
+    try {
+      return await ctx.fetchDockData(dock.id);
+    } catch (err) {
+      logger.warn(`Could not read availability of ${dock.id} for a leave-now alert: ${err.message}`);
+      return null;
+    }
+  }
+
+  // Runs every scheduler tick and fires once per run, in the first tick from leadMinutes
+  // before the window opens. Returns what was sent, or null.
+  async function checkScheduledJourneyLeaveNowAlert(journey, now = Date.now()) {
+    const settings = sanitizeLeaveNowAlert(journey.leaveNowAlert);
+    if (!settings.enabled) return null;
+
+    const decision = ctx.scheduledJourneyStartDecision(
+      journey,
+      new Date(now + settings.leadMinutes * 60 * 1000)
+    );
+    if (!decision.canStart || now >= decision.window.startAt) return null;
+    if (journey.leaveNowAlertSent?.runKey === decision.runKey) return null;
+
+    const targets = await ctx.scheduledJourneyPushTargets(journey, "deviceToken");
+    if (targets.length === 0) return null;
+
+    const { startDock, endDock } = ctx.journeyLegs(journey)[0];
+    const startData = await leaveNowDockData(startDock);
+    if (!startData) return null;
+    const endData = await leaveNowDockData(endDock);
+
+    // A journey that only starts when its start dock runs low (startCondition
+    // startDockBelow) has already said how many bikes are enough.
+    const startCondition = ctx.sanitizeStartCondition(journey.startCondition);
+    const minBikes =
+      startCondition?.mode === "startDockBelow" ? startCondition.threshold : settings.minBikes;
+    const measure = leaveNowBikeMeasure(journey.bikeDataFilter, minBikes);
+    const startBikes = ctx.primaryValueForDisplay(startData, measure.primaryDisplay);
+    let alternative = null;
+    if (startBikes < minBikes) {
+      const [candidate] = ctx.nearbyAlternativesForDock(startDock.id, measure, 1) || [];
+      if (candidate) {
+        alternative = {
+          dockId: candidate.dockId,
+          name: candidate.data.dockName,
+          distanceMeters: Math.round(candidate.distanceMeters),
+          bikes: ctx.primaryValueForDisplay(candidate.data, measure.primaryDisplay),
+          standardBikes: candidate.data.standardBikes,
+          eBikes: candidate.data.eBikes,
+        };
+      }
+    }
+    const endSpaces = endData ? endData.emptySpaces : null;
+    const body = leaveNowAlertBody({
+      startDock,
+      startBikes,
+      minBikes,
+      measure,
+      alternative,
+      endDock,
+      endSpaces,
+    });
+
+    let deliveredCount = 0;
+    for (const target of targets) {
+      try {
+        await ctx.sendAlertPush(
+          target.token,
+          target.buildType,
+          "Time to leave",
+          body,
+          "scheduled_journey_leave_now",
+          "scheduled journey leave-now alert",
+          {
+            customPayload: {
+              journeyId: journey._id.toString(),
+              runKey: decision.runKey,
+              startTime: decision.window.startTime,
+              dockId: startDock.id,
+              destinationDockId: endDock.id,
+              startBikes,
+              destinationSpaces: endSpaces,
+              alternative,
+            },
+          }
+        );
+        deliveredCount += 1;
+      } catch (err) {
+        logger.warn(
+          `Leave-now alert for scheduled journey ${journey._id} was not delivered to device ${ctx.shortenIdentifier(target.deviceId)}: ${err.message}`
+        );
+      }
+    }
+
+    // Recorded even if every device rejected it, so it isn't retried each tick.
+    await ctx.scheduledJourneysCollection.updateOne(
+      { _id: journey._id },
+      {
+        $set: {
+          leaveNowAlertSent: { runKey: decision.runKey, sentAt: new Date(), deliveredCount },
+          updatedAt: new Date(),
+        },
+      }
+    );
+    ctx.appendDiagnosticJsonLine("scheduled_journey_leave_now_alert_sent", {
+      journeyId: journey._id.toString(),
+      deviceId: ctx.shortenIdentifier(journey.deviceId),
+      runKey: decision.runKey,
+      leadMinutes: settings.leadMinutes,
+      startDockId: startDock.id,
+      startBikes,
+      minBikes,
+      destinationDockId: endDock.id,
+      destinationSpaces: endSpaces,
+      alternativeDockId: alternative?.dockId || null,
+      targetCount: targets.length,
+      deliveredCount,
+    });
+    logger.info(
+      `Sent leave-now alert for scheduled journey ${journey._id} (${decision.runKey}) to ${deliveredCount}/${targets.length} device(s)`
+    );
+    return { body, startBikes, destinationSpaces: endSpaces, alternative, deliveredCount };
+  }
+
+  return {
+    sanitizeLeaveNowAlert,
+    checkScheduledJourneyLeaveNowAlert,
+  };
+}
+
+module.exports = { createLeaveNowAlerts };
@@ -0,0 +1,1191 @@
+// /live-activity routes: start, update, end, arrival, per-device status and the test
+// endpoints.
+const express = require("express");
+const { ObjectId } = require("mongodb");
+
+function createLiveActivities(ctx) {
+  const { config, logger, metrics } = ctx;
+  const {
+    START_ARRIVAL_DESTINATION_SPACE_ALERT_DELAY_MS,
+    DESTINATION_AVAILABILITY_GENERIC_ALERT_SUPPRESSION_MS,
+    HARD_NOTIFICATION_CUTOFF_MS,
+    TEST_INTERVAL_MS,
+  } = config;
+  const { liveActivitiesTotal, dockSwitchSuggestionsTotal } = metrics;
+  const router = express.Router();
+
+  router.post("/live-activity/start", (req, res) => {
+    const {
+      dockId,
+      dockName,
+      pushToken,
+      buildType,
+      expirySeconds,
+      alternatives,
+      maxAlternatives,
+      primaryDisplay,
+      minimumThresholds,
+      scheduledJourneyId,
+      scheduledJourneyPhase,
+      scheduledJourneyLegIndex,
+      adHocJourneyId,
+      standardBikes,
+      eBikes,
+      emptySpaces,
+      activeDockId,
+      activeDockName,
+      activeDockAlias,
+      activeJourneyPhase,
+    } = req.body;
+    const normalizedPushToken = ctx.normalizeApnsDeviceToken(pushToken);
+
+    if (!dockId || !normalizedPushToken || !buildType) {
+      return res
+        .status(400)
+        .json({ error: "Missing required fields: dockId, pushToken, buildType" });
+    }
+
+    if (buildType !== "development" && buildType !== "production") {
+      return res
+        .status(400)
+        .json({ error: 'buildType must be "development" or "production"' });
+    }
+
+    // Use client-provided expiry or fall back to default timeout, but always cap the window.
+    const expiryMs = ctx.resolveSessionExpiryMs(expirySeconds);
+    const normalizedAlternatives = ctx.sanitizeAlternatives(alternatives);
+    const normalizedPrimaryDisplay = ctx.sanitizePrimaryDisplay(primaryDisplay);
+    const normalizedMinimumThresholds = ctx.sanitizeMinimumThresholds(minimumThresholds);
+    const normalizedDockName = ctx.sanitizeDockName(dockName);
+    const activeMinimumThreshold = ctx.minimumThresholdForDisplay(
+      normalizedMinimumThresholds,
+      normalizedPrimaryDisplay
+    );
+    const deviceToken = ctx.normalizeApnsDeviceToken(req.headers["x-device-token"]);
+    const now = Date.now();
+
+    if (!deviceToken && req.headers["x-device-token"]) {
+      logger.warn(
+        `Ignoring invalid APNs device token for live activity start (dock=${dockId})`
+      );
+    }
+
+    // Register the token for this dock
+    if (!ctx.dockPollers.has(dockId)) {
+      ctx.dockPollers.set(dockId, {
+        interval: null,
+        lastData: null,
+        tokens: new Map(),
+      });
+    }
+
+    const poller = ctx.dockPollers.get(dockId);
+    const seededData = {
+      dockName: normalizedDockName || dockId,
+      standardBikes: ctx.sanitizeThresholdValue(standardBikes),
+      eBikes: ctx.sanitizeThresholdValue(eBikes),
+      emptySpaces: ctx.sanitizeThresholdValue(emptySpaces),
+    };
+    const hasSeededAvailability =
+      standardBikes !== undefined || eBikes !== undefined || emptySpaces !== undefined;
+    if (hasSeededAvailability && !poller.lastData) {
+      poller.lastData = seededData;
+      logger.info(
+        `Seeded live activity session for dock ${dockId}: bikes=${seededData.standardBikes}, eBikes=${seededData.eBikes}, spaces=${seededData.emptySpaces}`
+      );
+    }
+    const existingSessionForPushToken = poller.tokens.get(normalizedPushToken);
+    let startedAt = now;
+    let hardStopAt = startedAt + HARD_NOTIFICATION_CUTOFF_MS;
+
+    if (existingSessionForPushToken) {
+      startedAt = ctx.sessionStartedAtMs(existingSessionForPushToken);
+      hardStopAt = ctx.sessionHardStopAtMs(existingSessionForPushToken);
+    } else if (deviceToken) {
+      const matchingDeviceSessions = [];
+      for (const [existingPushToken, existingSession] of poller.tokens) {
+        if (existingSession.deviceToken !== deviceToken) continue;
+        if (existingSession.buildType !== buildType) continue;
+
+        const existingExpiresAtMs = ctx.sessionExpiresAtMs(existingSession);
+        if (existingExpiresAtMs <= now) {
+          // Clean up stale tokens first so a new session can start cleanly.
+          poller.tokens.delete(existingPushToken);
+          continue;
+        }
+
+        matchingDeviceSessions.push({
+          pushToken: existingPushToken,
+          session: existingSession,
+        });
+      }
+
+      if (matchingDeviceSessions.length > 0) {
+        startedAt = matchingDeviceSessions.reduce(
+          (earliestStartAt, item) =>
+            Math.min(earliestStartAt, ctx.sessionStartedAtMs(item.session)),
+          now
+        );
+        hardStopAt = matchingDeviceSessions.reduce(
+          (earliestHardStopAt, item) =>
+            Math.min(earliestHardStopAt, ctx.sessionHardStopAtMs(item.session)),
+          startedAt + HARD_NOTIFICATION_CUTOFF_MS
+        );
+
+        for (const item of matchingDeviceSessions) {
+          if (item.pushToken === normalizedPushToken) continue;
+          poller.tokens.delete(item.pushToken);
+        }
+      }
+    }
+
+    const effectiveExpiresAtMs = ctx.sessionExpiresAtMs({
+      startedAt,
+      hardStopAt,
+      expiryMs,
+    });
+    const effectiveRemainingSeconds = Math.max(
+      0,
+      Math.floor((effectiveExpiresAtMs - now) / 1000)
+    );
+
+    logger.info(
+      `Starting live activity: dock=${dockId}, build=${buildType}, primaryDisplay=${normalizedPrimaryDisplay}, minimumThreshold=${activeMinimumThreshold}, expires in ${effectiveRemainingSeconds}s`
+    );
+    logger.info(`  pushToken: ${normalizedPushToken} (alternatives: ${normalizedAlternatives.length})`);
+    const normalizedScheduledJourneyPhase = ctx.scheduledJourneyPhaseFromValues(
+      scheduledJourneyPhase,
+      activeJourneyPhase
+    );
+    const normalizedScheduledJourneyLegIndex =
+      Number.isInteger(scheduledJourneyLegIndex) && scheduledJourneyLegIndex >= 0
+        ? scheduledJourneyLegIndex
+        : null;
+
+    poller.tokens.set(normalizedPushToken, {
+      buildType,
+      startedAt,
+      hardStopAt,
+      expiryMs,
+      dockName: normalizedDockName,
+      alternatives: normalizedAlternatives,
+      maxAlternatives: ctx.sanitizeMaxAlternatives(maxAlternatives),
+      primaryDisplay: normalizedPrimaryDisplay,
+      minimumThresholds: normalizedMinimumThresholds,
+      deviceToken,
+      scheduledJourneyId:
+        typeof scheduledJourneyId === "string" && ObjectId.isValid(scheduledJourneyId)
+          ? scheduledJourneyId
+          : null,
+      scheduledJourneyPhase: normalizedScheduledJourneyPhase,
+      scheduledJourneyLegIndex: normalizedScheduledJourneyLegIndex,
+      adHocJourneyId:
+        typeof adHocJourneyId === "string" && adHocJourneyId.trim()
+          ? adHocJourneyId.trim().slice(0, 128)
+          : null,
+      activeDockId:
+        typeof activeDockId === "string" && activeDockId.trim() ? activeDockId.trim() : dockId,
+      activeDockName:
+        typeof activeDockName === "string" && activeDockName.trim()
+          ? activeDockName.trim()
+          : normalizedDockName || dockId,
+      activeDockAlias:
+        typeof activeDockAlias === "string" && activeDockAlias.trim() ? activeDockAlias.trim() : null,
+    });
+
+    ctx.appendDiagnosticJsonLine("live_activity_session_registered", {
+      dockId,
+      dockName: normalizedDockName || dockId,
+      pushToken: ctx.shortenIdentifier(normalizedPushToken),
+      deviceToken: ctx.shortenIdentifier(deviceToken),
+      buildType,
+      primaryDisplay: normalizedPrimaryDisplay,
+      alternativesCount: normalizedAlternatives.length,
+      scheduledJourneyId:
+        typeof scheduledJourneyId === "string" && ObjectId.isValid(scheduledJourneyId)
+          ? scheduledJourneyId
+          : null,
+      scheduledJourneyPhase: normalizedScheduledJourneyPhase,
+      adHocJourneyId:
+        typeof adHocJourneyId === "string" && adHocJourneyId.trim()
+          ? adHocJourneyId.trim().slice(0, 128)
+          : null,
+      seededAvailability: hasSeededAvailability ? seededData : null,
+      activeTokenCountForDock: poller.tokens.size,
+      expiresAt: new Date(effectiveExpiresAtMs).toISOString(),
+    });
+
+    if (
+      ctx.scheduledJourneysCollection &&
+      typeof scheduledJourneyId === "string" &&
+      ObjectId.isValid(scheduledJourneyId) &&
+      normalizedScheduledJourneyPhase
+    ) {
+      const scheduledJourneyObjectId = new ObjectId(scheduledJourneyId);
+      ctx.scheduledJourneysCollection.findOne(
+        { _id: scheduledJourneyObjectId, deletedAt: { $exists: false } },
+        {
+          // currentScheduledRunKey needs the whole schedule to find the run whose window
+          // is open (an extra run, or one that began before midnight).
+          projection: {
+            startDock: 1,
+            endDock: 1,
+            legs: 1,
+            activeRun: 1,
+            timezone: 1,
+            startTime: 1,
+            endTime: 1,
+            weekdays: 1,
+            extraRuns: 1,
+            skipDates: 1,
+            pauseRanges: 1,
+            skipBankHolidays: 1,
+            bankHolidayRegion: 1,
+          },
+        }
+      ).then(async (journey) => {
+        if (!journey) return null;
+        const registrationRunKey = req.body?.scheduledRunKey || ctx.currentScheduledRunKey(journey);
+        if (
+          normalizedScheduledJourneyPhase === "start" &&
+          !journey.activeRun?.phase &&
+          (await ctx.isScheduledRunPaused(journey._id, registrationRunKey))
+        ) {
+          logger.warn(
+            `Skipping stale start-phase registration for scheduled journey ${scheduledJourneyId} because run ${registrationRunKey} is complete or paused`
+          );
+          ctx.appendDiagnosticJsonLine("scheduled_journey_stale_start_registration_skipped", {
+            journeyId: scheduledJourneyId,
+            dockId,
+            dockName: normalizedDockName || dockId,
+            reason: "run_paused",
+            runKey: registrationRunKey,
+          });
+          return null;
+        }
+        const legs = ctx.journeyLegs(journey);
+        const activeLegIndex = journey.activeRun?.legIndex ?? 0;
+        const registrationLegIndex = normalizedScheduledJourneyLegIndex ?? activeLegIndex;
+        if (journey.activeRun?.phase && registrationLegIndex < activeLegIndex) {
+          logger.warn(
+            `Skipping stale registration for leg ${registrationLegIndex + 1} of scheduled journey ${scheduledJourneyId} because leg ${activeLegIndex + 1} is active`
+          );
+          ctx.appendDiagnosticJsonLine("scheduled_journey_stale_start_registration_skipped", {
+            journeyId: scheduledJourneyId,
+            dockId,
+            dockName: normalizedDockName || dockId,
+            reason: "earlier_leg",
+            legIndex: registrationLegIndex,
+            activeLegIndex,
+          });
+          return null;
+        }
+        if (
+          normalizedScheduledJourneyPhase === "start" &&
+          journey.activeRun?.phase === "end" &&
+          registrationLegIndex === activeLegIndex
+        ) {
+          logger.warn(
+            `Skipping stale start-phase registration for scheduled journey ${scheduledJourneyId} because it is already watching the destination dock`
+          );
+          ctx.appendDiagnosticJsonLine("scheduled_journey_stale_start_registration_skipped", {
+            journeyId: scheduledJourneyId,
+            dockId,
+            dockName: normalizedDockName || dockId,
+            reason: "already_end_phase",
+          });
+          return null;
+        }
+        if (normalizedScheduledJourneyPhase === "end" && !journey.activeRun?.phase) {
+          logger.warn(
+            `Skipping stale end-phase registration for scheduled journey ${scheduledJourneyId} because it is already complete`
+          );
+          return null;
+        }
+        const leg = legs[registrationLegIndex] || legs[0];
+        const dock = normalizedScheduledJourneyPhase === "end" ? leg?.endDock : leg?.startDock;
+        return ctx.scheduledJourneysCollection.updateOne(
+          { _id: scheduledJourneyObjectId, deletedAt: { $exists: false } },
+          {
+            $set: {
+              activeRun: {
+                ...journey.activeRun,
+                phase: normalizedScheduledJourneyPhase,
+                legIndex: legs[registrationLegIndex] ? registrationLegIndex : 0,
+                dockId: dock?.id || dockId,
+                dockName: dock?.name || normalizedDockName || dockId,
+                startedAt: journey.activeRun?.startedAt || new Date(),
+                runKey: journey.activeRun?.runKey || registrationRunKey,
+              },
+              updatedAt: new Date(),
+            },
+          }
+        );
+      }).catch((err) => {
+        logger.warn(`Failed to mark scheduled journey active: ${err.message}`);
+      });
+    } else if (
+      ctx.scheduledJourneysCollection &&
+      typeof scheduledJourneyId === "string" &&
+      ObjectId.isValid(scheduledJourneyId)
+    ) {
+      logger.warn(
+        `Skipping scheduled journey active-run update for ${scheduledJourneyId} because live activity registration did not include a journey phase`
+      );
+    }
+
+    // Start polling if not already
+    ctx.startPollingForDock(dockId);
+    ctx.scheduleLiveActivitySessionsSave();
+
+    // Update metrics
+    liveActivitiesTotal.inc({ build_type: buildType });
+    ctx.updateLiveActivitiesActiveGauge();
+
+    res.json({
+      success: true,
+      dockId,
+      dockName: normalizedDockName || dockId,
+      primaryDisplay: normalizedPrimaryDisplay,
+      minimumThreshold: activeMinimumThreshold,
+      hasDeviceToken: !!deviceToken,
+      message: "Live activity started",
+      expiresIn: `${effectiveRemainingSeconds} seconds`,
+    });
+  });
+
+  router.post("/live-activity/session/update", async (req, res) => {
+    const {
+      dockId,
+      targetDockId,
+      pushToken,
+      dockName,
+      primaryDisplay,
+      minimumThresholds,
+      alternatives,
+      maxAlternatives,
+      scheduledJourneyPhase,
+      standardBikes,
+      eBikes,
+      emptySpaces,
+      activeDockId,
+      activeDockName,
+      activeDockAlias,
+      activeJourneyPhase,
+      dockSwitchSuggestionId,
+    } = req.body;
+    const normalizedPushToken = ctx.normalizeApnsDeviceToken(pushToken);
+    const resolvedTargetDockId =
+      typeof targetDockId === "string" && targetDockId.trim()
+        ? targetDockId.trim()
+        : typeof activeDockId === "string" && activeDockId.trim()
+          ? activeDockId.trim()
+          : dockId;
+
+    if (!dockId || !normalizedPushToken) {
+      return res
+        .status(400)
+        .json({ error: "Missing required fields: dockId, pushToken" });
+    }
+
+    const sourcePoller = ctx.dockPollers.get(dockId);
+    if (!sourcePoller) {
+      return res.status(404).json({ error: "Live activity session not found for dock" });
+    }
+
+    const session = sourcePoller.tokens.get(normalizedPushToken);
+    if (!session) {
+      return res.status(404).json({ error: "Live activity session token not found" });
+    }
+
+    const acceptedSuggestionOption =
+      typeof dockSwitchSuggestionId === "string" && resolvedTargetDockId !== dockId
+        ? ctx.findDockSwitchSuggestionOption(
+            session,
+            dockSwitchSuggestionId.trim(),
+            resolvedTargetDockId
+          )
+        : null;
+    if (dockSwitchSuggestionId !== undefined && !acceptedSuggestionOption) {
+      logger.info(
+        `Ignoring unknown dock switch suggestion ${dockSwitchSuggestionId} for dock ${dockId} -> ${resolvedTargetDockId}`
+      );
+    }
+
+    if (primaryDisplay !== undefined) {
+      session.primaryDisplay = ctx.sanitizePrimaryDisplay(primaryDisplay);
+    }
+
+    if (minimumThresholds !== undefined) {
+      session.minimumThresholds = ctx.sanitizeMinimumThresholds(minimumThresholds);
+    }
+
+    if (alternatives !== undefined) {
+      session.alternatives = ctx.sanitizeAlternatives(alternatives);
+    }
+
+    if (maxAlternatives !== undefined) {
+      session.maxAlternatives = ctx.sanitizeMaxAlternatives(maxAlternatives);
+    }
+
+    if (dockName !== undefined) {
+      session.dockName = ctx.sanitizeDockName(dockName);
+    }
+
+    const normalizedScheduledJourneyPhase = ctx.scheduledJourneyPhaseFromValues(
+      scheduledJourneyPhase,
+      activeJourneyPhase
+    );
+    if (normalizedScheduledJourneyPhase) {
+      session.scheduledJourneyPhase = normalizedScheduledJourneyPhase;
+    }
+
+    session.activeDockId = resolvedTargetDockId;
+    session.activeDockName =
+      typeof activeDockName === "string" && activeDockName.trim()
+        ? activeDockName.trim()
+        : acceptedSuggestionOption?.name ||
+          ctx.sanitizeDockName(dockName) ||
+          session.dockName ||
+          resolvedTargetDockId;
+    session.activeDockAlias =
+      typeof activeDockAlias === "string" && activeDockAlias.trim()
+        ? activeDockAlias.trim()
+        : null;
+
+    const deviceToken = ctx.normalizeApnsDeviceToken(req.headers["x-device-token"]);
+    if (deviceToken) {
+      session.deviceToken = deviceToken;
+    } else if (req.headers["x-device-token"]) {
+      logger.warn(
+        `Ignoring invalid APNs device token for live activity session update (dock=${dockId})`
+      );
+    }
+
+    // An accepted suggestion carries the counts the app was shown, so the Live
+    // Activity can switch immediately even when the client doesn't send them.
+    const hasRequestAvailability =
+      standardBikes !== undefined || eBikes !== undefined || emptySpaces !== undefined;
+    const seedSource =
+      hasRequestAvailability || !acceptedSuggestionOption
+        ? { standardBikes, eBikes, emptySpaces }
+        : acceptedSuggestionOption;
+    const hasSeededAvailability = hasRequestAvailability || Boolean(acceptedSuggestionOption);
+    const seededData = {
+      dockName: session.activeDockName || session.dockName || resolvedTargetDockId,
+      standardBikes: ctx.sanitizeThresholdValue(seedSource.standardBikes),
+      eBikes: ctx.sanitizeThresholdValue(seedSource.eBikes),
+      emptySpaces: ctx.sanitizeThresholdValue(seedSource.emptySpaces),
+    };
+
+    if (acceptedSuggestionOption) {
+      const suggestion = session.dockSwitchSuggestion;
+      session.dockSwitchSuggestion = null;
+      dockSwitchSuggestionsTotal.inc({ outcome: "accepted" });
+      ctx.appendDiagnosticJsonLine("dock_switch_suggestion_accepted", {
+        dockId,
+        targetDockId: resolvedTargetDockId,
+        suggestionId: suggestion.id,
+        pushToken: ctx.shortenIdentifier(normalizedPushToken),
+        scheduledJourneyId: session.scheduledJourneyId || null,
+        optionIndex: suggestion.options.indexOf(acceptedSuggestionOption),
+        secondsSinceSuggested: Math.round((Date.now() - suggestion.createdAt) / 1000),
+      });
+    }
+
+    let targetPoller = sourcePoller;
+    if (resolvedTargetDockId !== dockId) {
+      sourcePoller.tokens.delete(normalizedPushToken);
+      if (!ctx.dockPollers.has(resolvedTargetDockId)) {
+        ctx.dockPollers.set(resolvedTargetDockId, {
+          interval: null,
+          lastData: null,
+          tokens: new Map(),
+        });
+      }
+      targetPoller = ctx.dockPollers.get(resolvedTargetDockId);
+      targetPoller.tokens.set(normalizedPushToken, session);
+      if (sourcePoller.tokens.size === 0) {
+        ctx.stopPollingForDock(dockId);
+      }
+      ctx.startPollingForDock(resolvedTargetDockId);
+    }
+
+    if (hasSeededAvailability) {
+      targetPoller.lastData = seededData;
+    }
+
+    const resolvedPrimaryDisplay = ctx.sanitizePrimaryDisplay(session.primaryDisplay);
+    const resolvedMinimumThreshold = ctx.minimumThresholdForDisplay(
+      session.minimumThresholds,
+      resolvedPrimaryDisplay
+    );
+
+    logger.info(
+      `Updated live activity session: dock=${dockId}, targetDock=${resolvedTargetDockId}, token=${normalizedPushToken.substring(0, 8)}..., primaryDisplay=${resolvedPrimaryDisplay}, minimumThreshold=${resolvedMinimumThreshold}`
+    );
+
+    ctx.appendDiagnosticJsonLine("live_activity_session_updated", {
+      dockId,
+      targetDockId: resolvedTargetDockId,
+      dockName: session.activeDockName || session.dockName || resolvedTargetDockId,
+      pushToken: ctx.shortenIdentifier(normalizedPushToken),
+      primaryDisplay: resolvedPrimaryDisplay,
+      scheduledJourneyPhase: session.scheduledJourneyPhase || null,
+      migrated: resolvedTargetDockId !== dockId,
+      seededAvailability: hasSeededAvailability ? seededData : null,
+      dockSwitchSuggestionId: acceptedSuggestionOption ? dockSwitchSuggestionId.trim() : null,
+    });
+
+    if (hasSeededAvailability) {
+      try {
+        const contentState = ctx.contentStateWithAlternatives(seededData, session);
+        const result = await ctx.sendApnsPush(
+          normalizedPushToken,
+          contentState,
+          "update",
+          session.buildType
+        );
+        if (result.buildType !== session.buildType) {
+          session.buildType = result.buildType;
+        }
+      } catch (err) {
+        logger.error(
+          `Failed to send immediate migrated live activity update to ${normalizedPushToken.substring(0, 8)}...:`,
+          err.message
+        );
+      }
+    }
+
+    if (
+      resolvedTargetDockId !== dockId &&
+      session.scheduledJourneyPhase === "end" &&
+      hasSeededAvailability &&
+      !session.destinationAvailabilitySentAt
+    ) {
+      try {
+        await ctx.sendScheduledJourneyDestinationAvailabilityPushForSession(
+          session,
+          resolvedTargetDockId,
+          session.activeDockName || session.dockName || resolvedTargetDockId,
+          seededData
+        );
+        session.destinationAvailabilitySentAt = Date.now();
+        session.genericAvailabilityAlertSuppressedUntil =
+          Date.now() + DESTINATION_AVAILABILITY_GENERIC_ALERT_SUPPRESSION_MS;
+      } catch (err) {
+        logger.warn(
+          `Failed to send scheduled journey destination availability push: ${err.message}`
+        );
+      }
+    }
+
+    ctx.updateLiveActivitiesActiveGauge();
+    ctx.scheduleLiveActivitySessionsSave();
+
+    res.json({
+      success: true,
+      dockId: resolvedTargetDockId,
+      dockName:
+        session.activeDockName ||
+        session.dockName ||
+        (typeof targetPoller.lastData?.dockName === "string" &&
+        targetPoller.lastData.dockName.trim()
+          ? targetPoller.lastData.dockName.trim()
+          : resolvedTargetDockId),
+      primaryDisplay: resolvedPrimaryDisplay,
+      minimumThreshold: resolvedMinimumThreshold,
+      migrated: resolvedTargetDockId !== dockId,
+      dockSwitchSuggestionAccepted: Boolean(acceptedSuggestionOption),
+    });
+  });
+
+  router.post("/live-activity/end", async (req, res) => {
+    const { dockId, pushToken } = req.body;
+    const normalizedPushToken = ctx.normalizeApnsDeviceToken(pushToken);
+
+    if (!dockId || !normalizedPushToken) {
+      return res
+        .status(400)
+        .json({ error: "Missing required fields: dockId, pushToken" });
+    }
+
+    logger.info(
+      `Ending live activity: dock=${dockId}, token=${normalizedPushToken.substring(0, 8)}...`
+    );
+
+    const { endedCount, remainingCount } = await ctx.endTrackedSessionsForDock(
+      dockId,
+      (trackedPushToken) => trackedPushToken === normalizedPushToken,
+      "user"
+    );
+
+    ctx.appendDiagnosticJsonLine("live_activity_session_end_requested", {
+      dockId,
+      pushToken: ctx.shortenIdentifier(normalizedPushToken),
+      reason: "user",
+      endedCount,
+      remainingCount,
+    });
+
+    res.json({ success: true, dockId, message: "Live activity ended" });
+  });
+
+  router.post("/live-activity/arrive", async (req, res) => {
+    const arrivalEventId =
+      typeof req.body?.arrivalEventId === "string"
+        ? req.body.arrivalEventId.trim()
+        : "";
+    const dockId =
+      typeof req.body?.dockId === "string" ? req.body.dockId.trim() : "";
+    const bodyDeviceToken = ctx.normalizeApnsDeviceToken(req.body?.deviceToken);
+    const headerDeviceToken = ctx.normalizeApnsDeviceToken(req.headers["x-device-token"]);
+    const deviceToken = bodyDeviceToken || headerDeviceToken;
+    const requestedPushToken = ctx.normalizeApnsDeviceToken(req.body?.pushToken);
+    const requestedBuildType =
+      req.body?.buildType === undefined ? null : req.body.buildType;
+
+    if (!dockId) {
+      return res.status(400).json({ error: "Missing required field: dockId" });
+    }
+
+    if (!deviceToken) {
+      return res.status(400).json({
+        error: "Missing or invalid deviceToken (body.deviceToken or X-Device-Token)",
+      });
+    }
+
+    if (
+      arrivalEventId &&
+      !/^[A-Za-z0-9-]{16,128}$/.test(arrivalEventId)
+    ) {
+      return res.status(400).json({ error: "Invalid arrivalEventId" });
+    }
+
+    if (
+      requestedBuildType !== null &&
+      requestedBuildType !== "development" &&
+      requestedBuildType !== "production"
+    ) {
+      return res
+        .status(400)
+        .json({ error: 'buildType must be "development" or "production"' });
+    }
+
+    if (arrivalEventId) {
+      ctx.pruneArrivalReceipts();
+      const receipt = ctx.arrivalReceipts.get(arrivalEventId);
+      if (receipt) {
+        if (
+          receipt.dockId !== dockId ||
+          receipt.deviceFingerprint !== ctx.arrivalDeviceFingerprint(deviceToken)
+        ) {
+          return res.status(409).json({ error: "arrivalEventId was already used" });
+        }
+        logger.info(
+          `Replaying dock arrival receipt: dock=${dockId}, event=${arrivalEventId}`
+        );
+        return res.json({
+          ...receipt.response,
+          arrivalEventId,
+          duplicate: true,
+        });
+      }
+    }
+
+    logger.info(
+      `Ending live activity on arrival: dock=${dockId}, device=${deviceToken.substring(0, 8)}...`
+    );
+
+    const poller = ctx.dockPollers.get(dockId);
+    const matchingSessions = [];
+    const fallbackSessions = [];
+    if (poller) {
+      for (const [pushToken, session] of poller.tokens) {
+        if (session.deviceToken !== deviceToken) continue;
+        if (requestedPushToken && pushToken !== requestedPushToken) continue;
+        fallbackSessions.push([pushToken, session]);
+        if (requestedBuildType && session.buildType !== requestedBuildType) continue;
+        matchingSessions.push([pushToken, session]);
+      }
+    }
+
+    const effectiveSessions =
+      matchingSessions.length > 0 || !requestedBuildType ? matchingSessions : fallbackSessions;
+
+    if (
+      requestedBuildType &&
+      matchingSessions.length === 0 &&
+      fallbackSessions.length > 0
+    ) {
+      logger.warn(
+        `Arrival request build type ${requestedBuildType} did not match tracked sessions for dock ${dockId}; falling back to ${fallbackSessions.length} device-matched session(s)`
+      );
+    }
+
+    let confirmationSent = false;
+    if (effectiveSessions.length > 0) {
+      const [, session] = effectiveSessions[0];
+      const dockName =
+        session.activeDockName ||
+        (typeof poller?.lastData?.dockName === "string" && poller.lastData.dockName.trim()
+          ? poller.lastData.dockName.trim()
+          : session.dockName || dockId);
+      const confirmationBuildType = session.buildType;
+      const welcomeAlreadySent = Boolean(session.destinationArrivalWelcomeSentAt);
+
+      if (!welcomeAlreadySent) {
+        // Mark before awaiting APNS so concurrent arrival requests cannot enqueue
+        // duplicate notifications for the same tracked journey session.
+        session.destinationArrivalWelcomeSentAt = Date.now();
+        try {
+          await ctx.sendArrivalConfirmationPush(deviceToken, confirmationBuildType, dockName);
+          confirmationSent = true;
+        } catch (err) {
+          delete session.destinationArrivalWelcomeSentAt;
+          logger.error(
+            `Failed to send arrival confirmation to ${deviceToken.substring(0, 8)}...:`,
+            err.message
+          );
+        }
+      }
+
+    }
+
+    const matchedPushTokens = new Set(effectiveSessions.map(([pushToken]) => pushToken));
+    let completedScheduledJourneyCount = 0;
+    const completedScheduledJourneyIds = new Set();
+    for (const [, session] of effectiveSessions) {
+      const journeyId = session.scheduledJourneyId;
+      if (!journeyId || completedScheduledJourneyIds.has(journeyId)) continue;
+      try {
+        if (await ctx.completeScheduledJourneyFromArrivalSession(session, dockId)) {
+          completedScheduledJourneyCount += 1;
+        }
+        completedScheduledJourneyIds.add(journeyId);
+      } catch (err) {
+        logger.warn(
+          `Failed to complete scheduled journey ${journeyId} after arrival at ${dockId}: ${err.message}`
+        );
+      }
+    }
+
+    const { endedCount, remainingCount } =
+      matchedPushTokens.size > 0
+        ? await ctx.endTrackedSessionsForDock(
+            dockId,
+            (pushToken) => matchedPushTokens.has(pushToken),
+            "arrival"
+          )
+        : { endedCount: 0, remainingCount: poller?.tokens.size ?? 0 };
+
+    ctx.appendDiagnosticJsonLine("live_activity_arrival_end_requested", {
+      dockId,
+      deviceToken: ctx.shortenIdentifier(deviceToken),
+      requestedBuildType,
+      matchingSessions: matchingSessions.length,
+      fallbackSessions: fallbackSessions.length,
+      effectiveSessions: effectiveSessions.length,
+      endedCount,
+      completedScheduledJourneyCount,
+      confirmationSent,
+      remainingCount,
+    });
+
+    const responseBody = {
+      success: true,
+      dockId,
+      arrivalEventId: arrivalEventId || null,
+      endedCount,
+      completedScheduledJourneyCount,
+      confirmationSent,
+      remainingCount,
+      duplicate: false,
+      message:
+        endedCount > 0
+          ? "Live activity ended after dock arrival"
+          : "No active live activity session matched this arrival update",
+    };
+
+    if (arrivalEventId && endedCount > 0) {
+      ctx.saveArrivalReceipt(arrivalEventId, dockId, deviceToken, responseBody);
+    }
+
+    res.json(responseBody);
+  });
+
+  router.post("/live-activity/start-arrival", (req, res) => {
+    const startDockId =
+      typeof req.body?.startDockId === "string" && req.body.startDockId.trim()
+        ? req.body.startDockId.trim()
+        : typeof req.body?.dockId === "string" && req.body.dockId.trim()
+          ? req.body.dockId.trim()
+          : "";
+    const startDockName =
+      typeof req.body?.startDockName === "string" && req.body.startDockName.trim()
+        ? req.body.startDockName.trim()
+        : startDockId;
+    const endDock = ctx.sanitizeJourneyDock(req.body?.endDock);
+    const bodyDeviceToken = ctx.normalizeApnsDeviceToken(req.body?.deviceToken);
+    const headerDeviceToken = ctx.normalizeApnsDeviceToken(req.headers["x-device-token"]);
+    const deviceToken = bodyDeviceToken || headerDeviceToken;
+    const requestedBuildType =
+      req.body?.buildType === "development" || req.body?.buildType === "production"
+        ? req.body.buildType
+        : null;
+    const triggerSource =
+      typeof req.body?.triggerSource === "string" && req.body.triggerSource.trim()
+        ? req.body.triggerSource.trim()
+        : "start_arrival";
+
+    if (!startDockId) {
+      return res.status(400).json({ error: "Missing required field: startDockId" });
+    }
+
+    if (!endDock) {
+      return res.status(400).json({ error: "Valid endDock is required" });
+    }
+
+    if (!deviceToken) {
+      return res.status(400).json({
+        error: "Missing or invalid deviceToken (body.deviceToken or X-Device-Token)",
+      });
+    }
+
+    if (req.body?.buildType !== undefined && !requestedBuildType) {
+      return res
+        .status(400)
+        .json({ error: 'buildType must be "development" or "production"' });
+    }
+
+    const poller = ctx.dockPollers.get(startDockId);
+    const matchingSessions = [];
+    const fallbackSessions = [];
+    if (poller) {
+      for (const [, session] of poller.tokens) {
+        if (session.deviceToken !== deviceToken) continue;
+        fallbackSessions.push(session);
+        if (requestedBuildType && session.buildType !== requestedBuildType) continue;
+        matchingSessions.push(session);
+      }
+    }
+
+    const effectiveSession =
+      matchingSessions[0] || (!requestedBuildType ? fallbackSessions[0] : null) || null;
+    const buildType =
+      effectiveSession?.buildType || requestedBuildType || "development";
+    const minimumSpaces = ctx.minimumThresholdForDisplay(
+      effectiveSession?.minimumThresholds,
+      "spaces"
+    );
+    const requestedDelayMs = Number(req.body?.delayMs);
+    const delayMs = Number.isFinite(requestedDelayMs)
+      ? Math.max(0, Math.trunc(requestedDelayMs))
+      : Number.isFinite(START_ARRIVAL_DESTINATION_SPACE_ALERT_DELAY_MS)
+        ? Math.max(0, START_ARRIVAL_DESTINATION_SPACE_ALERT_DELAY_MS)
+        : 30000;
+
+    ctx.scheduleStartArrivalDestinationSpaceAlert({
+      deviceToken,
+      buildType,
+      startDockId,
+      startDockName,
+      endDock,
+      minimumSpaces,
+      delayMs,
+      scheduledJourneyId:
+        typeof req.body?.scheduledJourneyId === "string" ? req.body.scheduledJourneyId : null,
+      adHocJourneyId:
+        typeof req.body?.adHocJourneyId === "string" ? req.body.adHocJourneyId : null,
+      triggerSource,
+    });
+    if (effectiveSession) {
+      effectiveSession.genericAvailabilityAlertSuppressedUntil =
+        Date.now() + DESTINATION_AVAILABILITY_GENERIC_ALERT_SUPPRESSION_MS;
+      ctx.scheduleLiveActivitySessionsSave();
+    }
+
+    const diagnosticKind =
+      triggerSource === "destination_approach"
+        ? "destination_approach_space_alert_scheduled"
+        : "scheduled_start_arrival_destination_space_alert_scheduled";
+    ctx.appendDiagnosticJsonLine(diagnosticKind, {
+      startDockId,
+      startDockName,
+      endDockId: endDock.id,
+      endDockName: endDock.name,
+      deviceToken: ctx.shortenIdentifier(deviceToken),
+      requestedBuildType,
+      buildType,
+      matchingSessions: matchingSessions.length,
+      fallbackSessions: fallbackSessions.length,
+      delayMs,
+      minimumSpaces,
+      triggerSource,
+      scheduledJourneyId:
+        typeof req.body?.scheduledJourneyId === "string" ? req.body.scheduledJourneyId : null,
+      adHocJourneyId:
+        typeof req.body?.adHocJourneyId === "string" ? req.body.adHocJourneyId : null,
+    });
+
+    res.json({
+      success: true,
+      startDockId,
+      endDockId: endDock.id,
+      delayMs,
+      message: "Destination space availability notification scheduled",
+    });
+  });
+
+  // ── Test Harness ──────────────────────────────────────────────────────
+  // Simulates frequent dock data changes for testing push notification updates.
+  // Instead of polling the real TfL API, generates randomised data every interval.
+  const testSessions = new Map(); // pushToken -> { interval, buildType, cycle }
+
+  router.post("/live-activity/test", (req, res) => {
+    const { pushToken, buildType } = req.body;
+
+    if (!pushToken || !buildType) {
+      return res
+        .status(400)
+        .json({ error: "Missing required fields: pushToken, buildType" });
+    }
+
+    // If already running a test for this token, stop it first
+    if (testSessions.has(pushToken)) {
+      clearInterval(testSessions.get(pushToken).interval);
+      testSessions.delete(pushToken);
+    }
+
+    let cycle = 0;
+
+    logger.info(
+      `Starting TEST session: token=${pushToken.substring(0, 8)}..., build=${buildType}, interval=${TEST_INTERVAL_MS}ms`
+    );
+
+    function generateTestData(cycle) {
+      // Simulate a dock with ~22 total docks, values shifting each cycle
+      const totalDocks = 22;
+      const standardBikes = Math.max(0, Math.min(totalDocks, 5 + Math.round(Math.sin(cycle * 0.5) * 4)));
+      const eBikes = Math.max(0, Math.min(totalDocks - standardBikes, 3 + Math.round(Math.cos(cycle * 0.7) * 3)));
+      const emptySpaces = Math.max(0, totalDocks - standardBikes - eBikes);
+      return { standardBikes, eBikes, emptySpaces };
+    }
+
+    // Send an immediate first update
+    const initialData = generateTestData(cycle++);
+    logger.info(
+      `TEST update #${cycle}: bikes=${initialData.standardBikes}, eBikes=${initialData.eBikes}, spaces=${initialData.emptySpaces}`
+    );
+    ctx.sendApnsPush(pushToken, initialData, "update", buildType).catch((err) => {
+      logger.error(`TEST push failed:`, err.message);
+    });
+
+    // Then send updates on the interval, always changing
+    const interval = setInterval(async () => {
+      const data = generateTestData(cycle++);
+      logger.info(
+        `TEST update #${cycle}: bikes=${data.standardBikes}, eBikes=${data.eBikes}, spaces=${data.emptySpaces}`
+      );
+      try {
+        await ctx.sendApnsPush(pushToken, data, "update", buildType);
+      } catch (err) {
+        logger.error(`TEST push failed:`, err.message);
+      }
+    }, TEST_INTERVAL_MS);
+
+    testSessions.set(pushToken, { interval, buildType, cycle });
+
+    res.json({
+      success: true,
+      message: `Test session started — will push new data every ${TEST_INTERVAL_MS / 1000}s`,
+      firstUpdate: initialData,
+    });
+  });
+
+  router.post("/live-activity/test/end", (req, res) => {
+    const { pushToken } = req.body;
+
+    if (!pushToken) {
+      return res.status(400).json({ error: "Missing required field: pushToken" });
+    }
+
+    const session = testSessions.get(pushToken);
+    if (session) {
+      clearInterval(session.interval);
+      testSessions.delete(pushToken);
+      logger.info(`Stopped TEST session for token ${pushToken.substring(0, 8)}...`);
+      res.json({ success: true, message: "Test session ended" });
+    } else {
+      res.json({ success: false, message: "No test session found for this token" });
+    }
+  });
+
+  router.get("/live-activity/status", (req, res) => {
+    const status = {};
+    for (const [dockId, poller] of ctx.dockPollers) {
+      status[dockId] = {
+        tokenCount: poller.tokens.size,
+        lastData: poller.lastData,
+        tokens: Array.from(poller.tokens.entries()).map(([token, session]) => ({
+          token: token.substring(0, 8) + "...",
+          buildType: session.buildType,
+          primaryDisplay: ctx.sanitizePrimaryDisplay(session.primaryDisplay),
+          minimumThresholds: session.minimumThresholds || null,
+          activeMinimumThreshold: ctx.minimumThresholdForDisplay(
+            session.minimumThresholds,
+            ctx.sanitizePrimaryDisplay(session.primaryDisplay)
+          ),
+          deviceToken: session.deviceToken
+            ? `${session.deviceToken.substring(0, 8)}...`
+            : null,
+          alternativesCount: Array.isArray(session.alternatives)
+            ? session.alternatives.length
+            : 0,
+          scheduledJourneyId: session.scheduledJourneyId || null,
+          scheduledJourneyPhase: session.scheduledJourneyPhase || null,
+          adHocJourneyId: session.adHocJourneyId || null,
+          dockName:
+            session.dockName ||
+            (typeof poller.lastData?.dockName === "string" &&
+            poller.lastData.dockName.trim()
+              ? poller.lastData.dockName.trim()
+              : dockId),
+          startedAt: new Date(ctx.sessionStartedAtMs(session)).toISOString(),
+          expiresAt: new Date(ctx.sessionExpiresAtMs(session)).toISOString(),
+        })),
+      };
+    }
+    const testStatus = Array.from(testSessions.entries()).map(
+      ([token, session]) => ({
+        token: token.substring(0, 8) + "...",
+        buildType: session.buildType,
+      })
+    );
+
+    res.json({ activeSessions: status, testSessions: testStatus });
+  });
+
+  router.post("/live-activity/device/status", (req, res) => {
+    const bodyDeviceToken = ctx.normalizeApnsDeviceToken(req.body?.deviceToken);
+    const headerDeviceToken = ctx.normalizeApnsDeviceToken(req.headers["x-device-token"]);
+    const deviceToken = bodyDeviceToken || headerDeviceToken;
+    const requestedBuildType =
+      req.body?.buildType === "development" || req.body?.buildType === "production"
+        ? req.body.buildType
+        : null;
+
+    if (!deviceToken) {
+      return res
+        .status(400)
+        .json({ error: "Missing or invalid deviceToken (body.deviceToken or X-Device-Token)" });
+    }
+
+    const matchingSessions = ctx.collectSessionsForDevice(deviceToken, requestedBuildType);
+    const latestSession = matchingSessions[0] || null;
+
+    res.json({
+      success: true,
+      active: matchingSessions.length > 0,
+      activeCount: matchingSessions.length,
+      session: latestSession
+        ? {
+            dockId: latestSession.dockId,
+            dockName: latestSession.dockName,
+            startedAt: new Date(latestSession.startedAt).toISOString(),
+            expiresAt: new Date(latestSession.expiresAtMs).toISOString(),
+            buildType: latestSession.buildType,
+            scheduledJourneyId: latestSession.scheduledJourneyId,
+            scheduledJourneyPhase: latestSession.scheduledJourneyPhase,
+          }
+        : null,
+    });
+  });
+
+  router.post("/live-activity/device/end", async (req, res) => {
+    const dockId =
+      typeof req.body?.dockId === "string" ? req.body.dockId.trim() : "";
+    const bodyDeviceToken = ctx.normalizeApnsDeviceToken(req.body?.deviceToken);
+    const headerDeviceToken = ctx.normalizeApnsDeviceToken(req.headers["x-device-token"]);
+    const deviceToken = bodyDeviceToken || headerDeviceToken;
+    const requestedBuildType =
+      req.body?.buildType === "development" || req.body?.buildType === "production"
+        ? req.body.buildType
+        : null;
+
+    if (!dockId) {
+      return res.status(400).json({ error: "Missing required field: dockId" });
+    }
+
+    if (!deviceToken) {
+      return res
+        .status(400)
+        .json({ error: "Missing or invalid deviceToken (body.deviceToken or X-Device-Token)" });
+    }
+
+    logger.info(
+      `Ending live activity from device action: dock=${dockId}, device=${deviceToken.substring(0, 8)}...`
+    );
+
+    const { endedCount, remainingCount } = await ctx.endTrackedSessionsForDock(
+      dockId,
+      (_pushToken, session) =>
+        session.deviceToken === deviceToken &&
+        (!requestedBuildType || session.buildType === requestedBuildType),
+      "notification_action"
+    );
+
+    res.json({
+      success: true,
+      dockId,
+      endedCount,
+      remainingCount,
+      message:
+        endedCount > 0
+          ? "Live activity ended for this device"
+          : "No active live activity session matched this device action",
+    });
+  });
+
+  router.post("/live-activity/device/end-all", async (req, res) => {
+    const bodyDeviceToken = ctx.normalizeApnsDeviceToken(req.body?.deviceToken);
+    const headerDeviceToken = ctx.normalizeApnsDeviceToken(req.headers["x-device-token"]);
+    const deviceToken = bodyDeviceToken || headerDeviceToken;
+    const requestedBuildType =
+      req.body?.buildType === "development" || req.body?.buildType === "production"
+        ? req.body.buildType
+        : null;
+
+    if (!deviceToken) {
+      return res
+        .status(400)
+        .json({ error: "Missing or invalid deviceToken (body.deviceToken or X-Device-Token)" });
+    }
+
+    let endedCount = 0;
+    let remainingCount = 0;
+    for (const dockId of Array.from(ctx.dockPollers.keys())) {
+      const result = await ctx.endTrackedSessionsForDock(
+        dockId,
+        (_pushToken, session) =>
+          session.deviceToken === deviceToken &&
+          (!requestedBuildType || session.buildType === requestedBuildType),
+        "holiday_mode_enabled"
+      );
+      endedCount += result.endedCount;
+      remainingCount += result.remainingCount;
+    }
+
+    logger.info(
+      `Ended ${endedCount} live activity session(s) for device ${deviceToken.substring(0, 8)}...`
+    );
+    res.json({ success: true, endedCount, remainingCount });
+  });
+
+  return {
+    testSessions,
+    router,
+  };
+}
+
+module.exports = { createLiveActivities };
@@ -0,0 +1,54 @@
+const fs = require("fs");
+const path = require("path");
+const winston = require("winston");
+require("winston-daily-rotate-file");
+
+function createLogger({ LOG_DIR, LOG_LEVEL }) {
+  // Ensure logs directory exists
+  if (!fs.existsSync(LOG_DIR)) {
+    fs.mkdirSync(LOG_DIR, { recursive: true });
+  }
+
+  // Configure Winston logger
+  return winston.createLogger({
+    level: LOG_LEVEL,
+    format: winston.format.combine(
+      winston.format.timestamp({ format: "YYYY-MM-DD HH:mm:ss" }),
+      winston.format.errors({ stack: true }),
+      winston.format.printf(
+        ({ timestamp, level, message, stack }) =>
+          `${timestamp} [${level.toUpperCase()}] ${stack || message}`
+      )
+    ),
+    transports: [
+      // Console output
+      new winston.transports.Console({
+        format: winston.format.combine(
+          winston.format.colorize(),
+          winston.format.printf(
+            ({ timestamp, level, message }) => `${timestamp} [${level}] ${message}`
+          )
+        ),
+      }),
+      // Daily rotating file for all logs
+      new winston.transports.DailyRotateFile({
+        filename: path.join(LOG_DIR, "server-%DATE%.log"),
+        datePattern: "YYYY-MM-DD",
+        maxSize: "20m",
+        maxFiles: "3d", // Keep logs for 3 days
+        zippedArchive: false,
+      }),
+      // Separate file for errors only
+      new winston.transports.DailyRotateFile({
+        filename: path.join(LOG_DIR, "error-%DATE%.log"),
+        datePattern: "YYYY-MM-DD",
+        level: "error",
+        maxSize: "20m",
+        maxFiles: "7d", // Keep error logs for 7 days
+        zippedArchive: false,
+      }),
+    ],
+  });
+}
+
+module.exports = { createLogger };
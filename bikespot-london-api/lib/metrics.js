@@ -0,0 +1,429 @@
+// Prometheus registry and every metric the server exports. Each server gets its own
+// registry; gauges that report live state read it through ctx when scraped.
+const promClient = require("prom-client");
+
+function createMetrics(ctx) {
+  // ── Prometheus Metrics ───────────────────────────────────────────────
+  const register = new promClient.Registry();
+
+  // Default metrics (CPU, memory, etc.)
+  promClient.collectDefaultMetrics({ register });
+
+  // Device token tracking for unique users over time periods
+  const deviceTokens = {
+    all: new Set(), // all-time
+    "1m": new Map(), // timestamp -> Set of tokens
+    "5m": new Map(),
+    "1h": new Map(),
+    "1d": new Map(),
+    "1w": new Map(),
+    "30d": new Map(),
+  };
+
+  // Clean up old device token entries
+  function cleanupDeviceTokens() {
+    const now = Date.now();
+    const periods = {
+      "1m": 60 * 1000,
+      "5m": 5 * 60 * 1000,
+      "1h": 60 * 60 * 1000,
+      "1d": 24 * 60 * 60 * 1000,
+      "1w": 7 * 24 * 60 * 60 * 1000,
+      "30d": 30 * 24 * 60 * 60 * 1000,
+    };
+
+    for (const [period, duration] of Object.entries(periods)) {
+      if (period === "all") continue;
+      const cutoff = now - duration;
+      for (const [timestamp, _] of deviceTokens[period]) {
+        if (timestamp < cutoff) {
+          deviceTokens[period].delete(timestamp);
+        }
+      }
+    }
+  }
+
+  // Track device token
+  function trackDeviceToken(deviceToken) {
+    if (!deviceToken) return;
+
+    deviceTokens.all.add(deviceToken);
+    const now = Date.now();
+
+    for (const period of ["1m", "5m", "1h", "1d", "1w", "30d"]) {
+      if (!deviceTokens[period].has(now)) {
+        deviceTokens[period].set(now, new Set());
+      }
+      deviceTokens[period].get(now).add(deviceToken);
+    }
+  }
+
+  // Get unique user count for a period
+  function getUniqueUserCount(period) {
+    if (period === "all") {
+      return deviceTokens.all.size;
+    }
+
+    const uniqueTokens = new Set();
+    for (const [_, tokens] of deviceTokens[period]) {
+      for (const token of tokens) {
+        uniqueTokens.add(token);
+      }
+    }
+    return uniqueTokens.size;
+  }
+
+  // HTTP request metrics
+  const httpRequestDuration = new promClient.Histogram({
+    name: "http_request_duration_seconds",
+    help: "Duration of HTTP requests in seconds",
+    labelNames: ["method", "route", "status_code"],
+    buckets: [0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1, 5],
+    registers: [register],
+  });
+
+  const httpRequestsTotal = new promClient.Counter({
+    name: "http_requests_total",
+    help: "Total number of HTTP requests",
+    labelNames: ["method", "route", "status_code"],
+    registers: [register],
+  });
+
+  // TfL API request metrics
+  const tflRequestDuration = new promClient.Histogram({
+    name: "tfl_request_duration_seconds",
+    help: "Duration of TfL API requests in seconds",
+    labelNames: ["method", "url_path", "query_string", "status_code"],
+    buckets: [0.05, 0.1, 0.2, 0.5, 1, 2, 5, 10],
+    registers: [register],
+  });
+
+  const tflRequestsTotal = new promClient.Counter({
+    name: "tfl_requests_total",
+    help: "Total number of TfL API requests",
+    labelNames: ["method", "url_path", "query_string", "status_code"],
+    registers: [register],
+  });
+
+  // Live activity metrics
+  const liveActivitiesActive = new promClient.Gauge({
+    name: "live_activities_active",
+    help: "Number of currently active live activities",
+    registers: [register],
+  });
+
+  const liveActivitiesTotal = new promClient.Counter({
+    name: "live_activities_total",
+    help: "Total number of live activities started",
+    labelNames: ["build_type"],
+    registers: [register],
+  });
+
+  const liveActivitiesEnded = new promClient.Counter({
+    name: "live_activities_ended_total",
+    help: "Total number of live activities ended",
+    labelNames: ["reason"], // "user", "expired", "error"
+    registers: [register],
+  });
+
+  const liveActivityAlternativesRefreshesTotal = new promClient.Counter({
+    name: "live_activity_alternatives_refreshes_total",
+    help: "Total number of times server-side alternatives changed for a live activity session",
+    registers: [register],
+  });
+
+  const dockSwitchSuggestionsTotal = new promClient.Counter({
+    name: "dock_switch_suggestions_total",
+    help: "Total number of dock switch suggestions sent and accepted for in-progress journeys",
+    labelNames: ["outcome"], // "sent", "accepted"
+    registers: [register],
+  });
+
+  const apnsPushesTotal = new promClient.Counter({
+    name: "apns_pushes_total",
+    help: "Total number of APNS pushes sent",
+    labelNames: ["event", "build_type", "status"], // event: "update"/"end"/"availability_alert", status: "success"/"failure"
+    registers: [register],
+  });
+
+  const dockPollsTotal = new promClient.Counter({
+    name: "dock_polls_total",
+    help: "Total number of dock polls",
+    labelNames: ["dock_id", "status"], // status: "success"/"failure"
+    registers: [register],
+  });
+
+  const tflFreshnessState = {
+    lastCheckedMs: null,
+    lastModifiedMs: null,
+    staleDocks: null,
+    totalDocks: null,
+    propertiesChecked: null,
+  };
+
+  const tflDataAgeSeconds = new promClient.Gauge({
+    name: "tfl_data_age_seconds",
+    help: "Current age in seconds of the most recently modified bike-count property in the full TfL /BikePoint feed",
+    registers: [register],
+    collect() {
+      if (tflFreshnessState.lastModifiedMs !== null) {
+        this.set(
+          Math.max(0, (Date.now() - tflFreshnessState.lastModifiedMs) / 1000)
+        );
+      }
+    },
+  });
+
+  const tflDataLastModifiedTimestampSeconds = new promClient.Gauge({
+    name: "tfl_data_last_modified_timestamp_seconds",
+    help: "Unix timestamp of the most recently modified bike-count property in the full TfL /BikePoint feed",
+    registers: [register],
+  });
+
+  const tflDataLastCheckedTimestampSeconds = new promClient.Gauge({
+    name: "tfl_data_last_checked_timestamp_seconds",
+    help: "Unix timestamp when the full TfL /BikePoint freshness check last completed successfully",
+    registers: [register],
+  });
+
+  const tflStaleDockRatio = new promClient.Gauge({
+    name: "tfl_stale_dock_ratio",
+    help: "Fraction of docks in the full TfL /BikePoint feed whose bike-count properties have not been modified within the staleness threshold",
+    registers: [register],
+  });
+
+  const tflStaleDocksTotal = new promClient.Gauge({
+    name: "tfl_stale_docks_total",
+    help: "Number of docks in the full TfL /BikePoint feed whose bike-count properties have not been modified within the staleness threshold",
+    registers: [register],
+  });
+
+  const tflDocksCheckedTotal = new promClient.Gauge({
+    name: "tfl_docks_checked_total",
+    help: "Number of docks in the full TfL /BikePoint feed with parseable bike-count modified timestamps",
+    registers: [register],
+  });
+
+  const tflFreshnessPropertiesCheckedTotal = new promClient.Gauge({
+    name: "tfl_freshness_properties_checked_total",
+    help: "Number of bike-count modified timestamp properties checked in the last full TfL /BikePoint freshness check",
+    registers: [register],
+  });
+
+  const appActionsTotal = new promClient.Counter({
+    name: "app_actions_total",
+    help: "Total number of app actions recorded",
+    labelNames: ["action", "screen", "dock_id", "dock_name", "build_type"],
+    registers: [register],
+  });
+
+  const dockStatsTotal = new promClient.Counter({
+    name: "dock_stats_total",
+    help:
+      "Total number of dock interactions for favorite adds, map taps, and live activity starts",
+    labelNames: ["action", "screen", "dock_id", "dock_name", "build_type"],
+    registers: [register],
+  });
+
+  // Unique users gauge
+  const uniqueUsersGauge = new promClient.Gauge({
+    name: "unique_users",
+    help: "Number of unique users (by device token) over time periods",
+    labelNames: ["period"], // "1m", "5m", "1h", "1d", "1w", "30d", "all"
+    registers: [register],
+    collect() {
+      // Update gauges with current values
+      for (const period of ["1m", "5m", "1h", "1d", "1w", "30d", "all"]) {
+        this.set({ period }, getUniqueUserCount(period));
+      }
+    },
+  });
+
+  const complicationPushesTotal = new promClient.Counter({
+    name: "complication_pushes_total",
+    help: "Total number of silent background pushes sent for complication refresh",
+    labelNames: ["build_type", "status"],
+    registers: [register],
+  });
+
+  const complicationTokensGauge = new promClient.Gauge({
+    name: "complication_tokens_registered",
+    help: "Number of device tokens currently registered for complication refresh",
+    registers: [register],
+    collect() {
+      this.set(ctx.complicationTokens.size);
+    },
+  });
+
+  const bikePointSnapshotRefreshesTotal = new promClient.Counter({
+    name: "bikepoint_snapshot_refreshes_total",
+    help: "Total number of full /BikePoint snapshot refreshes",
+    labelNames: ["status"], // "success"/"failure"
+    registers: [register],
+  });
+
+  const bikePointSnapshotAgeSeconds = new promClient.Gauge({
+    name: "bikepoint_snapshot_age_seconds",
+    help: "Seconds since the shared /BikePoint snapshot was last refreshed",
+    registers: [register],
+    collect() {
+      if (ctx.bikePointSnapshot.fetchedAt > 0) {
+        this.set(Math.max(0, (Date.now() - ctx.bikePointSnapshot.fetchedAt) / 1000));
+      }
+    },
+  });
+
+  const bikePointSnapshotDocks = new promClient.Gauge({
+    name: "bikepoint_snapshot_docks",
+    help: "Number of docks indexed in the shared /BikePoint snapshot",
+    registers: [register],
+    collect() {
+      this.set(ctx.bikePointSnapshot.byId.size);
+    },
+  });
+
+  const dockDataReadsTotal = new promClient.Counter({
+    name: "dock_data_reads_total",
+    help: "Total number of dock availability reads, by where the data came from",
+    labelNames: ["source"], // "snapshot"/"tfl_fallback"
+    registers: [register],
+  });
+
+  const dockHistoryWritesTotal = new promClient.Counter({
+    name: "dock_history_writes_total",
+    help: "Total number of dock history documents written, by resolution",
+    labelNames: ["resolution", "status"], // status: "success"/"failure"
+    registers: [register],
+  });
+
+  const dockHistoryPendingWrites = new promClient.Gauge({
+    name: "dock_history_pending_writes",
+    help: "Dock history points and closed buckets waiting to be written",
+    registers: [register],
+    collect() {
+      this.set(ctx.dockHistoryState.pendingRaw.length + ctx.dockHistoryState.closedBuckets.length);
+    },
+  });
+
+  const delayedJobsTotal = new promClient.Counter({
+    name: "delayed_jobs_total",
+    help: "Total number of delayed job events, by job type",
+    labelNames: ["type", "result"], // result: "scheduled"/"replaced"/"cancelled"/"completed"/"retried"/"failed"
+    registers: [register],
+  });
+
+  const delayedJobsPending = new promClient.Gauge({
+    name: "delayed_jobs_pending",
+    help: "Delayed jobs waiting to run or be retried, by job type",
+    labelNames: ["type"],
+    registers: [register],
+    collect() {
+      this.reset();
+      const counts = new Map();
+      for (const job of ctx.delayedJobs.values()) {
+        counts.set(job.type, (counts.get(job.type) || 0) + 1);
+      }
+      for (const [type, count] of counts) {
+        this.set({ type }, count);
+      }
+    },
+  });
+
+  const apnsPoolSessionsGauge = new promClient.Gauge({
+    name: "apns_pool_sessions",
+    help: "Number of open pooled HTTP/2 sessions to APNs",
+    labelNames: ["host"],
+    registers: [register],
+    collect() {
+      this.reset();
+      for (const entry of ctx.apnsSessionPool.values()) {
+        this.set({ host: entry.host }, entry.session ? 1 : 0);
+      }
+    },
+  });
+
+  const apnsPoolActiveStreamsGauge = new promClient.Gauge({
+    name: "apns_pool_active_streams",
+    help: "Number of APNs requests currently in flight on pooled sessions",
+    labelNames: ["host"],
+    registers: [register],
+    collect() {
+      this.reset();
+      for (const entry of ctx.apnsSessionPool.values()) {
+        this.set({ host: entry.host }, entry.activeStreams);
+      }
+    },
+  });
+
+  const apnsPoolQueuedRequestsGauge = new promClient.Gauge({
+    name: "apns_pool_queued_requests",
+    help: "Number of APNs requests waiting for a free stream slot",
+    labelNames: ["host"],
+    registers: [register],
+    collect() {
+      this.reset();
+      for (const entry of ctx.apnsSessionPool.values()) {
+        this.set({ host: entry.host }, entry.waiters.length);
+      }
+    },
+  });
+
+  const apnsPoolConnectsTotal = new promClient.Counter({
+    name: "apns_pool_connects_total",
+    help: "Total number of HTTP/2 sessions opened to APNs",
+    labelNames: ["host"],
+    registers: [register],
+  });
+
+  const apnsPoolDisconnectsTotal = new promClient.Counter({
+    name: "apns_pool_disconnects_total",
+    help: "Total number of pooled APNs sessions retired",
+    labelNames: ["host", "reason"], // reason: "goaway"/"error"/"close"/"idle"/"shutdown"
+    registers: [register],
+  });
+
+  const apnsRequestDuration = new promClient.Histogram({
+    name: "apns_request_duration_seconds",
+    help: "Duration of individual APNs requests on pooled sessions",
+    labelNames: ["host", "status_code"],
+    buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10],
+    registers: [register],
+  });
+
+  return {
+    register,
+    cleanupDeviceTokens,
+    trackDeviceToken,
+    httpRequestDuration,
+    httpRequestsTotal,
+    tflRequestDuration,
+    tflRequestsTotal,
+    liveActivitiesActive,
+    liveActivitiesTotal,
+    liveActivitiesEnded,
+    liveActivityAlternativesRefreshesTotal,
+    dockSwitchSuggestionsTotal,
+    apnsPushesTotal,
+    dockPollsTotal,
+    tflFreshnessState,
+    tflDataAgeSeconds,
+    tflDataLastModifiedTimestampSeconds,
+    tflDataLastCheckedTimestampSeconds,
+    tflStaleDockRatio,
+    tflStaleDocksTotal,
+    tflDocksCheckedTotal,
+    tflFreshnessPropertiesCheckedTotal,
+    appActionsTotal,
+    dockStatsTotal,
+    complicationPushesTotal,
+    bikePointSnapshotRefreshesTotal,
+    dockDataReadsTotal,
+    dockHistoryWritesTotal,
+    delayedJobsTotal,
+    apnsPoolConnectsTotal,
+    apnsPoolDisconnectsTotal,
+    apnsRequestDuration,
+  };
+}
+
+module.exports = { createMetrics };
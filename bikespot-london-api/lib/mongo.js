@@ -0,0 +1,138 @@
+// MongoDB connection and collections. Collections stay null (and the routes that need
+// them answer 503) when no URI is configured or the connection fails.
+const mongodb = require("mongodb");
+
+// `MongoClient` defaults to the real driver; tests pass an in-memory stand-in.
+function createMongo(ctx, { MongoClient = mongodb.MongoClient } = {}) {
+  const { config, logger } = ctx;
+  const {
+    MONGODB_URI,
+    MONGODB_DB_NAME,
+    SCHEDULED_JOURNEYS_COLLECTION,
+    LIVE_ACTIVITY_SESSIONS_COLLECTION,
+    DOCK_HISTORY_COLLECTION,
+    DELAYED_JOBS_COLLECTION,
+    DEVICE_QUOTAS_COLLECTION,
+    JOURNEY_RUNS_COLLECTION,
+    JOURNEY_RUN_STATES_COLLECTION,
+    ACCOUNTS_COLLECTION,
+    DEVICES_COLLECTION,
+  } = config;
+
+  let mongoClient = null;
+  let scheduledJourneysCollection = null;
+  let liveActivitySessionsCollection = null;
+  let dockHistoryCollection = null;
+  let delayedJobsCollection = null;
+  let deviceQuotasCollection = null; // _id is the deviceId
+  let journeyRunsCollection = null; // _id is "<journeyId>:<runKey>"
+  let journeyRunStatesCollection = null; // _id is "<journeyId>:<runKey>"
+  let accountsCollection = null;
+  let devicesCollection = null; // _id is the deviceId
+
+  async function connectMongoIfConfigured() {
+    if (!MONGODB_URI) {
+      logger.warn(
+        "MONGODB_URI_BIKESPOT_LONDON is not configured; scheduled journey endpoints will return 503"
+      );
+      return;
+    }
+
+    try {
+      mongoClient = new MongoClient(MONGODB_URI);
+      await mongoClient.connect();
+      const db = mongoClient.db(MONGODB_DB_NAME);
+      scheduledJourneysCollection = db.collection(SCHEDULED_JOURNEYS_COLLECTION);
+      await scheduledJourneysCollection.createIndex({ deviceId: 1, deletedAt: 1 });
+      await scheduledJourneysCollection.createIndex({ enabled: 1, deletedAt: 1 });
+      await scheduledJourneysCollection.createIndex({ accountId: 1, deletedAt: 1 });
+      liveActivitySessionsCollection = db.collection(LIVE_ACTIVITY_SESSIONS_COLLECTION);
+      await liveActivitySessionsCollection.createIndex({ dockId: 1 });
+      dockHistoryCollection = db.collection(DOCK_HISTORY_COLLECTION);
+      await dockHistoryCollection.createIndex({ dockId: 1, resolution: 1, at: 1 });
+      await dockHistoryCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+      delayedJobsCollection = db.collection(DELAYED_JOBS_COLLECTION);
+      await delayedJobsCollection.createIndex({ dueAt: 1 });
+      deviceQuotasCollection = db.collection(DEVICE_QUOTAS_COLLECTION);
+      journeyRunsCollection = db.collection(JOURNEY_RUNS_COLLECTION);
+      await journeyRunsCollection.createIndex({ journeyId: 1, startedAt: 1 });
+      await journeyRunsCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+      journeyRunStatesCollection = db.collection(JOURNEY_RUN_STATES_COLLECTION);
+      await journeyRunStatesCollection.createIndex({ journeyId: 1 });
+      await journeyRunStatesCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+      accountsCollection = db.collection(ACCOUNTS_COLLECTION);
+      await accountsCollection.createIndex({ linkCode: 1 });
+      devicesCollection = db.collection(DEVICES_COLLECTION);
+      await devicesCollection.createIndex({ accountId: 1 });
+      logger.info(
+        `Connected to MongoDB database ${MONGODB_DB_NAME}, collection ${SCHEDULED_JOURNEYS_COLLECTION}`
+      );
+    } catch (err) {
+      scheduledJourneysCollection = null;
+      liveActivitySessionsCollection = null;
+      dockHistoryCollection = null;
+      delayedJobsCollection = null;
+      deviceQuotasCollection = null;
+      journeyRunsCollection = null;
+      journeyRunStatesCollection = null;
+      accountsCollection = null;
+      devicesCollection = null;
+      logger.error(`MongoDB connection failed: ${err.message}`);
+    }
+  }
+
+  async function closeMongo() {
+    if (!mongoClient) return;
+    const client = mongoClient;
+    mongoClient = null;
+    scheduledJourneysCollection = null;
+    liveActivitySessionsCollection = null;
+    dockHistoryCollection = null;
+    delayedJobsCollection = null;
+    deviceQuotasCollection = null;
+    journeyRunsCollection = null;
+    journeyRunStatesCollection = null;
+    accountsCollection = null;
+    devicesCollection = null;
+    try {
+      await client.close();
+      logger.info("MongoDB connection closed");
+    } catch (err) {
+      logger.warn(`MongoDB close failed: ${err.message}`);
+    }
+  }
+
+  return {
+    get scheduledJourneysCollection() {
+      return scheduledJourneysCollection;
+    },
+    get liveActivitySessionsCollection() {
+      return liveActivitySessionsCollection;
+    },
+    get dockHistoryCollection() {
+      return dockHistoryCollection;
+    },
+    get delayedJobsCollection() {
+      return delayedJobsCollection;
+    },
+    get deviceQuotasCollection() {
+      return deviceQuotasCollection;
+    },
+    get journeyRunsCollection() {
+      return journeyRunsCollection;
+    },
+    get journeyRunStatesCollection() {
+      return journeyRunStatesCollection;
+    },
+    get accountsCollection() {
+      return accountsCollection;
+    },
+    get devicesCollection() {
+      return devicesCollection;
+    },
+    connectMongoIfConfigured,
+    closeMongo,
+  };
+}
+
+module.exports = { createMongo };
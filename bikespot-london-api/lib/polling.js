@@ -0,0 +1,349 @@
+// Per-dock polling loop that sends Live Activity updates, alerts and end events.
+
+function createPolling(ctx) {
+  const { config, logger, metrics } = ctx;
+  const { POLL_INTERVAL_MS } = config;
+  const { liveActivitiesEnded } = metrics;
+
+  // ── Polling Logic ────────────────────────────────────────────────────
+  function startPollingForDock(dockId) {
+    if (ctx.dockPollers.has(dockId) && ctx.dockPollers.get(dockId).interval) {
+      return; // Already polling
+    }
+
+    const poller = ctx.dockPollers.get(dockId) || {
+      interval: null,
+      lastData: null,
+      tokens: new Map(),
+    };
+    ctx.dockPollers.set(dockId, poller);
+
+    logger.info(`Starting poll for dock ${dockId} (every ${POLL_INTERVAL_MS}ms)`);
+
+    // Do an immediate first poll
+    pollDock(dockId);
+
+    poller.interval = setInterval(() => pollDock(dockId), POLL_INTERVAL_MS);
+  }
+
+  async function pollDock(dockId) {
+    const poller = ctx.dockPollers.get(dockId);
+    if (!poller || poller.tokens.size === 0) {
+      stopPollingForDock(dockId);
+      return;
+    }
+
+    // Check for expired sessions
+    const now = Date.now();
+    let expiredSessionRemoved = false;
+    for (const [pushToken, session] of poller.tokens) {
+      const startedAt = ctx.sessionStartedAtMs(session);
+      const timeoutMs = ctx.sessionTimeoutMs(session);
+      const expiresAtMs = ctx.sessionExpiresAtMs(session);
+      const elapsedMs = now - startedAt;
+      const remainingMs = expiresAtMs - now;
+
+      // Debug log every poll to track time to expiry
+      if (timeoutMs <= 120000) { // Only log for sessions with short expiry (<=2 minutes)
+        logger.info(
+          `Dock ${dockId}: ${Math.floor(remainingMs / 1000)}s remaining until expiry (${elapsedMs / 1000}s elapsed of ${timeoutMs / 1000}s)`
+        );
+      }
+
+      if (now >= expiresAtMs) {
+        logger.info(
+          `Session expired for dock ${dockId}, token ${pushToken.substring(0, 8)}... (after ${Math.floor((expiresAtMs - startedAt) / 1000)}s)`
+        );
+        // Send end event before removing
+        try {
+          const lastData = poller.lastData || {
+            standardBikes: 0,
+            eBikes: 0,
+            emptySpaces: 0,
+          };
+          const contentState = ctx.contentStateWithAlternatives(lastData, session);
+          await ctx.sendApnsPush(pushToken, contentState, "end", session.buildType);
+          logger.info(`Successfully sent "end" push to ${pushToken.substring(0, 8)}...`);
+        } catch (err) {
+          logger.error(`Failed to send end push on expiry:`, err.message);
+        }
+        poller.tokens.delete(pushToken);
+        liveActivitiesEnded.inc({ reason: "expired" });
+        expiredSessionRemoved = true;
+      }
+    }
+
+    if (expiredSessionRemoved) {
+      ctx.updateLiveActivitiesActiveGauge();
+      ctx.scheduleLiveActivitySessionsSave();
+    }
+
+    // If no tokens left after expiry check, stop polling
+    if (poller.tokens.size === 0) {
+      stopPollingForDock(dockId);
+      return;
+    }
+
+    try {
+      const data = await ctx.fetchDockData(dockId);
+      const previousData = poller.lastData;
+      const hasChanged =
+        !previousData ||
+        previousData.standardBikes !== data.standardBikes ||
+        previousData.eBikes !== data.eBikes ||
+        previousData.emptySpaces !== data.emptySpaces;
+      const alternativesChangedTokens = ctx.refreshSessionAlternatives(dockId, data, poller);
+
+      if (hasChanged || alternativesChangedTokens.size > 0) {
+        if (hasChanged) {
+          logger.info(
+            `Dock ${dockId} changed: bikes=${data.standardBikes}, eBikes=${data.eBikes}, spaces=${data.emptySpaces}`
+          );
+        }
+        const availabilityAlertPromises = [];
+        const staleLiveActivityTokens = new Set();
+        if (previousData && hasChanged) {
+          const sentAlerts = new Set();
+          for (const [pushToken, session] of poller.tokens) {
+            if (session.deviceToken && ctx.shouldSuggestDockSwitch(session, previousData, data)) {
+              const suggestion = ctx.buildDockSwitchSuggestion(dockId, session);
+              if (suggestion) {
+                const dedupeKey = `${session.deviceToken}:dock_switch_suggestion`;
+                if (sentAlerts.has(dedupeKey)) continue;
+                sentAlerts.add(dedupeKey);
+                session.dockSwitchSuggestion = suggestion;
+                availabilityAlertPromises.push(
+                  ctx.sendDockSwitchSuggestionForSession(dockId, data, pushToken, session, suggestion)
+                );
+                continue;
+              }
+            }
+
+            const primaryDisplay = ctx.sanitizePrimaryDisplay(session.primaryDisplay);
+            const previousValue = ctx.primaryValueForDisplay(previousData, primaryDisplay);
+            const currentValue = ctx.primaryValueForDisplay(data, primaryDisplay);
+            const minimumThreshold = ctx.minimumThresholdForDisplay(
+              session.minimumThresholds,
+              primaryDisplay
+            );
+            const alertMessage = ctx.buildAvailabilityAlertMessage(
+              data.dockName,
+              primaryDisplay,
+              previousValue,
+              currentValue,
+              minimumThreshold
+            );
+
+            if (!alertMessage) continue;
+            if (
+              session.genericAvailabilityAlertSuppressedUntil &&
+              Date.now() < session.genericAvailabilityAlertSuppressedUntil
+            ) {
+              ctx.appendDiagnosticJsonLine("availability_alert_suppressed", {
+                dockId,
+                dockName: data.dockName,
+                pushToken: ctx.shortenIdentifier(pushToken),
+                deviceToken: ctx.shortenIdentifier(session.deviceToken),
+                primaryDisplay,
+                alertMessage,
+                suppressedUntil: new Date(
+                  session.genericAvailabilityAlertSuppressedUntil
+                ).toISOString(),
+                reason: "recent_destination_availability_snapshot",
+              });
+              continue;
+            }
+            if (!session.deviceToken) {
+              logger.info(
+                `Skipped availability alert for ${pushToken.substring(0, 8)}... (no device token registered)`
+              );
+              continue;
+            }
+            const sessionDeviceToken = session.deviceToken;
+
+            const dedupeKey = `${sessionDeviceToken}:${primaryDisplay}:${alertMessage}`;
+            if (sentAlerts.has(dedupeKey)) continue;
+            sentAlerts.add(dedupeKey);
+
+            availabilityAlertPromises.push(
+              ctx.sendAvailabilityAlertPush(
+                sessionDeviceToken,
+                session.buildType,
+                alertMessage,
+                dockId,
+                data.dockName
+              )
+                .then((result) => {
+                  if (result.buildType !== session.buildType) {
+                    session.buildType = result.buildType;
+                    logger.info(
+                      `Updated live activity session environment to ${result.buildType} for alert token ${sessionDeviceToken.substring(0, 8)}...`
+                    );
+                  }
+                })
+                .catch((err) => {
+                  if (ctx.isApnsTokenInvalidError(err)) {
+                    session.deviceToken = null;
+                    logger.info(
+                      `Cleared stale availability alert token: ${sessionDeviceToken.substring(0, 8)}...`
+                    );
+                  }
+                  logger.error(
+                    `Failed to send availability alert to ${sessionDeviceToken.substring(0, 8)}...:`,
+                    err.message
+                  );
+                })
+            );
+          }
+        }
+
+        // Send update to all registered live activity tokens for this dock (or, when
+        // only alternatives moved, to the sessions whose alternatives changed)
+        const pushPromises = [];
+        for (const [pushToken, session] of poller.tokens) {
+          if (!hasChanged && !alternativesChangedTokens.has(pushToken)) continue;
+          const contentState = ctx.contentStateWithAlternatives(data, session);
+          pushPromises.push(
+            ctx.sendApnsPush(pushToken, contentState, "update", session.buildType)
+              .then((result) => {
+                if (result.buildType !== session.buildType) {
+                  session.buildType = result.buildType;
+                  logger.info(
+                    `Updated live activity session environment to ${result.buildType} for ${pushToken.substring(0, 8)}...`
+                  );
+                }
+              })
+              .catch((err) => {
+                if (ctx.isApnsTokenInvalidError(err)) {
+                  staleLiveActivityTokens.add(pushToken);
+                }
+                logger.error(
+                  `Failed to push to ${pushToken.substring(0, 8)}...:`,
+                  err.message
+                );
+              }
+            )
+          );
+        }
+
+        poller.lastData = data;
+        await Promise.all([...pushPromises, ...availabilityAlertPromises]);
+
+        if (staleLiveActivityTokens.size > 0) {
+          let removedCount = 0;
+          for (const staleToken of staleLiveActivityTokens) {
+            if (poller.tokens.delete(staleToken)) {
+              removedCount++;
+              logger.info(
+                `Removing stale live activity token after APNS rejection: ${staleToken.substring(0, 8)}...`
+              );
+            }
+          }
+          if (removedCount > 0) {
+            for (let i = 0; i < removedCount; i++) {
+              liveActivitiesEnded.inc({ reason: "error" });
+            }
+            ctx.updateLiveActivitiesActiveGauge();
+          }
+        }
+
+        // Persist the new lastData plus any environment/token corrections made above.
+        ctx.scheduleLiveActivitySessionsSave();
+
+        if (poller.tokens.size === 0) {
+          stopPollingForDock(dockId);
+          return;
+        }
+      }
+    } catch (err) {
+      logger.error(`Failed to poll dock ${dockId}:`, err.message);
+    }
+  }
+
+  function stopPollingForDock(dockId) {
+    const poller = ctx.dockPollers.get(dockId);
+    if (poller) {
+      if (poller.interval) {
+        clearInterval(poller.interval);
+        poller.interval = null;
+      }
+      if (poller.tokens.size === 0) {
+        ctx.dockPollers.delete(dockId);
+        logger.info(`Stopped polling for dock ${dockId} (no active tokens)`);
+      }
+    }
+  }
+
+  async function sendEndPushForSession(pushToken, session, lastData) {
+    const contentState = ctx.contentStateWithAlternatives(lastData, session);
+    const result = await ctx.sendApnsPush(pushToken, contentState, "end", session.buildType);
+    if (result.buildType !== session.buildType) {
+      session.buildType = result.buildType;
+      logger.info(
+        `Updated live activity session environment to ${result.buildType} for ${pushToken.substring(0, 8)}...`
+      );
+    }
+  }
+
+  async function endTrackedSessionsForDock(dockId, matcher, reason) {
+    const poller = ctx.dockPollers.get(dockId);
+    if (!poller) {
+      return { endedCount: 0, remainingCount: 0 };
+    }
+
+    const matchingSessions = [];
+    for (const [pushToken, session] of poller.tokens) {
+      if (!matcher(pushToken, session)) continue;
+      matchingSessions.push([pushToken, session]);
+    }
+
+    if (matchingSessions.length === 0) {
+      return { endedCount: 0, remainingCount: poller.tokens.size };
+    }
+
+    const lastData = poller.lastData || {
+      standardBikes: 0,
+      eBikes: 0,
+      emptySpaces: 0,
+    };
+
+    let endedCount = 0;
+
+    for (const [pushToken, session] of matchingSessions) {
+      try {
+        await sendEndPushForSession(pushToken, session, lastData);
+      } catch (err) {
+        logger.error(`Failed to send end push:`, err.message);
+      }
+
+      if (poller.tokens.delete(pushToken)) {
+        endedCount += 1;
+        liveActivitiesEnded.inc({ reason });
+      }
+    }
+
+    if (poller.tokens.size === 0) {
+      stopPollingForDock(dockId);
+    }
+
+    ctx.updateLiveActivitiesActiveGauge();
+    if (endedCount > 0) {
+      ctx.scheduleLiveActivitySessionsSave();
+    }
+
+    return {
+      endedCount,
+      remainingCount: poller.tokens.size,
+    };
+  }
+
+  return {
+    startPollingForDock,
+    pollDock,
+    stopPollingForDock,
+    sendEndPushForSession,
+    endTrackedSessionsForDock,
+  };
+}
+
+module.exports = { createPolling };
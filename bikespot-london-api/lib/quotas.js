@@ -0,0 +1,173 @@
+// Scheduled journey quotas: how many journeys a device may keep and how long their
+// windows may be. Limits come from the device's plan (SCHEDULED_JOURNEY_PLANS) plus any
+// admin override stored in DEVICE_QUOTAS_COLLECTION; devices in an account share the
+// best limits among them.
+const MAX_QUOTA_JOURNEYS = 100;
+// scheduledWindowMinutes() wraps at midnight, so a window is always under a day.
+const MAX_QUOTA_WINDOW_MINUTES = 24 * 60 - 1;
+const MAX_QUOTA_NOTE_LENGTH = 200;
+
+function createQuotas(ctx) {
+  const { config } = ctx;
+  const { SCHEDULED_JOURNEY_PLANS, MAX_SCHEDULED_JOURNEY_LEGS } = config;
+
+  function defaultScheduledJourneyLimits() {
+    return {
+      plan: "standard",
+      ...SCHEDULED_JOURNEY_PLANS.standard,
+      maxLegs: MAX_SCHEDULED_JOURNEY_LEGS,
+      overridden: false,
+    };
+  }
+
+  function resolveScheduledJourneyLimits(override) {
+    if (!override) return defaultScheduledJourneyLimits();
+    const plan = SCHEDULED_JOURNEY_PLANS[override.plan] ? override.plan : "standard";
+    const planLimits = SCHEDULED_JOURNEY_PLANS[plan];
+    return {
+      plan,
+      maxJourneys: Number.isInteger(override.maxJourneys)
+        ? override.maxJourneys
+        : planLimits.maxJourneys,
+      maxWindowMinutes: Number.isInteger(override.maxWindowMinutes)
+        ? override.maxWindowMinutes
+        : planLimits.maxWindowMinutes,
+      maxLegs: MAX_SCHEDULED_JOURNEY_LEGS,
+      overridden: true,
+    };
+  }
+
+  async function scheduledJourneyLimitsForDevice(deviceId) {
+    if (!ctx.deviceQuotasCollection || !deviceId) return defaultScheduledJourneyLimits();
+    const override = await ctx.deviceQuotasCollection.findOne({ _id: deviceId });
+    return resolveScheduledJourneyLimits(override);
+  }
+
+  // An account's journeys are shared, so every device in it gets the same limits: the
+  // best of its devices' (most journeys, then longest window). `owner` is
+  // { deviceId, accountId } as from resolveJourneyOwner.
+  async function scheduledJourneyLimitsForOwner(owner) {
+    if (!owner.accountId) return scheduledJourneyLimitsForDevice(owner.deviceId);
+    if (!ctx.deviceQuotasCollection) return defaultScheduledJourneyLimits();
+    const devices = await ctx.devicesForOwner(owner);
+    const deviceIds = [...new Set([owner.deviceId, ...devices.map((device) => device._id)])];
+    const overrides = await ctx.deviceQuotasCollection
+      .find({ _id: { $in: deviceIds } })
+      .toArray();
+    return [defaultScheduledJourneyLimits(), ...overrides.map(resolveScheduledJourneyLimits)].reduce(
+      (best, limits) =>
+        limits.maxJourneys > best.maxJourneys ||
+        (limits.maxJourneys === best.maxJourneys && limits.maxWindowMinutes > best.maxWindowMinutes)
+          ? limits
+          : best
+    );
+  }
+
+  // "12 hours", "90 minutes", "12 hours 30 minutes"
+  function formatWindowLimit(totalMinutes) {
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    const parts = [];
+    if (hours > 0) parts.push(`${hours} ${hours === 1 ? "hour" : "hours"}`);
+    if (minutes > 0 || hours === 0) parts.push(`${minutes} ${minutes === 1 ? "minute" : "minutes"}`);
+    return parts.join(" ");
+  }
+
+  // ── Admin Overrides ──────────────────────────────────────────────────
+  // A limit left out (or null) falls back to the plan's value.
+  function sanitizeDeviceQuota(body) {
+    const plan = body?.plan === undefined || body.plan === null || body.plan === "" ? "standard" : body.plan;
+    if (!SCHEDULED_JOURNEY_PLANS[plan]) {
+      return { error: `plan must be one of ${Object.keys(SCHEDULED_JOURNEY_PLANS).join(", ")}` };
+    }
+
+    const parseLimit = (value, max) => {
+      if (value === undefined || value === null || value === "") return null;
+      const numericValue = Number(value);
+      return Number.isInteger(numericValue) && numericValue >= 0 && numericValue <= max
+        ? numericValue
+        : undefined;
+    };
+    const maxJourneys = parseLimit(body?.maxJourneys, MAX_QUOTA_JOURNEYS);
+    if (maxJourneys === undefined) {
+      return { error: `maxJourneys must be an integer from 0 to ${MAX_QUOTA_JOURNEYS}` };
+    }
+    const maxWindowMinutes = parseLimit(body?.maxWindowMinutes, MAX_QUOTA_WINDOW_MINUTES);
+    if (maxWindowMinutes === undefined || maxWindowMinutes === 0) {
+      return {
+        error: `maxWindowMinutes must be an integer from 1 to ${MAX_QUOTA_WINDOW_MINUTES}`,
+      };
+    }
+    const note =
+      typeof body?.note === "string" ? body.note.trim().slice(0, MAX_QUOTA_NOTE_LENGTH) : "";
+
+    return { value: { plan, maxJourneys, maxWindowMinutes, note: note || null } };
+  }
+
+  async function setDeviceQuota(deviceId, quota, updatedBy) {
+    const doc = { ...quota, updatedAt: new Date(), updatedBy: updatedBy || null };
+    await ctx.deviceQuotasCollection.replaceOne({ _id: deviceId }, doc, { upsert: true });
+    return serializeDeviceQuota({ _id: deviceId, ...doc });
+  }
+
+  async function clearDeviceQuota(deviceId) {
+    const existing = await ctx.deviceQuotasCollection.findOne({ _id: deviceId });
+    if (!existing) return null;
+    await ctx.deviceQuotasCollection.deleteOne({ _id: deviceId });
+    return serializeDeviceQuota(existing);
+  }
+
+  // Carries an override over to a user's new device, unless that device has its own.
+  async function moveDeviceQuota(fromDeviceId, toDeviceId) {
+    if (!ctx.deviceQuotasCollection) return false;
+    const [existing, target] = await Promise.all([
+      ctx.deviceQuotasCollection.findOne({ _id: fromDeviceId }),
+      ctx.deviceQuotasCollection.findOne({ _id: toDeviceId }),
+    ]);
+    if (!existing || target) return false;
+    const { _id, ...quota } = existing;
+    await ctx.deviceQuotasCollection.replaceOne(
+      { _id: toDeviceId },
+      { ...quota, updatedAt: new Date() },
+      { upsert: true }
+    );
+    await ctx.deviceQuotasCollection.deleteOne({ _id: fromDeviceId });
+    return true;
+  }
+
+  async function listDeviceQuotas() {
+    const docs = await ctx.deviceQuotasCollection.find({}).toArray();
+    return docs
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+      .map(serializeDeviceQuota);
+  }
+
+  function serializeDeviceQuota(doc) {
+    const limits = resolveScheduledJourneyLimits(doc);
+    return {
+      deviceId: doc._id,
+      plan: limits.plan,
+      maxJourneys: doc.maxJourneys ?? null,
+      maxWindowMinutes: doc.maxWindowMinutes ?? null,
+      effectiveMaxJourneys: limits.maxJourneys,
+      effectiveMaxWindowMinutes: limits.maxWindowMinutes,
+      note: doc.note || null,
+      updatedAt: doc.updatedAt ? new Date(doc.updatedAt).toISOString() : null,
+      updatedBy: doc.updatedBy || null,
+    };
+  }
+
+  return {
+    scheduledJourneyLimitsForDevice,
+    scheduledJourneyLimitsForOwner,
+    defaultScheduledJourneyLimits,
+    formatWindowLimit,
+    sanitizeDeviceQuota,
+    setDeviceQuota,
+    clearDeviceQuota,
+    moveDeviceQuota,
+    listDeviceQuotas,
+  };
+}
+
+module.exports = { createQuotas };
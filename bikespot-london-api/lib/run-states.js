@@ -0,0 +1,135 @@
+// Per-run scheduled journey state. A run (see scheduledRunKey) that was completed or
+// stopped is paused: the scheduler must not start it again. Paused runs are stored in
+// JOURNEY_RUN_STATES_COLLECTION (_id is "<journeyId>:<runKey>") and expire
+// JOURNEY_RUN_STATE_RETENTION_DAYS after the run's date, long after its window has
+// closed. Journey documents used to keep them in an ever-growing pausedRunKeys array;
+// migratePausedRunKeys() moves those over on startup.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createRunStates(ctx) {
+  const { config, logger } = ctx;
+  const { JOURNEY_RUN_STATE_RETENTION_DAYS } = config;
+
+  function runStateId(journeyId, runKey) {
+    return `${journeyId.toString()}:${runKey}`;
+  }
+
+  // Counted from the run's local date rather than from now, so a migrated key for a run
+  // long past expires straight away. The extra day covers windows that cross midnight.
+  function runStateExpiresAt(runKey) {
+    const runDate = Date.parse(`${runKey.slice(0, 10)}T00:00:00Z`);
+    const base = Number.isFinite(runDate) ? runDate : Date.now();
+    return new Date(base + (JOURNEY_RUN_STATE_RETENTION_DAYS + 1) * DAY_MS);
+  }
+
+  // reason is "completed", "stopped" or "superseded" (another run of the journey started
+  // while it was active).
+  async function pauseScheduledRun(journey, runKey, reason) {
+    if (!ctx.journeyRunStatesCollection) return;
+    await ctx.journeyRunStatesCollection.updateOne(
+      { _id: runStateId(journey._id, runKey) },
+      {
+        $set: {
+          journeyId: journey._id,
+          runKey,
+          reason,
+          pausedAt: new Date(),
+          expiresAt: runStateExpiresAt(runKey),
+        },
+      },
+      { upsert: true }
+    );
+  }
+
+  async function resumeScheduledRun(journey, runKey) {
+    if (!ctx.journeyRunStatesCollection) return;
+    await ctx.journeyRunStatesCollection.deleteOne({ _id: runStateId(journey._id, runKey) });
+  }
+
+  async function isScheduledRunPaused(journeyId, runKey) {
+    if (!ctx.journeyRunStatesCollection) return false;
+    const state = await ctx.journeyRunStatesCollection.findOne({
+      _id: runStateId(journeyId, runKey),
+    });
+    return !!state;
+  }
+
+  // One query for a batch of journeys: journeyId string -> run keys, oldest first.
+  async function pausedRunKeysByJourney(journeyIds) {
+    const pausedByJourney = new Map();
+    if (!ctx.journeyRunStatesCollection || journeyIds.length === 0) return pausedByJourney;
+    const states = await ctx.journeyRunStatesCollection
+      .find({ journeyId: { $in: journeyIds } })
+      .toArray();
+    for (const state of states) {
+      // TTL deletion runs about once a minute, so skip states that are already due.
+      if (state.expiresAt && new Date(state.expiresAt) <= new Date()) continue;
+      const key = state.journeyId.toString();
+      if (!pausedByJourney.has(key)) pausedByJourney.set(key, []);
+      pausedByJourney.get(key).push(state.runKey);
+    }
+    for (const runKeys of pausedByJourney.values()) runKeys.sort();
+    return pausedByJourney;
+  }
+
+  // Safe to run on every start: migrated journeys no longer have the field.
+  async function migratePausedRunKeys() {
+    if (!ctx.scheduledJourneysCollection || !ctx.journeyRunStatesCollection) return;
+    const journeys = await ctx.scheduledJourneysCollection
+      .find({ pausedRunKeys: { $exists: true } }, { projection: { pausedRunKeys: 1 } })
+      .toArray();
+    if (journeys.length === 0) return;
+
+    let migratedCount = 0;
+    let expiredCount = 0;
+    for (const journey of journeys) {
+      const runKeys = Array.isArray(journey.pausedRunKeys) ? journey.pausedRunKeys : [];
+      for (const runKey of runKeys) {
+        if (typeof runKey !== "string") continue;
+        const expiresAt = runStateExpiresAt(runKey);
+        if (expiresAt <= new Date()) {
+          expiredCount += 1;
+          continue;
+        }
+        // $setOnInsert leaves a state written by this server version alone.
+        await ctx.journeyRunStatesCollection.updateOne(
+          { _id: runStateId(journey._id, runKey) },
+          {
+            $setOnInsert: {
+              journeyId: journey._id,
+              runKey,
+              reason: "migrated",
+              pausedAt: new Date(),
+              expiresAt,
+            },
+          },
+          { upsert: true }
+        );
+        migratedCount += 1;
+      }
+      await ctx.scheduledJourneysCollection.updateOne(
+        { _id: journey._id },
+        { $unset: { pausedRunKeys: "" } }
+      );
+    }
+
+    logger.info(
+      `Migrated ${migratedCount} paused run key(s) from ${journeys.length} scheduled journey(s), dropped ${expiredCount} expired`
+    );
+    ctx.appendDiagnosticJsonLine("paused_run_keys_migrated", {
+      journeyCount: journeys.length,
+      migratedCount,
+      expiredCount,
+    });
+  }
+
+  return {
+    pauseScheduledRun,
+    resumeScheduledRun,
+    isScheduledRunPaused,
+    pausedRunKeysByJourney,
+    migratePausedRunKeys,
+  };
+}
+
+module.exports = { createRunStates };
@@ -0,0 +1,2553 @@
+// Scheduled journeys: payload validation, the start/end scheduler, journey pushes and
+// the /scheduled-journeys routes.
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { BANK_HOLIDAY_REGIONS, DEFAULT_BANK_HOLIDAY_REGION } = require("./bank-holidays");
+
+// When the scheduler push-starts a run: "always", or only while the start dock has
+// fewer than `threshold` bikes or the first leg's end dock fewer than `threshold` spaces.
+const START_CONDITION_MODES = ["always", "startDockBelow", "destinationSpacesBelow"];
+const MAX_START_CONDITION_THRESHOLD = 20;
+
+function createScheduledJourneys(ctx) {
+  const { config, logger, metrics } = ctx;
+  const {
+    APNS_TOPIC,
+    SCHEDULED_JOURNEY_START_GRACE_MINUTES,
+    SCHEDULED_JOURNEY_FORECAST_LEAD_MINUTES,
+    SCHEDULED_JOURNEY_FORECAST_MIN_BIKES,
+    MAX_SCHEDULED_JOURNEY_EXCEPTIONS,
+    MAX_SCHEDULED_JOURNEY_LEGS,
+  } = config;
+  const { apnsPushesTotal } = metrics;
+  const router = express.Router();
+
+  async function requireScheduledJourneysCollection(res) {
+    if (ctx.scheduledJourneysCollection) return ctx.scheduledJourneysCollection;
+    await ctx.connectMongoIfConfigured();
+    if (ctx.scheduledJourneysCollection) return ctx.scheduledJourneysCollection;
+    res.status(503).json({ error: "Scheduled journeys storage is not configured" });
+    return null;
+  }
+
+  async function completeScheduledJourneyFromArrivalSession(session, dockId) {
+    if (
+      !session ||
+      typeof session.scheduledJourneyId !== "string" ||
+      !ObjectId.isValid(session.scheduledJourneyId)
+    ) {
+      return false;
+    }
+
+    if (!ctx.scheduledJourneysCollection) {
+      await ctx.connectMongoIfConfigured();
+    }
+    if (!ctx.scheduledJourneysCollection) return false;
+
+    const journeyId = session.scheduledJourneyId;
+    const journey = await ctx.scheduledJourneysCollection.findOne({
+      _id: new ObjectId(journeyId),
+      deletedAt: { $exists: false },
+    });
+    if (!journey?.activeRun?.phase) {
+      ctx.appendDiagnosticJsonLine("scheduled_journey_completion_skipped_from_arrival", {
+        journeyId,
+        dockId,
+        reason: "not_active",
+      });
+      return false;
+    }
+
+    const legIndex = activeLegIndex(journey);
+    const legEndDock = journeyLegs(journey)[legIndex]?.endDock;
+    const arrivedAtEndDock = legEndDock?.id === dockId;
+    // A session from an earlier leg must not finish the leg after it.
+    const sessionIsEndPhase =
+      session.scheduledJourneyPhase === "end" &&
+      (session.scheduledJourneyLegIndex ?? 0) === legIndex;
+    if (!sessionIsEndPhase && !arrivedAtEndDock) {
+      ctx.appendDiagnosticJsonLine("scheduled_journey_completion_skipped_from_arrival", {
+        journeyId,
+        dockId,
+        reason: "not_destination_arrival",
+        scheduledJourneyPhase: session.scheduledJourneyPhase || null,
+        legIndex,
+        endDockId: legEndDock?.id || null,
+        activeRunPhase: journey.activeRun.phase,
+      });
+      return false;
+    }
+
+    // The rider may have docked at an alternative rather than the planned end dock.
+    const arrivalDock = arrivedAtEndDock
+      ? legEndDock
+      : { id: dockId, name: session.dockName || null };
+    const outcome = await finishScheduledJourneyLeg(journey, legIndex, "arrival", arrivalDock);
+    ctx.appendDiagnosticJsonLine("scheduled_journey_completed_from_arrival", {
+      journeyId,
+      dockId,
+      completed: outcome.finished && outcome.runCompleted,
+      legFinished: outcome.finished,
+      legIndex,
+      nextLegIndex: outcome.nextLegIndex,
+      scheduledJourneyPhase: session.scheduledJourneyPhase || null,
+      completedByEndDockFallback: !sessionIsEndPhase && arrivedAtEndDock,
+    });
+    return outcome.finished;
+  }
+
+  // Finishes the active run's current leg. The next leg goes back to the start phase
+  // at its own start dock with a fresh Live Activity; after the last leg the run is
+  // complete. Matching on legIndex makes a repeated arrival or /complete a no-op.
+  // `arrivalDock` defaults to the leg's end dock.
+  async function finishScheduledJourneyLeg(journey, legIndex, reason, arrivalDock = null) {
+    const legs = journeyLegs(journey);
+    const runKey = currentScheduledRunKey(journey);
+    const filter = {
+      _id: journey._id,
+      deletedAt: { $exists: false },
+      "activeRun.phase": { $in: ["start", "end"] },
+      $or: [
+        { "activeRun.legIndex": legIndex },
+        ...(legIndex === 0 ? [{ "activeRun.legIndex": null }] : []),
+      ],
+    };
+
+    const nextLegIndex = legIndex + 1;
+    if (nextLegIndex >= legs.length) {
+      // Paused before activeRun is cleared, so a scheduler tick in between cannot start
+      // the run again.
+      await ctx.pauseScheduledRun(journey, runKey, "completed");
+      const result = await ctx.scheduledJourneysCollection.updateOne(filter, {
+        $set: { activeRun: null, updatedAt: new Date() },
+      });
+      const finished = result.modifiedCount > 0;
+      if (finished) {
+        await ctx.recordJourneyRunFinished(journey, runKey, "completed", {
+          reason,
+          arrivalDock: arrivalDock || legs[legIndex].endDock,
+        });
+      }
+      return { finished, runCompleted: true, nextLegIndex: null };
+    }
+
+    const nextLeg = legs[nextLegIndex];
+    const result = await ctx.scheduledJourneysCollection.updateOne(filter, {
+      $set: {
+        activeRun: {
+          ...journey.activeRun,
+          phase: "start",
+          legIndex: nextLegIndex,
+          dockId: nextLeg.startDock.id,
+          dockName: nextLeg.startDock.name,
+          runKey,
+        },
+        updatedAt: new Date(),
+      },
+    });
+    const finished = result.modifiedCount > 0;
+    if (finished) {
+      logger.info(
+        `Scheduled journey ${journey._id} finished leg ${legIndex + 1} of ${legs.length} (${reason}); watching ${nextLeg.startDock.id}`
+      );
+      await ctx.recordJourneyRunEvent(journey, runKey, "leg_completed", {
+        legIndex,
+        dock: arrivalDock || legs[legIndex].endDock,
+        reason,
+      });
+      try {
+        await sendScheduledJourneyStartPush(journey, `next_leg_${reason}`, nextLegIndex);
+      } catch (err) {
+        logger.warn(`Failed to start leg ${nextLegIndex + 1} of scheduled journey ${journey._id}: ${err.message}`);
+      }
+    }
+    return { finished, runCompleted: false, nextLegIndex };
+  }
+
+  function sanitizeJourneyDock(rawDock) {
+    if (!rawDock || typeof rawDock !== "object") return null;
+    const id = typeof rawDock.id === "string" ? rawDock.id.trim() : "";
+    const name = typeof rawDock.name === "string" ? rawDock.name.trim() : "";
+    const latitude = Number(rawDock.latitude);
+    const longitude = Number(rawDock.longitude);
+    if (!id || !name) return null;
+    if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90) return null;
+    if (!Number.isFinite(longitude) || longitude < -180 || longitude > 180) return null;
+    return { id, name, latitude, longitude };
+  }
+
+  function sanitizeWeekdays(rawWeekdays) {
+    if (!Array.isArray(rawWeekdays)) return null;
+    const unique = Array.from(
+      new Set(
+        rawWeekdays
+          .map((value) => Number(value))
+          .filter((value) => Number.isInteger(value) && value >= 1 && value <= 7)
+      )
+    ).sort((a, b) => a - b);
+    return unique.length > 0 ? unique : null;
+  }
+
+  function parseMinutesSinceMidnight(rawValue) {
+    if (typeof rawValue !== "string") return null;
+    const match = rawValue.trim().match(/^([01]\d|2[0-3]):([0-5]\d)$/);
+    if (!match) return null;
+    return Number(match[1]) * 60 + Number(match[2]);
+  }
+
+  function scheduledWindowMinutes(startTime, endTime) {
+    const startMinutes = parseMinutesSinceMidnight(startTime);
+    const endMinutes = parseMinutesSinceMidnight(endTime);
+    if (startMinutes === null || endMinutes === null) return null;
+    const diff = (endMinutes - startMinutes + 24 * 60) % (24 * 60);
+    return diff === 0 ? 24 * 60 : diff;
+  }
+
+  function sanitizeTimeZone(rawValue) {
+    const timezone = typeof rawValue === "string" && rawValue.trim()
+      ? rawValue.trim()
+      : "Europe/London";
+    try {
+      new Intl.DateTimeFormat("en-GB", { timeZone: timezone }).format(new Date());
+      return timezone;
+    } catch {
+      return null;
+    }
+  }
+
+  // ── Date Exceptions ──────────────────────────────────────────────────
+  // skipDates and pauseRanges switch off the regular weekday runs on those local
+  // dates; extraRuns add one-off runs that start even on a skipped or paused date.
+  // Dates are YYYY-MM-DD in the journey's timezone, and entries that have already
+  // passed are dropped whenever the lists are saved.
+  function sanitizeDateKey(rawValue) {
+    if (typeof rawValue !== "string") return null;
+    const dateKey = rawValue.trim();
+    const parsed = parseDateKey(dateKey);
+    if (!parsed) return null;
+    const [year, month, day] = parsed;
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year &&
+      date.getUTCMonth() === month - 1 &&
+      date.getUTCDate() === day
+      ? dateKey
+      : null;
+  }
+
+  function sanitizeJourneyExceptions(body, { startTime, endTime, timezone, maxWindowMinutes }) {
+    const exceptions = {};
+    // Yesterday, so a run that crosses midnight keeps its exception until it is over.
+    const oldestDateKey = shiftDateKey(localDateParts(new Date(), timezone).dateKey, -1);
+
+    if (body?.skipDates !== undefined) {
+      if (!Array.isArray(body.skipDates)) {
+        return { error: "skipDates must be a list of YYYY-MM-DD dates" };
+      }
+      const skipDates = body.skipDates.map(sanitizeDateKey);
+      if (skipDates.includes(null)) {
+        return { error: "skipDates must be a list of YYYY-MM-DD dates" };
+      }
+      exceptions.skipDates = Array.from(new Set(skipDates))
+        .filter((dateKey) => dateKey >= oldestDateKey)
+        .sort();
+    }
+
+    if (body?.pauseRanges !== undefined) {
+      if (!Array.isArray(body.pauseRanges)) {
+        return { error: "pauseRanges must be a list of { from, to } dates" };
+      }
+      const pauseRanges = [];
+      for (const rawRange of body.pauseRanges) {
+        const from = sanitizeDateKey(rawRange?.from);
+        const to = sanitizeDateKey(rawRange?.to);
+        if (!from || !to) {
+          return { error: "pauseRanges must be a list of { from, to } dates" };
+        }
+        if (to < from) return { error: "A pause range cannot end before it starts" };
+        if (to >= oldestDateKey) pauseRanges.push({ from, to });
+      }
+      exceptions.pauseRanges = pauseRanges.sort((a, b) => a.from.localeCompare(b.from));
+    }
+
+    if (body?.extraRuns !== undefined) {
+      if (!Array.isArray(body.extraRuns)) {
+        return { error: "extraRuns must be a list of { date, startTime, endTime } runs" };
+      }
+      const journeyWindowMinutes = scheduledWindowMinutes(startTime, endTime);
+      const extraRuns = [];
+      for (const rawRun of body.extraRuns) {
+        const date = sanitizeDateKey(rawRun?.date);
+        const runStartTime =
+          typeof rawRun?.startTime === "string" ? rawRun.startTime.trim() : "";
+        const runStartMinutes = parseMinutesSinceMidnight(runStartTime);
+        if (!date || runStartMinutes === null) {
+          return { error: "extraRuns must be a list of { date, startTime, endTime } runs" };
+        }
+        // Without an endTime an extra run lasts as long as the journey's usual window.
+        const runEndTime =
+          typeof rawRun?.endTime === "string" && rawRun.endTime.trim()
+            ? rawRun.endTime.trim()
+            : formatMinutesSinceMidnight(runStartMinutes + journeyWindowMinutes);
+        const windowMinutes = scheduledWindowMinutes(runStartTime, runEndTime);
+        if (windowMinutes === null) {
+          return { error: "extraRuns startTime and endTime must use HH:mm" };
+        }
+        if (windowMinutes > maxWindowMinutes) {
+          return {
+            error: `Scheduled journey window cannot exceed ${ctx.formatWindowLimit(maxWindowMinutes)}`,
+          };
+        }
+        if (date >= oldestDateKey) {
+          extraRuns.push({ date, startTime: runStartTime, endTime: runEndTime });
+        }
+      }
+      exceptions.extraRuns = extraRuns.sort((a, b) =>
+        `${a.date}:${a.startTime}`.localeCompare(`${b.date}:${b.startTime}`)
+      );
+    }
+
+    for (const [field, entries] of Object.entries(exceptions)) {
+      if (entries.length > MAX_SCHEDULED_JOURNEY_EXCEPTIONS) {
+        return {
+          error: `${field} can hold up to ${MAX_SCHEDULED_JOURNEY_EXCEPTIONS} entries`,
+        };
+      }
+    }
+    return { value: exceptions };
+  }
+
+  // ── Holiday Mode ─────────────────────────────────────────────────────
+  // Holiday mode is per device and copied onto every journey the device owns. It can
+  // carry local start and end dates (both inclusive): it only silences journeys from
+  // the start of the start date, and is switched off by the scheduler at the end of
+  // the end date.
+  function sanitizeHolidayModeDates(body, timezone) {
+    const startDate =
+      body?.holidayModeStartDate === undefined || body.holidayModeStartDate === null
+        ? null
+        : sanitizeDateKey(body.holidayModeStartDate);
+    const endDate =
+      body?.holidayModeEndDate === undefined || body.holidayModeEndDate === null
+        ? null
+        : sanitizeDateKey(body.holidayModeEndDate);
+    if (startDate === null && body?.holidayModeStartDate != null) {
+      return { error: "holidayModeStartDate must be a YYYY-MM-DD date" };
+    }
+    if (endDate === null && body?.holidayModeEndDate != null) {
+      return { error: "holidayModeEndDate must be a YYYY-MM-DD date" };
+    }
+    if (startDate && endDate && endDate < startDate) {
+      return { error: "Holiday mode cannot end before it starts" };
+    }
+    if (endDate && endDate < localDateParts(new Date(), timezone).dateKey) {
+      return { error: "holidayModeEndDate has already passed" };
+    }
+    return {
+      value: {
+        holidayModeStartDate: startDate,
+        holidayModeEndDate: endDate,
+        holidayModeStartsAt: startDate
+          ? new Date(zonedTimeToInstant(startDate, "00:00", timezone))
+          : null,
+        holidayModeEndsAt: endDate
+          ? new Date(zonedTimeToInstant(shiftDateKey(endDate, 1), "00:00", timezone))
+          : null,
+      },
+    };
+  }
+
+  function isHolidayModeActive(journey, date = new Date()) {
+    if (journey.holidayMode !== true) return false;
+    const startsAt = journey.holidayModeStartsAt ? new Date(journey.holidayModeStartsAt) : null;
+    const endsAt = journey.holidayModeEndsAt ? new Date(journey.holidayModeEndsAt) : null;
+    if (startsAt && date < startsAt) return false;
+    if (endsAt && date >= endsAt) return false;
+    return true;
+  }
+
+  function formatMinutesSinceMidnight(totalMinutes) {
+    const minutes = ((totalMinutes % (24 * 60)) + 24 * 60) % (24 * 60);
+    return `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+  }
+
+  // ── Legs ─────────────────────────────────────────────────────────────
+  // A journey is one or more ordered legs, each ridden from its startDock to its
+  // endDock (a train ride can sit between two legs). `startDock` and `endDock` on the
+  // journey mirror the first leg's start and the last leg's end, so single-leg clients
+  // and older documents without `legs` keep working.
+  function journeyLegs(journey) {
+    if (Array.isArray(journey?.legs) && journey.legs.length > 0) return journey.legs;
+    return journey?.startDock && journey?.endDock
+      ? [{ startDock: journey.startDock, endDock: journey.endDock }]
+      : [];
+  }
+
+  function activeLegIndex(journey) {
+    const legIndex = journey?.activeRun?.legIndex;
+    return Number.isInteger(legIndex) && legIndex >= 0 && legIndex < journeyLegs(journey).length
+      ? legIndex
+      : 0;
+  }
+
+  function journeyDockIds(journey) {
+    return Array.from(
+      new Set(journeyLegs(journey).flatMap((leg) => [leg.startDock.id, leg.endDock.id]))
+    );
+  }
+
+  function sanitizeJourneyLegs(body) {
+    const rawLegs = Array.isArray(body?.legs)
+      ? body.legs
+      : [{ startDock: body?.startDock, endDock: body?.endDock }];
+    if (rawLegs.length === 0 || rawLegs.length > MAX_SCHEDULED_JOURNEY_LEGS) {
+      return { error: `A scheduled journey needs 1 to ${MAX_SCHEDULED_JOURNEY_LEGS} legs` };
+    }
+    const legs = [];
+    for (const rawLeg of rawLegs) {
+      const startDock = sanitizeJourneyDock(rawLeg?.startDock);
+      const endDock = sanitizeJourneyDock(rawLeg?.endDock);
+      if (!startDock || !endDock) return { error: "Valid startDock and endDock are required" };
+      if (startDock.id === endDock.id) return { error: "Start and end docks must be different" };
+      legs.push({ startDock, endDock });
+    }
+    return { value: legs };
+  }
+
+  // The same journey ridden backwards: legs in reverse order, each one reversed.
+  function reversedJourneyLegs(legs) {
+    return legs
+      .slice()
+      .reverse()
+      .map((leg) => ({ startDock: leg.endDock, endDock: leg.startDock }));
+  }
+
+  // `limits` are the device's quota (see lib/quotas.js).
+  function sanitizeScheduledJourneyPayload(body, limits) {
+    const legs = sanitizeJourneyLegs(body);
+    if (legs.error) return { error: legs.error };
+    const startDock = legs.value[0].startDock;
+    const endDock = legs.value[legs.value.length - 1].endDock;
+    const weekdays = sanitizeWeekdays(body?.weekdays);
+    const startTime = typeof body?.startTime === "string" ? body.startTime.trim() : "";
+    const endTime = typeof body?.endTime === "string" ? body.endTime.trim() : "";
+    const timezone = sanitizeTimeZone(body?.timezone);
+    const windowMinutes = scheduledWindowMinutes(startTime, endTime);
+
+    if (!weekdays) return { error: "At least one weekday is required" };
+    if (!timezone) return { error: "Invalid timezone" };
+    if (windowMinutes === null) return { error: "startTime and endTime must use HH:mm" };
+    if (windowMinutes > limits.maxWindowMinutes) {
+      return {
+        error: `Scheduled journey window cannot exceed ${ctx.formatWindowLimit(limits.maxWindowMinutes)}`,
+      };
+    }
+    const exceptions = sanitizeJourneyExceptions(body, {
+      startTime,
+      endTime,
+      timezone,
+      maxWindowMinutes: limits.maxWindowMinutes,
+    });
+    if (exceptions.error) return { error: exceptions.error };
+    const bankHolidayOptions = {};
+    if (body?.skipBankHolidays !== undefined) {
+      if (typeof body.skipBankHolidays !== "boolean") {
+        return { error: "skipBankHolidays must be true or false" };
+      }
+      bankHolidayOptions.skipBankHolidays = body.skipBankHolidays;
+    }
+    if (body?.bankHolidayRegion !== undefined) {
+      const bankHolidayRegion = ctx.sanitizeBankHolidayRegion(body.bankHolidayRegion);
+      if (!bankHolidayRegion) {
+        return {
+          error: `bankHolidayRegion must be one of ${BANK_HOLIDAY_REGIONS.join(", ")}`,
+        };
+      }
+      bankHolidayOptions.bankHolidayRegion = bankHolidayRegion;
+    }
+    // Left out of a PUT, the stored alert and start settings stay as they are.
+    const alertOptions = {};
+    if (body?.leaveNowAlert !== undefined) {
+      alertOptions.leaveNowAlert = ctx.sanitizeLeaveNowAlert(body.leaveNowAlert);
+    }
+    if (body?.startCondition !== undefined) {
+      const startCondition = sanitizeStartCondition(body.startCondition);
+      if (!startCondition) {
+        return {
+          error: `startCondition must be an object whose mode is one of ${START_CONDITION_MODES.join(", ")}`,
+        };
+      }
+      alertOptions.startCondition = startCondition;
+    }
+
+    return {
+      value: {
+        ...exceptions.value,
+        ...bankHolidayOptions,
+        ...alertOptions,
+        legs: legs.value,
+        startDock,
+        endDock,
+        weekdays,
+        startTime,
+        endTime,
+        timezone,
+        enabled: body?.enabled !== false,
+        bikeDataFilter: sanitizeBikeDataFilter(body?.bikeDataFilter),
+        arrivalSettings: sanitizeArrivalSettings(body?.arrivalSettings),
+      },
+    };
+  }
+
+  // pausedRunKeys are the journey's completed or stopped runs still remembered in the
+  // run-state collection.
+  function scheduledJourneyResponse(doc, pausedRunKeys = []) {
+    return {
+      id: doc._id.toString(),
+      deviceId: doc.deviceId,
+      accountId: doc.accountId || null,
+      startDock: doc.startDock,
+      endDock: doc.endDock,
+      legs: journeyLegs(doc),
+      linkedJourneyId: doc.linkedJourneyId?.toString?.() || null,
+      direction: doc.direction || "outbound",
+      weekdays: doc.weekdays || [],
+      startTime: doc.startTime,
+      endTime: doc.endTime,
+      timezone: doc.timezone || "Europe/London",
+      enabled: doc.enabled !== false,
+      bikeDataFilter: sanitizeBikeDataFilter(doc.bikeDataFilter),
+      arrivalSettings: sanitizeArrivalSettings(doc.arrivalSettings),
+      leaveNowAlert: ctx.sanitizeLeaveNowAlert(doc.leaveNowAlert),
+      startCondition: sanitizeStartCondition(doc.startCondition) || { mode: "always", threshold: 1 },
+      activeRun: doc.activeRun || null,
+      pausedRunKeys,
+      skipDates: doc.skipDates || [],
+      pauseRanges: doc.pauseRanges || [],
+      extraRuns: doc.extraRuns || [],
+      skipBankHolidays: doc.skipBankHolidays === true,
+      bankHolidayRegion: doc.bankHolidayRegion || DEFAULT_BANK_HOLIDAY_REGION,
+      forecastWarning: doc.forecastWarning || null,
+      leaveNowAlertSent: doc.leaveNowAlertSent || null,
+      holidayMode: doc.holidayMode === true,
+      holidayModeStartDate: doc.holidayModeStartDate || null,
+      holidayModeEndDate: doc.holidayModeEndDate || null,
+      createdAt: doc.createdAt?.toISOString?.() || doc.createdAt,
+      updatedAt: doc.updatedAt?.toISOString?.() || doc.updatedAt,
+    };
+  }
+
+  async function serializeScheduledJourneys(docs) {
+    const pausedByJourney = await ctx.pausedRunKeysByJourney(docs.map((doc) => doc._id));
+    return docs.map((doc) =>
+      scheduledJourneyResponse(doc, pausedByJourney.get(doc._id.toString()) || [])
+    );
+  }
+
+  async function serializeScheduledJourney(doc) {
+    const [serialized] = await serializeScheduledJourneys([doc]);
+    return serialized;
+  }
+
+  function scheduledJourneyPhaseFromValues(...values) {
+    for (const value of values) {
+      if (value === "end" || value === "start") return value;
+    }
+    return null;
+  }
+
+  function sanitizeBikeDataFilter(rawValue) {
+    return rawValue === "bikesOnly" || rawValue === "eBikesOnly" || rawValue === "both"
+      ? rawValue
+      : "both";
+  }
+
+  // Returns null for an unknown mode or a value that isn't an object; a missing (or null)
+  // startCondition means "always".
+  function sanitizeStartCondition(rawValue) {
+    const source = rawValue ?? {};
+    if (typeof source !== "object" || Array.isArray(source)) return null;
+    const mode = source.mode === undefined ? "always" : source.mode;
+    if (!START_CONDITION_MODES.includes(mode)) return null;
+    const threshold = Number(source.threshold);
+    return {
+      mode,
+      threshold: Number.isFinite(threshold)
+        ? Math.min(Math.max(Math.trunc(threshold), 1), MAX_START_CONDITION_THRESHOLD)
+        : 1,
+    };
+  }
+
+  function sanitizeArrivalDistanceMeters(value, fallback) {
+    const numericValue = Number(value);
+    if (!Number.isFinite(numericValue)) return fallback;
+    const roundedValue = Math.round(numericValue / 5) * 5;
+    return Math.min(Math.max(roundedValue, 10), 100);
+  }
+
+  function sanitizeArrivalSettings(rawValue) {
+    const source = rawValue && typeof rawValue === "object" ? rawValue : {};
+    return {
+      startDistanceMeters: sanitizeArrivalDistanceMeters(source.startDistanceMeters, 50),
+      endDistanceMeters: sanitizeArrivalDistanceMeters(source.endDistanceMeters, 50),
+    };
+  }
+
+  const localDateFormatters = new Map();
+
+  function localDateParts(date, timeZone) {
+    let formatter = localDateFormatters.get(timeZone);
+    if (!formatter) {
+      formatter = new Intl.DateTimeFormat("en-GB", {
+        timeZone,
+        weekday: "short",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        hourCycle: "h23",
+      });
+      localDateFormatters.set(timeZone, formatter);
+    }
+    const parts = formatter.formatToParts(date);
+    const lookup = Object.fromEntries(parts.map((part) => [part.type, part.value]));
+    const weekdayMap = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 7 };
+    return {
+      weekday: weekdayMap[lookup.weekday],
+      dateKey: `${lookup.year}-${lookup.month}-${lookup.day}`,
+      time: `${lookup.hour}:${lookup.minute}`,
+    };
+  }
+
+  function scheduledRunKey(journey, date = new Date()) {
+    const parts = localDateParts(date, journey.timezone || "Europe/London");
+    return `${parts.dateKey}:${journey.startTime}`;
+  }
+
+  // ── Run Windows ──────────────────────────────────────────────────────
+  // A run is one local date's startTime–endTime window. Its instants are worked out
+  // from the wall-clock times in the journey's timezone, so runs on clock-change days
+  // start and end at the right moment.
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const WEEKDAY_BY_UTC_DAY = [7, 1, 2, 3, 4, 5, 6];
+
+  function parseDateKey(dateKey) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateKey || "");
+    return match ? [Number(match[1]), Number(match[2]), Number(match[3])] : null;
+  }
+
+  function shiftDateKey(dateKey, days) {
+    const [year, month, day] = parseDateKey(dateKey);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+  }
+
+  function weekdayForDateKey(dateKey) {
+    const [year, month, day] = parseDateKey(dateKey);
+    return WEEKDAY_BY_UTC_DAY[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+  }
+
+  // The wall-clock time at `instant` minus the instant itself, at minute precision.
+  function timeZoneOffsetMs(instant, timeZone) {
+    const parts = localDateParts(new Date(instant), timeZone);
+    const [year, month, day] = parseDateKey(parts.dateKey);
+    const [hour, minute] = parts.time.split(":").map(Number);
+    return Date.UTC(year, month - 1, day, hour, minute) - Math.floor(instant / 60000) * 60000;
+  }
+
+  // A time skipped when the clocks go forward resolves to the same distance past the
+  // change (01:30 on the last Sunday in March in London is 02:30 BST); a time that
+  // happens twice when they go back resolves to its first occurrence.
+  function zonedTimeToInstant(dateKey, time, timeZone) {
+    const [year, month, day] = parseDateKey(dateKey);
+    const [hour, minute] = time.split(":").map(Number);
+    const wallClockMs = Date.UTC(year, month - 1, day, hour, minute);
+    const offsetBefore = timeZoneOffsetMs(wallClockMs - DAY_MS, timeZone);
+    const offsetAfter = timeZoneOffsetMs(wallClockMs + DAY_MS, timeZone);
+    const candidates = [wallClockMs - offsetBefore, wallClockMs - offsetAfter].sort(
+      (a, b) => a - b
+    );
+    for (const candidate of candidates) {
+      if (timeZoneOffsetMs(candidate, timeZone) === wallClockMs - candidate) {
+        return candidate;
+      }
+    }
+    return wallClockMs - offsetBefore;
+  }
+
+  function scheduledRunWindow(journey, dateKey) {
+    const timeZone = journey.timezone || "Europe/London";
+    const windowMinutes = scheduledWindowMinutes(journey.startTime, journey.endTime);
+    if (windowMinutes === null || !parseDateKey(dateKey)) return null;
+
+    const startAt = zonedTimeToInstant(dateKey, journey.startTime, timeZone);
+    const endDateKey =
+      parseMinutesSinceMidnight(journey.endTime) > parseMinutesSinceMidnight(journey.startTime)
+        ? dateKey
+        : shiftDateKey(dateKey, 1);
+    const wallClockEndAt = zonedTimeToInstant(endDateKey, journey.endTime, timeZone);
+    const endAt =
+      wallClockEndAt > startAt ? wallClockEndAt : startAt + windowMinutes * 60 * 1000;
+    const graceMinutes = Math.max(1, SCHEDULED_JOURNEY_START_GRACE_MINUTES);
+    return {
+      dateKey,
+      weekday: weekdayForDateKey(dateKey),
+      startTime: journey.startTime,
+      endTime: journey.endTime,
+      runKey: `${dateKey}:${journey.startTime}`,
+      startAt,
+      startDeadline: Math.min(startAt + graceMinutes * 60 * 1000, endAt),
+      endAt,
+    };
+  }
+
+  function extraRunWindow(journey, extraRun) {
+    const window = scheduledRunWindow(
+      { ...journey, startTime: extraRun.startTime, endTime: extraRun.endTime },
+      extraRun.date
+    );
+    return window && { ...window, extraRun: true };
+  }
+
+  // The window for a stored runKey ("YYYY-MM-DD:HH:mm"), whether it was a regular or
+  // an extra run.
+  function scheduledRunWindowForKey(journey, runKey) {
+    if (typeof runKey !== "string") return null;
+    const extraRun = (journey.extraRuns || []).find(
+      (run) => `${run.date}:${run.startTime}` === runKey
+    );
+    if (extraRun) return extraRunWindow(journey, extraRun);
+    return scheduledRunWindow(journey, runKey.slice(0, 10));
+  }
+
+  // Why the regular run on `dateKey` is switched off, if it is.
+  function scheduledRunExclusion(journey, dateKey) {
+    if (journey.skipDates?.includes(dateKey)) return { excludedBy: "date_skipped" };
+    if (journey.pauseRanges?.some((range) => range.from <= dateKey && dateKey <= range.to)) {
+      return { excludedBy: "date_paused" };
+    }
+    if (journey.skipBankHolidays === true) {
+      const bankHoliday = ctx.bankHolidayOn(journey.bankHolidayRegion, dateKey);
+      if (bankHoliday) return { excludedBy: "bank_holiday", bankHoliday };
+    }
+    return null;
+  }
+
+  // The run whose start window is open at `date`: it started at most
+  // SCHEDULED_JOURNEY_START_GRACE_MINUTES ago, so a late tick or a restart catches it up
+  // instead of missing it. Yesterday's run is checked for windows that cross midnight.
+  // Extra runs take priority; a regular run on a skipped or paused date or a bank
+  // holiday comes back with `excludedBy` set.
+  function openScheduledRunWindow(journey, date) {
+    const isOpen = (window) =>
+      window && date.getTime() >= window.startAt && date.getTime() < window.startDeadline;
+
+    for (const extraRun of journey.extraRuns || []) {
+      const window = extraRunWindow(journey, extraRun);
+      if (isOpen(window)) return window;
+    }
+
+    const today = localDateParts(date, journey.timezone || "Europe/London").dateKey;
+    for (const dateKey of [today, shiftDateKey(today, -1)]) {
+      const window = scheduledRunWindow(journey, dateKey);
+      if (!window || !journey.weekdays?.includes(window.weekday)) continue;
+      if (isOpen(window)) {
+        return { ...window, ...scheduledRunExclusion(journey, dateKey) };
+      }
+    }
+    return null;
+  }
+
+  // The run a stop, completion or manual start at `date` applies to: the active run, else
+  // the run whose start window is open (an extra run or one that began before midnight
+  // has its own key), else today's regular run.
+  function currentScheduledRunKey(journey, date = new Date()) {
+    return (
+      journey.activeRun?.runKey ||
+      openScheduledRunWindow(journey, date)?.runKey ||
+      scheduledRunKey(journey, date)
+    );
+  }
+
+  function shouldStartScheduledJourney(journey, date = new Date()) {
+    return scheduledJourneyStartDecision(journey, date).canStart;
+  }
+
+  // `journey.pausedRunKeys` is not stored on the journey; callers load it with
+  // pausedRunKeysByJourney (see lib/run-states.js).
+  function scheduledJourneyStartDecision(journey, date = new Date()) {
+    if (journey.enabled === false) {
+      return { canStart: false, reason: "disabled" };
+    }
+    if (journey.deletedAt) {
+      return { canStart: false, reason: "deleted" };
+    }
+
+    const parts = localDateParts(date, journey.timezone || "Europe/London");
+    const window = openScheduledRunWindow(journey, date);
+    if (!window) {
+      const base = { parts, runKey: `${parts.dateKey}:${journey.startTime}` };
+      if (!journey.weekdays?.includes(parts.weekday)) {
+        return { canStart: false, reason: "weekday_mismatch", ...base };
+      }
+      return { canStart: false, reason: "time_mismatch", ...base };
+    }
+    const runKey = window.runKey;
+    const lateMinutes = Math.floor((date.getTime() - window.startAt) / 60000);
+    const base = { parts, runKey, window, lateMinutes };
+    if (window.excludedBy) {
+      return {
+        canStart: false,
+        reason: window.excludedBy,
+        bankHoliday: window.bankHoliday || null,
+        ...base,
+      };
+    }
+    if (isHolidayModeActive(journey, date)) {
+      return { canStart: false, reason: "holiday_mode", ...base };
+    }
+
+    // "Already active" is per run: a run of another key that is still active (say a
+    // regular run when an extra run on the same date opens) gives way when this one
+    // starts. Only an active run saved without a runKey still blocks the whole day.
+    if (journey.activeRun?.phase) {
+      if (journey.activeRun.runKey === runKey) {
+        return { canStart: false, reason: "already_active_for_run", ...base };
+      }
+      const activeStartedAt = journey.activeRun.startedAt
+        ? new Date(journey.activeRun.startedAt)
+        : null;
+      if (!journey.activeRun.runKey && activeStartedAt && !Number.isNaN(activeStartedAt.getTime())) {
+        const activeParts = localDateParts(
+          activeStartedAt,
+          journey.timezone || "Europe/London"
+        );
+        if (activeParts.dateKey === window.dateKey) {
+          return { canStart: false, reason: "already_active_today", activeParts, ...base };
+        }
+      }
+    }
+
+    if (Array.isArray(journey.pausedRunKeys) && journey.pausedRunKeys.includes(runKey)) {
+      return { canStart: false, reason: "run_paused", ...base };
+    }
+
+    return { canStart: true, reason: "eligible", ...base };
+  }
+
+  function appendScheduledJourneyCheckDiagnostic(kind, journey, decision, extra = {}) {
+    ctx.appendDiagnosticJsonLine(kind, {
+      journeyId: journey._id?.toString?.() || null,
+      deviceId: ctx.shortenIdentifier(journey.deviceId),
+      startDockId: journey.startDock?.id || null,
+      startDockName: journey.startDock?.name || null,
+      endDockId: journey.endDock?.id || null,
+      endDockName: journey.endDock?.name || null,
+      startTime: journey.startTime || null,
+      endTime: journey.endTime || null,
+      timezone: journey.timezone || "Europe/London",
+      weekdays: journey.weekdays || [],
+      runKey: decision?.runKey || null,
+      localDateKey: decision?.parts?.dateKey || null,
+      localTime: decision?.parts?.time || null,
+      localWeekday: decision?.parts?.weekday || null,
+      lateMinutes: decision?.lateMinutes ?? null,
+      reason: decision?.reason || null,
+      bankHoliday: decision?.bankHoliday?.title || null,
+      skipBankHolidays: journey.skipBankHolidays === true,
+      enabled: journey.enabled !== false,
+      hasDeviceToken: !!ctx.normalizeApnsDeviceToken(journey.deviceToken),
+      hasPushToStartToken: !!ctx.normalizeApnsDeviceToken(journey.pushToStartToken),
+      activeRun: journey.activeRun || null,
+      pausedRunKeys: journey.pausedRunKeys || [],
+      ...extra,
+    });
+  }
+
+  function shouldEndScheduledJourneyWindow(journey, date = new Date()) {
+    if (!journey.activeRun?.phase) return false;
+    const parts = localDateParts(date, journey.timezone || "Europe/London");
+    const runWindow = scheduledRunWindowForKey(journey, journey.activeRun.runKey);
+    // An extra run keeps its own times; everything else uses the journey's.
+    const { startTime, endTime } = runWindow?.extraRun ? runWindow : journey;
+    if (parts.time === endTime) return true;
+
+    // Scheduled runs end at their window's endTime even if that minute's tick is missed.
+    if (!journey.activeRun.manuallyActivated && runWindow && date.getTime() >= runWindow.endAt) {
+      return true;
+    }
+
+    const activeStartedAt = journey.activeRun.startedAt
+      ? new Date(journey.activeRun.startedAt)
+      : null;
+    if (!activeStartedAt || Number.isNaN(activeStartedAt.getTime())) return false;
+
+    const windowMinutes = scheduledWindowMinutes(startTime, endTime);
+    if (windowMinutes === null) {
+      return false;
+    }
+
+    return date.getTime() - activeStartedAt.getTime() >= windowMinutes * 60 * 1000;
+  }
+
+  // ── Delayed Destination Space Alerts ─────────────────────────────────
+  // Sent a little after the rider reaches the start dock, through the delayed job
+  // scheduler so a restart in between does not drop them. One pending alert per
+  // device, start dock and destination; a repeat arrival replaces it.
+  const DESTINATION_SPACE_ALERT_JOB = "destination_space_alert";
+
+  function startArrivalDestinationAlertKey(deviceToken, startDockId, endDockId) {
+    return `${DESTINATION_SPACE_ALERT_JOB}:${deviceToken}:${startDockId}:${endDockId}`;
+  }
+
+  function scheduleStartArrivalDestinationSpaceAlert({
+    deviceToken,
+    buildType,
+    startDockId,
+    startDockName,
+    endDock,
+    minimumSpaces,
+    delayMs,
+    scheduledJourneyId,
+    adHocJourneyId,
+    triggerSource = "start_arrival",
+  }) {
+    return ctx.scheduleDelayedJob({
+      type: DESTINATION_SPACE_ALERT_JOB,
+      key: startArrivalDestinationAlertKey(deviceToken, startDockId, endDock.id),
+      dueAt: Date.now() + delayMs,
+      payload: {
+        deviceToken,
+        buildType,
+        startDockId,
+        startDockName,
+        endDock,
+        minimumSpaces,
+        delayMs,
+        scheduledJourneyId: scheduledJourneyId || null,
+        adHocJourneyId: adHocJourneyId || null,
+        triggerSource,
+      },
+    });
+  }
+
+  async function sendStartArrivalDestinationSpaceAlert(
+    {
+      deviceToken,
+      buildType,
+      startDockId,
+      startDockName,
+      endDock,
+      minimumSpaces,
+      delayMs,
+      scheduledJourneyId,
+      adHocJourneyId,
+      triggerSource,
+    },
+    job
+  ) {
+    try {
+      const endDockData = await ctx.fetchDockData(endDock.id);
+      const resolvedDockName = endDockData.dockName || endDock.name || endDock.id;
+      const alertBody = ctx.buildAvailabilitySnapshotMessage(
+        resolvedDockName,
+        "spaces",
+        endDockData.emptySpaces,
+        minimumSpaces
+      );
+
+      await ctx.sendAvailabilityAlertPush(
+        deviceToken,
+        buildType,
+        alertBody,
+        endDock.id,
+        resolvedDockName
+      );
+
+      const diagnosticKind =
+        triggerSource === "destination_approach"
+          ? "destination_approach_space_alert_sent"
+          : "scheduled_start_arrival_destination_space_alert_sent";
+      ctx.appendDiagnosticJsonLine(diagnosticKind, {
+        startDockId,
+        startDockName,
+        endDockId: endDock.id,
+        endDockName: resolvedDockName,
+        deviceToken: ctx.shortenIdentifier(deviceToken),
+        buildType,
+        delayMs,
+        triggerSource,
+        scheduledJourneyId: scheduledJourneyId || null,
+        adHocJourneyId: adHocJourneyId || null,
+        emptySpaces: endDockData.emptySpaces,
+        minimumSpaces,
+        attempt: job.attempts,
+      });
+    } catch (err) {
+      logger.error(
+        `Failed to send delayed destination space alert for ${endDock.id}:`,
+        err.message
+      );
+      const diagnosticKind =
+        triggerSource === "destination_approach"
+          ? "destination_approach_space_alert_failed"
+          : "scheduled_start_arrival_destination_space_alert_failed";
+      ctx.appendDiagnosticJsonLine(diagnosticKind, {
+        startDockId,
+        endDockId: endDock.id,
+        deviceToken: ctx.shortenIdentifier(deviceToken),
+        buildType,
+        delayMs,
+        triggerSource,
+        scheduledJourneyId: scheduledJourneyId || null,
+        adHocJourneyId: adHocJourneyId || null,
+        error: err.message,
+        attempt: job.attempts,
+      });
+      // Retrying cannot help a token APNs has rejected; anything else is retried.
+      if (!ctx.isApnsTokenInvalidError(err)) throw err;
+    }
+  }
+
+  ctx.registerDelayedJobHandler(
+    DESTINATION_SPACE_ALERT_JOB,
+    sendStartArrivalDestinationSpaceAlert,
+    {
+      describe: (payload) =>
+        `${payload.startDockName || payload.startDockId} → ${payload.endDock?.name || payload.endDock?.id}, ${payload.minimumSpaces} space(s) for ${ctx.shortenIdentifier(payload.deviceToken)}`,
+    }
+  );
+
+  function scheduledJourneyLegLabel(journey, legIndex) {
+    const legCount = journeyLegs(journey).length;
+    return legCount > 1 ? `Leg ${legIndex + 1} of ${legCount}: ` : "";
+  }
+
+  // Where a journey's start push goes: every device in its account that has a
+  // push-to-start token, or just the journey's own device. A journey also carries the
+  // token it was created with, used while its device has no token on record.
+  async function scheduledJourneyPushTargets(journey, tokenField = "pushToStartToken") {
+    const devices = await ctx.devicesForOwner({
+      deviceId: journey.deviceId,
+      accountId: journey.accountId || null,
+    });
+    const targets = [];
+    for (const device of devices) {
+      const token = ctx.normalizeApnsDeviceToken(device[tokenField]);
+      if (!token) continue;
+      targets.push({
+        deviceId: device._id,
+        token,
+        buildType: device.buildType === "production" ? "production" : "development",
+      });
+    }
+    const journeyToken = ctx.normalizeApnsDeviceToken(journey[tokenField]);
+    if (journeyToken && !targets.some((target) => target.deviceId === journey.deviceId)) {
+      targets.push({
+        deviceId: journey.deviceId,
+        token: journeyToken,
+        buildType: journey.buildType === "production" ? "production" : "development",
+      });
+    }
+    return targets;
+  }
+
+  // An alert to each of the owner's devices with an APNs device token. A device that
+  // rejects it doesn't stop the others; it throws only if none took it. Returns how many
+  // devices it went to.
+  async function sendScheduledJourneyAlertPush(journey, title, body, kind, label, options) {
+    const targets = await scheduledJourneyPushTargets(journey, "deviceToken");
+    let deliveredCount = 0;
+    let lastError = null;
+    for (const target of targets) {
+      try {
+        await ctx.sendAlertPush(target.token, target.buildType, title, body, kind, label, options);
+        deliveredCount += 1;
+      } catch (err) {
+        lastError = err;
+        logger.warn(
+          `Failed to send ${label} for scheduled journey ${journey._id} to device ${ctx.shortenIdentifier(target.deviceId)}: ${err.message}`
+        );
+      }
+    }
+    if (deliveredCount === 0 && lastError) throw lastError;
+    return deliveredCount;
+  }
+
+  async function forgetScheduledJourneyPushToStartToken(target) {
+    await ctx.forgetDevicePushToStartToken(target.deviceId, target.token);
+    await ctx.scheduledJourneysCollection?.updateMany(
+      { deviceId: target.deviceId, pushToStartToken: target.token },
+      { $unset: { pushToStartToken: "" }, $set: { updatedAt: new Date() } }
+    );
+  }
+
+  // Starts the Live Activity for one leg; every leg after the first gets its own. Each
+  // of the owner's devices gets the push, and it only fails if none of them took it.
+  async function sendScheduledJourneyStartPush(journey, reason = "schedule", legIndex = 0) {
+    const targets = await scheduledJourneyPushTargets(journey);
+    if (targets.length === 0) {
+      throw new Error("Scheduled journey is missing a push-to-start token");
+    }
+
+    const legs = journeyLegs(journey);
+    const { startDock, endDock } = legs[legIndex];
+    const alertBody = `${scheduledJourneyLegLabel(journey, legIndex)}Live updates started for ${startDock.name}`;
+    let startDockData = null;
+    try {
+      startDockData = await ctx.fetchDockData(startDock.id);
+    } catch (err) {
+      logger.warn(
+        `Failed to fetch initial scheduled journey dock data for ${startDock.id}: ${err.message}`
+      );
+    }
+    const contentState = {
+      standardBikes: ctx.sanitizeThresholdValue(startDockData?.standardBikes),
+      eBikes: ctx.sanitizeThresholdValue(startDockData?.eBikes),
+      emptySpaces: ctx.sanitizeThresholdValue(startDockData?.emptySpaces),
+      alternatives: [],
+    };
+    const aps = {
+      timestamp: Math.floor(Date.now() / 1000),
+      event: "start",
+      "content-state": contentState,
+      "attributes-type": "DockActivityAttributes",
+      attributes: {
+        dockId: startDock.id,
+        dockName: startDock.name,
+        alias: null,
+        scheduledJourneyId: journey._id.toString(),
+        scheduledJourneyPhase: "start",
+        scheduledJourneyLegIndex: legIndex,
+        scheduledJourneyLegCount: legs.length,
+        latitude: startDock.latitude,
+        longitude: startDock.longitude,
+        destinationDockId: endDock.id,
+        destinationDockName: endDock.name,
+        destinationLatitude: endDock.latitude,
+        destinationLongitude: endDock.longitude,
+      },
+      "input-push-token": 1,
+      alert: {
+        title: "Scheduled journey",
+        body: alertBody,
+        sound: "default",
+      },
+    };
+    const payload = JSON.stringify({ aps });
+
+    let deliveredCount = 0;
+    let lastError = null;
+    for (const target of targets) {
+      let result;
+      try {
+        result = await ctx.sendApnsRequestWithFallback(
+          target.token,
+          target.buildType,
+          payload,
+          (pushToken, authToken) => ({
+            ":method": "POST",
+            ":path": `/3/device/${pushToken}`,
+            authorization: `bearer ${authToken}`,
+            "apns-topic": APNS_TOPIC,
+            "apns-push-type": "liveactivity",
+            "apns-priority": "10",
+            "content-type": "application/json",
+          }),
+          "scheduled liveactivity start"
+        );
+      } catch (err) {
+        lastError = err;
+        logger.warn(
+          `Scheduled journey ${journey._id} start push to device ${ctx.shortenIdentifier(target.deviceId)} failed: ${err.message}`
+        );
+        if (ctx.isApnsTokenInvalidError(err)) {
+          await forgetScheduledJourneyPushToStartToken(target);
+        }
+        continue;
+      }
+
+      deliveredCount += 1;
+      ctx.recordPushEvent({
+        target: target.token,
+        channel: "live_activity",
+        type: "scheduled_journey_start",
+        title: "Scheduled journey",
+        body: alertBody,
+        result: "ok",
+        status: result.statusCode,
+        apnsEnv: result.buildType,
+        raw: {
+          journeyId: journey._id.toString(),
+          reason,
+          legIndex,
+          deviceId: ctx.shortenIdentifier(target.deviceId),
+        },
+      });
+      apnsPushesTotal.inc({
+        event: "scheduled_journey_start",
+        build_type: result.buildType,
+        status: "success",
+      });
+    }
+
+    if (deliveredCount === 0) throw lastError;
+    return { deliveredCount, targetCount: targets.length };
+  }
+
+  function journeySessionPhase(session) {
+    return session?.scheduledJourneyPhase === "end" || session?.activeJourneyPhase === "end"
+      ? "end"
+      : session?.scheduledJourneyPhase === "start" || session?.activeJourneyPhase === "start"
+        ? "start"
+        : null;
+  }
+
+  function isPreStartAdHocJourneySession(session) {
+    return (
+      journeySessionPhase(session) === "start" &&
+      !session?.scheduledJourneyId
+    );
+  }
+
+  function isInProgressJourneySession(session) {
+    return journeySessionPhase(session) === "end";
+  }
+
+  const heldBackScheduledRuns = new Map(); // journeyId -> runKey
+
+  // The start push goes to every device of the journey's owner, so a journey already in
+  // progress on any of them holds the start back, and a pre-start ad-hoc journey on any
+  // of them gives way to it. The scheduler passes the runKey and retries every tick
+  // while the hold lasts; it is only recorded the first time for each run.
+  async function prepareScheduledJourneyStart(journey, reason, runKey = null) {
+    const targets = await scheduledJourneyPushTargets(journey, "deviceToken");
+    const deviceTokens = new Set(targets.map((target) => target.token));
+    if (deviceTokens.size === 0) {
+      return { canStart: true, endedPreStartAdHocCount: 0, inProgressCount: 0 };
+    }
+
+    let inProgressCount = 0;
+    const inProgressDeviceTokens = new Set();
+    for (const poller of ctx.dockPollers.values()) {
+      for (const session of poller.tokens.values()) {
+        if (!deviceTokens.has(session.deviceToken)) continue;
+        if (isInProgressJourneySession(session)) {
+          inProgressCount += 1;
+          inProgressDeviceTokens.add(session.deviceToken);
+        }
+      }
+    }
+
+    const journeyId = journey._id.toString();
+    if (inProgressCount > 0) {
+      if (!runKey || heldBackScheduledRuns.get(journeyId) !== runKey) {
+        if (runKey) heldBackScheduledRuns.set(journeyId, runKey);
+        ctx.appendDiagnosticJsonLine("scheduled_journey_start_not_overriding_in_progress", {
+          journeyId,
+          runKey,
+          deviceTokens: Array.from(inProgressDeviceTokens, ctx.shortenIdentifier),
+          reason,
+          inProgressCount,
+        });
+        logger.info(
+          `Skipped scheduled journey ${journey._id} start because ${inProgressCount} journey session(s) are already in progress`
+        );
+      }
+      return { canStart: false, endedPreStartAdHocCount: 0, inProgressCount };
+    }
+    heldBackScheduledRuns.delete(journeyId);
+
+    let endedPreStartAdHocCount = 0;
+    for (const dockId of Array.from(ctx.dockPollers.keys())) {
+      const result = await ctx.endTrackedSessionsForDock(
+        dockId,
+        (_pushToken, session) =>
+          deviceTokens.has(session.deviceToken) &&
+          isPreStartAdHocJourneySession(session),
+        "scheduled_start_override_ad_hoc"
+      );
+      endedPreStartAdHocCount += result.endedCount;
+    }
+
+    if (endedPreStartAdHocCount > 0) {
+      ctx.appendDiagnosticJsonLine("scheduled_journey_start_overrode_pre_start_ad_hoc", {
+        journeyId: journey._id?.toString?.() || null,
+        deviceCount: deviceTokens.size,
+        reason,
+        endedCount: endedPreStartAdHocCount,
+      });
+      logger.info(
+        `Ended ${endedPreStartAdHocCount} pre-start ad-hoc journey session(s) before starting scheduled journey ${journey._id}`
+      );
+    }
+
+    return { canStart: true, endedPreStartAdHocCount, inProgressCount: 0 };
+  }
+
+  function scheduledJourneyStartAlertBody(dockName, dockData, bikeDataFilter) {
+    const resolvedDockName =
+      typeof dockName === "string" && dockName.trim() ? dockName.trim() : "Start dock";
+    const standardBikes = ctx.sanitizeThresholdValue(dockData?.standardBikes);
+    const eBikes = ctx.sanitizeThresholdValue(dockData?.eBikes);
+
+    switch (sanitizeBikeDataFilter(bikeDataFilter)) {
+      case "bikesOnly":
+        return `${resolvedDockName}: ${standardBikes} ${standardBikes === 1 ? "bike" : "bikes"}`;
+      case "eBikesOnly":
+        return `${resolvedDockName}: ${eBikes} ${eBikes === 1 ? "e-bike" : "e-bikes"}`;
+      case "both":
+      default:
+        return `${resolvedDockName}: ${standardBikes} ${standardBikes === 1 ? "bike" : "bikes"}, ${eBikes} ${eBikes === 1 ? "e-bike" : "e-bikes"}`;
+    }
+  }
+
+  async function sendScheduledJourneyInitialAvailabilityPush(journey) {
+    if ((await scheduledJourneyPushTargets(journey, "deviceToken")).length === 0) return null;
+
+    const dockData = await ctx.fetchDockData(journey.startDock.id);
+    return sendScheduledJourneyAlertPush(
+      journey,
+      "Scheduled journey",
+      scheduledJourneyStartAlertBody(
+        journey.startDock.name,
+        dockData,
+        journey.bikeDataFilter
+      ),
+      "scheduled_journey_initial_availability",
+      "scheduled journey initial availability"
+    );
+  }
+
+  function scheduledJourneyForecastBikes(counts, bikeDataFilter) {
+    switch (sanitizeBikeDataFilter(bikeDataFilter)) {
+      case "bikesOnly":
+        return counts.standardBikes;
+      case "eBikesOnly":
+        return counts.eBikes;
+      case "both":
+      default:
+        return counts.standardBikes + counts.eBikes;
+    }
+  }
+
+  function scheduledJourneyForecastWarningBody(dockName, forecast, bikeDataFilter, startTime) {
+    const resolvedDockName =
+      typeof dockName === "string" && dockName.trim() ? dockName.trim() : "Your start dock";
+    const noun = sanitizeBikeDataFilter(bikeDataFilter) === "eBikesOnly" ? "e-bikes" : "bikes";
+    if (scheduledJourneyForecastBikes(forecast.current, bikeDataFilter) >= 1) {
+      return `${resolvedDockName} usually runs out of ${noun} before ${startTime}. Consider leaving earlier.`;
+    }
+    return `${resolvedDockName} has no ${noun} right now and isn't expected to refill by ${startTime}.`;
+  }
+
+  // Runs every scheduler tick; fires once per run, SCHEDULED_JOURNEY_FORECAST_LEAD_MINUTES
+  // before the run would start, and only when history backs the forecast.
+  async function checkScheduledJourneyForecastWarning(journey, now = Date.now()) {
+    if (SCHEDULED_JOURNEY_FORECAST_LEAD_MINUTES <= 0 || !ctx.dockHistoryCollection) return null;
+    if (!journey.startDock?.id) return null;
+
+    const startAt = now + SCHEDULED_JOURNEY_FORECAST_LEAD_MINUTES * 60 * 1000;
+    const decision = scheduledJourneyStartDecision(journey, new Date(startAt));
+    if (!decision.canStart || journey.forecastWarning?.runKey === decision.runKey) {
+      return null;
+    }
+    if ((await scheduledJourneyPushTargets(journey, "deviceToken")).length === 0) return null;
+
+    const forecast = await ctx.forecastDockAvailability(
+      ctx.dockHistoryCollection,
+      journey.startDock.id,
+      startAt,
+      now
+    );
+    if (!forecast || forecast.method !== "seasonal_with_anomaly" || forecast.confidence === "low") {
+      return null;
+    }
+    const expectedBikes = scheduledJourneyForecastBikes(forecast.expected, journey.bikeDataFilter);
+    if (expectedBikes >= SCHEDULED_JOURNEY_FORECAST_MIN_BIKES) {
+      return null;
+    }
+
+    await sendScheduledJourneyAlertPush(
+      journey,
+      "Scheduled journey",
+      scheduledJourneyForecastWarningBody(
+        journey.startDock.name,
+        forecast,
+        journey.bikeDataFilter,
+        decision.window.startTime
+      ),
+      "scheduled_journey_forecast_warning",
+      "scheduled journey forecast warning",
+      {
+        customPayload: {
+          journeyId: journey._id?.toString?.() || null,
+          dockId: journey.startDock.id,
+          dockName: journey.startDock.name || null,
+          startTime: decision.window.startTime,
+          expected: forecast.expected,
+        },
+      }
+    );
+    await ctx.scheduledJourneysCollection.updateOne(
+      { _id: journey._id },
+      {
+        $set: {
+          forecastWarning: {
+            runKey: decision.runKey,
+            sentAt: new Date(),
+            expected: forecast.expected,
+            confidence: forecast.confidence,
+          },
+          updatedAt: new Date(),
+        },
+      }
+    );
+    appendScheduledJourneyCheckDiagnostic(
+      "scheduled_journey_forecast_warning_sent",
+      journey,
+      decision,
+      { expected: forecast.expected, confidence: forecast.confidence }
+    );
+    logger.info(
+      `Sent forecast warning for scheduled journey ${journey._id} (${decision.runKey}): expected ${expectedBikes} bike(s) at ${journey.startDock.id}`
+    );
+    return forecast;
+  }
+
+  // Whether the scheduler should push-start a run of a conditional journey, from live
+  // counts. It asks again every tick while the run can still start, so a start dock that
+  // empties a few minutes after startTime still starts the run. If the counts can't be
+  // read the run starts, as it would without a condition.
+  async function evaluateScheduledJourneyStartCondition(journey) {
+    const condition = sanitizeStartCondition(journey.startCondition) || { mode: "always", threshold: 1 };
+    if (condition.mode === "always") return { shouldStart: true, condition };
+
+    const { startDock, endDock } = journeyLegs(journey)[0];
+    const dock = condition.mode === "startDockBelow" ? startDock : endDock;
+    let dockData;
+    try {
+      dockData = await ctx.fetchDockData(dock.id);
+    } catch (err) {
+      logger.warn(
+        `Could not read ${dock.id} for the start condition of scheduled journey ${journey._id}, starting anyway: ${err.message}`
+      );
+      return { shouldStart: true, condition, dockId: dock.id, value: null };
+    }
+    const value =
+      condition.mode === "startDockBelow"
+        ? scheduledJourneyForecastBikes(dockData, journey.bikeDataFilter)
+        : dockData.emptySpaces;
+    if (value < condition.threshold) {
+      return { shouldStart: true, condition, dockId: dock.id, value };
+    }
+    return {
+      shouldStart: false,
+      reason: condition.mode === "startDockBelow" ? "start_dock_has_bikes" : "destination_has_spaces",
+      condition,
+      dockId: dock.id,
+      value,
+    };
+  }
+
+  function scheduledJourneyDockArrivalBody(dockName) {
+    const resolvedDockName =
+      typeof dockName === "string" && dockName.trim() ? dockName.trim() : "your dock";
+    return `Welcome to ${resolvedDockName}!`;
+  }
+
+  function scheduledJourneyWatchingDestinationBody(dockName) {
+    const resolvedDockName =
+      typeof dockName === "string" && dockName.trim() ? dockName.trim() : "your destination dock";
+    return `Now watching spaces at ${resolvedDockName}`;
+  }
+
+  function scheduledJourneyDestinationAvailabilityBody(dockName, dockData) {
+    const resolvedDockName =
+      typeof dockName === "string" && dockName.trim() ? dockName.trim() : "Destination dock";
+    const spaces = ctx.sanitizeThresholdValue(dockData?.emptySpaces);
+    return `${resolvedDockName}: ${spaces} ${spaces === 1 ? "space" : "spaces"} available`;
+  }
+
+  async function sendScheduledJourneyTransitionPushes(
+    journey,
+    destinationDock,
+    options = {}
+  ) {
+    if ((await scheduledJourneyPushTargets(journey, "deviceToken")).length === 0) return null;
+
+    const legIndex = Number.isInteger(options.legIndex) ? options.legIndex : activeLegIndex(journey);
+    const legCount = journeyLegs(journey).length;
+    const startDock = journeyLegs(journey)[legIndex]?.startDock || journey.activeRun;
+    const arrivalDockName = startDock?.name || startDock?.dockName;
+    const destinationDockName = destinationDock?.name || destinationDock?.dockName;
+    const results = [];
+
+    if (options.includeStartArrivalNotification !== false) {
+      try {
+        results.push(
+          await sendScheduledJourneyAlertPush(
+            journey,
+            "Dock arrival",
+            scheduledJourneyDockArrivalBody(arrivalDockName),
+            "scheduled_journey_start_arrival",
+            "scheduled journey start arrival",
+            {
+              customPayload: {
+                journeyId: journey._id?.toString?.() || null,
+                dockId: startDock?.id || startDock?.dockId || null,
+                dockName: arrivalDockName || null,
+                legIndex,
+                legCount,
+              },
+            }
+          )
+        );
+      } catch (err) {
+        logger.warn(`Failed to send scheduled journey start-arrival push: ${err.message}`);
+      }
+    }
+
+    try {
+      results.push(
+        await sendScheduledJourneyAlertPush(
+          journey,
+          "Scheduled journey",
+          scheduledJourneyLegLabel(journey, legIndex) +
+            scheduledJourneyWatchingDestinationBody(destinationDockName),
+          "scheduled_journey_destination_watch",
+          "scheduled journey destination watch",
+          {
+            customPayload: {
+              journeyId: journey._id?.toString?.() || null,
+              dockId: destinationDock?.id || destinationDock?.dockId || null,
+              dockName: destinationDockName || null,
+              legIndex,
+              legCount,
+            },
+          }
+        )
+      );
+    } catch (err) {
+      logger.warn(`Failed to send scheduled journey destination-watch push: ${err.message}`);
+    }
+
+    return results;
+  }
+
+  async function sendScheduledJourneyDestinationAvailabilityPushForSession(session, dockId, dockName, dockData) {
+    const deviceToken = ctx.normalizeApnsDeviceToken(session?.deviceToken);
+    if (!deviceToken) return null;
+
+    return ctx.sendAlertPush(
+      deviceToken,
+      session.buildType === "production" ? "production" : "development",
+      "Scheduled journey",
+      scheduledJourneyDestinationAvailabilityBody(dockName, dockData),
+      "scheduled_journey_destination_availability",
+      "scheduled journey destination availability",
+      {
+        customPayload: {
+          journeyId: session.scheduledJourneyId || null,
+          dockId,
+          dockName,
+        },
+      }
+    );
+  }
+
+  // One of the requesting device's journeys, including those shared through its account.
+  async function requestedJourneyFilter(deviceId, journeyId) {
+    const owner = await ctx.resolveJourneyOwner(deviceId);
+    return {
+      _id: new ObjectId(journeyId),
+      ...ctx.journeyOwnerFilter(owner),
+      deletedAt: { $exists: false },
+    };
+  }
+
+  router.post("/scheduled-journeys/device/register", async (req, res) => {
+    const collection = await requireScheduledJourneysCollection(res);
+    if (!collection) return;
+
+    const deviceId = ctx.deviceIdFromRequest(req);
+    if (!deviceId) {
+      return res.status(400).json({ error: "Missing required deviceId" });
+    }
+
+    const pushToStartToken = ctx.normalizeApnsDeviceToken(req.body?.pushToStartToken);
+    const deviceToken = ctx.normalizeApnsDeviceToken(req.body?.deviceToken);
+    const buildType = req.body?.buildType === "production" ? "production" : "development";
+    const timezone = sanitizeTimeZone(req.body?.timezone) || "Europe/London";
+    const bikeDataFilter = sanitizeBikeDataFilter(req.body?.bikeDataFilter);
+    const arrivalSettings = sanitizeArrivalSettings(req.body?.arrivalSettings);
+
+    // Tokens, build type, timezone and display settings belong to this device: they are
+    // kept on its device record and copied only onto the journeys it created. Holiday
+    // mode applies to every journey it can see, which for a device in an account
+    // includes the other devices' journeys.
+    const deviceUpdate = {
+      buildType,
+      timezone,
+      bikeDataFilter,
+      arrivalSettings,
+      updatedAt: new Date(),
+    };
+    if (pushToStartToken) deviceUpdate.pushToStartToken = pushToStartToken;
+    if (deviceToken) deviceUpdate.deviceToken = deviceToken;
+    const update = { updatedAt: new Date() };
+    const owner = await ctx.resolveJourneyOwner(deviceId);
+    const currentHolidayMode = await collection.findOne(
+      { ...ctx.journeyOwnerFilter(owner), deletedAt: { $exists: false } },
+      {
+        projection: {
+          holidayMode: 1,
+          holidayModeStartDate: 1,
+          holidayModeEndDate: 1,
+          holidayModeStartsAt: 1,
+          holidayModeEndsAt: 1,
+          holidayModeExpiredAt: 1,
+        },
+      }
+    );
+    const holidayModeProvided = typeof req.body?.holidayMode === "boolean";
+    const holidayModeDatesProvided =
+      req.body?.holidayModeStartDate !== undefined || req.body?.holidayModeEndDate !== undefined;
+    if (holidayModeProvided && req.body.holidayMode && !holidayModeDatesProvided) {
+      // The app sends its last known holidayMode on every launch and token refresh,
+      // without dates. That keeps the stored dates. The first `true` after a holiday
+      // mode expired is the app's stale value: it is ignored, and the response (like a
+      // journey list) tells the app holiday mode is off, so the next `true` is the
+      // user turning it back on.
+      if (currentHolidayMode?.holidayModeExpiredAt) {
+        update.holidayModeExpiredAt = null;
+      } else {
+        update.holidayMode = true;
+      }
+    } else if (holidayModeProvided) {
+      const holidayModeDates = req.body.holidayMode
+        ? sanitizeHolidayModeDates(req.body, timezone)
+        : sanitizeHolidayModeDates({}, timezone);
+      if (holidayModeDates.error) {
+        return res.status(400).json({ error: holidayModeDates.error });
+      }
+      Object.assign(
+        update,
+        { holidayMode: req.body.holidayMode, holidayModeExpiredAt: null },
+        holidayModeDates.value
+      );
+    }
+    const holidayModeState = { ...currentHolidayMode, ...update };
+
+    await ctx.recordDeviceRegistration(deviceId, {
+      pushToStartToken,
+      deviceToken,
+      buildType,
+      timezone,
+      bikeDataFilter,
+      arrivalSettings,
+    });
+    await collection.updateMany(
+      { ...ctx.journeyOwnerFilter(owner), deviceId, deletedAt: { $exists: false } },
+      { $set: deviceUpdate }
+    );
+    await collection.updateMany(
+      { ...ctx.journeyOwnerFilter(owner), deletedAt: { $exists: false } },
+      { $set: update }
+    );
+
+    // Holiday mode is a per-owner setting, applied to every journey the device (or its
+    // account) owns.
+    // Turning it on must immediately silence any journey already mid-run, not just
+    // block future scheduled starts — otherwise the live poll loop keeps pushing
+    // Live Activity updates for the in-progress session.
+    if (update.holidayMode && isHolidayModeActive(holidayModeState)) {
+      const activeDeviceJourneys = await collection
+        .find({
+          ...ctx.journeyOwnerFilter(owner),
+          deletedAt: { $exists: false },
+          "activeRun.phase": { $in: ["start", "end"] },
+        })
+        .toArray();
+      for (const journey of activeDeviceJourneys) {
+        await endActiveScheduledJourneyRun(journey, "holiday_mode_enabled");
+        logger.info(`Ended active scheduled journey ${journey._id} because holiday mode was enabled`);
+      }
+    }
+
+    res.json({
+      success: true,
+      deviceId,
+      accountId: owner.accountId,
+      hasPushToStartToken: !!pushToStartToken,
+      ...(holidayModeProvided && {
+        holidayMode: holidayModeState.holidayMode === true,
+        holidayModeStartDate: holidayModeState.holidayModeStartDate || null,
+        holidayModeEndDate: holidayModeState.holidayModeEndDate || null,
+      }),
+    });
+  });
+
+  // Moves a user's journeys from an old device id (a previous phone, or a reinstall that
+  // reset the id) to the requesting device. Journeys keep their schedule, exceptions and
+  // holiday mode but lose the old device's push tokens until this device registers.
+  router.post("/scheduled-journeys/device/transfer", async (req, res) => {
+    const collection = await requireScheduledJourneysCollection(res);
+    if (!collection) return;
+
+    const deviceId = ctx.deviceIdFromRequest(req);
+    const fromDeviceId = ctx.normalizeDeviceId(req.body?.fromDeviceId);
+    if (!deviceId || !fromDeviceId) {
+      return res.status(400).json({ error: "Missing deviceId or fromDeviceId" });
+    }
+    if (fromDeviceId === deviceId) {
+      return res.status(400).json({ error: "fromDeviceId must be a different device" });
+    }
+    if (!(await ctx.authorizeDeviceTransfer(fromDeviceId, deviceId, req.body?.code))) {
+      ctx.appendDiagnosticJsonLine("scheduled_journeys_transfer_refused", {
+        fromDeviceId: ctx.shortenIdentifier(fromDeviceId),
+        deviceId: ctx.shortenIdentifier(deviceId),
+        hasCode: typeof req.body?.code === "string",
+      });
+      return res.status(403).json({
+        error: "Transferring needs a link code from the old device, or both devices in the same account",
+      });
+    }
+
+    const owner = await ctx.transferDeviceRecord(fromDeviceId, deviceId);
+    // Journeys the old device created in an account it has since left stay there.
+    const moved = await collection.updateMany(
+      { deviceId: fromDeviceId, accountId: owner.fromAccountId, deletedAt: { $exists: false } },
+      {
+        $set: { deviceId, accountId: owner.accountId, updatedAt: new Date() },
+        $unset: { pushToStartToken: "", deviceToken: "" },
+      }
+    );
+    if (!owner.found && moved.modifiedCount === 0) {
+      return res.status(404).json({ error: "No journeys or device found for fromDeviceId" });
+    }
+    const quotaMoved = await ctx.moveDeviceQuota(fromDeviceId, deviceId);
+
+    logger.info(
+      `Transferred ${moved.modifiedCount} scheduled journey(s) from device ${ctx.shortenIdentifier(fromDeviceId)} to ${ctx.shortenIdentifier(deviceId)}`
+    );
+    ctx.appendDiagnosticJsonLine("scheduled_journeys_transferred", {
+      fromDeviceId: ctx.shortenIdentifier(fromDeviceId),
+      deviceId: ctx.shortenIdentifier(deviceId),
+      accountId: owner.accountId ? ctx.shortenIdentifier(owner.accountId) : null,
+      journeyCount: moved.modifiedCount,
+      quotaMoved,
+    });
+
+    const journeys = await collection
+      .find({ ...ctx.journeyOwnerFilter(owner), deletedAt: { $exists: false } })
+      .sort({ createdAt: 1 })
+      .toArray();
+    res.json({
+      success: true,
+      deviceId,
+      accountId: owner.accountId,
+      transferredCount: moved.modifiedCount,
+      journeys: await serializeScheduledJourneys(journeys),
+    });
+  });
+
+  function serializeScheduledJourneyLimits(limits, used) {
+    return {
+      plan: limits.plan,
+      maxJourneys: limits.maxJourneys,
+      used,
+      remaining: Math.max(0, limits.maxJourneys - used),
+      maxWindowMinutes: limits.maxWindowMinutes,
+      maxLegs: limits.maxLegs,
+      overridden: limits.overridden,
+    };
+  }
+
+  router.get("/scheduled-journeys/limits", async (req, res) => {
+    const collection = await requireScheduledJourneysCollection(res);
+    if (!collection) return;
+
+    const deviceId = ctx.deviceIdFromRequest(req);
+    if (!deviceId) {
+      return res.status(400).json({ error: "Missing required deviceId" });
+    }
+
+    const owner = await ctx.resolveJourneyOwner(deviceId);
+    const [limits, used] = await Promise.all([
+      ctx.scheduledJourneyLimitsForOwner(owner),
+      collection.countDocuments({ ...ctx.journeyOwnerFilter(owner), deletedAt: { $exists: false } }),
+    ]);
+    res.json({ success: true, limits: serializeScheduledJourneyLimits(limits, used) });
+  });
+
+  router.get("/scheduled-journeys", async (req, res) => {
+    const collection = await requireScheduledJourneysCollection(res);
+    if (!collection) return;
+
+    const deviceId = ctx.deviceIdFromRequest(req);
+    if (!deviceId) {
+      return res.status(400).json({ error: "Missing required deviceId" });
+    }
+
+    const owner = await ctx.resolveJourneyOwner(deviceId);
+    const journeys = await collection
+      .find({ ...ctx.journeyOwnerFilter(owner), deletedAt: { $exists: false } })
+      .sort({ createdAt: 1 })
+      .toArray();
+    // The app now knows its holiday mode expired (see /device/register).
+    if (journeys.some((journey) => journey.holidayModeExpiredAt)) {
+      await collection.updateMany(
+        { ...ctx.journeyOwnerFilter(owner), holidayModeExpiredAt: { $ne: null } },
+        { $set: { holidayModeExpiredAt: null } }
+      );
+    }
+
+    res.json({ success: true, journeys: await serializeScheduledJourneys(journeys) });
+  });
+
+  router.post("/scheduled-journeys", async (req, res) => {
+    const collection = await requireScheduledJourneysCollection(res);
+    if (!collection) return;
+
+    const deviceId = ctx.deviceIdFromRequest(req);
+    if (!deviceId) {
+      return res.status(400).json({ error: "Missing required deviceId" });
+    }
+
+    const owner = await ctx.resolveJourneyOwner(deviceId);
+    const limits = await ctx.scheduledJourneyLimitsForOwner(owner);
+    const existingCount = await collection.countDocuments({
+      ...ctx.journeyOwnerFilter(owner),
+      deletedAt: { $exists: false },
+    });
+    const newJourneyCount = req.body?.returnJourney ? 2 : 1;
+    if (existingCount + newJourneyCount > limits.maxJourneys) {
+      return res.status(409).json({
+        error: `You can add up to ${limits.maxJourneys} scheduled ${limits.maxJourneys === 1 ? "journey" : "journeys"}`,
+        limits: serializeScheduledJourneyLimits(limits, existingCount),
+      });
+    }
+
+    const sanitized = sanitizeScheduledJourneyPayload(req.body, limits);
+    if (sanitized.error) {
+      return res.status(400).json({ error: sanitized.error });
+    }
+
+    // `returnJourney` creates the evening reversal in the same call: the legs are
+    // reversed and everything not given in `returnJourney` (weekdays, timezone,
+    // settings) is copied from the outbound journey, except its date exceptions.
+    let returnSanitized = null;
+    if (req.body?.returnJourney !== undefined && req.body.returnJourney !== null) {
+      if (typeof req.body.returnJourney !== "object") {
+        return res.status(400).json({ error: "returnJourney must be an object" });
+      }
+      const { skipDates, pauseRanges, extraRuns, returnJourney, ...outboundBody } = req.body;
+      returnSanitized = sanitizeScheduledJourneyPayload(
+        {
+          ...outboundBody,
+          ...req.body.returnJourney,
+          legs: reversedJourneyLegs(sanitized.value.legs),
+        },
+        limits
+      );
+      if (returnSanitized.error) {
+        return res.status(400).json({ error: `returnJourney: ${returnSanitized.error}` });
+      }
+    }
+
+    // Holiday mode is a per-owner setting: inherit the current value from any of the
+    // owner's other journeys rather than trusting this single request body, so a
+    // stale client can't accidentally create a journey that skips the owner's pause.
+    const existingDeviceJourney = await collection.findOne(
+      { ...ctx.journeyOwnerFilter(owner), deletedAt: { $exists: false } },
+      {
+        projection: {
+          holidayMode: 1,
+          holidayModeStartDate: 1,
+          holidayModeEndDate: 1,
+          holidayModeStartsAt: 1,
+          holidayModeEndsAt: 1,
+          holidayModeExpiredAt: 1,
+        },
+      }
+    );
+    const holidayMode = existingDeviceJourney
+      ? existingDeviceJourney.holidayMode === true
+      : req.body?.holidayMode === true;
+    const holidayModeDates = {
+      holidayModeStartDate: existingDeviceJourney?.holidayModeStartDate || null,
+      holidayModeEndDate: existingDeviceJourney?.holidayModeEndDate || null,
+      holidayModeStartsAt: existingDeviceJourney?.holidayModeStartsAt || null,
+      holidayModeEndsAt: existingDeviceJourney?.holidayModeEndsAt || null,
+      holidayModeExpiredAt: existingDeviceJourney?.holidayModeExpiredAt || null,
+    };
+
+    const now = new Date();
+    const doc = {
+      skipBankHolidays: false,
+      bankHolidayRegion: DEFAULT_BANK_HOLIDAY_REGION,
+      ...sanitized.value,
+      deviceId,
+      accountId: owner.accountId,
+      deviceToken: ctx.normalizeApnsDeviceToken(req.body?.deviceToken) || null,
+      pushToStartToken: ctx.normalizeApnsDeviceToken(req.body?.pushToStartToken) || null,
+      buildType: req.body?.buildType === "production" ? "production" : "development",
+      bikeDataFilter: sanitized.value.bikeDataFilter,
+      holidayMode,
+      ...holidayModeDates,
+      activeRun: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    const result = await collection.insertOne({ ...doc, direction: "outbound", linkedJourneyId: null });
+    if (!returnSanitized) {
+      const inserted = await collection.findOne({ _id: result.insertedId });
+      return res.status(201).json({ success: true, journey: await serializeScheduledJourney(inserted) });
+    }
+
+    const returnResult = await collection.insertOne({
+      ...doc,
+      skipDates: [],
+      pauseRanges: [],
+      extraRuns: [],
+      ...returnSanitized.value,
+      direction: "return",
+      linkedJourneyId: result.insertedId,
+    });
+    await collection.updateOne(
+      { _id: result.insertedId },
+      { $set: { linkedJourneyId: returnResult.insertedId } }
+    );
+    const [inserted, insertedReturn] = await Promise.all([
+      collection.findOne({ _id: result.insertedId }),
+      collection.findOne({ _id: returnResult.insertedId }),
+    ]);
+    res.status(201).json({
+      success: true,
+      journey: await serializeScheduledJourney(inserted),
+      returnJourney: await serializeScheduledJourney(insertedReturn),
+    });
+  });
+
+  router.put("/scheduled-journeys/:id", async (req, res) => {
+    const collection = await requireScheduledJourneysCollection(res);
+    if (!collection) return;
+
+    const deviceId = ctx.deviceIdFromRequest(req);
+    const journeyId = req.params.id;
+    if (!deviceId || !ObjectId.isValid(journeyId)) {
+      return res.status(400).json({ error: "Missing deviceId or invalid journey id" });
+    }
+
+    const sanitized = sanitizeScheduledJourneyPayload(
+      req.body,
+      await ctx.scheduledJourneyLimitsForOwner(await ctx.resolveJourneyOwner(deviceId))
+    );
+    if (sanitized.error) {
+      return res.status(400).json({ error: sanitized.error });
+    }
+
+    const filter = await requestedJourneyFilter(deviceId, journeyId);
+    const existing = await collection.findOne(filter);
+    if (!existing) return res.status(404).json({ error: "Scheduled journey not found" });
+
+    // Clients that don't know about legs send only startDock/endDock. While those still
+    // match the stored journey's ends, its legs stay as they are.
+    const update = { ...sanitized.value };
+    if (req.body?.legs === undefined) {
+      const storedLegs = journeyLegs(existing);
+      if (
+        update.startDock.id === storedLegs[0].startDock.id &&
+        update.endDock.id === storedLegs[storedLegs.length - 1].endDock.id
+      ) {
+        delete update.legs;
+        delete update.startDock;
+        delete update.endDock;
+      }
+    }
+
+    const result = await collection.findOneAndUpdate(
+      filter,
+      { $set: { ...update, updatedAt: new Date() } },
+      { returnDocument: "after" }
+    );
+    if (!result) return res.status(404).json({ error: "Scheduled journey not found" });
+    res.json({ success: true, journey: await serializeScheduledJourney(result) });
+  });
+
+  router.delete("/scheduled-journeys/:id", async (req, res) => {
+    const collection = await requireScheduledJourneysCollection(res);
+    if (!collection) return;
+
+    const deviceId = ctx.deviceIdFromRequest(req);
+    const journeyId = req.params.id;
+    if (!deviceId || !ObjectId.isValid(journeyId)) {
+      return res.status(400).json({ error: "Missing deviceId or invalid journey id" });
+    }
+
+    const result = await collection.findOneAndUpdate(
+      await requestedJourneyFilter(deviceId, journeyId),
+      { $set: { deletedAt: new Date(), activeRun: null, updatedAt: new Date() } },
+      { returnDocument: "after" }
+    );
+    if (!result) return res.status(404).json({ error: "Scheduled journey not found" });
+    // The other half of a linked outbound/return pair stays as a journey of its own.
+    if (result.linkedJourneyId) {
+      await collection.updateOne(
+        { _id: result.linkedJourneyId },
+        { $set: { linkedJourneyId: null, updatedAt: new Date() } }
+      );
+    }
+    res.json({ success: true });
+  });
+
+  router.post("/scheduled-journeys/:id/activate", async (req, res) => {
+    const collection = await requireScheduledJourneysCollection(res);
+    if (!collection) return;
+
+    const deviceId = ctx.deviceIdFromRequest(req);
+    const journeyId = req.params.id;
+    if (!deviceId || !ObjectId.isValid(journeyId)) {
+      return res.status(400).json({ error: "Missing deviceId or invalid journey id" });
+    }
+
+    const journey = await collection.findOne(await requestedJourneyFilter(deviceId, journeyId));
+    if (!journey) return res.status(404).json({ error: "Scheduled journey not found" });
+
+    if (isHolidayModeActive(journey)) {
+      return res.status(409).json({
+        success: false,
+        error: "Holiday mode is enabled — disable it to start a scheduled journey",
+        journey: await serializeScheduledJourney(journey),
+      });
+    }
+
+    const runKey = currentScheduledRunKey(journey);
+    if (req.body?.remoteStart !== false) {
+      try {
+        const arbitration = await prepareScheduledJourneyStart(journey, "manual");
+        if (!arbitration.canStart) {
+          return res.status(409).json({
+            success: false,
+            error: "A journey is already in progress",
+            journey: await serializeScheduledJourney(journey),
+          });
+        }
+      } catch (err) {
+        logger.warn(`Manual scheduled journey arbitration failed: ${err.message}`);
+      }
+    }
+
+    await collection.updateOne(
+      { _id: journey._id },
+      {
+        $set: {
+          activeRun: {
+            phase: "start",
+            legIndex: 0,
+            dockId: journey.startDock.id,
+            dockName: journey.startDock.name,
+            startedAt: new Date(),
+            runKey,
+            manuallyActivated: true,
+          },
+          updatedAt: new Date(),
+        },
+      }
+    );
+    await ctx.resumeScheduledRun(journey, runKey);
+    await ctx.recordJourneyRunStarted(journey, { runKey, source: "manual" });
+
+    if (req.body?.remoteStart !== false) {
+      try {
+        await sendScheduledJourneyStartPush({ ...journey, activeRun: { runKey } }, "manual");
+      } catch (err) {
+        logger.warn(`Manual scheduled journey push-start failed: ${err.message}`);
+      }
+    }
+
+    const updated = await collection.findOne({ _id: journey._id });
+    res.json({ success: true, journey: await serializeScheduledJourney(updated) });
+  });
+
+  router.post("/scheduled-journeys/:id/stop", async (req, res) => {
+    const collection = await requireScheduledJourneysCollection(res);
+    if (!collection) return;
+
+    const deviceId = ctx.deviceIdFromRequest(req);
+    const journeyId = req.params.id;
+    if (!deviceId || !ObjectId.isValid(journeyId)) {
+      return res.status(400).json({ error: "Missing deviceId or invalid journey id" });
+    }
+
+    const journey = await collection.findOne(await requestedJourneyFilter(deviceId, journeyId));
+    if (!journey) return res.status(404).json({ error: "Scheduled journey not found" });
+
+    const runKey = currentScheduledRunKey(journey);
+    await ctx.pauseScheduledRun(journey, runKey, "stopped");
+    await collection.updateOne(
+      { _id: journey._id },
+      { $set: { activeRun: null, updatedAt: new Date() } }
+    );
+    if (journey.activeRun) {
+      await ctx.recordJourneyRunFinished(journey, runKey, "stopped", { reason: "user_stop" });
+    }
+
+    for (const dockId of journeyDockIds(journey)) {
+      await ctx.endTrackedSessionsForDock(
+        dockId,
+        (_pushToken, session) =>
+          session.deviceToken === journey.deviceToken ||
+          session.scheduledJourneyId === journey._id.toString(),
+        "scheduled_stop"
+      );
+    }
+
+    const updated = await collection.findOne({ _id: journey._id });
+    res.json({ success: true, journey: await serializeScheduledJourney(updated) });
+  });
+
+  router.post("/scheduled-journeys/:id/phase", async (req, res) => {
+    const collection = await requireScheduledJourneysCollection(res);
+    if (!collection) return;
+
+    const deviceId = ctx.deviceIdFromRequest(req);
+    const journeyId = req.params.id;
+    const phase = req.body?.phase === "end" ? "end" : req.body?.phase === "start" ? "start" : null;
+    const transitionSource =
+      req.body?.transitionSource === "arrival" ? "arrival" :
+        req.body?.transitionSource === "manual" ? "manual" : null;
+    if (!deviceId || !ObjectId.isValid(journeyId) || !phase) {
+      return res.status(400).json({ error: "Missing deviceId, phase, or invalid journey id" });
+    }
+
+    const journey = await collection.findOne(await requestedJourneyFilter(deviceId, journeyId));
+    if (!journey) return res.status(404).json({ error: "Scheduled journey not found" });
+
+    const legs = journeyLegs(journey);
+    const legIndex =
+      req.body?.legIndex === undefined ? activeLegIndex(journey) : Number(req.body.legIndex);
+    if (!Number.isInteger(legIndex) || legIndex < 0 || legIndex >= legs.length) {
+      return res.status(400).json({ error: `legIndex must be between 0 and ${legs.length - 1}` });
+    }
+
+    const dock = phase === "end" ? legs[legIndex].endDock : legs[legIndex].startDock;
+    const runKey = currentScheduledRunKey(journey);
+    const result = await collection.findOneAndUpdate(
+      { _id: journey._id },
+      {
+        $set: {
+          activeRun: {
+            ...journey.activeRun,
+            phase,
+            legIndex,
+            dockId: dock.id,
+            dockName: dock.name,
+            startedAt: journey.activeRun?.startedAt || new Date(),
+            runKey,
+          },
+          updatedAt: new Date(),
+        },
+      },
+      { returnDocument: "after" }
+    );
+    // The app can start a run itself by reporting its first phase.
+    if (!journey.activeRun?.phase) {
+      await ctx.recordJourneyRunStarted(journey, { runKey, source: "app" });
+    }
+    await ctx.recordJourneyRunEvent(journey, runKey, "phase", {
+      phase,
+      legIndex,
+      dock,
+      reason: transitionSource,
+    });
+
+    ctx.appendDiagnosticJsonLine("scheduled_journey_phase_update", {
+      journeyId,
+      deviceId: ctx.shortenIdentifier(deviceId),
+      phase,
+      legIndex,
+      transitionSource,
+      dockId: dock.id,
+      dockName: dock.name,
+    });
+
+    if (phase === "end") {
+      await sendScheduledJourneyTransitionPushes(journey, dock, {
+        legIndex,
+        // Arrival monitoring already posts the welcome notification locally.
+        // Suppress the server copy so one physical arrival produces one alert.
+        includeStartArrivalNotification:
+          transitionSource !== "manual" && transitionSource !== "arrival",
+      });
+    }
+
+    res.json({ success: true, journey: await serializeScheduledJourney(result) });
+  });
+
+  router.post("/scheduled-journeys/:id/complete", async (req, res) => {
+    const collection = await requireScheduledJourneysCollection(res);
+    if (!collection) return;
+
+    const deviceId = ctx.deviceIdFromRequest(req);
+    const journeyId = req.params.id;
+    if (!deviceId || !ObjectId.isValid(journeyId)) {
+      return res.status(400).json({ error: "Missing deviceId or invalid journey id" });
+    }
+
+    const journey = await collection.findOne(await requestedJourneyFilter(deviceId, journeyId));
+    if (!journey) return res.status(404).json({ error: "Scheduled journey not found" });
+
+    // With legs still to ride, completing the current leg moves the run on to the next.
+    if (journey.activeRun?.phase) {
+      const legIndex =
+        req.body?.legIndex === undefined ? activeLegIndex(journey) : Number(req.body.legIndex);
+      if (legIndex !== activeLegIndex(journey)) {
+        return res.status(409).json({
+          success: false,
+          error: "That leg is not the active one",
+          journey: await serializeScheduledJourney(journey),
+        });
+      }
+      const outcome = await finishScheduledJourneyLeg(journey, legIndex, "complete");
+      const updated = await collection.findOne({ _id: journey._id });
+      return res.json({
+        success: true,
+        runCompleted: outcome.runCompleted,
+        journey: await serializeScheduledJourney(updated),
+      });
+    }
+
+    await ctx.pauseScheduledRun(journey, currentScheduledRunKey(journey), "completed");
+    const result = await collection.findOneAndUpdate(
+      { _id: journey._id, deletedAt: { $exists: false } },
+      { $set: { activeRun: null, updatedAt: new Date() } },
+      { returnDocument: "after" }
+    );
+    res.json({ success: true, runCompleted: true, journey: await serializeScheduledJourney(result) });
+  });
+
+  async function endScheduledJourneySessions(journey, reason) {
+    for (const dockId of journeyDockIds(journey)) {
+      await ctx.endTrackedSessionsForDock(
+        dockId,
+        (_pushToken, session) =>
+          session.scheduledJourneyId === journey._id.toString() ||
+          session.deviceToken === journey.deviceToken,
+        reason
+      );
+    }
+  }
+
+  // Ends any live tracked push sessions for a scheduled journey's docks and clears
+  // its activeRun, so no further Live Activity/notification pushes go out for it.
+  async function endActiveScheduledJourneyRun(journey, reason) {
+    await endScheduledJourneySessions(journey, reason);
+    await ctx.scheduledJourneysCollection.updateOne(
+      { _id: journey._id },
+      { $set: { activeRun: null, updatedAt: new Date() } }
+    );
+    if (journey.activeRun?.runKey) {
+      await ctx.recordJourneyRunFinished(journey, journey.activeRun.runKey, "ended", { reason });
+    }
+  }
+
+  // Switches off holiday mode for devices (or accounts) whose end date has passed and
+  // tells each once. The filtered updateMany means only one tick (or server) sends the
+  // push.
+  async function expireHolidayModes(date = new Date()) {
+    const expired = await ctx.scheduledJourneysCollection
+      .find({
+        holidayMode: true,
+        holidayModeEndsAt: { $lte: date },
+        deletedAt: { $exists: false },
+      })
+      .toArray();
+    const journeysByOwner = new Map();
+    for (const journey of expired) {
+      const ownerKey = journey.accountId || journey.deviceId;
+      if (!journeysByOwner.has(ownerKey)) journeysByOwner.set(ownerKey, journey);
+    }
+
+    for (const journey of journeysByOwner.values()) {
+      const { deviceId } = journey;
+      const owner = { deviceId, accountId: journey.accountId || null };
+      const result = await ctx.scheduledJourneysCollection.updateMany(
+        {
+          ...ctx.journeyOwnerFilter(owner),
+          holidayMode: true,
+          holidayModeEndsAt: { $lte: date },
+        },
+        {
+          $set: {
+            holidayMode: false,
+            holidayModeStartDate: null,
+            holidayModeEndDate: null,
+            holidayModeStartsAt: null,
+            holidayModeEndsAt: null,
+            holidayModeExpiredAt: new Date(),
+            updatedAt: new Date(),
+          },
+        }
+      );
+      if (!result.modifiedCount) continue;
+
+      logger.info(
+        `Holiday mode ended for device ${ctx.shortenIdentifier(deviceId)} (${journey.holidayModeEndDate})`
+      );
+      let deliveredCount = 0;
+      try {
+        deliveredCount = await sendScheduledJourneyAlertPush(
+          journey,
+          "Holiday mode is over",
+          "Welcome back! Your commute alerts are back on.",
+          "holiday_mode_ended",
+          "holiday mode ended",
+          { customPayload: { holidayModeEndDate: journey.holidayModeEndDate || null } }
+        );
+      } catch (err) {
+        logger.warn(
+          `Failed to send holiday mode ended push to device ${ctx.shortenIdentifier(deviceId)}: ${err.message}`
+        );
+      }
+      ctx.appendDiagnosticJsonLine("holiday_mode_expired", {
+        deviceId: ctx.shortenIdentifier(deviceId),
+        holidayModeEndDate: journey.holidayModeEndDate || null,
+        journeyCount: result.modifiedCount,
+        deliveredCount,
+        pushSent: deliveredCount > 0,
+      });
+    }
+  }
+
+  const loggedScheduledJourneySkips = new Map(); // journeyId -> "runKey:reason"
+
+  // A run's window stays open for the whole grace period, so only record why it was
+  // skipped the first time. Returns whether this skip was recorded.
+  function recordScheduledJourneyStartSkip(journey, decision, extra = {}) {
+    const skipKey = `${decision.runKey}:${decision.reason}`;
+    const journeyId = journey._id.toString();
+    if (loggedScheduledJourneySkips.get(journeyId) === skipKey) return false;
+    loggedScheduledJourneySkips.set(journeyId, skipKey);
+    appendScheduledJourneyCheckDiagnostic(
+      "scheduled_journey_start_skipped",
+      journey,
+      decision,
+      extra
+    );
+    return true;
+  }
+
+  async function processScheduledJourneyStarts() {
+    if (!ctx.scheduledJourneysCollection) return;
+
+    try {
+      await expireHolidayModes();
+    } catch (err) {
+      logger.warn(`Failed to expire holiday modes: ${err.message}`);
+    }
+
+    const activeJourneys = await ctx.scheduledJourneysCollection
+      .find({
+        deletedAt: { $exists: false },
+        "activeRun.phase": { $in: ["start", "end"] },
+      })
+      .toArray();
+
+    for (const journey of activeJourneys) {
+      const holidayModeActive = isHolidayModeActive(journey);
+      if (!holidayModeActive && !shouldEndScheduledJourneyWindow(journey)) continue;
+      await endActiveScheduledJourneyRun(
+        journey,
+        holidayModeActive ? "holiday_mode_enabled" : "scheduled_window_end"
+      );
+      logger.info(
+        `Ended scheduled journey ${journey._id}` +
+          (holidayModeActive ? " (holiday mode enabled)" : " at end of window")
+      );
+    }
+
+    const candidates = await ctx.scheduledJourneysCollection
+      .find({
+        enabled: { $ne: false },
+        deletedAt: { $exists: false },
+      })
+      .toArray();
+    const pausedByJourney = await ctx.pausedRunKeysByJourney(candidates.map((journey) => journey._id));
+    for (const journey of candidates) {
+      journey.pausedRunKeys = pausedByJourney.get(journey._id.toString()) || [];
+    }
+
+    for (const journey of candidates) {
+      try {
+        await checkScheduledJourneyForecastWarning(journey);
+      } catch (err) {
+        logger.warn(`Failed to check forecast warning for scheduled journey ${journey._id}: ${err.message}`);
+      }
+      try {
+        await ctx.checkScheduledJourneyLeaveNowAlert(journey);
+      } catch (err) {
+        logger.warn(`Failed to check leave-now alert for scheduled journey ${journey._id}: ${err.message}`);
+      }
+    }
+
+    for (const journey of candidates) {
+      const decision = scheduledJourneyStartDecision(journey);
+      if (!decision.canStart) {
+        if (decision.reason !== "time_mismatch" && decision.reason !== "weekday_mismatch") {
+          recordScheduledJourneyStartSkip(journey, decision);
+        }
+        continue;
+      }
+
+      const runKey = decision.runKey || scheduledRunKey(journey);
+      const startCondition = await evaluateScheduledJourneyStartCondition(journey);
+      if (!startCondition.shouldStart) {
+        const logged = recordScheduledJourneyStartSkip(
+          journey,
+          { ...decision, canStart: false, reason: startCondition.reason },
+          {
+            startConditionMode: startCondition.condition.mode,
+            startConditionThreshold: startCondition.condition.threshold,
+            startConditionDockId: startCondition.dockId,
+            startConditionValue: startCondition.value,
+          }
+        );
+        if (logged) {
+          logger.info(
+            `Skipped scheduled journey ${journey._id} for ${runKey} (${startCondition.reason}: ${startCondition.value} at ${startCondition.dockId}, threshold ${startCondition.condition.threshold})`
+          );
+        }
+        continue;
+      }
+      if (heldBackScheduledRuns.get(journey._id.toString()) !== runKey) {
+        appendScheduledJourneyCheckDiagnostic(
+          "scheduled_journey_start_eligible",
+          journey,
+          decision
+        );
+      }
+      if ((await scheduledJourneyPushTargets(journey)).length === 0) {
+        appendScheduledJourneyCheckDiagnostic(
+          "scheduled_journey_start_missing_push_to_start_token",
+          journey,
+          decision
+        );
+        logger.warn(
+          `Scheduled journey ${journey._id} was eligible for ${runKey} but has no push-to-start token`
+        );
+        continue;
+      }
+
+      try {
+        const arbitration = await prepareScheduledJourneyStart(journey, "schedule", runKey);
+        if (!arbitration.canStart) {
+          continue;
+        }
+        // Claimed before the push goes out: ticks can overlap, and only the one whose
+        // update lands sends it.
+        const claimed = await ctx.scheduledJourneysCollection.findOneAndUpdate(
+          {
+            _id: journey._id,
+            deletedAt: { $exists: false },
+            "activeRun.runKey": { $ne: runKey },
+          },
+          {
+            $set: {
+              activeRun: {
+                phase: "start",
+                legIndex: 0,
+                dockId: journey.startDock.id,
+                dockName: journey.startDock.name,
+                startedAt: new Date(),
+                runKey,
+              },
+              updatedAt: new Date(),
+            },
+          }
+        );
+        if (!claimed) continue;
+        const supersededRunKey = claimed.activeRun?.phase ? claimed.activeRun.runKey : null;
+        if (supersededRunKey) {
+          // Paused too, so the earlier run doesn't start again once this one ends.
+          await endScheduledJourneySessions(claimed, "superseded_by_run");
+          await ctx.recordJourneyRunFinished(claimed, supersededRunKey, "ended", {
+            reason: "superseded_by_run",
+          });
+          await ctx.pauseScheduledRun(journey, supersededRunKey, "superseded");
+          logger.info(
+            `Ended run ${supersededRunKey} of scheduled journey ${journey._id} to start ${runKey}`
+          );
+        }
+        let delivery;
+        try {
+          delivery = await sendScheduledJourneyStartPush(journey, "schedule");
+        } catch (err) {
+          // Released so the next tick tries again.
+          await ctx.scheduledJourneysCollection.updateOne(
+            { _id: journey._id, "activeRun.runKey": runKey },
+            { $set: { activeRun: null, updatedAt: new Date() } }
+          );
+          throw err;
+        }
+        appendScheduledJourneyCheckDiagnostic(
+          "scheduled_journey_start_push_sent",
+          journey,
+          decision,
+          { source: "schedule", ...delivery }
+        );
+        try {
+          await sendScheduledJourneyInitialAvailabilityPush(journey);
+        } catch (err) {
+          logger.warn(
+            `Failed to send initial scheduled journey availability notification for ${journey._id}: ${err.message}`
+          );
+        }
+        await ctx.recordJourneyRunStarted(journey, {
+          runKey,
+          source: "schedule",
+          lateMinutes: decision.lateMinutes || 0,
+        });
+        appendScheduledJourneyCheckDiagnostic(
+          "scheduled_journey_active_run_marked",
+          journey,
+          decision,
+          { activeDockId: journey.startDock.id, activeDockName: journey.startDock.name }
+        );
+        logger.info(
+          `Started scheduled journey ${journey._id} for ${journey.deviceId}` +
+            (decision.lateMinutes > 0 ? ` (${decision.lateMinutes} min late)` : "")
+        );
+      } catch (err) {
+        logger.error(`Failed to start scheduled journey ${journey._id}: ${err.message}`);
+        appendScheduledJourneyCheckDiagnostic(
+          "scheduled_journey_start_failed",
+          journey,
+          decision,
+          { error: err.message }
+        );
+      }
+    }
+  }
+
+  return {
+    completeScheduledJourneyFromArrivalSession,
+    sanitizeJourneyDock,
+    journeyLegs,
+    scheduledJourneyPhaseFromValues,
+    localDateParts,
+    scheduledRunKey,
+    currentScheduledRunKey,
+    scheduledJourneyStartDecision,
+    scheduledJourneyPushTargets,
+    sanitizeStartCondition,
+    shouldEndScheduledJourneyWindow,
+    scheduleStartArrivalDestinationSpaceAlert,
+    isInProgressJourneySession,
+    sendScheduledJourneyDestinationAvailabilityPushForSession,
+    processScheduledJourneyStarts,
+    router,
+  };
+}
+
+module.exports = { createScheduledJourneys };
@@ -0,0 +1,434 @@
+// Live Activity sessions: the dockPollers map, its JSON-file and MongoDB persistence,
+// idempotent arrival receipts and the session sanitizers and expiry helpers.
+const fs = require("fs");
+const crypto = require("crypto");
+
+function createSessionStore(ctx) {
+  const { config, logger, metrics } = ctx;
+  const {
+    SESSION_TIMEOUT_MS,
+    HARD_NOTIFICATION_CUTOFF_MS,
+    EFFECTIVE_MAX_NOTIFICATION_WINDOW_MS,
+    ARRIVAL_RECEIPTS_PATH,
+    ARRIVAL_RECEIPT_TTL_MS,
+    LIVE_ACTIVITY_SESSIONS_PATH,
+    LIVE_ACTIVITY_SESSIONS_SAVE_DELAY_MS,
+    VALID_PRIMARY_DISPLAYS,
+  } = config;
+  const { liveActivitiesActive, liveActivitiesEnded } = metrics;
+
+  function activeLiveActivityTokenCount() {
+    return Array.from(dockPollers.values()).reduce(
+      (sum, poller) => sum + poller.tokens.size,
+      0
+    );
+  }
+
+  function updateLiveActivitiesActiveGauge() {
+    liveActivitiesActive.set(activeLiveActivityTokenCount());
+  }
+
+  // ── Active Sessions ──────────────────────────────────────────────────
+  // dockPollers: Map<dockId, { interval, lastData, tokens: Map<pushToken, { buildType, startedAt, hardStopAt, expiryMs, alternatives, primaryDisplay, minimumThresholds, deviceToken, dockName }> }>
+  const dockPollers = new Map();
+
+  // ── Idempotent Arrival Receipts ─────────────────────────────────────
+  // Persist successful event IDs so a client can safely retry after losing the
+  // original HTTP response without treating the already-ended session as a miss.
+  const arrivalReceipts = new Map();
+
+  function pruneArrivalReceipts(now = Date.now()) {
+    for (const [eventId, receipt] of arrivalReceipts) {
+      if (!receipt?.storedAt || now - receipt.storedAt > ARRIVAL_RECEIPT_TTL_MS) {
+        arrivalReceipts.delete(eventId);
+      }
+    }
+  }
+
+  function loadArrivalReceipts() {
+    try {
+      if (!fs.existsSync(ARRIVAL_RECEIPTS_PATH)) return;
+      const entries = JSON.parse(fs.readFileSync(ARRIVAL_RECEIPTS_PATH, "utf8"));
+      for (const [eventId, receipt] of entries) {
+        if (typeof eventId === "string" && receipt && typeof receipt === "object") {
+          arrivalReceipts.set(eventId, receipt);
+        }
+      }
+      pruneArrivalReceipts();
+      logger.info(`Loaded ${arrivalReceipts.size} arrival receipt(s) from disk`);
+    } catch (err) {
+      logger.warn(`Could not load arrival receipts from disk: ${err.message}`);
+    }
+  }
+
+  function arrivalDeviceFingerprint(deviceToken) {
+    return crypto.createHash("sha256").update(deviceToken).digest("hex");
+  }
+
+  function saveArrivalReceipt(eventId, dockId, deviceToken, response) {
+    try {
+      pruneArrivalReceipts();
+      arrivalReceipts.set(eventId, {
+        dockId,
+        deviceFingerprint: arrivalDeviceFingerprint(deviceToken),
+        response,
+        storedAt: Date.now(),
+      });
+      fs.writeFileSync(
+        ARRIVAL_RECEIPTS_PATH,
+        JSON.stringify(Array.from(arrivalReceipts.entries()), null, 2)
+      );
+    } catch (err) {
+      logger.warn(`Could not save arrival receipt: ${err.message}`);
+    }
+  }
+
+  loadArrivalReceipts();
+
+  // ── Live Activity Session Persistence ────────────────────────────────
+  // dockPollers only lives in memory, so a restart used to drop every running Live
+  // Activity until the app re-registered. Sessions are written to MongoDB when it is
+  // configured (one document per push token) or to LIVE_ACTIVITY_SESSIONS_PATH
+  // otherwise, and restored on startup before polling resumes.
+  let liveActivitySessionsRestored = false;
+  let liveActivitySessionsSaveTimer = null;
+  let liveActivitySessionsSaveInFlight = null;
+  let liveActivitySessionsSavePending = false;
+
+  function serializeLiveActivitySessions() {
+    const records = [];
+    for (const [dockId, poller] of dockPollers) {
+      for (const [pushToken, session] of poller.tokens) {
+        records.push({
+          pushToken,
+          dockId,
+          session: { ...session },
+          lastData: poller.lastData || null,
+        });
+      }
+    }
+    return records;
+  }
+
+  async function writeLiveActivitySessionRecords(records) {
+    if (ctx.liveActivitySessionsCollection) {
+      if (records.length > 0) {
+        await ctx.liveActivitySessionsCollection.bulkWrite(
+          records.map((record) => ({
+            replaceOne: {
+              filter: { _id: record.pushToken },
+              replacement: { ...record, updatedAt: new Date() },
+              upsert: true,
+            },
+          })),
+          { ordered: false }
+        );
+      }
+      await ctx.liveActivitySessionsCollection.deleteMany({
+        _id: { $nin: records.map((record) => record.pushToken) },
+      });
+      return;
+    }
+
+    // Write-then-rename so a crash mid-write cannot leave a truncated session file.
+    const tempPath = `${LIVE_ACTIVITY_SESSIONS_PATH}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(records, null, 2));
+    await fs.promises.rename(tempPath, LIVE_ACTIVITY_SESSIONS_PATH);
+  }
+
+  async function saveLiveActivitySessions() {
+    if (!liveActivitySessionsRestored) {
+      // Never overwrite stored sessions with a partial in-memory view before restore.
+      liveActivitySessionsSavePending = true;
+      return;
+    }
+    if (liveActivitySessionsSaveInFlight) {
+      liveActivitySessionsSavePending = true;
+      return liveActivitySessionsSaveInFlight;
+    }
+
+    liveActivitySessionsSaveInFlight = (async () => {
+      try {
+        await writeLiveActivitySessionRecords(serializeLiveActivitySessions());
+      } catch (err) {
+        logger.warn(`Could not save live activity sessions: ${err.message}`);
+      } finally {
+        liveActivitySessionsSaveInFlight = null;
+      }
+    })();
+    await liveActivitySessionsSaveInFlight;
+
+    if (liveActivitySessionsSavePending) {
+      liveActivitySessionsSavePending = false;
+      await saveLiveActivitySessions();
+    }
+  }
+
+  function scheduleLiveActivitySessionsSave() {
+    if (liveActivitySessionsSaveTimer) return;
+    liveActivitySessionsSaveTimer = setTimeout(() => {
+      liveActivitySessionsSaveTimer = null;
+      saveLiveActivitySessions();
+    }, LIVE_ACTIVITY_SESSIONS_SAVE_DELAY_MS);
+  }
+
+  // Writes any change still waiting on the save timer; used on shutdown.
+  async function flushLiveActivitySessions() {
+    if (liveActivitySessionsSaveTimer) {
+      clearTimeout(liveActivitySessionsSaveTimer);
+      liveActivitySessionsSaveTimer = null;
+    }
+    await saveLiveActivitySessions();
+  }
+
+  async function loadLiveActivitySessionRecords() {
+    if (ctx.liveActivitySessionsCollection) {
+      return ctx.liveActivitySessionsCollection.find({}).toArray();
+    }
+    if (!fs.existsSync(LIVE_ACTIVITY_SESSIONS_PATH)) return [];
+    const records = JSON.parse(
+      await fs.promises.readFile(LIVE_ACTIVITY_SESSIONS_PATH, "utf8")
+    );
+    return Array.isArray(records) ? records : [];
+  }
+
+  async function restoreLiveActivitySessions() {
+    let records = [];
+    try {
+      records = await loadLiveActivitySessionRecords();
+    } catch (err) {
+      logger.warn(`Could not load live activity sessions: ${err.message}`);
+    }
+
+    const now = Date.now();
+    const restoredDockIds = new Set();
+    const expiredRecords = [];
+    let restoredCount = 0;
+
+    for (const record of records) {
+      const pushToken = normalizeApnsDeviceToken(record?.pushToken);
+      const dockId = typeof record?.dockId === "string" ? record.dockId.trim() : "";
+      const session =
+        record?.session && typeof record.session === "object" ? record.session : null;
+      if (!pushToken || !dockId || !session) continue;
+      if (session.buildType !== "development" && session.buildType !== "production") {
+        continue;
+      }
+
+      if (sessionExpiresAtMs(session) <= now) {
+        expiredRecords.push({ pushToken, dockId, session, lastData: record.lastData });
+        continue;
+      }
+
+      if (!dockPollers.has(dockId)) {
+        dockPollers.set(dockId, {
+          interval: null,
+          lastData: null,
+          tokens: new Map(),
+        });
+      }
+      const poller = dockPollers.get(dockId);
+      // The app may have re-registered while we were loading; its copy is newer.
+      if (poller.tokens.has(pushToken)) continue;
+      if (!poller.lastData && record.lastData && typeof record.lastData === "object") {
+        poller.lastData = record.lastData;
+      }
+      poller.tokens.set(pushToken, session);
+      restoredDockIds.add(dockId);
+      restoredCount += 1;
+    }
+
+    liveActivitySessionsRestored = true;
+
+    // Sessions that expired while the server was down still have a Live Activity on
+    // the phone; end them now rather than leaving them frozen until iOS times them out.
+    await Promise.all(
+      expiredRecords.map(async ({ pushToken, dockId, session, lastData }) => {
+        try {
+          await ctx.sendEndPushForSession(
+            pushToken,
+            session,
+            lastData || { standardBikes: 0, eBikes: 0, emptySpaces: 0 }
+          );
+        } catch (err) {
+          logger.error(
+            `Failed to send end push for session that expired during downtime (dock ${dockId}): ${err.message}`
+          );
+        }
+        liveActivitiesEnded.inc({ reason: "expired" });
+      })
+    );
+
+    for (const dockId of restoredDockIds) {
+      ctx.startPollingForDock(dockId);
+    }
+    updateLiveActivitiesActiveGauge();
+
+    logger.info(
+      `Restored ${restoredCount} live activity session(s) across ${restoredDockIds.size} dock(s); ended ${expiredRecords.length} expired during downtime`
+    );
+    ctx.appendDiagnosticJsonLine("live_activity_sessions_restored", {
+      storage: ctx.liveActivitySessionsCollection ? "mongodb" : "file",
+      restoredCount,
+      restoredDockCount: restoredDockIds.size,
+      expiredCount: expiredRecords.length,
+    });
+
+    await saveLiveActivitySessions();
+  }
+
+  function sanitizePrimaryDisplay(rawValue) {
+    return VALID_PRIMARY_DISPLAYS.has(rawValue) ? rawValue : "bikes";
+  }
+
+  function normalizeApnsDeviceToken(rawValue) {
+    if (typeof rawValue !== "string") return null;
+    const trimmed = rawValue.trim();
+    if (!trimmed) return null;
+    // APNs device tokens are hex-encoded bytes (typically 64 chars).
+    if (!/^[a-fA-F0-9]{64,}$/.test(trimmed)) return null;
+    return trimmed.toLowerCase();
+  }
+
+  function sanitizeThresholdValue(rawValue) {
+    const parsedValue = Number(rawValue);
+    if (!Number.isFinite(parsedValue)) return 0;
+    return Math.max(0, Math.trunc(parsedValue));
+  }
+
+  function sanitizeMinimumThresholds(rawThresholds) {
+    if (!rawThresholds || typeof rawThresholds !== "object") {
+      return null;
+    }
+
+    return {
+      bikes: sanitizeThresholdValue(rawThresholds.bikes),
+      eBikes: sanitizeThresholdValue(rawThresholds.eBikes),
+      spaces: sanitizeThresholdValue(rawThresholds.spaces),
+    };
+  }
+
+  function sanitizeDockName(rawDockName) {
+    if (typeof rawDockName !== "string") return null;
+    const trimmed = rawDockName.trim();
+    return trimmed || null;
+  }
+
+  function resolveSessionExpiryMs(expirySeconds) {
+    const parsedExpirySeconds = Number(expirySeconds);
+    const defaultExpiryMs = Math.min(
+      SESSION_TIMEOUT_MS,
+      EFFECTIVE_MAX_NOTIFICATION_WINDOW_MS,
+      HARD_NOTIFICATION_CUTOFF_MS
+    );
+    const requestedExpiryMs =
+      Number.isFinite(parsedExpirySeconds) && parsedExpirySeconds > 0
+        ? parsedExpirySeconds * 1000
+        : defaultExpiryMs;
+    return Math.min(
+      requestedExpiryMs,
+      EFFECTIVE_MAX_NOTIFICATION_WINDOW_MS,
+      HARD_NOTIFICATION_CUTOFF_MS
+    );
+  }
+
+  function sessionTimeoutMs(session) {
+    const parsedExpiryMs = Number(session?.expiryMs);
+    const fallbackExpiryMs = Math.min(
+      SESSION_TIMEOUT_MS,
+      EFFECTIVE_MAX_NOTIFICATION_WINDOW_MS,
+      HARD_NOTIFICATION_CUTOFF_MS
+    );
+    const requestedExpiryMs =
+      Number.isFinite(parsedExpiryMs) && parsedExpiryMs > 0
+        ? parsedExpiryMs
+        : fallbackExpiryMs;
+
+    return Math.min(
+      requestedExpiryMs,
+      EFFECTIVE_MAX_NOTIFICATION_WINDOW_MS,
+      HARD_NOTIFICATION_CUTOFF_MS
+    );
+  }
+
+  function sessionStartedAtMs(session) {
+    const startedAt = Number(session?.startedAt);
+    return Number.isFinite(startedAt) && startedAt > 0 ? startedAt : Date.now();
+  }
+
+  function sessionHardStopAtMs(session) {
+    const startedAt = sessionStartedAtMs(session);
+    const requestedHardStopAt = Number(session?.hardStopAt);
+    const cappedHardStopAt = startedAt + HARD_NOTIFICATION_CUTOFF_MS;
+    if (!Number.isFinite(requestedHardStopAt) || requestedHardStopAt <= 0) {
+      return cappedHardStopAt;
+    }
+    return Math.min(requestedHardStopAt, cappedHardStopAt);
+  }
+
+  function sessionExpiresAtMs(session) {
+    const startedAt = sessionStartedAtMs(session);
+    const timeoutExpiryMs = startedAt + sessionTimeoutMs(session);
+    return Math.min(timeoutExpiryMs, sessionHardStopAtMs(session));
+  }
+
+  function collectSessionsForDevice(deviceToken, buildType = null) {
+    const now = Date.now();
+    const matches = [];
+    for (const [dockId, poller] of dockPollers) {
+      for (const [pushToken, session] of poller.tokens) {
+        if (session.deviceToken !== deviceToken) continue;
+        if (buildType && session.buildType !== buildType) continue;
+        const startedAt = sessionStartedAtMs(session);
+        const expiresAtMs = sessionExpiresAtMs(session);
+        if (expiresAtMs <= now) continue;
+        const dockName =
+          session.dockName ||
+          (typeof poller.lastData?.dockName === "string" &&
+          poller.lastData.dockName.trim()
+            ? poller.lastData.dockName.trim()
+            : dockId);
+
+        matches.push({
+          dockId,
+          dockName,
+          pushToken,
+          buildType: session.buildType,
+          startedAt,
+          expiresAtMs,
+          scheduledJourneyId: session.scheduledJourneyId || null,
+          scheduledJourneyPhase: session.scheduledJourneyPhase || null,
+          scheduledJourneyLegIndex: session.scheduledJourneyLegIndex ?? null,
+        });
+      }
+    }
+
+    return matches.sort((a, b) => b.startedAt - a.startedAt);
+  }
+
+  return {
+    activeLiveActivityTokenCount,
+    updateLiveActivitiesActiveGauge,
+    dockPollers,
+    arrivalReceipts,
+    pruneArrivalReceipts,
+    arrivalDeviceFingerprint,
+    saveArrivalReceipt,
+    scheduleLiveActivitySessionsSave,
+    flushLiveActivitySessions,
+    restoreLiveActivitySessions,
+    sanitizePrimaryDisplay,
+    normalizeApnsDeviceToken,
+    sanitizeThresholdValue,
+    sanitizeMinimumThresholds,
+    sanitizeDockName,
+    resolveSessionExpiryMs,
+    sessionTimeoutMs,
+    sessionStartedAtMs,
+    sessionHardStopAtMs,
+    sessionExpiresAtMs,
+    collectSessionsForDevice,
+  };
+}
+
+module.exports = { createSessionStore };
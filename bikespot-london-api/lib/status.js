@@ -0,0 +1,223 @@
+// Health, status and Prometheus endpoints, plus app telemetry (/app/metrics and
+// /app/background-location-event).
+const express = require("express");
+
+function createStatus(ctx) {
+  const { config, logger, metrics } = ctx;
+  const {
+    PORT,
+    POLL_INTERVAL_MS,
+    BIKEPOINT_SNAPSHOT_REFRESH_INTERVAL_MS,
+    BIKEPOINT_SNAPSHOT_MAX_AGE_MS,
+    SESSION_TIMEOUT_MS,
+    APNS_KEY_ID,
+    APNS_TEAM_ID,
+    APNS_TOPIC,
+    APNS_BACKGROUND_TOPIC,
+    COMPLICATION_REFRESH_INTERVAL_MS,
+    EFFECTIVE_MAX_NOTIFICATION_WINDOW_MS,
+    TFL_API_BASE,
+  } = config;
+  const { trackDeviceToken, appActionsTotal, dockStatsTotal, register } = metrics;
+  const router = express.Router();
+
+  const dockStatsTrackedActions = new Set([
+    "favorite_add",
+    "dock_tap",
+    "live_activity_start",
+  ]);
+
+  // Server startup time
+  const serverStartTime = Date.now();
+
+  // Helper function to format uptime
+  function formatUptime(ms) {
+    const seconds = Math.floor(ms / 1000);
+    const minutes = Math.floor(seconds / 60);
+    const hours = Math.floor(minutes / 60);
+    const days = Math.floor(hours / 24);
+
+    if (days > 0) {
+      return `${days}d ${hours % 24}h ${minutes % 60}m`;
+    } else if (hours > 0) {
+      return `${hours}h ${minutes % 60}m ${seconds % 60}s`;
+    } else if (minutes > 0) {
+      return `${minutes}m ${seconds % 60}s`;
+    } else {
+      return `${seconds}s`;
+    }
+  }
+
+  router.post("/app/metrics", (req, res) => {
+    const { deviceToken, screen, action, dock, metadata, buildType } = req.body || {};
+
+    if (!action || !screen) {
+      return res
+        .status(400)
+        .json({ error: "Missing required fields: action, screen" });
+    }
+
+    const headerDeviceToken = req.headers["x-device-token"];
+    const resolvedDeviceToken = deviceToken || headerDeviceToken;
+    if (resolvedDeviceToken) {
+      trackDeviceToken(resolvedDeviceToken);
+    }
+
+    const dockId =
+      dock && typeof dock.id === "string" && dock.id.trim()
+        ? dock.id.trim()
+        : "none";
+    const dockName =
+      dock && typeof dock.name === "string" && dock.name.trim()
+        ? dock.name.trim()
+        : "none";
+    const buildTypeLabel =
+      typeof buildType === "string" && buildType.trim()
+        ? buildType.trim()
+        : "unknown";
+
+    appActionsTotal.inc({
+      action,
+      screen,
+      dock_id: dockId,
+      dock_name: dockName,
+      build_type: buildTypeLabel,
+    });
+
+    if (dockStatsTrackedActions.has(action)) {
+      dockStatsTotal.inc({
+        action,
+        screen,
+        dock_id: dockId,
+        dock_name: dockName,
+        build_type: buildTypeLabel,
+      });
+    }
+
+    const truncatedToken = resolvedDeviceToken
+      ? `${resolvedDeviceToken.substring(0, 8)}...`
+      : "none";
+    logger.info(
+      `App action: action=${action}, screen=${screen}, dock=${dockId}, name=${dockName}, build=${buildTypeLabel}, device=${truncatedToken}`
+    );
+    if (dock && typeof dock === "object") {
+      logger.info(`App action dock: ${JSON.stringify(dock)}`);
+    }
+    if (metadata && typeof metadata === "object") {
+      logger.info(`App action metadata: ${JSON.stringify(metadata)}`);
+    }
+
+    res.json({ success: true });
+  });
+
+  router.post("/app/background-location-event", (req, res) => {
+    const body = req.body || {};
+    const headerDeviceId =
+      typeof req.headers["x-device-token"] === "string" ? req.headers["x-device-token"] : null;
+    const bodyDeviceId =
+      typeof body.deviceId === "string" ? body.deviceId.trim() : null;
+
+    ctx.recordBackgroundLocationEvent({
+      clientTimestamp: body.clientTimestamp,
+      deviceId: bodyDeviceId || headerDeviceId || "unknown",
+      event: body.event,
+      appState: body.appState,
+      backgroundRefreshStatus:
+        typeof body.backgroundRefreshStatus === "string"
+          ? body.backgroundRefreshStatus.trim()
+          : null,
+      dockId: typeof body.dockId === "string" ? body.dockId.trim() : null,
+      dockName: typeof body.dockName === "string" ? body.dockName.trim() : null,
+      distanceMeters: Number(body.distanceMeters),
+      horizontalAccuracyMeters: Number(body.horizontalAccuracyMeters),
+      arrivalThresholdMeters: Number(body.arrivalThresholdMeters),
+      authorizationStatus:
+        typeof body.authorizationStatus === "string" ? body.authorizationStatus.trim() : null,
+      message: typeof body.message === "string" ? body.message.trim() : null,
+      raw: body.raw && typeof body.raw === "object" ? body.raw : null,
+    });
+
+    res.json({ success: true });
+  });
+
+  router.get("/healthcheck", (_req, res) => {
+    res.json({ status: "ok" });
+  });
+
+  router.get("/metrics", async (_req, res) => {
+    try {
+      res.set("Content-Type", register.contentType);
+      res.end(await register.metrics());
+    } catch (err) {
+      res.status(500).end(err);
+    }
+  });
+
+  router.get("/status", (_req, res) => {
+    const now = Date.now();
+    const uptime = now - serverStartTime;
+    const memUsage = process.memoryUsage();
+
+    res.json({
+      status: "running",
+      uptime: {
+        milliseconds: uptime,
+        seconds: Math.floor(uptime / 1000),
+        minutes: Math.floor(uptime / 1000 / 60),
+        hours: Math.floor(uptime / 1000 / 60 / 60),
+        formatted: formatUptime(uptime),
+      },
+      startedAt: new Date(serverStartTime).toISOString(),
+      memory: {
+        rss: `${(memUsage.rss / 1024 / 1024).toFixed(2)} MB`,
+        heapTotal: `${(memUsage.heapTotal / 1024 / 1024).toFixed(2)} MB`,
+        heapUsed: `${(memUsage.heapUsed / 1024 / 1024).toFixed(2)} MB`,
+        external: `${(memUsage.external / 1024 / 1024).toFixed(2)} MB`,
+      },
+      server: {
+        nodeVersion: process.version,
+        platform: process.platform,
+        arch: process.arch,
+        pid: process.pid,
+      },
+      config: {
+        port: PORT,
+        tflApiBase: TFL_API_BASE,
+        pollIntervalMs: POLL_INTERVAL_MS,
+        bikePointSnapshotRefreshIntervalMs: BIKEPOINT_SNAPSHOT_REFRESH_INTERVAL_MS,
+        bikePointSnapshotMaxAgeMs: BIKEPOINT_SNAPSHOT_MAX_AGE_MS,
+        sessionTimeoutHours: SESSION_TIMEOUT_MS / 1000 / 60 / 60,
+        maxNotificationWindowHours:
+          EFFECTIVE_MAX_NOTIFICATION_WINDOW_MS / 1000 / 60 / 60,
+        apnsEnvironment: {
+          keyId: APNS_KEY_ID,
+          teamId: APNS_TEAM_ID,
+          topic: APNS_TOPIC,
+          backgroundTopic: APNS_BACKGROUND_TOPIC,
+          transport: ctx.apnsTransport.name,
+        },
+      },
+      activity: {
+        activeDockPollers: ctx.dockPollers.size,
+        totalTrackedTokens: ctx.activeLiveActivityTokenCount(),
+        activeTestSessions: ctx.testSessions.size,
+        activeDockOverrides: ctx.dockOverrides.size,
+        bikePointSnapshot: {
+          docks: ctx.bikePointSnapshot.byId.size,
+          fetchedAt: ctx.bikePointSnapshot.fetchedAt
+            ? new Date(ctx.bikePointSnapshot.fetchedAt).toISOString()
+            : null,
+          fresh: ctx.isBikePointSnapshotFresh(now),
+        },
+        complicationTokens: ctx.complicationTokens.size,
+        complicationRefreshIntervalSeconds: COMPLICATION_REFRESH_INTERVAL_MS / 1000,
+      },
+    });
+  });
+
+  return {
+    router,
+  };
+}
+
+module.exports = { createStatus };
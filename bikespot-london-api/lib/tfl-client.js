@@ -0,0 +1,466 @@
+// TfL API client: the shared /BikePoint snapshot, per-dock reads, feed freshness
+// monitoring and the /BikePoint and /Place proxy routes.
+const express = require("express");
+
+function createTflClient(ctx) {
+  const { config, logger, metrics } = ctx;
+  const { BIKEPOINT_SNAPSHOT_MAX_AGE_MS, TFL_API_BASE } = config;
+  const {
+    tflFreshnessState,
+    tflDataAgeSeconds,
+    tflDataLastModifiedTimestampSeconds,
+    tflDataLastCheckedTimestampSeconds,
+    tflStaleDockRatio,
+    tflStaleDocksTotal,
+    tflDocksCheckedTotal,
+    tflFreshnessPropertiesCheckedTotal,
+    tflRequestDuration,
+    tflRequestsTotal,
+    dockPollsTotal,
+    bikePointSnapshotRefreshesTotal,
+    dockDataReadsTotal,
+  } = metrics;
+  const router = express.Router();
+
+  // Only these properties reflect actual bike availability; others (Installed, Locked, TerminalName)
+  // are updated by TfL even during a data freeze, so they would mask staleness.
+  const TFL_COUNT_KEYS = new Set([
+    "NbBikes",
+    "NbStandardBikes",
+    "NbEBikes",
+    "NbEmptyDocks",
+  ]);
+  const TFL_STALENESS_THRESHOLD_MS = 10 * 60 * 1000; // 10 minutes
+
+  function updateTflBikePointFreshness(bikePoints) {
+    if (!Array.isArray(bikePoints)) {
+      logger.warn("TfL freshness: expected full /BikePoint array");
+      return;
+    }
+
+    const now = Date.now();
+    let maxModifiedMs = null;
+    let totalDocks = 0;
+    let staleDocks = 0;
+    let propertiesChecked = 0;
+
+    for (const bp of bikePoints) {
+      let dockMaxMs = null;
+      for (const prop of bp?.additionalProperties || []) {
+        if (TFL_COUNT_KEYS.has(prop?.key) && prop?.modified) {
+          propertiesChecked++;
+          const t = new Date(prop.modified).getTime();
+          if (!isNaN(t)) {
+            if (dockMaxMs === null || t > dockMaxMs) dockMaxMs = t;
+            if (maxModifiedMs === null || t > maxModifiedMs) maxModifiedMs = t;
+          }
+        }
+      }
+      if (dockMaxMs !== null) {
+        totalDocks++;
+        if (now - dockMaxMs > TFL_STALENESS_THRESHOLD_MS) staleDocks++;
+      }
+    }
+
+    if (maxModifiedMs !== null) {
+      tflFreshnessState.lastCheckedMs = now;
+      tflFreshnessState.lastModifiedMs = maxModifiedMs;
+      tflFreshnessState.staleDocks = staleDocks;
+      tflFreshnessState.totalDocks = totalDocks;
+      tflFreshnessState.propertiesChecked = propertiesChecked;
+
+      const ageSeconds = Math.max(0, (now - maxModifiedMs) / 1000);
+      tflDataAgeSeconds.set(ageSeconds);
+      tflDataLastModifiedTimestampSeconds.set(maxModifiedMs / 1000);
+      tflDataLastCheckedTimestampSeconds.set(now / 1000);
+      tflStaleDockRatio.set(totalDocks > 0 ? staleDocks / totalDocks : 0);
+      tflStaleDocksTotal.set(staleDocks);
+      tflDocksCheckedTotal.set(totalDocks);
+      tflFreshnessPropertiesCheckedTotal.set(propertiesChecked);
+
+      logger.info(
+        `TfL freshness: age=${Math.round(ageSeconds)}s, stale=${staleDocks}/${totalDocks} docks, ` +
+        `last_modified=${new Date(maxModifiedMs).toISOString()} (${propertiesChecked} props checked)`
+      );
+    } else {
+      logger.warn(
+        `TfL freshness: no parseable modified timestamps on count properties ` +
+        `across ${bikePoints.length} dock(s) - ${propertiesChecked} props checked`
+      );
+    }
+  }
+
+  async function checkTflDataFreshness() {
+    try {
+      const bikePoints = isBikePointSnapshotFresh()
+        ? bikePointSnapshot.bikePoints
+        : (await refreshBikePointSnapshot()).bikePoints;
+      if (!Array.isArray(bikePoints) || bikePoints.length === 0) {
+        logger.warn("TfL freshness check: unexpected /BikePoint response");
+        return;
+      }
+      updateTflBikePointFreshness(bikePoints);
+    } catch (err) {
+      logger.error(`TfL freshness check failed: ${err.message}`);
+    }
+  }
+
+  // ── TfL API ──────────────────────────────────────────────────────────
+  const REDACTED_TFL_QUERY_KEYS = new Set([
+    "app_key",
+    "api_key",
+    "key",
+    "subscription-key",
+    "subscription_key",
+  ]);
+  const VOLATILE_TFL_QUERY_KEYS = new Set(["_", "cb", "cachebuster"]);
+
+  function tflQueryStringMetricLabel(params) {
+    const entries = Array.from(params.entries());
+    if (entries.length === 0) return "(none)";
+
+    return entries
+      .map(([key, value]) => {
+        const normalizedKey = key.toLowerCase();
+        if (REDACTED_TFL_QUERY_KEYS.has(normalizedKey)) {
+          return [key, "<redacted>"];
+        }
+        if (VOLATILE_TFL_QUERY_KEYS.has(normalizedKey)) {
+          return [key, "<cache-buster>"];
+        }
+        return [key, value];
+      })
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([key, value]) => {
+        const metricValue =
+          value.startsWith("<") && value.endsWith(">")
+            ? value
+            : encodeURIComponent(value);
+        return `${encodeURIComponent(key)}=${metricValue}`;
+      })
+      .join("&");
+  }
+
+  async function fetchTflJson(urlPath, queryParams = {}, options = {}) {
+    const { dockIdForPolling = null } = options;
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(queryParams || {})) {
+      if (value === undefined || value === null) continue;
+      if (Array.isArray(value)) {
+        for (const item of value) {
+          params.append(key, String(item));
+        }
+      } else {
+        params.set(key, String(value));
+      }
+    }
+
+    const queryString = params.toString();
+    const queryStringMetric = tflQueryStringMetricLabel(params);
+    const url = `${TFL_API_BASE}${urlPath}${queryString ? `?${queryString}` : ""}`;
+    const method = "GET";
+    const start = Date.now();
+
+    let res;
+    try {
+      res = await fetch(url);
+    } catch (err) {
+      const duration = (Date.now() - start) / 1000;
+      tflRequestDuration.observe(
+        {
+          method,
+          url_path: urlPath,
+          query_string: queryStringMetric,
+          status_code: "error",
+        },
+        duration
+      );
+      tflRequestsTotal.inc({
+        method,
+        url_path: urlPath,
+        query_string: queryStringMetric,
+        status_code: "error",
+      });
+      if (dockIdForPolling) {
+        dockPollsTotal.inc({ dock_id: dockIdForPolling, status: "failure" });
+      }
+      throw err;
+    }
+
+    const statusCode = res.status ? res.status.toString() : "unknown";
+    const duration = (Date.now() - start) / 1000;
+    tflRequestDuration.observe(
+      {
+        method,
+        url_path: urlPath,
+        query_string: queryStringMetric,
+        status_code: statusCode,
+      },
+      duration
+    );
+    tflRequestsTotal.inc({
+      method,
+      url_path: urlPath,
+      query_string: queryStringMetric,
+      status_code: statusCode,
+    });
+
+    if (!res.ok) {
+      if (dockIdForPolling) {
+        dockPollsTotal.inc({ dock_id: dockIdForPolling, status: "failure" });
+      }
+      throw new Error(`TfL API returned ${res.status} for ${urlPath}`);
+    }
+
+    try {
+      const data = await res.json();
+      if (dockIdForPolling) {
+        dockPollsTotal.inc({ dock_id: dockIdForPolling, status: "success" });
+      }
+      return data;
+    } catch (err) {
+      if (dockIdForPolling) {
+        dockPollsTotal.inc({ dock_id: dockIdForPolling, status: "failure" });
+      }
+      throw err;
+    }
+  }
+
+  // ── BikePoint Snapshot ───────────────────────────────────────────────
+  // One copy of the full /BikePoint feed, refreshed on a single schedule and indexed
+  // by dock id. Dock pollers, the /BikePoint and /Place proxies, the admin dock list
+  // and the freshness check all read from it, so tracking hundreds of docks costs one
+  // TfL request per refresh. Per-dock /Place requests are only a fallback for when the
+  // snapshot is stale or does not contain the dock.
+  const bikePointSnapshot = {
+    bikePoints: [],
+    byId: new Map(),
+    fetchedAt: 0,
+    refreshPromise: null,
+  };
+
+  function ingestBikePointSnapshot(bikePoints, fetchedAt = Date.now()) {
+    const byId = new Map();
+    for (const bikePoint of bikePoints) {
+      if (bikePoint && typeof bikePoint.id === "string") {
+        byId.set(bikePoint.id, bikePoint);
+      }
+    }
+    bikePointSnapshot.bikePoints = bikePoints;
+    bikePointSnapshot.byId = byId;
+    bikePointSnapshot.fetchedAt = fetchedAt;
+    ctx.recordDockHistoryFromBikePoints(bikePoints, fetchedAt);
+  }
+
+  function isBikePointSnapshotFresh(now = Date.now()) {
+    return (
+      bikePointSnapshot.fetchedAt > 0 &&
+      now - bikePointSnapshot.fetchedAt <= BIKEPOINT_SNAPSHOT_MAX_AGE_MS
+    );
+  }
+
+  function snapshotBikePointForDock(dockId) {
+    if (!isBikePointSnapshotFresh()) return null;
+    return bikePointSnapshot.byId.get(dockId) || null;
+  }
+
+  async function refreshBikePointSnapshot() {
+    // Concurrent callers (the refresh interval, a cold admin dock list, the freshness
+    // check) share one in-flight request rather than each fetching the full feed.
+    if (bikePointSnapshot.refreshPromise) {
+      return bikePointSnapshot.refreshPromise;
+    }
+
+    bikePointSnapshot.refreshPromise = (async () => {
+      try {
+        const bikePoints = await fetchTflJson("/BikePoint");
+        if (!Array.isArray(bikePoints) || bikePoints.length === 0) {
+          throw new Error("unexpected /BikePoint response");
+        }
+        ingestBikePointSnapshot(bikePoints);
+        bikePointSnapshotRefreshesTotal.inc({ status: "success" });
+        logger.debug(`Refreshed /BikePoint snapshot (${bikePointSnapshot.byId.size} docks)`);
+        return bikePointSnapshot;
+      } catch (err) {
+        bikePointSnapshotRefreshesTotal.inc({ status: "failure" });
+        throw err;
+      } finally {
+        bikePointSnapshot.refreshPromise = null;
+      }
+    })();
+
+    return bikePointSnapshot.refreshPromise;
+  }
+
+  async function fetchDockData(dockId) {
+    const snapshotBikePoint = snapshotBikePointForDock(dockId);
+    if (snapshotBikePoint) {
+      dockPollsTotal.inc({ dock_id: dockId, status: "success" });
+      dockDataReadsTotal.inc({ source: "snapshot" });
+      return effectiveDockDataForDock(dockId, snapshotBikePoint);
+    }
+
+    dockDataReadsTotal.inc({ source: "tfl_fallback" });
+    const bikePoint = await fetchTflJson(
+      `/Place/${dockId}`,
+      { cb: Date.now() },
+      { dockIdForPolling: dockId }
+    );
+    ctx.recordDockHistorySample(dockId, parseBikePointData(bikePoint));
+    return effectiveDockDataForDock(dockId, bikePoint);
+  }
+
+  function parseBikePointData(data) {
+    const props = data?.additionalProperties || [];
+    const getProp = (key) => {
+      const prop = props.find((p) => p.key === key);
+      return prop ? parseInt(prop.value, 10) || 0 : 0;
+    };
+    return {
+      dockName:
+        typeof data?.commonName === "string" && data.commonName.trim()
+          ? data.commonName.trim()
+          : null,
+      standardBikes: getProp("NbStandardBikes"),
+      eBikes: getProp("NbEBikes"),
+      emptySpaces: getProp("NbEmptyDocks"),
+    };
+  }
+
+  function effectiveDockDataForDock(dockId, bikePointData) {
+    const parsed = parseBikePointData(bikePointData);
+    const override = ctx.dockOverrides.get(dockId);
+    if (!override) {
+      return {
+        dockName: parsed.dockName || dockId,
+        standardBikes: parsed.standardBikes,
+        eBikes: parsed.eBikes,
+        emptySpaces: parsed.emptySpaces,
+      };
+    }
+
+    return {
+      dockName: parsed.dockName || dockId,
+      standardBikes: override.standardBikes,
+      eBikes: override.eBikes,
+      emptySpaces: override.emptySpaces,
+    };
+  }
+
+  let dockListCache = {
+    docks: [],
+    snapshotFetchedAt: 0,
+  };
+
+  async function fetchDockList() {
+    if (!isBikePointSnapshotFresh()) {
+      await refreshBikePointSnapshot();
+    }
+    if (
+      dockListCache.docks.length > 0 &&
+      dockListCache.snapshotFetchedAt === bikePointSnapshot.fetchedAt
+    ) {
+      return dockListCache.docks;
+    }
+
+    const bikePoints = bikePointSnapshot.bikePoints;
+    const docks = Array.isArray(bikePoints)
+      ? bikePoints
+          .filter((point) => point && typeof point.id === "string")
+          .map((point) => ({
+            id: point.id,
+            commonName:
+              typeof point.commonName === "string" && point.commonName.trim()
+                ? point.commonName.trim()
+                : point.id,
+            lat: Number(point.lat),
+            lon: Number(point.lon),
+          }))
+          .sort((a, b) => a.commonName.localeCompare(b.commonName))
+      : [];
+
+    dockListCache = {
+      docks,
+      snapshotFetchedAt: bikePointSnapshot.fetchedAt,
+    };
+    return docks;
+  }
+
+  function sanitizeBikePointQuery(rawQuery) {
+    if (!rawQuery || typeof rawQuery !== "object") {
+      return {};
+    }
+
+    const next = {};
+    for (const [key, value] of Object.entries(rawQuery)) {
+      if (key === "cb" || key === "_" || key === "cacheBuster") {
+        continue;
+      }
+      next[key] = value;
+    }
+    return next;
+  }
+
+  router.get("/BikePoint", async (req, res) => {
+    const query = sanitizeBikePointQuery(req.query || {});
+    const isFullFeedRequest = Object.keys(query).length === 0;
+    if (isFullFeedRequest && isBikePointSnapshotFresh()) {
+      return res.json(
+        bikePointSnapshot.bikePoints.map((bikePoint) => ctx.applyOverrideToBikePoint(bikePoint))
+      );
+    }
+
+    try {
+      const bikePoints = await fetchTflJson("/BikePoint", query);
+      if (!Array.isArray(bikePoints)) {
+        return res.json(bikePoints);
+      }
+      if (isFullFeedRequest && bikePoints.length > 0) {
+        ingestBikePointSnapshot(bikePoints);
+      }
+      updateTflBikePointFreshness(bikePoints);
+      res.json(bikePoints.map((bikePoint) => ctx.applyOverrideToBikePoint(bikePoint)));
+    } catch (err) {
+      logger.error(`Failed to proxy /BikePoint: ${err.message}`);
+      res.status(502).json({ error: "Failed to fetch BikePoint data from TfL" });
+    }
+  });
+
+  router.get("/Place/:dockId", async (req, res) => {
+    const dockId = req.params.dockId;
+    if (!dockId) {
+      return res.status(400).json({ error: "Missing required path param: dockId" });
+    }
+
+    const query = sanitizeBikePointQuery(req.query || {});
+    const snapshotBikePoint =
+      Object.keys(query).length === 0 ? snapshotBikePointForDock(dockId) : null;
+    if (snapshotBikePoint) {
+      return res.json(ctx.applyOverrideToBikePoint(snapshotBikePoint));
+    }
+
+    try {
+      const bikePoint = await fetchTflJson(`/Place/${dockId}`, req.query || {});
+      ctx.recordDockHistorySample(dockId, parseBikePointData(bikePoint));
+      res.json(ctx.applyOverrideToBikePoint(bikePoint));
+    } catch (err) {
+      logger.error(`Failed to proxy /Place/${dockId}: ${err.message}`);
+      res.status(502).json({ error: `Failed to fetch dock ${dockId} from TfL` });
+    }
+  });
+
+  return {
+    checkTflDataFreshness,
+    bikePointSnapshot,
+    isBikePointSnapshotFresh,
+    snapshotBikePointForDock,
+    refreshBikePointSnapshot,
+    fetchDockData,
+    parseBikePointData,
+    effectiveDockDataForDock,
+    fetchDockList,
+    router,
+  };
+}
+
+module.exports = { createTflClient };
@@ -0,0 +1,375 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestHarness, useFakeClock } = require("./helpers/harness");
+
+const IPHONE_ID = "device-iphone";
+const IPAD_ID = "device-ipad";
+const IPHONE_TOKEN = "a1".repeat(32);
+const IPAD_TOKEN = "b2".repeat(32);
+
+// 2 March 2026 is a Monday.
+const MONDAY_0800 = "2026-03-02T08:00:00Z";
+
+let harness;
+
+test.before(async () => {
+  harness = await createTestHarness();
+});
+
+test.beforeEach(() => harness.reset());
+
+test.after(() => harness.close());
+
+async function registerDevice(deviceId, pushToStartToken) {
+  const res = await harness.request("POST", "/scheduled-journeys/device/register", {
+    headers: { "x-device-id": deviceId },
+    body: { pushToStartToken, buildType: "development", timezone: "Europe/London" },
+  });
+  assert.equal(res.status, 200, res.text);
+  return res.body;
+}
+
+async function createJourney(deviceId) {
+  const res = await harness.request("POST", "/scheduled-journeys", {
+    headers: { "x-device-id": deviceId },
+    body: {
+      startDock: { id: "BikePoints_1", name: "River Street", latitude: 51.5292, longitude: -0.1099 },
+      endDock: { id: "BikePoints_3", name: "Christopher Street", latitude: 51.5213, longitude: -0.0846 },
+      weekdays: [1, 2, 3, 4, 5],
+      startTime: "08:00",
+      endTime: "09:00",
+      timezone: "Europe/London",
+    },
+  });
+  assert.equal(res.status, 201, res.text);
+  return res.body.journey;
+}
+
+async function listJourneys(deviceId) {
+  const res = await harness.request("GET", "/scheduled-journeys", {
+    headers: { "x-device-id": deviceId },
+  });
+  assert.equal(res.status, 200, res.text);
+  return res.body.journeys;
+}
+
+test("a device linked with a code shares the account's journeys and start pushes", async (t) => {
+  useFakeClock(t, MONDAY_0800);
+  await registerDevice(IPHONE_ID, IPHONE_TOKEN);
+  const journey = await createJourney(IPHONE_ID);
+
+  const linkCode = await harness.request("POST", "/accounts/link-code", {
+    headers: { "x-device-id": IPHONE_ID },
+  });
+  assert.equal(linkCode.status, 200, linkCode.text);
+  assert.match(linkCode.body.code, /^[A-Z2-9]{8}$/);
+
+  const wrongCode = await harness.request("POST", "/accounts/link", {
+    headers: { "x-device-id": IPAD_ID },
+    body: { code: "AAAAAAAA" },
+  });
+  assert.equal(wrongCode.status, 404);
+
+  const typedCode = `${linkCode.body.code.slice(0, 4)}-${linkCode.body.code.slice(4)}`.toLowerCase();
+  const linked = await harness.request("POST", "/accounts/link", {
+    headers: { "x-device-id": IPAD_ID },
+    body: { code: typedCode },
+  });
+  assert.equal(linked.status, 200, linked.text);
+  assert.equal(linked.body.account.id, linkCode.body.accountId);
+  assert.deepEqual(
+    linked.body.account.devices.map((device) => [device.deviceId, device.thisDevice]),
+    [
+      [IPHONE_ID, false],
+      [IPAD_ID, true],
+    ]
+  );
+
+  const reused = await harness.request("POST", "/accounts/link", {
+    headers: { "x-device-id": "device-someone-else" },
+    body: { code: linkCode.body.code },
+  });
+  assert.equal(reused.status, 404);
+
+  await registerDevice(IPAD_ID, IPAD_TOKEN);
+  const ipadJourneys = await listJourneys(IPAD_ID);
+  assert.deepEqual(ipadJourneys.map((item) => item.id), [journey.id]);
+  assert.equal(ipadJourneys[0].accountId, linkCode.body.accountId);
+
+  await harness.server.processScheduledJourneyStarts();
+  for (const token of [IPHONE_TOKEN, IPAD_TOKEN]) {
+    const startPushes = harness.pushes({ deviceToken: token });
+    assert.equal(startPushes.length, 1);
+    assert.equal(startPushes[0].payload.aps.attributes.scheduledJourneyId, journey.id);
+  }
+
+  const removed = await harness.request("DELETE", `/accounts/devices/${IPAD_ID}`, {
+    headers: { "x-device-id": IPHONE_ID },
+  });
+  assert.equal(removed.status, 200, removed.text);
+  assert.deepEqual(removed.body.account.devices.map((device) => device.deviceId), [IPHONE_ID]);
+  assert.deepEqual(await listJourneys(IPAD_ID), []);
+  assert.equal((await listJourneys(IPHONE_ID)).length, 1);
+});
+
+test("a device removed from an account no longer sees the journeys it created there", async () => {
+  await registerDevice(IPHONE_ID, IPHONE_TOKEN);
+  await registerDevice(IPAD_ID, IPAD_TOKEN);
+  const linkCode = await harness.request("POST", "/accounts/link-code", {
+    headers: { "x-device-id": IPHONE_ID },
+  });
+  await harness.request("POST", "/accounts/link", {
+    headers: { "x-device-id": IPAD_ID },
+    body: { code: linkCode.body.code },
+  });
+  const sharedJourney = await createJourney(IPAD_ID);
+
+  const removed = await harness.request("DELETE", `/accounts/devices/${IPAD_ID}`, {
+    headers: { "x-device-id": IPHONE_ID },
+  });
+  assert.equal(removed.status, 200, removed.text);
+  assert.deepEqual(await listJourneys(IPAD_ID), []);
+  assert.deepEqual((await listJourneys(IPHONE_ID)).map((item) => item.id), [sharedJourney.id]);
+
+  const ownJourney = await createJourney(IPAD_ID);
+  assert.deepEqual((await listJourneys(IPAD_ID)).map((item) => item.id), [ownJourney.id]);
+  assert.deepEqual((await listJourneys(IPHONE_ID)).map((item) => item.id), [sharedJourney.id]);
+});
+
+async function linkDevices(fromDeviceId, toDeviceId) {
+  const linkCode = await harness.request("POST", "/accounts/link-code", {
+    headers: { "x-device-id": fromDeviceId },
+  });
+  const linked = await harness.request("POST", "/accounts/link", {
+    headers: { "x-device-id": toDeviceId },
+    body: { code: linkCode.body.code },
+  });
+  assert.equal(linked.status, 200, linked.text);
+}
+
+test("device settings from register stay with that device's record and journeys", async () => {
+  await registerDevice(IPHONE_ID, IPHONE_TOKEN);
+  await registerDevice(IPAD_ID, IPAD_TOKEN);
+  await linkDevices(IPHONE_ID, IPAD_ID);
+  const phoneJourney = await createJourney(IPHONE_ID);
+  const ipadJourney = await createJourney(IPAD_ID);
+
+  const registered = await harness.request("POST", "/scheduled-journeys/device/register", {
+    headers: { "x-device-id": IPAD_ID },
+    body: {
+      pushToStartToken: IPAD_TOKEN,
+      buildType: "production",
+      timezone: "America/New_York",
+      bikeDataFilter: "eBikesOnly",
+    },
+  });
+  assert.equal(registered.status, 200, registered.text);
+
+  const journeys = harness.mongoDb().collection("scheduled_journeys");
+  const phoneDoc = await journeys.findOne({ deviceId: IPHONE_ID });
+  assert.equal(phoneDoc.timezone, "Europe/London");
+  assert.equal(phoneDoc.buildType, "development");
+  assert.equal(phoneDoc.bikeDataFilter, phoneJourney.bikeDataFilter);
+  const ipadDoc = await journeys.findOne({ deviceId: IPAD_ID });
+  assert.equal(ipadDoc._id.toString(), ipadJourney.id);
+  assert.equal(ipadDoc.timezone, "America/New_York");
+  assert.equal(ipadDoc.bikeDataFilter, "eBikesOnly");
+
+  const ipad = await harness.mongoDb().collection("devices").findOne({ _id: IPAD_ID });
+  assert.equal(ipad.buildType, "production");
+  assert.equal(ipad.timezone, "America/New_York");
+  assert.equal(ipad.bikeDataFilter, "eBikesOnly");
+});
+
+test("a scheduled start waits while a journey is in progress on another of the account's devices", async (t) => {
+  useFakeClock(t, MONDAY_0800);
+  const ipadDeviceToken = "c3".repeat(32);
+  await registerDevice(IPHONE_ID, IPHONE_TOKEN);
+  const ipadRegistered = await harness.request("POST", "/scheduled-journeys/device/register", {
+    headers: { "x-device-id": IPAD_ID },
+    body: { pushToStartToken: IPAD_TOKEN, deviceToken: ipadDeviceToken, buildType: "development" },
+  });
+  assert.equal(ipadRegistered.status, 200, ipadRegistered.text);
+  await linkDevices(IPHONE_ID, IPAD_ID);
+  await createJourney(IPHONE_ID);
+
+  const session = await harness.request("POST", "/live-activity/start", {
+    headers: { "x-device-token": ipadDeviceToken },
+    body: {
+      dockId: "BikePoints_11",
+      dockName: "Brunswick Square",
+      pushToken: "d4".repeat(32),
+      buildType: "development",
+      activeJourneyPhase: "end",
+    },
+  });
+  assert.equal(session.status, 200, session.text);
+
+  await harness.server.processScheduledJourneyStarts();
+  assert.equal(harness.pushes({ deviceToken: IPHONE_TOKEN }).length, 0);
+  assert.equal(harness.pushes({ deviceToken: IPAD_TOKEN }).length, 0);
+  const journey = await harness.mongoDb().collection("scheduled_journeys").findOne({});
+  assert.equal(journey.activeRun, null);
+});
+
+test("every device in an account gets the account's best journey limits", async () => {
+  await registerDevice(IPHONE_ID, IPHONE_TOKEN);
+  await registerDevice(IPAD_ID, IPAD_TOKEN);
+  await linkDevices(IPHONE_ID, IPAD_ID);
+  const quota = await harness.request("PUT", `/admin/api/quotas/${IPHONE_ID}`, {
+    body: { plan: "extended" },
+  });
+  assert.equal(quota.status, 200, quota.text);
+
+  const created = await harness.request("POST", "/scheduled-journeys", {
+    headers: { "x-device-id": IPHONE_ID },
+    body: {
+      startDock: { id: "BikePoints_1", name: "River Street", latitude: 51.5292, longitude: -0.1099 },
+      endDock: { id: "BikePoints_3", name: "Christopher Street", latitude: 51.5213, longitude: -0.0846 },
+      weekdays: [1, 2, 3, 4, 5],
+      startTime: "06:00",
+      endTime: "22:00",
+      timezone: "Europe/London",
+    },
+  });
+  assert.equal(created.status, 201, created.text);
+  const journey = created.body.journey;
+
+  const disabled = await harness.request("PUT", `/scheduled-journeys/${journey.id}`, {
+    headers: { "x-device-id": IPAD_ID },
+    body: {
+      startDock: journey.startDock,
+      endDock: journey.endDock,
+      weekdays: journey.weekdays,
+      startTime: journey.startTime,
+      endTime: journey.endTime,
+      timezone: journey.timezone,
+      enabled: false,
+    },
+  });
+  assert.equal(disabled.status, 200, disabled.text);
+  assert.equal(disabled.body.journey.enabled, false);
+
+  const limitsFor = async (deviceId) =>
+    (await harness.request("GET", "/scheduled-journeys/limits", {
+      headers: { "x-device-id": deviceId },
+    })).body.limits;
+  assert.deepEqual(await limitsFor(IPAD_ID), await limitsFor(IPHONE_ID));
+  assert.equal((await limitsFor(IPAD_ID)).plan, "extended");
+});
+
+test("scheduled journey alerts go to every device in the account", async (t) => {
+  const clock = useFakeClock(t, MONDAY_0800);
+  const alertTokens = { [IPHONE_ID]: "e5".repeat(32), [IPAD_ID]: "f6".repeat(32) };
+  const register = (deviceId, body = {}) =>
+    harness.request("POST", "/scheduled-journeys/device/register", {
+      headers: { "x-device-id": deviceId },
+      body: { deviceToken: alertTokens[deviceId], buildType: "development", ...body },
+    });
+  await register(IPHONE_ID, { pushToStartToken: IPHONE_TOKEN });
+  await register(IPAD_ID, { pushToStartToken: IPAD_TOKEN });
+  await linkDevices(IPHONE_ID, IPAD_ID);
+  // Created without a device token of its own, as after a transfer.
+  await createJourney(IPHONE_ID);
+  const alertKinds = (deviceId) =>
+    harness
+      .pushes({ deviceToken: alertTokens[deviceId], pushType: "alert" })
+      .map((push) => push.payload.aps.alert.title);
+
+  await harness.server.processScheduledJourneyStarts();
+  assert.deepEqual(alertKinds(IPHONE_ID), ["Scheduled journey"]);
+  assert.deepEqual(alertKinds(IPAD_ID), ["Scheduled journey"]);
+
+  await register(IPAD_ID, { holidayMode: true, holidayModeEndDate: "2026-03-06" });
+  clock.set("2026-03-07T00:00:00Z");
+  await harness.server.processScheduledJourneyStarts();
+  assert.deepEqual(alertKinds(IPHONE_ID), ["Scheduled journey", "Holiday mode is over"]);
+  assert.deepEqual(alertKinds(IPAD_ID), ["Scheduled journey", "Holiday mode is over"]);
+});
+
+test("a start push still goes out when one of the account's devices rejects it", async (t) => {
+  useFakeClock(t, MONDAY_0800);
+  await registerDevice(IPHONE_ID, IPHONE_TOKEN);
+  await registerDevice(IPAD_ID, IPAD_TOKEN);
+  await createJourney(IPHONE_ID);
+  const linkCode = await harness.request("POST", "/accounts/link-code", {
+    headers: { "x-device-id": IPHONE_ID },
+  });
+  await harness.request("POST", "/accounts/link", {
+    headers: { "x-device-id": IPAD_ID },
+    body: { code: linkCode.body.code },
+  });
+
+  harness.apns.respondWith({ deviceToken: IPAD_TOKEN, reason: "Unregistered", times: 2 });
+  await harness.server.processScheduledJourneyStarts();
+
+  assert.equal(harness.pushes({ deviceToken: IPHONE_TOKEN }).length, 1);
+  const journeys = harness.mongoDb().collection("scheduled_journeys");
+  assert.equal((await journeys.findOne({})).activeRun.phase, "start");
+  const ipad = await harness.mongoDb().collection("devices").findOne({ _id: IPAD_ID });
+  assert.equal(ipad.pushToStartToken, undefined);
+});
+
+test("POST /scheduled-journeys/device/transfer moves journeys and quota to a new device", async () => {
+  const newPhoneId = "device-new-iphone";
+  await registerDevice(IPHONE_ID, IPHONE_TOKEN);
+  const journey = await createJourney(IPHONE_ID);
+  const quota = await harness.request("PUT", `/admin/api/quotas/${IPHONE_ID}`, {
+    body: { plan: "extended" },
+  });
+  assert.equal(quota.status, 200, quota.text);
+
+  const sameDevice = await harness.request("POST", "/scheduled-journeys/device/transfer", {
+    headers: { "x-device-id": IPHONE_ID },
+    body: { fromDeviceId: IPHONE_ID },
+  });
+  assert.equal(sameDevice.status, 400);
+
+  const linkCode = await harness.request("POST", "/accounts/link-code", {
+    headers: { "x-device-id": IPHONE_ID },
+  });
+  const transferred = await harness.request("POST", "/scheduled-journeys/device/transfer", {
+    headers: { "x-device-id": newPhoneId },
+    body: { fromDeviceId: IPHONE_ID, code: linkCode.body.code },
+  });
+  assert.equal(transferred.status, 200, transferred.text);
+  assert.equal(transferred.body.transferredCount, 1);
+  assert.deepEqual(
+    transferred.body.journeys.map((item) => [item.id, item.deviceId]),
+    [[journey.id, newPhoneId]]
+  );
+  assert.deepEqual(await listJourneys(IPHONE_ID), []);
+
+  const stored = await harness.mongoDb().collection("scheduled_journeys").findOne({});
+  assert.equal(stored.pushToStartToken, undefined);
+  const limits = await harness.request("GET", "/scheduled-journeys/limits", {
+    headers: { "x-device-id": newPhoneId },
+  });
+  assert.equal(limits.body.limits.plan, "extended");
+
+  const again = await harness.request("POST", "/scheduled-journeys/device/transfer", {
+    headers: { "x-device-id": newPhoneId },
+    body: { fromDeviceId: IPHONE_ID, code: linkCode.body.code },
+  });
+  assert.equal(again.status, 403);
+});
+
+test("a device cannot take over another device's journeys without a link code", async () => {
+  const intruderId = "device-intruder";
+  await registerDevice(IPHONE_ID, IPHONE_TOKEN);
+  const journey = await createJourney(IPHONE_ID);
+  const transfer = (code) =>
+    harness.request("POST", "/scheduled-journeys/device/transfer", {
+      headers: { "x-device-id": intruderId },
+      body: { fromDeviceId: IPHONE_ID, code },
+    });
+
+  assert.equal((await transfer(undefined)).status, 403);
+  await harness.request("POST", "/accounts/link-code", { headers: { "x-device-id": IPHONE_ID } });
+  assert.equal((await transfer("AAAAAAAA")).status, 403);
+
+  assert.deepEqual((await listJourneys(IPHONE_ID)).map((item) => item.id), [journey.id]);
+  assert.deepEqual(await listJourneys(intruderId), []);
+  const me = await harness.request("GET", "/accounts/me", { headers: { "x-device-id": intruderId } });
+  assert.equal(me.body.account, null);
+});
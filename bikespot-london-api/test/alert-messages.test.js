@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestHarness } = require("./helpers/harness");
+
+let harness;
+let server;
+
+test.before(async () => {
+  harness = await createTestHarness();
+  server = harness.server;
+});
+
+test.after(() => harness.close());
+
+test("buildAvailabilityAlertMessage ignores unchanged values", () => {
+  assert.equal(server.buildAvailabilityAlertMessage("Dock", "bikes", 3, 3), null);
+});
+
+test("buildAvailabilityAlertMessage reports a dock emptying and refilling", () => {
+  assert.equal(
+    server.buildAvailabilityAlertMessage("River Street", "bikes", 2, 0),
+    "‼️ River Street no longer has any bikes"
+  );
+  assert.equal(
+    server.buildAvailabilityAlertMessage("River Street", "spaces", 0, 1),
+    "✅ River Street now has 1 space available"
+  );
+  assert.equal(server.buildAvailabilityAlertMessage("River Street", "bikes", 4, 2), null);
+});
+
+test("buildAvailabilityAlertMessage applies the minimum threshold", () => {
+  assert.equal(
+    server.buildAvailabilityAlertMessage("River Street", "bikes", 5, 2, 3),
+    "⚠️ River Street only has 2 bikes available"
+  );
+  assert.equal(
+    server.buildAvailabilityAlertMessage("River Street", "bikes", 1, 2, 3),
+    "⚠️ River Street now has 2 bikes available"
+  );
+  assert.equal(
+    server.buildAvailabilityAlertMessage("River Street", "eBikes", 2, 0, 3),
+    "‼️ River Street now has no e-bikes available"
+  );
+  assert.equal(
+    server.buildAvailabilityAlertMessage("River Street", "bikes", 2, 3, 3),
+    "✅ River Street now has 3 bikes available"
+  );
+});
+
+test("buildAvailabilityAlertMessage falls back to a generic dock name", () => {
+  assert.equal(
+    server.buildAvailabilityAlertMessage("  ", "bikes", 1, 0),
+    "‼️ This dock no longer has any bikes"
+  );
+});
+
+test("resolveSessionExpiryMs caps requested expiry at the notification window", () => {
+  const twoHoursMs = 2 * 60 * 60 * 1000;
+  assert.equal(server.resolveSessionExpiryMs(600), 600 * 1000);
+  assert.equal(server.resolveSessionExpiryMs(24 * 60 * 60), twoHoursMs);
+  assert.equal(server.resolveSessionExpiryMs(undefined), twoHoursMs);
+  assert.equal(server.resolveSessionExpiryMs(-5), twoHoursMs);
+  assert.equal(server.resolveSessionExpiryMs("not a number"), twoHoursMs);
+});
@@ -0,0 +1,71 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestHarness } = require("./helpers/harness");
+
+const DEVICE_TOKEN = "cc".repeat(32);
+
+let harness;
+
+test.before(async () => {
+  harness = await createTestHarness({ env: { DELAYED_JOB_RETRY_DELAY_MS: "0" } });
+});
+
+test.beforeEach(() => harness.reset());
+
+test.after(() => harness.close());
+
+function scheduleStartArrivalAlert(delayMs) {
+  return harness.request("POST", "/live-activity/start-arrival", {
+    body: {
+      startDockId: "BikePoints_1",
+      startDockName: "River Street",
+      endDock: { id: "BikePoints_3", name: "Christopher Street", latitude: 51.5213, longitude: -0.0846 },
+      deviceToken: DEVICE_TOKEN,
+      buildType: "development",
+      delayMs,
+    },
+  });
+}
+
+function storedJobs() {
+  return harness.mongoDb().collection("delayed_jobs").find({}).toArray();
+}
+
+test("a repeat arrival replaces the pending alert instead of adding a second", async () => {
+  await scheduleStartArrivalAlert(60000);
+  await scheduleStartArrivalAlert(60000);
+
+  const res = await harness.request("GET", "/admin/api/delayed-jobs");
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.body.count, 1);
+  assert.equal(res.body.jobs[0].type, "destination_space_alert");
+  assert.match(res.body.jobs[0].description, /River Street → Christopher Street/);
+  await harness.waitFor(async () => (await storedJobs()).length === 1);
+});
+
+test("cancelling from the admin API removes the stored job", async () => {
+  await scheduleStartArrivalAlert(60000);
+  const { body } = await harness.request("GET", "/admin/api/delayed-jobs");
+
+  const res = await harness.request(
+    "DELETE",
+    `/admin/api/delayed-jobs/${encodeURIComponent(body.jobs[0].key)}`
+  );
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.body.existed, true);
+  assert.equal(harness.server.delayedJobs.size, 0);
+  await harness.waitFor(async () => (await storedJobs()).length === 0);
+});
+
+test("a failed push is retried until it goes through", async () => {
+  harness.apns.respondWith({ deviceToken: DEVICE_TOKEN, reason: "ServiceUnavailable" });
+  await scheduleStartArrivalAlert(0);
+
+  await harness.waitFor(() =>
+    harness.pushes({ deviceToken: DEVICE_TOKEN }).some((push) => push.status === 200)
+  );
+  const statuses = harness.pushes({ deviceToken: DEVICE_TOKEN }).map((push) => push.status);
+  assert.deepEqual(statuses, [503, 200]);
+  await harness.waitFor(() => harness.server.delayedJobs.size === 0);
+  await harness.waitFor(async () => (await storedJobs()).length === 0);
+});
@@ -0,0 +1,147 @@
+// Builds a server for a test file against local fakes: the in-memory Mongo stand-in,
+// dev/fake-tfl.js over HTTP and dev/fake-apns.js in-process. Nothing talks to TfL,
+// Apple or a real database, and background loops are left for tests to drive.
+//
+// Every harness gets its own config, temp directory and fakes, so several can run
+// side by side in one process.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createInMemoryMongo } = require("./in-memory-mongo");
+const { createFakeApns } = require("../../dev/fake-apns");
+const { startFakeTflServer } = require("../../dev/fake-tfl");
+const { createServer, loadConfig } = require("../../server");
+
+const MONGODB_DB_NAME = "bikespot_test";
+
+async function waitFor(predicate, { timeoutMs = 2000, intervalMs = 10 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await predicate();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error("Timed out waiting for condition");
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+}
+
+async function createTestHarness({ env = {} } = {}) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "bikespot-api-test-"));
+  const logDir = path.join(tmpDir, "logs");
+  fs.mkdirSync(logDir);
+
+  const mongo = createInMemoryMongo();
+  const tfl = await startFakeTflServer();
+  const apns = createFakeApns();
+  const config = loadConfig({
+    LOG_DIR: logDir,
+    LOG_LEVEL: "error",
+    APNS_TRANSPORT: "memory",
+    APNS_KEY_PATH: path.join(tmpDir, "missing.p8"),
+    TFL_API_BASE: tfl.url,
+    // Pollers and the scheduler are driven by the tests, never by timers.
+    POLL_INTERVAL_MS: "3600000",
+    MONGODB_URI_BIKESPOT_LONDON: "mongodb://in-memory",
+    MONGODB_DB_NAME,
+    DOCK_OVERRIDES_PATH: path.join(tmpDir, "dock-overrides.json"),
+    COMPLICATION_TOKENS_PATH: path.join(tmpDir, "complication-tokens.json"),
+    ARRIVAL_RECEIPTS_PATH: path.join(tmpDir, "arrival-receipts.json"),
+    LIVE_ACTIVITY_SESSIONS_PATH: path.join(tmpDir, "live-activity-sessions.json"),
+    DELAYED_JOBS_PATH: path.join(tmpDir, "delayed-jobs.json"),
+    ADMIN_AUDIT_LOG_PATH: path.join(tmpDir, "admin-audit.jsonl"),
+    ADMIN_AUTH_DISABLED: "true",
+    ...env,
+  });
+
+  const server = createServer(config, { MongoClient: mongo.MongoClient, fakeApns: apns });
+  await server.connectMongoIfConfigured();
+
+  const httpServer = await new Promise((resolve) => {
+    const listening = server.app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+
+  async function request(method, urlPath, { body, headers = {} } = {}) {
+    const res = await fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: { "content-type": "application/json", ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await res.text();
+    let json = null;
+    try {
+      json = text ? JSON.parse(text) : null;
+    } catch {
+      json = null;
+    }
+    return { status: res.status, body: json, text };
+  }
+
+  function diagnostics(kind) {
+    return fs
+      .readdirSync(logDir)
+      .filter((name) => name.startsWith("diagnostics-"))
+      .flatMap((name) =>
+        fs
+          .readFileSync(path.join(logDir, name), "utf8")
+          .split("\n")
+          .filter(Boolean)
+          .map((line) => JSON.parse(line))
+      )
+      .filter((entry) => !kind || entry.kind === kind);
+  }
+
+  // Alert and Live Activity pushes recorded by the fake APNs, optionally filtered.
+  function pushes({ deviceToken, pushType } = {}) {
+    return apns
+      .requests({ deviceToken })
+      .filter((request) => !pushType || request.pushType === pushType);
+  }
+
+  async function reset() {
+    for (const dockId of Array.from(server.dockPollers.keys())) {
+      server.stopPollingForDock(dockId);
+    }
+    server.dockPollers.clear();
+    for (const key of Array.from(server.delayedJobs.keys())) {
+      server.cancelDelayedJob(key);
+    }
+    mongo.reset();
+    apns.clearRequests();
+    apns.clearResponses();
+    tfl.fake.reset();
+    await server.refreshBikePointSnapshot();
+  }
+
+  async function close() {
+    await server.shutdown("test harness closed");
+    httpServer.closeAllConnections();
+    await new Promise((resolve) => httpServer.close(resolve));
+    await tfl.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  return {
+    server,
+    apns,
+    tfl: tfl.fake,
+    mongoDb: () => mongo.db(MONGODB_DB_NAME),
+    request,
+    diagnostics,
+    pushes,
+    waitFor,
+    reset,
+    close,
+  };
+}
+
+// Freezes Date (only) at `isoTime`; timers keep running in real time so HTTP and
+// APNs round trips still complete. Restored automatically when the test ends.
+function useFakeClock(t, isoTime) {
+  t.mock.timers.enable({ apis: ["Date"], now: new Date(isoTime) });
+  return {
+    set: (nextIsoTime) => t.mock.timers.setTime(new Date(nextIsoTime).getTime()),
+    tick: (ms) => t.mock.timers.tick(ms),
+  };
+}
+
+module.exports = { createTestHarness, useFakeClock, waitFor };
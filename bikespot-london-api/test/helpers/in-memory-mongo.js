@@ -0,0 +1,411 @@
+// In-memory stand-in for the parts of the MongoDB driver the server uses.
+//
+// createInMemoryMongo() returns a MongoClient class that keeps every database in
+// process memory; pass it to createServer() as deps.MongoClient. ObjectId and the
+// rest of the driver stay real.
+const { ObjectId } = require("mongodb");
+
+// ── Documents ────────────────────────────────────────────────────────
+function getPath(doc, key) {
+  return key.split(".").reduce((value, part) => (value == null ? undefined : value[part]), doc);
+}
+
+function setPath(doc, key, value) {
+  const parts = key.split(".");
+  let current = doc;
+  for (const part of parts.slice(0, -1)) {
+    if (current[part] == null || typeof current[part] !== "object") current[part] = {};
+    current = current[part];
+  }
+  current[parts[parts.length - 1]] = value;
+}
+
+function unsetPath(doc, key) {
+  const parts = key.split(".");
+  let current = doc;
+  for (const part of parts.slice(0, -1)) {
+    if (current[part] == null) return;
+    current = current[part];
+  }
+  delete current[parts[parts.length - 1]];
+}
+
+function comparable(value) {
+  if (value instanceof Date) return value.getTime();
+  if (value instanceof ObjectId) return value.toHexString();
+  return value;
+}
+
+function valuesEqual(a, b) {
+  if (Array.isArray(a) && !Array.isArray(b)) return a.some((item) => valuesEqual(item, b));
+  const left = comparable(a);
+  const right = comparable(b);
+  return left === right || JSON.stringify(left) === JSON.stringify(right);
+}
+
+function clone(value) {
+  if (value instanceof Date) return new Date(value.getTime());
+  if (value instanceof ObjectId) return value;
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+}
+
+function isOperatorObject(value) {
+  return (
+    value &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    !(value instanceof Date) &&
+    !(value instanceof ObjectId) &&
+    Object.keys(value).some((key) => key.startsWith("$"))
+  );
+}
+
+// ── Queries ──────────────────────────────────────────────────────────
+function matchesCondition(value, condition) {
+  if (!isOperatorObject(condition)) {
+    if (condition === null) return value === undefined || value === null;
+    return valuesEqual(value, condition);
+  }
+
+  const current = comparable(value);
+  return Object.entries(condition).every(([operator, argument]) => {
+    const expected = comparable(argument);
+    switch (operator) {
+      case "$exists":
+        return (value !== undefined) === Boolean(argument);
+      case "$eq":
+        return valuesEqual(value, argument);
+      case "$ne":
+        return !valuesEqual(value, argument);
+      case "$gt":
+        return value !== undefined && current > expected;
+      case "$gte":
+        return value !== undefined && current >= expected;
+      case "$lt":
+        return value !== undefined && current < expected;
+      case "$lte":
+        return value !== undefined && current <= expected;
+      case "$in":
+        return argument.some((item) => valuesEqual(value, item));
+      case "$nin":
+        return !argument.some((item) => valuesEqual(value, item));
+      default:
+        throw new Error(`In-memory Mongo does not support query operator ${operator}`);
+    }
+  });
+}
+
+function matchesFilter(doc, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === "$or") return condition.some((branch) => matchesFilter(doc, branch));
+    if (key === "$and") return condition.every((branch) => matchesFilter(doc, branch));
+    return matchesCondition(getPath(doc, key), condition);
+  });
+}
+
+// ── Updates ──────────────────────────────────────────────────────────
+function applyUpdate(doc, update, isInsert) {
+  if (!Object.keys(update).some((key) => key.startsWith("$"))) {
+    const id = doc._id;
+    for (const key of Object.keys(doc)) delete doc[key];
+    Object.assign(doc, clone(update), { _id: id });
+    return;
+  }
+
+  for (const [operator, fields] of Object.entries(update)) {
+    for (const [key, value] of Object.entries(fields)) {
+      const current = getPath(doc, key);
+      switch (operator) {
+        case "$set":
+          setPath(doc, key, clone(value));
+          break;
+        case "$setOnInsert":
+          if (isInsert) setPath(doc, key, clone(value));
+          break;
+        case "$unset":
+          unsetPath(doc, key);
+          break;
+        case "$inc":
+          setPath(doc, key, (current || 0) + value);
+          break;
+        case "$min":
+          if (current === undefined || comparable(value) < comparable(current)) {
+            setPath(doc, key, clone(value));
+          }
+          break;
+        case "$max":
+          if (current === undefined || comparable(value) > comparable(current)) {
+            setPath(doc, key, clone(value));
+          }
+          break;
+        case "$addToSet": {
+          const items = Array.isArray(current) ? current : [];
+          if (!items.some((item) => valuesEqual(item, value))) items.push(clone(value));
+          setPath(doc, key, items);
+          break;
+        }
+        case "$push": {
+          const items = Array.isArray(current) ? current : [];
+          const additions = value && Array.isArray(value.$each) ? value.$each : [value];
+          items.push(...additions.map(clone));
+          const sliced =
+            value && Number.isInteger(value.$slice)
+              ? value.$slice < 0
+                ? items.slice(value.$slice)
+                : items.slice(0, value.$slice)
+              : items;
+          setPath(doc, key, sliced);
+          break;
+        }
+        case "$pull":
+          setPath(
+            doc,
+            key,
+            (current || []).filter((item) => !valuesEqual(item, value))
+          );
+          break;
+        default:
+          throw new Error(`In-memory Mongo does not support update operator ${operator}`);
+      }
+    }
+  }
+}
+
+function project(doc, projection) {
+  if (!projection || Object.keys(projection).length === 0) return clone(doc);
+  const projected = { _id: doc._id };
+  for (const [key, include] of Object.entries(projection)) {
+    if (key === "_id" && !include) {
+      delete projected._id;
+    } else if (include && getPath(doc, key) !== undefined) {
+      setPath(projected, key, clone(getPath(doc, key)));
+    }
+  }
+  return projected;
+}
+
+// ── Collections ──────────────────────────────────────────────────────
+class InMemoryCursor {
+  constructor(docs, options = {}) {
+    this.docs = docs;
+    this.sortSpec = options.sort || null;
+    this.limitCount = options.limit || 0;
+    this.skipCount = options.skip || 0;
+    this.projection = options.projection || null;
+  }
+
+  sort(spec) {
+    this.sortSpec = spec;
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  skip(count) {
+    this.skipCount = count;
+    return this;
+  }
+
+  project(projection) {
+    this.projection = projection;
+    return this;
+  }
+
+  async toArray() {
+    let docs = this.docs.slice();
+    if (this.sortSpec) {
+      const entries = Object.entries(this.sortSpec);
+      docs.sort((a, b) => {
+        for (const [key, direction] of entries) {
+          const left = comparable(getPath(a, key));
+          const right = comparable(getPath(b, key));
+          if (left === right) continue;
+          if (left === undefined) return -direction;
+          if (right === undefined) return direction;
+          return left < right ? -direction : direction;
+        }
+        return 0;
+      });
+    }
+    docs = docs.slice(this.skipCount);
+    if (this.limitCount) docs = docs.slice(0, this.limitCount);
+    return docs.map((doc) => project(doc, this.projection));
+  }
+}
+
+class InMemoryCollection {
+  constructor(name) {
+    this.collectionName = name;
+    this.docs = [];
+    this.indexes = [];
+  }
+
+  async createIndex(spec, options = {}) {
+    this.indexes.push({ spec, options });
+    return Object.keys(spec).join("_");
+  }
+
+  find(filter = {}, options = {}) {
+    return new InMemoryCursor(
+      this.docs.filter((doc) => matchesFilter(doc, filter)),
+      options
+    );
+  }
+
+  async findOne(filter = {}, options = {}) {
+    const [doc] = await this.find(filter, options).limit(1).toArray();
+    return doc || null;
+  }
+
+  async countDocuments(filter = {}) {
+    return this.docs.filter((doc) => matchesFilter(doc, filter)).length;
+  }
+
+  async insertOne(doc) {
+    if (doc._id === undefined) doc._id = new ObjectId();
+    if (this.docs.some((existing) => valuesEqual(existing._id, doc._id))) {
+      const error = new Error(`E11000 duplicate key error collection: ${this.collectionName}`);
+      error.code = 11000;
+      throw error;
+    }
+    this.docs.push(clone(doc));
+    return { acknowledged: true, insertedId: doc._id };
+  }
+
+  async insertMany(docs) {
+    for (const doc of docs) await this.insertOne(doc);
+    return { acknowledged: true, insertedCount: docs.length };
+  }
+
+  upsert(filter, update) {
+    const doc = {};
+    for (const [key, value] of Object.entries(filter)) {
+      if (!key.startsWith("$") && !isOperatorObject(value)) setPath(doc, key, clone(value));
+    }
+    applyUpdate(doc, update, true);
+    if (doc._id === undefined) doc._id = new ObjectId();
+    this.docs.push(doc);
+    return doc;
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const doc = this.docs.find((candidate) => matchesFilter(candidate, filter));
+    if (doc) {
+      applyUpdate(doc, update, false);
+      return { matchedCount: 1, modifiedCount: 1, upsertedCount: 0 };
+    }
+    if (options.upsert) {
+      const inserted = this.upsert(filter, update);
+      return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id };
+    }
+    return { matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+  }
+
+  async updateMany(filter, update, options = {}) {
+    const docs = this.docs.filter((candidate) => matchesFilter(candidate, filter));
+    for (const doc of docs) applyUpdate(doc, update, false);
+    if (docs.length === 0 && options.upsert) {
+      this.upsert(filter, update);
+      return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1 };
+    }
+    return { matchedCount: docs.length, modifiedCount: docs.length, upsertedCount: 0 };
+  }
+
+  async replaceOne(filter, replacement, options = {}) {
+    return this.updateOne(filter, replacement, options);
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    let doc = this.docs.find((candidate) => matchesFilter(candidate, filter));
+    const before = doc ? clone(doc) : null;
+    if (doc) {
+      applyUpdate(doc, update, false);
+    } else if (options.upsert) {
+      doc = this.upsert(filter, update);
+    }
+    const value = options.returnDocument === "after" ? (doc ? clone(doc) : null) : before;
+    return options.includeResultMetadata ? { value } : value;
+  }
+
+  async deleteOne(filter) {
+    const index = this.docs.findIndex((candidate) => matchesFilter(candidate, filter));
+    if (index >= 0) this.docs.splice(index, 1);
+    return { deletedCount: index >= 0 ? 1 : 0 };
+  }
+
+  async deleteMany(filter = {}) {
+    const before = this.docs.length;
+    this.docs = this.docs.filter((candidate) => !matchesFilter(candidate, filter));
+    return { deletedCount: before - this.docs.length };
+  }
+
+  async bulkWrite(operations) {
+    for (const operation of operations) {
+      const [type, spec] = Object.entries(operation)[0];
+      if (type === "insertOne") await this.insertOne(spec.document);
+      else if (type === "updateOne") await this.updateOne(spec.filter, spec.update, spec);
+      else if (type === "updateMany") await this.updateMany(spec.filter, spec.update, spec);
+      else if (type === "replaceOne") await this.replaceOne(spec.filter, spec.replacement, spec);
+      else if (type === "deleteOne") await this.deleteOne(spec.filter);
+      else if (type === "deleteMany") await this.deleteMany(spec.filter);
+      else throw new Error(`In-memory Mongo does not support bulk operation ${type}`);
+    }
+    return { ok: 1 };
+  }
+}
+
+class InMemoryDb {
+  constructor(name) {
+    this.databaseName = name;
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) this.collections.set(name, new InMemoryCollection(name));
+    return this.collections.get(name);
+  }
+}
+
+// ── Client ───────────────────────────────────────────────────────────
+// Each stand-in keeps its own databases, so servers built side by side in one
+// process never see each other's documents.
+function createInMemoryMongo() {
+  const databases = new Map();
+
+  class InMemoryMongoClient {
+    constructor(uri) {
+      this.uri = uri;
+    }
+
+    async connect() {
+      return this;
+    }
+
+    db(name) {
+      if (!databases.has(name)) databases.set(name, new InMemoryDb(name));
+      return databases.get(name);
+    }
+
+    async close() {}
+  }
+
+  return {
+    MongoClient: InMemoryMongoClient,
+    db: (name) => databases.get(name) || null,
+    // Empties every collection but keeps the objects the server already holds.
+    reset: () => {
+      for (const db of databases.values()) {
+        for (const collection of db.collections.values()) collection.docs = [];
+      }
+    },
+  };
+}
+
+module.exports = { createInMemoryMongo };
@@ -0,0 +1,122 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestHarness, useFakeClock } = require("./helpers/harness");
+
+const DOCK_ID = "BikePoints_1";
+const PUSH_TOKEN = "aa".repeat(32);
+const DEVICE_TOKEN = "bb".repeat(32);
+
+let harness;
+
+test.before(async () => {
+  harness = await createTestHarness();
+});
+
+test.beforeEach(() => harness.reset());
+
+test.after(() => harness.close());
+
+async function startSession(body = {}) {
+  const res = await harness.request("POST", "/live-activity/start", {
+    headers: { "x-device-token": DEVICE_TOKEN },
+    body: {
+      dockId: DOCK_ID,
+      dockName: "River Street",
+      pushToken: PUSH_TOKEN,
+      buildType: "development",
+      primaryDisplay: "bikes",
+      ...body,
+    },
+  });
+  assert.equal(res.status, 200);
+  // The first poll runs in the background as soon as the session registers.
+  await harness.waitFor(() => harness.server.dockPollers.get(DOCK_ID)?.lastData);
+  return res;
+}
+
+async function changeDock(changes) {
+  harness.tfl.updateDock(DOCK_ID, changes);
+  await harness.server.refreshBikePointSnapshot();
+  await harness.server.pollDock(DOCK_ID);
+}
+
+test("POST /live-activity/start validates its payload", async () => {
+  const res = await harness.request("POST", "/live-activity/start", {
+    body: { dockId: DOCK_ID, pushToken: PUSH_TOKEN, buildType: "beta" },
+  });
+  assert.equal(res.status, 400);
+  assert.match(res.body.error, /buildType/);
+});
+
+test("polling pushes Live Activity updates and availability alerts", async () => {
+  await startSession();
+  const initial = harness.pushes({ deviceToken: PUSH_TOKEN });
+  assert.equal(initial.length, 1);
+  assert.equal(initial[0].payload.aps.event, "update");
+  assert.equal(initial[0].payload.aps["content-state"].standardBikes, 9);
+
+  await changeDock({ standardBikes: 0 });
+
+  const updates = harness.pushes({ deviceToken: PUSH_TOKEN });
+  assert.equal(updates.length, 2);
+  assert.equal(updates[1].payload.aps["content-state"].standardBikes, 0);
+
+  const alerts = harness.pushes({ deviceToken: DEVICE_TOKEN });
+  assert.equal(alerts.length, 1);
+  assert.equal(alerts[0].pushType, "alert");
+  assert.match(alerts[0].payload.aps.alert.body, /no longer has any bikes/);
+});
+
+test("an Unregistered response removes the Live Activity token", async () => {
+  await startSession();
+  harness.apns.respondWith({ deviceToken: PUSH_TOKEN, reason: "Unregistered", times: 2 });
+
+  await changeDock({ standardBikes: 5 });
+
+  assert.equal(harness.server.dockPollers.has(DOCK_ID), false);
+});
+
+test("sessions past their expiry get an end push and stop polling", async (t) => {
+  const clock = useFakeClock(t, "2026-03-02T08:00:00Z");
+  await startSession({ expirySeconds: 60 });
+
+  clock.tick(61 * 1000);
+  await harness.server.pollDock(DOCK_ID);
+
+  const pushes = harness.pushes({ deviceToken: PUSH_TOKEN });
+  assert.equal(pushes.at(-1).payload.aps.event, "end");
+  assert.equal(harness.server.dockPollers.has(DOCK_ID), false);
+});
+
+test("POST /live-activity/arrive replays receipts and rejects reused event ids", async () => {
+  await startSession();
+  const arrivalEventId = "arrival-0000-0001";
+
+  const first = await harness.request("POST", "/live-activity/arrive", {
+    body: { dockId: DOCK_ID, deviceToken: DEVICE_TOKEN, arrivalEventId },
+  });
+  assert.equal(first.status, 200);
+  assert.equal(first.body.endedCount, 1);
+  assert.equal(first.body.confirmationSent, true);
+  assert.equal(first.body.duplicate, false);
+  const welcomePushes = harness.pushes({ deviceToken: DEVICE_TOKEN });
+  assert.equal(welcomePushes.length, 1);
+
+  const replay = await harness.request("POST", "/live-activity/arrive", {
+    body: { dockId: DOCK_ID, deviceToken: DEVICE_TOKEN, arrivalEventId },
+  });
+  assert.equal(replay.status, 200);
+  assert.equal(replay.body.duplicate, true);
+  assert.equal(replay.body.endedCount, 1);
+  assert.equal(harness.pushes({ deviceToken: DEVICE_TOKEN }).length, 1);
+
+  const otherDock = await harness.request("POST", "/live-activity/arrive", {
+    body: { dockId: "BikePoints_2", deviceToken: DEVICE_TOKEN, arrivalEventId },
+  });
+  assert.equal(otherDock.status, 409);
+
+  const otherDevice = await harness.request("POST", "/live-activity/arrive", {
+    body: { dockId: DOCK_ID, deviceToken: "cc".repeat(32), arrivalEventId },
+  });
+  assert.equal(otherDevice.status, 409);
+});
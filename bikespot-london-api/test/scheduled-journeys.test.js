@@ -0,0 +1,1090 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestHarness, useFakeClock } = require("./helpers/harness");
+
+const DEVICE_ID = "device-scheduled-journeys";
+const PUSH_TO_START_TOKEN = "dd".repeat(32);
+
+// 2 March 2026 is a Monday; London is on GMT until the end of the month.
+const MONDAY_0800 = "2026-03-02T08:00:00Z";
+
+let harness;
+
+test.before(async () => {
+  harness = await createTestHarness();
+});
+
+test.beforeEach(() => harness.reset());
+
+test.after(() => harness.close());
+
+function journeyFixture(overrides = {}) {
+  return {
+    enabled: true,
+    weekdays: [1, 2, 3, 4, 5],
+    startTime: "08:00",
+    endTime: "09:00",
+    timezone: "Europe/London",
+    activeRun: null,
+    pausedRunKeys: [],
+    ...overrides,
+  };
+}
+
+async function createJourney(body = {}) {
+  const res = await harness.request("POST", "/scheduled-journeys", {
+    headers: { "x-device-id": DEVICE_ID },
+    body: {
+      startDock: { id: "BikePoints_1", name: "River Street", latitude: 51.5292, longitude: -0.1099 },
+      endDock: { id: "BikePoints_3", name: "Christopher Street", latitude: 51.5213, longitude: -0.0846 },
+      weekdays: [1, 2, 3, 4, 5],
+      startTime: "08:00",
+      endTime: "09:00",
+      timezone: "Europe/London",
+      pushToStartToken: PUSH_TO_START_TOKEN,
+      buildType: "development",
+      ...body,
+    },
+  });
+  assert.equal(res.status, 201, res.text);
+  return res.body.journey;
+}
+
+// A PUT shaped like the app's edit screen sends it: the schedule and end docks only.
+async function updateJourney(journey, body = {}) {
+  const res = await harness.request("PUT", `/scheduled-journeys/${journey.id}`, {
+    headers: { "x-device-id": DEVICE_ID },
+    body: {
+      startDock: journey.startDock,
+      endDock: journey.endDock,
+      weekdays: journey.weekdays,
+      startTime: journey.startTime,
+      endTime: journey.endTime,
+      timezone: journey.timezone,
+      ...body,
+    },
+  });
+  assert.equal(res.status, 200, res.text);
+  return res.body.journey;
+}
+
+test("localDateParts resolves the journey's local weekday and time", () => {
+  assert.deepEqual(
+    harness.server.localDateParts(new Date("2026-06-01T07:30:00Z"), "Europe/London"),
+    { weekday: 1, dateKey: "2026-06-01", time: "08:30" }
+  );
+});
+
+test("scheduledJourneyStartDecision explains why a run cannot start", () => {
+  const { scheduledJourneyStartDecision } = harness.server;
+  const monday = new Date(MONDAY_0800);
+
+  assert.equal(scheduledJourneyStartDecision(journeyFixture(), monday).reason, "eligible");
+  assert.equal(
+    scheduledJourneyStartDecision(journeyFixture(), monday).runKey,
+    "2026-03-02:08:00"
+  );
+  assert.equal(
+    scheduledJourneyStartDecision(journeyFixture({ enabled: false }), monday).reason,
+    "disabled"
+  );
+  assert.equal(
+    scheduledJourneyStartDecision(journeyFixture({ weekdays: [6, 7] }), monday).reason,
+    "weekday_mismatch"
+  );
+  assert.equal(
+    scheduledJourneyStartDecision(journeyFixture({ startTime: "08:01" }), monday).reason,
+    "time_mismatch"
+  );
+  assert.equal(
+    scheduledJourneyStartDecision(
+      journeyFixture({ pausedRunKeys: ["2026-03-02:08:00"] }),
+      monday
+    ).reason,
+    "run_paused"
+  );
+  assert.equal(
+    scheduledJourneyStartDecision(
+      journeyFixture({ activeRun: { phase: "start", runKey: "2026-03-02:08:00" } }),
+      monday
+    ).reason,
+    "already_active_for_run"
+  );
+});
+
+test("scheduledJourneyStartDecision catches up on a run within the grace period", () => {
+  const { scheduledJourneyStartDecision } = harness.server;
+
+  const late = scheduledJourneyStartDecision(journeyFixture(), new Date("2026-03-02T08:20:00Z"));
+  assert.equal(late.reason, "eligible");
+  assert.equal(late.runKey, "2026-03-02:08:00");
+  assert.equal(late.lateMinutes, 20);
+  assert.equal(
+    scheduledJourneyStartDecision(journeyFixture(), new Date("2026-03-02T08:30:00Z")).reason,
+    "time_mismatch"
+  );
+  // A window that crosses midnight belongs to the day it started on.
+  const overnight = scheduledJourneyStartDecision(
+    journeyFixture({ weekdays: [1], startTime: "23:50", endTime: "00:40" }),
+    new Date("2026-03-03T00:05:00Z")
+  );
+  assert.equal(overnight.reason, "eligible");
+  assert.equal(overnight.runKey, "2026-03-02:23:50");
+});
+
+test("scheduledJourneyStartDecision handles 01:30 starts on clock-change days", () => {
+  const { scheduledJourneyStartDecision } = harness.server;
+  const sunday0130 = journeyFixture({ weekdays: [7], startTime: "01:30", endTime: "02:30" });
+  const decide = (isoTime) => scheduledJourneyStartDecision(sunday0130, new Date(isoTime));
+
+  // 29 March 2026: 01:30 never happens in London, so the run starts at 02:30 BST.
+  assert.equal(decide("2026-03-29T00:59:00Z").reason, "time_mismatch");
+  assert.equal(decide("2026-03-29T01:30:00Z").reason, "eligible");
+  assert.equal(decide("2026-03-29T01:30:00Z").runKey, "2026-03-29:01:30");
+
+  // 25 October 2026: 01:30 happens twice; only the first (BST) one starts the run.
+  assert.equal(decide("2026-10-25T00:30:00Z").reason, "eligible");
+  assert.equal(decide("2026-10-25T01:30:00Z").reason, "time_mismatch");
+});
+
+test("scheduledJourneyStartDecision honours skip dates, pauses and extra runs", () => {
+  const { scheduledJourneyStartDecision } = harness.server;
+  const monday = new Date(MONDAY_0800);
+
+  assert.equal(
+    scheduledJourneyStartDecision(journeyFixture({ skipDates: ["2026-03-02"] }), monday).reason,
+    "date_skipped"
+  );
+  assert.equal(
+    scheduledJourneyStartDecision(
+      journeyFixture({ pauseRanges: [{ from: "2026-02-28", to: "2026-03-06" }] }),
+      monday
+    ).reason,
+    "date_paused"
+  );
+
+  // Extra runs ignore weekdays and pauses.
+  const extraRuns = [{ date: "2026-03-07", startTime: "10:00", endTime: "10:45" }];
+  const saturday = scheduledJourneyStartDecision(
+    journeyFixture({ extraRuns, pauseRanges: [{ from: "2026-03-07", to: "2026-03-07" }] }),
+    new Date("2026-03-07T10:05:00Z")
+  );
+  assert.equal(saturday.reason, "eligible");
+  assert.equal(saturday.runKey, "2026-03-07:10:00");
+});
+
+test("scheduledJourneyStartDecision skips bank holidays in the journey's region", () => {
+  const { scheduledJourneyStartDecision } = harness.server;
+  // 3 August 2026 is Scotland's summer bank holiday; England's is 31 August.
+  const monday = new Date("2026-08-03T07:00:00Z");
+
+  assert.equal(
+    scheduledJourneyStartDecision(journeyFixture({ skipBankHolidays: true }), monday).reason,
+    "eligible"
+  );
+  const scottish = scheduledJourneyStartDecision(
+    journeyFixture({ skipBankHolidays: true, bankHolidayRegion: "scotland" }),
+    monday
+  );
+  assert.equal(scottish.reason, "bank_holiday");
+  assert.equal(scottish.bankHoliday.title, "Summer bank holiday");
+  assert.equal(
+    scheduledJourneyStartDecision(
+      journeyFixture({ bankHolidayRegion: "scotland" }),
+      monday
+    ).reason,
+    "eligible"
+  );
+});
+
+test("GET /bank-holidays lists a region's upcoming bank holidays", async () => {
+  const res = await harness.request(
+    "GET",
+    "/bank-holidays?region=northern-ireland&from=2026-07-01&to=2026-08-31"
+  );
+  assert.equal(res.status, 200);
+  assert.deepEqual(
+    res.body.bankHolidays.map((holiday) => holiday.date),
+    ["2026-07-13", "2026-08-31"]
+  );
+
+  const invalid = await harness.request("GET", "/bank-holidays?region=wales");
+  assert.equal(invalid.status, 400);
+});
+
+test("shouldEndScheduledJourneyWindow ends extra runs at their own endTime", () => {
+  const { shouldEndScheduledJourneyWindow } = harness.server;
+  const journey = journeyFixture({
+    extraRuns: [{ date: "2026-03-07", startTime: "10:00", endTime: "10:45" }],
+    activeRun: {
+      phase: "start",
+      startedAt: new Date("2026-03-07T10:00:00Z"),
+      runKey: "2026-03-07:10:00",
+    },
+  });
+
+  assert.equal(shouldEndScheduledJourneyWindow(journey, new Date("2026-03-07T10:30:00Z")), false);
+  assert.equal(shouldEndScheduledJourneyWindow(journey, new Date("2026-03-07T10:46:00Z")), true);
+});
+
+test("scheduled journey exceptions are validated and kept when a PUT omits them", async (t) => {
+  useFakeClock(t, MONDAY_0800);
+
+  const invalid = await harness.request("POST", "/scheduled-journeys", {
+    headers: { "x-device-id": DEVICE_ID },
+    body: {
+      startDock: { id: "BikePoints_1", name: "River Street", latitude: 51.5, longitude: -0.1 },
+      endDock: { id: "BikePoints_3", name: "Christopher Street", latitude: 51.5, longitude: -0.08 },
+      weekdays: [1],
+      startTime: "08:00",
+      endTime: "09:00",
+      pauseRanges: [{ from: "2026-08-19", to: "2026-08-12" }],
+    },
+  });
+  assert.equal(invalid.status, 400);
+
+  const journey = await createJourney({
+    // The February date has passed and is dropped.
+    skipDates: ["2026-03-09", "2026-02-02", "2026-03-09"],
+    pauseRanges: [{ from: "2026-08-12", to: "2026-08-19" }],
+    extraRuns: [{ date: "2026-03-07", startTime: "10:00" }],
+  });
+  assert.deepEqual(journey.skipDates, ["2026-03-09"]);
+  assert.deepEqual(journey.pauseRanges, [{ from: "2026-08-12", to: "2026-08-19" }]);
+  assert.deepEqual(journey.extraRuns, [
+    { date: "2026-03-07", startTime: "10:00", endTime: "11:00" },
+  ]);
+
+  const updated = await harness.request("PUT", `/scheduled-journeys/${journey.id}`, {
+    headers: { "x-device-id": DEVICE_ID },
+    body: {
+      startDock: journey.startDock,
+      endDock: journey.endDock,
+      weekdays: [1, 2, 3],
+      startTime: "08:00",
+      endTime: "09:00",
+    },
+  });
+  assert.equal(updated.status, 200, updated.text);
+  assert.deepEqual(updated.body.journey.skipDates, ["2026-03-09"]);
+  assert.deepEqual(updated.body.journey.extraRuns, journey.extraRuns);
+});
+
+test("shouldEndScheduledJourneyWindow ends runs at endTime or after the window", () => {
+  const { shouldEndScheduledJourneyWindow } = harness.server;
+  const activeRun = { phase: "start", startedAt: new Date(MONDAY_0800) };
+
+  assert.equal(
+    shouldEndScheduledJourneyWindow(journeyFixture(), new Date("2026-03-02T09:00:00Z")),
+    false
+  );
+  assert.equal(
+    shouldEndScheduledJourneyWindow(
+      journeyFixture({ activeRun }),
+      new Date("2026-03-02T08:30:00Z")
+    ),
+    false
+  );
+  assert.equal(
+    shouldEndScheduledJourneyWindow(
+      journeyFixture({ activeRun }),
+      new Date("2026-03-02T09:00:00Z")
+    ),
+    true
+  );
+  // A missed endTime tick still ends the run once the window has elapsed.
+  assert.equal(
+    shouldEndScheduledJourneyWindow(
+      journeyFixture({ activeRun }),
+      new Date("2026-03-02T09:07:00Z")
+    ),
+    true
+  );
+});
+
+test("POST /scheduled-journeys validates and lists journeys per device", async () => {
+  const missingDevice = await harness.request("POST", "/scheduled-journeys", { body: {} });
+  assert.equal(missingDevice.status, 400);
+
+  const sameDock = await harness.request("POST", "/scheduled-journeys", {
+    headers: { "x-device-id": DEVICE_ID },
+    body: {
+      startDock: { id: "BikePoints_1", name: "River Street", latitude: 51.5, longitude: -0.1 },
+      endDock: { id: "BikePoints_1", name: "River Street", latitude: 51.5, longitude: -0.1 },
+      weekdays: [1],
+      startTime: "08:00",
+      endTime: "09:00",
+    },
+  });
+  assert.equal(sameDock.status, 400);
+
+  const journey = await createJourney();
+  const list = await harness.request("GET", "/scheduled-journeys", {
+    headers: { "x-device-id": DEVICE_ID },
+  });
+  assert.equal(list.status, 200);
+  assert.deepEqual(
+    list.body.journeys.map((item) => item.id),
+    [journey.id]
+  );
+});
+
+test("device quotas set by an admin change a device's scheduled journey limits", async () => {
+  const headers = { "x-device-id": DEVICE_ID };
+  const initial = await harness.request("GET", "/scheduled-journeys/limits", { headers });
+  assert.equal(initial.status, 200);
+  assert.equal(initial.body.limits.plan, "standard");
+  assert.equal(initial.body.limits.maxJourneys, 5);
+  assert.equal(initial.body.limits.remaining, 5);
+
+  const longWindow = { startTime: "06:00", endTime: "20:00" };
+  const tooLong = await harness.request("POST", "/scheduled-journeys", {
+    headers,
+    body: {
+      startDock: { id: "BikePoints_1", name: "River Street", latitude: 51.5292, longitude: -0.1099 },
+      endDock: { id: "BikePoints_3", name: "Christopher Street", latitude: 51.5213, longitude: -0.0846 },
+      weekdays: [1],
+      ...longWindow,
+    },
+  });
+  assert.equal(tooLong.status, 400);
+  assert.match(tooLong.body.error, /cannot exceed 12 hours/);
+
+  const badQuota = await harness.request("PUT", `/admin/api/quotas/${DEVICE_ID}`, {
+    body: { plan: "unlimited" },
+  });
+  assert.equal(badQuota.status, 400);
+
+  const extended = await harness.request("PUT", `/admin/api/quotas/${DEVICE_ID}`, {
+    body: { plan: "extended", note: "Courier trial" },
+  });
+  assert.equal(extended.status, 200, extended.text);
+  assert.equal(extended.body.quota.effectiveMaxJourneys, 20);
+  await createJourney(longWindow);
+
+  const lowered = await harness.request("PUT", `/admin/api/quotas/${DEVICE_ID}`, {
+    body: { plan: "extended", maxJourneys: 2 },
+  });
+  assert.equal(lowered.status, 200, lowered.text);
+  await createJourney();
+  const full = await harness.request("POST", "/scheduled-journeys", {
+    headers,
+    body: {
+      startDock: { id: "BikePoints_1", name: "River Street", latitude: 51.5292, longitude: -0.1099 },
+      endDock: { id: "BikePoints_3", name: "Christopher Street", latitude: 51.5213, longitude: -0.0846 },
+      weekdays: [1],
+      startTime: "08:00",
+      endTime: "09:00",
+    },
+  });
+  assert.equal(full.status, 409);
+  assert.equal(full.body.error, "You can add up to 2 scheduled journeys");
+
+  const limits = await harness.request("GET", "/scheduled-journeys/limits", { headers });
+  assert.deepEqual(limits.body.limits, {
+    plan: "extended",
+    maxJourneys: 2,
+    used: 2,
+    remaining: 0,
+    maxWindowMinutes: 18 * 60,
+    maxLegs: 4,
+    overridden: true,
+  });
+
+  const list = await harness.request("GET", "/admin/api/quotas");
+  assert.equal(list.body.count, 1);
+  assert.equal(list.body.quotas[0].note, null);
+  const audit = await harness.request("GET", "/admin/api/audit-log");
+  assert.deepEqual(
+    audit.body.entries.slice(0, 2).map((entry) => entry.action),
+    ["quota_set", "quota_set"]
+  );
+
+  const cleared = await harness.request("DELETE", `/admin/api/quotas/${DEVICE_ID}`);
+  assert.equal(cleared.body.existed, true);
+  const reset = await harness.request("GET", "/scheduled-journeys/limits", { headers });
+  assert.equal(reset.body.limits.overridden, false);
+  assert.equal(reset.body.limits.remaining, 3);
+});
+
+test("the scheduler starts a run at startTime and ends it at endTime", async (t) => {
+  const clock = useFakeClock(t, MONDAY_0800);
+  const journey = await createJourney();
+
+  await harness.server.processScheduledJourneyStarts();
+
+  const startPushes = harness.pushes({ deviceToken: PUSH_TO_START_TOKEN });
+  assert.equal(startPushes.length, 1);
+  assert.equal(startPushes[0].payload.aps.event, "start");
+  assert.equal(startPushes[0].payload.aps.attributes.scheduledJourneyId, journey.id);
+  assert.equal(startPushes[0].payload.aps.attributes.destinationDockId, "BikePoints_3");
+  await harness.waitFor(() =>
+    harness
+      .diagnostics("scheduled_journey_start_push_sent")
+      .some((entry) => entry.journeyId === journey.id)
+  );
+
+  const collection = harness.mongoDb().collection("scheduled_journeys");
+  let stored = await collection.findOne({});
+  assert.equal(stored.activeRun.phase, "start");
+  assert.equal(stored.activeRun.runKey, "2026-03-02:08:00");
+
+  // A second tick in the same minute must not start the run twice.
+  await harness.server.processScheduledJourneyStarts();
+  assert.equal(harness.pushes({ deviceToken: PUSH_TO_START_TOKEN }).length, 1);
+
+  clock.set("2026-03-02T09:00:00Z");
+  await harness.server.processScheduledJourneyStarts();
+  stored = await collection.findOne({});
+  assert.equal(stored.activeRun, null);
+});
+
+test("GET /scheduled-journeys/:id/runs records each run and summarises the commute", async (t) => {
+  const clock = useFakeClock(t, MONDAY_0800);
+  const journey = await createJourney();
+  const headers = { "x-device-id": DEVICE_ID };
+
+  await harness.server.processScheduledJourneyStarts();
+  clock.set("2026-03-02T08:10:00Z");
+  const phase = await harness.request("POST", `/scheduled-journeys/${journey.id}/phase`, {
+    headers,
+    body: { phase: "end", transitionSource: "manual" },
+  });
+  assert.equal(phase.status, 200, phase.text);
+  clock.set("2026-03-02T08:32:00Z");
+  const completed = await harness.request("POST", `/scheduled-journeys/${journey.id}/complete`, {
+    headers,
+  });
+  assert.equal(completed.body.runCompleted, true);
+
+  // Tuesday: the start dock is empty and the run is stopped.
+  clock.set("2026-03-03T08:00:00Z");
+  harness.tfl.updateDock("BikePoints_1", { standardBikes: 0, eBikes: 0 });
+  await harness.server.refreshBikePointSnapshot();
+  await harness.server.processScheduledJourneyStarts();
+  await harness.request("POST", `/scheduled-journeys/${journey.id}/stop`, { headers });
+
+  const res = await harness.request("GET", `/scheduled-journeys/${journey.id}/runs`, { headers });
+  assert.equal(res.status, 200, res.text);
+  assert.deepEqual(
+    res.body.runs.map((run) => [run.runKey, run.outcome]),
+    [
+      ["2026-03-03:08:00", "stopped"],
+      ["2026-03-02:08:00", "completed"],
+    ]
+  );
+  const monday = res.body.runs[1];
+  assert.equal(monday.durationMinutes, 32);
+  assert.deepEqual(
+    monday.events.map((event) => [event.type, event.dock?.id]),
+    [
+      ["started", "BikePoints_1"],
+      ["phase", "BikePoints_3"],
+      ["completed", "BikePoints_3"],
+    ]
+  );
+  assert.deepEqual(monday.arrivalDock, { id: "BikePoints_3", name: "Christopher Street", planned: true });
+  assert.equal(typeof monday.arrivalAvailability.emptySpaces, "number");
+  assert.deepEqual(res.body.runs[0].startAvailability.standardBikes, 0);
+
+  const { stats } = res.body;
+  assert.equal(stats.runCount, 2);
+  assert.equal(stats.completedCount, 1);
+  assert.equal(stats.stoppedCount, 1);
+  assert.equal(stats.typicalDurationMinutes, 32);
+  assert.equal(stats.startDockEmptyCount, 1);
+  assert.equal(stats.startDockEmptyRate, 0.5);
+  assert.equal(stats.longestStreak, 1);
+  assert.equal(stats.currentStreak, 0);
+
+  const otherDevice = await harness.request("GET", `/scheduled-journeys/${journey.id}/runs`, {
+    headers: { "x-device-id": "device-someone-else" },
+  });
+  assert.equal(otherDevice.status, 404);
+});
+
+test("a run activated again after a stop measures its duration from the new start", async (t) => {
+  const clock = useFakeClock(t, MONDAY_0800);
+  const journey = await createJourney();
+  const request = (path, body) =>
+    harness.request("POST", `/scheduled-journeys/${journey.id}/${path}`, {
+      headers: { "x-device-id": DEVICE_ID },
+      body,
+    });
+
+  await harness.server.processScheduledJourneyStarts();
+  clock.set("2026-03-02T08:02:00Z");
+  await request("stop");
+  clock.set("2026-03-02T08:40:00Z");
+  const activated = await request("activate", { remoteStart: false });
+  assert.equal(activated.status, 200, activated.text);
+  clock.set("2026-03-02T08:45:00Z");
+  await request("phase", { phase: "end", transitionSource: "manual" });
+  clock.set("2026-03-02T08:58:00Z");
+  const completed = await request("complete");
+  assert.equal(completed.body.runCompleted, true);
+
+  const res = await harness.request("GET", `/scheduled-journeys/${journey.id}/runs`, {
+    headers: { "x-device-id": DEVICE_ID },
+  });
+  const [run] = res.body.runs;
+  assert.equal(res.body.runs.length, 1);
+  assert.equal(run.outcome, "completed");
+  assert.equal(run.startedAt, "2026-03-02T08:40:00.000Z");
+  assert.equal(run.firstStartedAt, "2026-03-02T08:00:00.000Z");
+  assert.equal(run.durationMinutes, 18);
+  assert.deepEqual(
+    run.events.map((event) => event.type),
+    ["started", "stopped", "started", "phase", "completed"]
+  );
+  assert.equal(res.body.stats.typicalDurationMinutes, 18);
+});
+
+test("the scheduler starts a run it missed at startTime", async (t) => {
+  useFakeClock(t, "2026-03-02T08:12:00Z");
+  await createJourney();
+
+  await harness.server.processScheduledJourneyStarts();
+
+  assert.equal(harness.pushes({ deviceToken: PUSH_TO_START_TOKEN }).length, 1);
+  const stored = await harness.mongoDb().collection("scheduled_journeys").findOne({});
+  assert.equal(stored.activeRun.runKey, "2026-03-02:08:00");
+});
+
+test("overlapping scheduler ticks start a run once", async (t) => {
+  useFakeClock(t, MONDAY_0800);
+  const journey = await createJourney();
+
+  await Promise.all([
+    harness.server.processScheduledJourneyStarts(),
+    harness.server.processScheduledJourneyStarts(),
+  ]);
+
+  assert.equal(
+    harness.pushes({ deviceToken: PUSH_TO_START_TOKEN, pushType: "liveactivity" }).length,
+    1
+  );
+  const runs = await harness.request("GET", `/scheduled-journeys/${journey.id}/runs`, {
+    headers: { "x-device-id": DEVICE_ID },
+  });
+  assert.deepEqual(runs.body.runs.map((run) => run.events.length), [1]);
+});
+
+test("the scheduler skips journeys outside their weekdays", async (t) => {
+  useFakeClock(t, "2026-03-07T08:00:00Z"); // Saturday
+  await createJourney();
+
+  await harness.server.processScheduledJourneyStarts();
+
+  assert.equal(harness.pushes({ deviceToken: PUSH_TO_START_TOKEN }).length, 0);
+});
+
+test("holiday mode with an end date silences runs, then switches itself off", async (t) => {
+  const clock = useFakeClock(t, MONDAY_0800);
+  const deviceToken = "ee".repeat(32);
+  const journey = await createJourney({ deviceToken });
+
+  const invalid = await harness.request("POST", "/scheduled-journeys/device/register", {
+    headers: { "x-device-id": DEVICE_ID },
+    body: { holidayMode: true, holidayModeEndDate: "2026-02-27" },
+  });
+  assert.equal(invalid.status, 400);
+
+  const register = await harness.request("POST", "/scheduled-journeys/device/register", {
+    headers: { "x-device-id": DEVICE_ID },
+    body: { deviceToken, holidayMode: true, holidayModeEndDate: "2026-03-06" },
+  });
+  assert.equal(register.status, 200, register.text);
+
+  await harness.server.processScheduledJourneyStarts();
+  assert.equal(harness.pushes({ deviceToken: PUSH_TO_START_TOKEN }).length, 0);
+
+  clock.set("2026-03-07T00:00:00Z");
+  await harness.server.processScheduledJourneyStarts();
+  await harness.server.processScheduledJourneyStarts();
+  const backOn = harness.pushes({ deviceToken, pushType: "alert" });
+  assert.equal(backOn.length, 1);
+  assert.match(backOn[0].payload.aps.alert.body, /back on/);
+
+  const list = await harness.request("GET", "/scheduled-journeys", {
+    headers: { "x-device-id": DEVICE_ID },
+  });
+  assert.equal(list.body.journeys[0].id, journey.id);
+  assert.equal(list.body.journeys[0].holidayMode, false);
+
+  clock.set("2026-03-09T08:00:00Z");
+  await harness.server.processScheduledJourneyStarts();
+  assert.equal(harness.pushes({ deviceToken: PUSH_TO_START_TOKEN }).length, 1);
+});
+
+test("registering with holidayMode and no dates keeps the dates and ignores the stale value after expiry", async (t) => {
+  const clock = useFakeClock(t, MONDAY_0800);
+  await createJourney();
+  const register = (body) =>
+    harness.request("POST", "/scheduled-journeys/device/register", {
+      headers: { "x-device-id": DEVICE_ID },
+      body: { pushToStartToken: PUSH_TO_START_TOKEN, ...body },
+    });
+
+  await register({ holidayMode: true, holidayModeEndDate: "2026-03-06" });
+  const relaunch = await register({ holidayMode: true });
+  assert.equal(relaunch.body.holidayModeEndDate, "2026-03-06");
+
+  clock.set("2026-03-07T00:00:00Z");
+  await harness.server.processScheduledJourneyStarts();
+  const stale = await register({ holidayMode: true });
+  assert.equal(stale.status, 200, stale.text);
+  assert.equal(stale.body.holidayMode, false);
+
+  clock.set("2026-03-09T08:00:00Z");
+  await harness.server.processScheduledJourneyStarts();
+  assert.equal(harness.pushes({ deviceToken: PUSH_TO_START_TOKEN }).length, 1);
+
+  // Once the app has caught up, turning it on without dates works again.
+  await register({ holidayMode: false });
+  const again = await register({ holidayMode: true });
+  assert.equal(again.body.holidayMode, true);
+  assert.equal(again.body.holidayModeEndDate, null);
+});
+
+test("holiday mode can be turned back on without dates once the app has seen it expire", async (t) => {
+  const clock = useFakeClock(t, MONDAY_0800);
+  await createJourney();
+  const register = (body) =>
+    harness.request("POST", "/scheduled-journeys/device/register", {
+      headers: { "x-device-id": DEVICE_ID },
+      body: { pushToStartToken: PUSH_TO_START_TOKEN, ...body },
+    });
+  const expireHoliday = async () => {
+    clock.set(MONDAY_0800);
+    await register({ holidayMode: true, holidayModeEndDate: "2026-03-06" });
+    clock.set("2026-03-07T00:00:00Z");
+    await harness.server.processScheduledJourneyStarts();
+  };
+
+  await expireHoliday();
+  assert.equal((await register({ holidayMode: true })).body.holidayMode, false);
+  const reenabled = await register({ holidayMode: true });
+  assert.equal(reenabled.body.holidayMode, true);
+  assert.equal(reenabled.body.holidayModeEndDate, null);
+
+  // Fetching the journeys also shows the app that holiday mode is off.
+  await expireHoliday();
+  const list = await harness.request("GET", "/scheduled-journeys", {
+    headers: { "x-device-id": DEVICE_ID },
+  });
+  assert.equal(list.body.journeys[0].holidayMode, false);
+  assert.equal((await register({ holidayMode: true })).body.holidayMode, true);
+});
+
+test("a multi-leg journey moves to its next leg on arrival and completes after the last", async (t) => {
+  useFakeClock(t, MONDAY_0800);
+  const stationDock = { id: "BikePoints_2", name: "Phillimore Gardens", latitude: 51.4996, longitude: -0.1975 };
+  const officeDock = { id: "BikePoints_3", name: "Christopher Street", latitude: 51.5213, longitude: -0.0846 };
+  const journey = await createJourney({
+    legs: [
+      {
+        startDock: { id: "BikePoints_1", name: "River Street", latitude: 51.5292, longitude: -0.1099 },
+        endDock: stationDock,
+      },
+      {
+        startDock: { id: "BikePoints_4", name: "St. Chad's Street", latitude: 51.5301, longitude: -0.1209 },
+        endDock: officeDock,
+      },
+    ],
+  });
+  assert.equal(journey.legs.length, 2);
+  assert.equal(journey.endDock.id, officeDock.id);
+
+  await harness.server.processScheduledJourneyStarts();
+  assert.equal(harness.pushes({ deviceToken: PUSH_TO_START_TOKEN }).length, 1);
+
+  const request = (path, body) =>
+    harness.request("POST", `/scheduled-journeys/${journey.id}/${path}`, {
+      headers: { "x-device-id": DEVICE_ID },
+      body,
+    });
+
+  const badLeg = await request("phase", { phase: "end", legIndex: 2 });
+  assert.equal(badLeg.status, 400);
+
+  const riding = await request("phase", { phase: "end", legIndex: 0 });
+  assert.equal(riding.status, 200);
+  assert.equal(riding.body.journey.activeRun.dockId, stationDock.id);
+
+  const firstLeg = await request("complete", {});
+  assert.equal(firstLeg.body.runCompleted, false);
+  assert.equal(firstLeg.body.journey.activeRun.legIndex, 1);
+  assert.equal(firstLeg.body.journey.activeRun.phase, "start");
+  assert.equal(firstLeg.body.journey.activeRun.dockId, "BikePoints_4");
+
+  const startPushes = harness.pushes({ deviceToken: PUSH_TO_START_TOKEN });
+  assert.equal(startPushes.length, 2);
+  assert.equal(startPushes[1].payload.aps.attributes.scheduledJourneyLegIndex, 1);
+  assert.equal(startPushes[1].payload.aps.attributes.destinationDockId, officeDock.id);
+
+  const staleLeg = await request("complete", { legIndex: 0 });
+  assert.equal(staleLeg.status, 409);
+
+  const lastLeg = await request("complete", {});
+  assert.equal(lastLeg.body.runCompleted, true);
+  assert.equal(lastLeg.body.journey.activeRun, null);
+  assert.deepEqual(lastLeg.body.journey.pausedRunKeys, ["2026-03-02:08:00"]);
+});
+
+test("a leave-now alert goes out before the run and suggests a dock with enough bikes", async (t) => {
+  const deviceToken = "ee".repeat(32);
+  const clock = useFakeClock(t, "2026-03-02T07:49:00Z");
+  const journey = await createJourney({
+    deviceToken,
+    leaveNowAlert: { enabled: true, leadMinutes: 10, minBikes: 3 },
+  });
+  assert.deepEqual(journey.leaveNowAlert, { enabled: true, leadMinutes: 10, minBikes: 3 });
+  harness.tfl.updateDock("BikePoints_1", { standardBikes: 1, eBikes: 0 });
+  await harness.server.refreshBikePointSnapshot();
+
+  await harness.server.processScheduledJourneyStarts();
+  assert.equal(harness.pushes({ deviceToken }).length, 0);
+
+  clock.set("2026-03-02T07:50:00Z");
+  await harness.server.processScheduledJourneyStarts();
+  clock.set("2026-03-02T07:51:00Z");
+  await harness.server.processScheduledJourneyStarts();
+
+  const alerts = harness.pushes({ deviceToken });
+  assert.equal(alerts.length, 1);
+  assert.equal(alerts[0].payload.aps.alert.title, "Time to leave");
+  assert.match(alerts[0].payload.aps.alert.body, /^River Street only has 1 bike\. Try .+ \(1\.0 km\), which has 17 bikes\. Christopher Street has 28 spaces\.$/);
+  assert.equal(alerts[0].payload.runKey, "2026-03-02:08:00");
+  assert.equal(alerts[0].payload.alternative.dockId, "BikePoints_11");
+  assert.equal(harness.pushes({ deviceToken: PUSH_TO_START_TOKEN }).length, 0);
+  await harness.waitFor(() =>
+    harness
+      .diagnostics("scheduled_journey_leave_now_alert_sent")
+      .some((entry) => entry.journeyId === journey.id && entry.alternativeDockId === "BikePoints_11")
+  );
+});
+
+test("a leave-now alert counts enough bikes by the journey's start condition", async (t) => {
+  const deviceToken = "ee".repeat(32);
+  useFakeClock(t, "2026-03-02T07:50:00Z");
+  const journey = await createJourney({
+    deviceToken,
+    leaveNowAlert: { enabled: true, leadMinutes: 10, minBikes: 1 },
+    startCondition: { mode: "startDockBelow", threshold: 3 },
+  });
+  harness.tfl.updateDock("BikePoints_1", { standardBikes: 2, eBikes: 0 });
+  await harness.server.refreshBikePointSnapshot();
+
+  await harness.server.processScheduledJourneyStarts();
+  const [alert] = harness.pushes({ deviceToken });
+  assert.match(alert.payload.aps.alert.body, /^River Street only has 2 bikes\. Try /);
+  const [sent] = await harness.waitFor(() => {
+    const entries = harness
+      .diagnostics("scheduled_journey_leave_now_alert_sent")
+      .filter((entry) => entry.journeyId === journey.id);
+    return entries.length > 0 && entries;
+  });
+  assert.equal(sent.minBikes, 3);
+});
+
+test("a conditional journey only starts once its start dock runs low", async (t) => {
+  const clock = useFakeClock(t, MONDAY_0800);
+  const invalid = await harness.request("POST", "/scheduled-journeys", {
+    headers: { "x-device-id": DEVICE_ID },
+    body: {
+      startDock: { id: "BikePoints_1", name: "River Street" },
+      endDock: { id: "BikePoints_3", name: "Christopher Street" },
+      weekdays: [1],
+      startTime: "08:00",
+      endTime: "09:00",
+      startCondition: { mode: "sometimes" },
+    },
+  });
+  assert.equal(invalid.status, 400);
+
+  const journey = await createJourney({ startCondition: { mode: "startDockBelow", threshold: 3 } });
+  assert.deepEqual(journey.startCondition, { mode: "startDockBelow", threshold: 3 });
+
+  await harness.server.processScheduledJourneyStarts();
+  clock.set("2026-03-02T08:01:00Z");
+  await harness.server.processScheduledJourneyStarts();
+  assert.equal(harness.pushes({ deviceToken: PUSH_TO_START_TOKEN }).length, 0);
+  const skips = await harness.waitFor(() => {
+    const entries = harness
+      .diagnostics("scheduled_journey_start_skipped")
+      .filter((entry) => entry.journeyId === journey.id);
+    return entries.length > 0 && entries;
+  });
+  assert.equal(skips.length, 1);
+  assert.equal(skips[0].reason, "start_dock_has_bikes");
+  assert.equal(skips[0].startConditionValue, 11);
+
+  clock.set("2026-03-02T08:05:00Z");
+  harness.tfl.updateDock("BikePoints_1", { standardBikes: 2, eBikes: 0 });
+  await harness.server.refreshBikePointSnapshot();
+  await harness.server.processScheduledJourneyStarts();
+  assert.equal(harness.pushes({ deviceToken: PUSH_TO_START_TOKEN }).length, 1);
+  const stored = await harness.mongoDb().collection("scheduled_journeys").findOne({});
+  assert.equal(stored.activeRun.runKey, "2026-03-02:08:00");
+});
+
+test("a PUT without leaveNowAlert keeps the journey's alert settings", async () => {
+  const leaveNowAlert = { enabled: true, leadMinutes: 15, minBikes: 2 };
+  const journey = await createJourney({ leaveNowAlert });
+
+  const edited = await updateJourney(journey, { weekdays: [1, 2] });
+  assert.deepEqual(edited.weekdays, [1, 2]);
+  assert.deepEqual(edited.leaveNowAlert, leaveNowAlert);
+
+  const disabled = await updateJourney(journey, { leaveNowAlert: { enabled: false } });
+  assert.equal(disabled.leaveNowAlert.enabled, false);
+});
+
+test("a PUT without startCondition keeps a conditional start", async () => {
+  const startCondition = { mode: "destinationSpacesBelow", threshold: 4 };
+  const journey = await createJourney({ startCondition });
+
+  const edited = await updateJourney(journey, { startTime: "08:15", endTime: "09:15" });
+  assert.equal(edited.startTime, "08:15");
+  assert.deepEqual(edited.startCondition, startCondition);
+
+  const always = await updateJourney(journey, { startCondition: { mode: "always" } });
+  assert.equal(always.startCondition.mode, "always");
+
+  for (const startCondition of ["startDockBelow", 3, [{ mode: "startDockBelow" }]]) {
+    const invalid = await harness.request("PUT", `/scheduled-journeys/${journey.id}`, {
+      headers: { "x-device-id": DEVICE_ID },
+      body: { ...always, startCondition },
+    });
+    assert.equal(invalid.status, 400, JSON.stringify(startCondition));
+  }
+});
+
+test("stopping or completing an extra run pauses that run, not the day's regular one", async (t) => {
+  const clock = useFakeClock(t, "2026-03-07T10:00:00Z");
+  const journey = await createJourney({
+    extraRuns: [
+      { date: "2026-03-07", startTime: "10:00", endTime: "11:00" },
+      { date: "2026-03-08", startTime: "10:00", endTime: "11:00" },
+    ],
+  });
+  const request = (path) =>
+    harness.request("POST", `/scheduled-journeys/${journey.id}/${path}`, {
+      headers: { "x-device-id": DEVICE_ID },
+    });
+
+  await harness.server.processScheduledJourneyStarts();
+  assert.equal(harness.pushes({ deviceToken: PUSH_TO_START_TOKEN }).length, 1);
+  clock.set("2026-03-07T10:05:00Z");
+  const stopped = await request("stop");
+  assert.deepEqual(stopped.body.journey.pausedRunKeys, ["2026-03-07:10:00"]);
+  clock.set("2026-03-07T10:06:00Z");
+  await harness.server.processScheduledJourneyStarts();
+  assert.equal(harness.pushes({ deviceToken: PUSH_TO_START_TOKEN }).length, 1);
+
+  // Marked complete before the scheduler got to it.
+  clock.set("2026-03-08T10:00:00Z");
+  const completed = await request("complete");
+  assert.deepEqual(completed.body.journey.pausedRunKeys, ["2026-03-07:10:00", "2026-03-08:10:00"]);
+  await harness.server.processScheduledJourneyStarts();
+  assert.equal(harness.pushes({ deviceToken: PUSH_TO_START_TOKEN }).length, 1);
+});
+
+test("an extra run starts on a date whose regular run is still active", async (t) => {
+  const clock = useFakeClock(t, MONDAY_0800);
+  const journey = await createJourney({
+    extraRuns: [{ date: "2026-03-02", startTime: "08:30", endTime: "09:30" }],
+  });
+
+  await harness.server.processScheduledJourneyStarts();
+  const journeys = harness.mongoDb().collection("scheduled_journeys");
+  assert.equal((await journeys.findOne({})).activeRun.runKey, "2026-03-02:08:00");
+
+  clock.set("2026-03-02T08:30:00Z");
+  const regular = await journeys.findOne({});
+  const decision = harness.server.scheduledJourneyStartDecision(regular, new Date());
+  assert.equal(decision.reason, "eligible");
+  assert.equal(decision.runKey, "2026-03-02:08:30");
+  await harness.server.processScheduledJourneyStarts();
+  assert.equal(harness.pushes({ deviceToken: PUSH_TO_START_TOKEN }).length, 2);
+  assert.equal((await journeys.findOne({})).activeRun.runKey, "2026-03-02:08:30");
+
+  clock.set("2026-03-02T08:31:00Z");
+  await harness.server.processScheduledJourneyStarts();
+  assert.equal(harness.pushes({ deviceToken: PUSH_TO_START_TOKEN }).length, 2);
+
+  const runs = await harness.request("GET", `/scheduled-journeys/${journey.id}/runs`, {
+    headers: { "x-device-id": DEVICE_ID },
+  });
+  assert.deepEqual(
+    runs.body.runs.map((run) => [run.runKey, run.outcome]),
+    [
+      ["2026-03-02:08:30", "in_progress"],
+      ["2026-03-02:08:00", "ended"],
+    ]
+  );
+  const list = await harness.request("GET", "/scheduled-journeys", {
+    headers: { "x-device-id": DEVICE_ID },
+  });
+  assert.deepEqual(list.body.journeys[0].pausedRunKeys, ["2026-03-02:08:00"]);
+});
+
+test("a start held back by a journey in progress is recorded once per run", async (t) => {
+  const clock = useFakeClock(t, MONDAY_0800);
+  const deviceToken = "ee".repeat(32);
+  const journey = await createJourney({ deviceToken });
+  const session = await harness.request("POST", "/live-activity/start", {
+    headers: { "x-device-token": deviceToken },
+    body: {
+      dockId: "BikePoints_11",
+      dockName: "Brunswick Square",
+      pushToken: "ff".repeat(32),
+      buildType: "development",
+      activeJourneyPhase: "end",
+    },
+  });
+  assert.equal(session.status, 200, session.text);
+
+  for (const time of ["08:00", "08:01", "08:02"]) {
+    clock.set(`2026-03-02T${time}:00Z`);
+    await harness.server.processScheduledJourneyStarts();
+  }
+  assert.equal(harness.pushes({ deviceToken: PUSH_TO_START_TOKEN }).length, 0);
+  const journeyEntries = (kind) =>
+    harness.diagnostics(kind).filter((entry) => entry.journeyId === journey.id);
+  const holds = await harness.waitFor(() => {
+    const entries = journeyEntries("scheduled_journey_start_not_overriding_in_progress");
+    return entries.length > 0 && entries;
+  });
+  assert.equal(holds.length, 1);
+  assert.equal(holds[0].runKey, "2026-03-02:08:00");
+  assert.equal(journeyEntries("scheduled_journey_start_eligible").length, 1);
+});
+
+test("a Live Activity started for an extra run after the day's regular run completed marks that run", async (t) => {
+  const clock = useFakeClock(t, MONDAY_0800);
+  const journey = await createJourney({
+    extraRuns: [{ date: "2026-03-02", startTime: "17:00", endTime: "18:00" }],
+  });
+  await harness.server.processScheduledJourneyStarts();
+  clock.set("2026-03-02T08:30:00Z");
+  const completed = await harness.request("POST", `/scheduled-journeys/${journey.id}/complete`, {
+    headers: { "x-device-id": DEVICE_ID },
+  });
+  assert.deepEqual(completed.body.journey.pausedRunKeys, ["2026-03-02:08:00"]);
+
+  clock.set("2026-03-02T17:02:00Z");
+  const session = await harness.request("POST", "/live-activity/start", {
+    body: {
+      dockId: "BikePoints_1",
+      dockName: "River Street",
+      pushToken: "ab".repeat(32),
+      buildType: "development",
+      scheduledJourneyId: journey.id,
+      scheduledJourneyPhase: "start",
+    },
+  });
+  assert.equal(session.status, 200, session.text);
+  // The journey is marked in the background; a dropped registration is logged instead.
+  const journeys = harness.mongoDb().collection("scheduled_journeys");
+  const outcome = await harness.waitFor(async () => {
+    const { activeRun } = await journeys.findOne({});
+    const [skipped] = harness.diagnostics("scheduled_journey_stale_start_registration_skipped");
+    return activeRun?.runKey || skipped?.runKey;
+  });
+  assert.equal(outcome, "2026-03-02:17:00");
+});
+
+test("paused run keys stored on old journey documents move to the run-state collection", async (t) => {
+  useFakeClock(t, MONDAY_0800);
+  const journey = await createJourney();
+  const journeys = harness.mongoDb().collection("scheduled_journeys");
+  await journeys.updateOne(
+    { deviceId: DEVICE_ID },
+    { $set: { pausedRunKeys: ["2025-06-02:08:00", "2026-02-27:08:00", "2026-03-02:08:00"] } }
+  );
+
+  await harness.server.migratePausedRunKeys();
+  assert.equal((await journeys.findOne({})).pausedRunKeys, undefined);
+  const states = await harness.mongoDb().collection("journey_run_states").find({}).toArray();
+  assert.deepEqual(states.map((state) => state.runKey).sort(), ["2026-02-27:08:00", "2026-03-02:08:00"]);
+
+  await harness.server.processScheduledJourneyStarts();
+  assert.equal(harness.pushes({ deviceToken: PUSH_TO_START_TOKEN }).length, 0);
+
+  const list = await harness.request("GET", "/scheduled-journeys", {
+    headers: { "x-device-id": DEVICE_ID },
+  });
+  assert.deepEqual(list.body.journeys[0].pausedRunKeys, ["2026-02-27:08:00", "2026-03-02:08:00"]);
+
+  const activated = await harness.request("POST", `/scheduled-journeys/${journey.id}/activate`, {
+    headers: { "x-device-id": DEVICE_ID },
+    body: { remoteStart: false },
+  });
+  assert.deepEqual(activated.body.journey.pausedRunKeys, ["2026-02-27:08:00"]);
+});
+
+test("a PUT without legs keeps a multi-leg journey's legs unless its end docks change", async () => {
+  const journey = await createJourney({
+    legs: [
+      {
+        startDock: { id: "BikePoints_1", name: "River Street", latitude: 51.5292, longitude: -0.1099 },
+        endDock: { id: "BikePoints_2", name: "Phillimore Gardens", latitude: 51.4996, longitude: -0.1975 },
+      },
+      {
+        startDock: { id: "BikePoints_4", name: "St. Chad's Street", latitude: 51.5301, longitude: -0.1209 },
+        endDock: { id: "BikePoints_3", name: "Christopher Street", latitude: 51.5213, longitude: -0.0846 },
+      },
+    ],
+  });
+
+  const edited = await updateJourney(journey, { weekdays: [1, 3, 5] });
+  assert.deepEqual(edited.weekdays, [1, 3, 5]);
+  assert.deepEqual(edited.legs, journey.legs);
+
+  const rerouted = await updateJourney(journey, {
+    endDock: { id: "BikePoints_5", name: "Sedding Street", latitude: 51.4931, longitude: -0.1569 },
+  });
+  assert.deepEqual(
+    rerouted.legs.map((leg) => [leg.startDock.id, leg.endDock.id]),
+    [["BikePoints_1", "BikePoints_5"]]
+  );
+});
+
+test("POST /scheduled-journeys creates a linked return journey", async () => {
+  const res = await harness.request("POST", "/scheduled-journeys", {
+    headers: { "x-device-id": DEVICE_ID },
+    body: {
+      startDock: { id: "BikePoints_1", name: "River Street", latitude: 51.5292, longitude: -0.1099 },
+      endDock: { id: "BikePoints_3", name: "Christopher Street", latitude: 51.5213, longitude: -0.0846 },
+      weekdays: [1, 2, 3, 4, 5],
+      startTime: "08:00",
+      endTime: "09:00",
+      skipDates: ["2099-01-05"],
+      returnJourney: { startTime: "17:30", endTime: "18:30" },
+    },
+  });
+  assert.equal(res.status, 201, res.text);
+  const { journey, returnJourney } = res.body;
+  assert.equal(journey.linkedJourneyId, returnJourney.id);
+  assert.equal(returnJourney.linkedJourneyId, journey.id);
+  assert.equal(returnJourney.direction, "return");
+  assert.equal(returnJourney.startDock.id, "BikePoints_3");
+  assert.equal(returnJourney.endDock.id, "BikePoints_1");
+  assert.equal(returnJourney.startTime, "17:30");
+  assert.deepEqual(returnJourney.weekdays, [1, 2, 3, 4, 5]);
+  assert.deepEqual(returnJourney.skipDates, []);
+
+  const deleted = await harness.request("DELETE", `/scheduled-journeys/${journey.id}`, {
+    headers: { "x-device-id": DEVICE_ID },
+  });
+  assert.equal(deleted.status, 200);
+  const list = await harness.request("GET", "/scheduled-journeys", {
+    headers: { "x-device-id": DEVICE_ID },
+  });
+  assert.deepEqual(
+    list.body.journeys.map((item) => [item.id, item.linkedJourneyId]),
+    [[returnJourney.id, null]]
+  );
+});
@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createTestHarness, useFakeClock } = require("./helpers/harness");
+
+const DEVICE_TOKEN = "ee".repeat(32);
+
+test("a delayed alert pending at shutdown is sent by the next start", async (t) => {
+  const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), "bikespot-api-shutdown-"));
+  // File storage, so the second server sees what the first one left behind.
+  const env = {
+    MONGODB_URI_BIKESPOT_LONDON: "",
+    DELAYED_JOBS_PATH: path.join(stateDir, "delayed-jobs.json"),
+  };
+  t.after(() => fs.rmSync(stateDir, { recursive: true, force: true }));
+
+  const first = await createTestHarness({ env });
+  t.after(() => first.close());
+  await first.server.restoreDelayedJobs();
+  const scheduled = await first.request("POST", "/live-activity/start-arrival", {
+    body: {
+      startDockId: "BikePoints_1",
+      startDockName: "River Street",
+      endDock: { id: "BikePoints_3", name: "Christopher Street", latitude: 51.5213, longitude: -0.0846 },
+      deviceToken: DEVICE_TOKEN,
+      buildType: "development",
+      delayMs: 60000,
+    },
+  });
+  assert.equal(scheduled.status, 200, scheduled.text);
+
+  await first.server.shutdown("test");
+  await first.server.shutdown("test again");
+  const saved = JSON.parse(fs.readFileSync(env.DELAYED_JOBS_PATH, "utf8"));
+  assert.equal(saved.length, 1);
+  assert.equal(saved[0].payload.endDock.id, "BikePoints_3");
+  assert.equal(first.pushes({ deviceToken: DEVICE_TOKEN }).length, 0);
+
+  // The alert fell due while the server was down, so it goes out on restore.
+  const second = await createTestHarness({ env });
+  t.after(() => second.close());
+  const clock = useFakeClock(t, new Date().toISOString());
+  clock.tick(61000);
+  await second.server.restoreDelayedJobs();
+
+  const pushes = await second.waitFor(() => {
+    const sent = second.pushes({ deviceToken: DEVICE_TOKEN, pushType: "alert" });
+    return sent.length > 0 && sent;
+  });
+  assert.equal(pushes.length, 1);
+  await second.waitFor(() => second.server.delayedJobs.size === 0);
+  await second.server.shutdown("test");
+  assert.deepEqual(JSON.parse(fs.readFileSync(env.DELAYED_JOBS_PATH, "utf8")), []);
+});